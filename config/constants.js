@@ -15,6 +15,97 @@ const ROLES = {
 
 const ALL_ROLES = Object.values(ROLES);
 
+// ============================================================================
+// ADMIN PERMISSIONS
+// Checked by requirePermission() (middleware/Permissions.js). Admins get them
+// through AdminRole documents; super admins hold every permission.
+// ============================================================================
+
+const ADMIN_PERMISSIONS = {
+  "dashboard.view": "View dashboard statistics",
+  "users.view": "View user profiles and login history",
+  "users.block": "Block and unblock users",
+  "projects.view": "View projects",
+  "projects.delete": "Delete projects",
+  "content.edit": "Edit site content and categories",
+  "settings.edit": "Change platform and site settings",
+  "admins.manage": "Manage admin accounts and roles",
+  "reviews.moderate": "View and delete reviews",
+  "escrow.view": "View escrows",
+  "escrow.manage": "Edit, release, refund and block escrows",
+  "wallet.view": "View user wallets",
+  "wallet.adjust": "Credit or debit user wallets",
+  "wallet.freeze": "Freeze and unfreeze user wallets",
+  "payment.clawback": "Claw back released payments",
+  "finance.view": "View transactions, payouts and withdrawals",
+  "payout.send": "Send manual payouts to freelancers",
+  "withdrawal.approve": "Approve and reject withdrawals",
+  "finance.approve": "Approve or reject money movements held for a second admin",
+  "reports.export": "Export Excel reports",
+  "audit.view": "View the admin activity log",
+  "dispute.view": "View disputes",
+  "dispute.manage": "Assign, prioritise, escalate and message on disputes",
+  "dispute.resolve": "Resolve disputes and move the funds",
+  "violations.review": "Review chat contact violations",
+  "skills.verify": "Review skill verifications",
+  "skills.manage": "Manage skill challenge questions",
+  "jobs.view": "View background jobs and their runs",
+  "jobs.run": "Trigger background jobs manually",
+};
+
+const ALL_ADMIN_PERMISSIONS = Object.keys(ADMIN_PERMISSIONS);
+
+const VIEWER_PERMISSIONS = [
+  "dashboard.view",
+  "users.view",
+  "projects.view",
+  "escrow.view",
+  "finance.view",
+  "dispute.view",
+];
+
+// Seeded as system roles; wallet.adjust and payment.clawback are deliberately
+// left out, so only super admins or custom roles have them
+const DEFAULT_ADMIN_ROLES = [
+  {
+    name: "viewer",
+    description: "Read-only access to the admin panel",
+    permissions: VIEWER_PERMISSIONS,
+  },
+  {
+    name: "support",
+    description: "User support and moderation",
+    permissions: [...VIEWER_PERMISSIONS, "users.block", "dispute.manage", "reviews.moderate", "violations.review"],
+  },
+  {
+    name: "content",
+    description: "Site content, categories and skills",
+    permissions: ["dashboard.view", "content.edit", "reviews.moderate", "skills.verify", "skills.manage"],
+  },
+  {
+    name: "finance",
+    description: "Escrows, wallets, payouts and withdrawals",
+    permissions: [
+      ...VIEWER_PERMISSIONS,
+      "escrow.manage",
+      "wallet.view",
+      "wallet.freeze",
+      "payout.send",
+      "withdrawal.approve",
+      "finance.approve",
+      "reports.export",
+    ],
+  },
+  {
+    name: "arbitrator",
+    description: "Dispute handling and resolution",
+    permissions: ["dashboard.view", "dispute.view", "dispute.manage", "dispute.resolve", "violations.review"],
+  },
+];
+
+// Permissions of an admin who has not been given any role yet
+const BASELINE_ADMIN_ROLE = "viewer";
+
 // ============================================================================
 // PROJECT STATUS
 // ============================================================================
@@ -158,6 +249,250 @@ const DEFAULTS = {
   BONUS_PERCENT: 3,
 };
 
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+const JOB_NAMES = {
+  MILESTONE_AUTO_RELEASE: "milestone-auto-release",
+  DISPUTE_DEADLINES: "dispute-deadlines",
+  CHAT_SEARCH_INDEX: "chat-search-index",
+  CHAT_KEY_ROTATION: "chat-key-rotation",
+  PAYOUT_KEY_ROTATION: "payout-key-rotation",
+  LOGIN_KEY_ROTATION: "login-key-rotation",
+  LEDGER_RECONCILIATION: "ledger-reconciliation",
+  PAYOUT_SYNC: "payout-sync",
+};
+
+const JOB_SETTINGS = {
+  TICK_INTERVAL_MS: 30 * 1000,
+  LEADER_LEASE_MS: 90 * 1000,
+  RUN_LOCK_MS: 15 * 60 * 1000,
+  MILESTONE_AUTO_RELEASE_INTERVAL_MS: 5 * 60 * 1000,
+  DISPUTE_DEADLINES_INTERVAL_MS: 15 * 60 * 1000,
+  CHAT_SEARCH_INDEX_INTERVAL_MS: 2 * 60 * 1000,
+  CHAT_KEY_ROTATION_INTERVAL_MS: 5 * 60 * 1000,
+  PAYOUT_KEY_ROTATION_INTERVAL_MS: 60 * 60 * 1000,
+  LOGIN_KEY_ROTATION_INTERVAL_MS: 60 * 60 * 1000,
+  LEDGER_RECONCILIATION_INTERVAL_MS: 24 * 60 * 60 * 1000,
+  PAYOUT_SYNC_INTERVAL_MS: 2 * 60 * 1000,
+  KEY_ROTATION_BATCH_SIZE: 200,
+  KEY_ROTATION_MAX_RUN_MS: 4 * 60 * 1000, // Well inside RUN_LOCK_MS
+  MAX_FAILURES_RECORDED: 50,
+};
+
+// ============================================================================
+// CHAT CONTACT PROTECTION
+// ============================================================================
+
+const CONTACT_PROTECTION = {
+  // "redact" delivers the message with contact info hidden, "block" rejects it
+  ACTION: "redact",
+  STRIKE_LIMIT: 3,
+};
+
+const CHAT_SETTINGS = {
+  EDIT_WINDOW_MS: 15 * 60 * 1000,
+  DELETE_WINDOW_MS: 60 * 60 * 1000,
+  MAX_EDITS_PER_MESSAGE: 20,
+  MAX_REACTIONS_PER_USER: 5,
+};
+
+// ============================================================================
+// AUTH SESSIONS
+// ============================================================================
+
+const SESSION_SETTINGS = {
+  ACCESS_TOKEN_TTL: "15m",
+  ACCESS_TOKEN_TTL_MS: 15 * 60 * 1000,
+  REFRESH_TOKEN_TTL_MS: 30 * 24 * 60 * 60 * 1000,
+  // Two tabs refreshing at once both present the same token; don't treat that as theft
+  REFRESH_REUSE_GRACE_MS: 10 * 1000,
+  MAX_ACTIVE_SESSIONS: 10,
+  MAX_PREVIOUS_TOKEN_HASHES: 20,
+};
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION (clients & freelancers)
+// ============================================================================
+
+const TWO_FACTOR_SETTINGS = {
+  ISSUER: "FreelancerHub",
+  TOTP_WINDOW: 2, // ±2 steps of 30s, same as admin 2FA
+  BACKUP_CODE_COUNT: 10,
+  MAX_FAILED_ATTEMPTS: 5,
+  LOCK_DURATION_MS: 15 * 60 * 1000,
+  // Withdrawals, payout details and agreement signing refuse users without 2FA
+  REQUIRED_FOR_SENSITIVE_ACTIONS: true,
+};
+
+// ============================================================================
+// LOGIN PAYLOAD ENCRYPTION
+// ============================================================================
+
+const LOGIN_KEY_SETTINGS = {
+  ALGORITHM: "RSA-OAEP-256", // wraps a per-request AES-256-GCM key
+  MODULUS_LENGTH: 2048,
+  ROTATE_AFTER_MS: 7 * 24 * 60 * 60 * 1000,
+  // How long a rotated-out key is still accepted
+  RETIRE_GRACE_MS: 24 * 60 * 60 * 1000,
+  // Reject payloads encrypted longer ago than this (or this far in the future)
+  MAX_PAYLOAD_AGE_MS: 5 * 60 * 1000,
+  CACHE_MS: 60 * 1000,
+};
+
+// ============================================================================
+// LOGIN ANOMALY DETECTION
+// ============================================================================
+
+const LOGIN_RISK = {
+  // Faster than an airliner between two logins is treated as impossible travel
+  MAX_TRAVEL_SPEED_KMH: 900,
+  MIN_TRAVEL_DISTANCE_KM: 500, // Ignore GeoIP jitter between nearby cities
+  SCORES: {
+    IMPOSSIBLE_TRAVEL: 70,
+    NEW_COUNTRY: 40,
+    NEW_DEVICE: 20,
+  },
+  HIGH_RISK_SCORE: 60, // Step-up (TOTP or emailed code) required at or above
+  MEDIUM_RISK_SCORE: 30,
+  HISTORY_RETENTION_DAYS: 180,
+  DEVICE_COOKIE: "device_id",
+  DEVICE_COOKIE_MAX_AGE_MS: 365 * 24 * 60 * 60 * 1000,
+};
+
+// ============================================================================
+// LEDGER (double-entry journal behind utils/walletHelper.js)
+// ============================================================================
+
+const LEDGER_ACCOUNTS = {
+  USER_AVAILABLE: "user_available", // Wallet.balance, per user
+  USER_ESCROW: "user_escrow", // Wallet.escrowBalance, per user
+  PLATFORM_REVENUE: "platform_revenue", // Commission kept from payments
+  PAYOUTS_IN_TRANSIT: "payouts_in_transit", // Withdrawals debited but not yet paid out
+  GATEWAY: "gateway", // Money entering or leaving through the payment gateway / bank
+  ADMIN_ADJUSTMENTS: "admin_adjustments", // Other side of manual wallet adjustments
+  OPENING_BALANCES: "opening_balances", // Balances that existed before the ledger
+};
+
+const LEDGER_SETTINGS = {
+  // Differences below this (₹) are rounding, not discrepancies
+  TOLERANCE: 0.01,
+  // Block withdrawals on wallets whose balance does not match the ledger
+  FREEZE_ON_DISCREPANCY: process.env.LEDGER_FREEZE_ON_DISCREPANCY === "true",
+  MAX_DISCREPANCIES_RECORDED: 500,
+  REPORT_RETENTION_DAYS: 180,
+};
+
+// ============================================================================
+// DUAL APPROVAL (admin money movements, threshold in SiteSettings)
+// ============================================================================
+
+const APPROVAL_SETTINGS = {
+  // Pending approvals nobody acted on are dropped after this
+  EXPIRES_AFTER_MS: 72 * 60 * 60 * 1000,
+  // Permission the approver needs for each action
+  PERMISSIONS: {
+    wallet_adjust: "wallet.adjust",
+    payment_clawback: "payment.clawback",
+    escrow_release: "escrow.manage",
+    escrow_refund: "escrow.manage",
+    escrow_adjust: "escrow.manage",
+  },
+  // Executed movements on the same target within this window are added to a
+  // new request's amount before comparing with the threshold
+  AGGREGATION_WINDOW_MS: 24 * 60 * 60 * 1000,
+  // Activity log entry each executor writes; its metadata.amount is summed
+  LOG_ACTIONS: {
+    wallet_adjust: "WALLET_ADJUST",
+    payment_clawback: "PAYMENT_CLAWBACK",
+    escrow_release: "ESCROW_RELEASE",
+    escrow_refund: "ESCROW_REFUND",
+  },
+};
+
+// ============================================================================
+// FREELANCER PAYOUTS (services/payouts.js)
+// ============================================================================
+
+const PAYOUT_SETTINGS = {
+  // Withdrawals up to this amount (₹) are paid out without admin review
+  AUTO_PAYOUT_LIMIT: parseInt(process.env.PAYOUT_AUTO_LIMIT) || 25000,
+  // Gateway errors worth retrying are retried this often before giving up
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_MS: 60 * 1000, // Doubles per attempt
+  // Payouts still in flight after this are polled in case a webhook was missed
+  POLL_AFTER_MS: 30 * 60 * 1000,
+  SYNC_BATCH_SIZE: 50,
+};
+
+// Saved bank accounts / UPI ids for withdrawals (services/payoutMethods.js)
+const PAYOUT_METHOD_SETTINGS = {
+  // A new method can't receive a withdrawal until this has passed, so a
+  // hijacked session can't add its own account and empty the wallet at once
+  COOL_OFF_MS: parseInt(process.env.PAYOUT_METHOD_COOL_OFF_HOURS || "24") * 60 * 60 * 1000,
+  MAX_PER_USER: 5,
+};
+
+// ============================================================================
+// PAYMENT WEBHOOKS
+// ============================================================================
+
+const WEBHOOK_SETTINGS = {
+  // Razorpay events this backend acts on; others are stored and ignored
+  RAZORPAY_EVENTS: [
+    "payment.captured",
+    "payment.failed",
+    "refund.processed",
+    "order.paid",
+    "payout.queued",
+    "payout.processed",
+    "payout.reversed",
+    "payout.failed",
+    "payout.rejected",
+  ],
+  // A delivery stuck in "processing" this long is treated as crashed and retried
+  PROCESSING_TIMEOUT_MS: 5 * 60 * 1000,
+  EVENT_RETENTION_DAYS: 90,
+};
+
+// ============================================================================
+// ACCOUNT RECOVERY (password reset, email change)
+// ============================================================================
+
+const ACCOUNT_RECOVERY = {
+  RESET_TOKEN_TTL_MS: 30 * 60 * 1000,
+  EMAIL_CHANGE_TTL_MS: 24 * 60 * 60 * 1000,
+  // Minimum gap between two emails of the same kind to one user
+  REQUEST_COOLDOWN_MS: 60 * 1000,
+  FRONTEND_URL: process.env.FRONTEND_URL || "https://freelancerhub-five.vercel.app",
+};
+
+// ============================================================================
+// EMAIL OTP
+// ============================================================================
+
+const OTP_PURPOSES = {
+  SIGNUP: "signup",
+  PASSWORD_RESET: "password_reset",
+  WITHDRAWAL: "withdrawal",
+  LOGIN_STEP_UP: "login_step_up",
+};
+
+const OTP_SETTINGS = {
+  TTL_MS: 10 * 60 * 1000,
+  RESEND_COOLDOWN_MS: 60 * 1000,
+  MAX_ATTEMPTS_PER_CODE: 5,
+  // Wrong codes counted per email and per IP; reaching the limit locks that key out
+  FAILURE_WINDOW_MS: 15 * 60 * 1000,
+  MAX_FAILURES_PER_EMAIL: 10,
+  MAX_FAILURES_PER_IP: 30,
+  MAX_SENDS_PER_IP: 20, // per FAILURE_WINDOW_MS, stops inbox flooding
+  LOCKOUT_MS: 30 * 60 * 1000,
+  // Signed "email verified" ticket handed out after a signup/reset OTP
+  TICKET_TTL: "30m",
+};
+
 // ============================================================================
 // ARBITRATION FEE TIERS
 // ============================================================================
@@ -224,6 +559,10 @@ const ALLOWED_FILE_TYPES = {
 module.exports = {
   ROLES,
   ALL_ROLES,
+  ADMIN_PERMISSIONS,
+  ALL_ADMIN_PERMISSIONS,
+  DEFAULT_ADMIN_ROLES,
+  BASELINE_ADMIN_ROLE,
   PROJECT_STATUS,
   ALL_PROJECT_STATUSES,
   BID_STATUS,
@@ -241,6 +580,23 @@ module.exports = {
   SKILL_VERIFICATION_STATUS,
   ALL_SKILL_VERIFICATION_STATUSES,
   DEFAULTS,
+  JOB_NAMES,
+  JOB_SETTINGS,
+  CONTACT_PROTECTION,
+  CHAT_SETTINGS,
+  SESSION_SETTINGS,
+  TWO_FACTOR_SETTINGS,
+  LOGIN_KEY_SETTINGS,
+  LOGIN_RISK,
+  APPROVAL_SETTINGS,
+  PAYOUT_SETTINGS,
+  PAYOUT_METHOD_SETTINGS,
+  WEBHOOK_SETTINGS,
+  LEDGER_ACCOUNTS,
+  LEDGER_SETTINGS,
+  ACCOUNT_RECOVERY,
+  OTP_PURPOSES,
+  OTP_SETTINGS,
   ARBITRATION_FEE_TIERS,
   getArbitrationFee,
   CRS_LEVELS,
@@ -10,6 +10,9 @@ const cors = require("cors");
 const helmet = require("helmet");
 const { mongoose } = require("./config/database");
 const WebSocketService = require("./services/websocket");
+const { scheduler } = require("./services/jobScheduler");
+const { pubsub } = require("./services/pubsub");
+const { registerJobs } = require("./services/jobs");
 const { notFoundHandler, errorHandler } = require("./middleware/ErrorHandler");
 const { latencyMonitor } = require("./middleware/LatencyMonitor");
 
@@ -42,6 +45,7 @@ const dispute = require("./routes/dispute");
 const skills = require("./routes/skills");
 const finance = require("./routes/finance");
 const metrics = require("./routes/metrics");
+const jobs = require("./routes/jobs");
 
 // ============================================================================
 // SECURITY MIDDLEWARE
@@ -93,7 +97,15 @@ app.options("*", cors(corsOptions));
 // BODY PARSING
 // ============================================================================
 
-app.use(express.json({ limit: "50mb" }));
+app.use(
+  express.json({
+    limit: "50mb",
+    // Webhook signatures are computed over the body exactly as sent
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/vi/payments/webhooks/")) req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
 app.use(cookieParser());
 
@@ -166,6 +178,7 @@ app.use("/api/vi/finance", finance);
 app.use("/admin", admin);
 app.use("/admin", require("./routes/adminSettings"));
 app.use("/admin/metrics", metrics);
+app.use("/admin/jobs", jobs);
 
 // ============================================================================
 // PUBLIC SETTINGS (no auth — used by frontend for commission, maintenance, etc.)
@@ -217,6 +230,12 @@ app.use(errorHandler);
 
 const wsService = new WebSocketService(server);
 
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+registerJobs(scheduler);
+
 // ============================================================================
 // SERVER START
 // ============================================================================
@@ -228,14 +247,19 @@ server.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(`Time: ${new Date().toISOString()}`);
   console.log("=".repeat(60));
+
+  pubsub.start().catch((err) => console.error("Pub/sub start error:", err));
+  scheduler.start();
 });
 
 // ============================================================================
 // GRACEFUL SHUTDOWN
 // ============================================================================
 
-process.on("SIGTERM", () => {
+process.on("SIGTERM", async () => {
   console.log("SIGTERM received. Shutting down gracefully...");
+  await scheduler.stop();
+  await pubsub.stop();
   server.close(() => {
     mongoose.connection.close(false, () => {
       console.log("Server closed. Database connection closed.");
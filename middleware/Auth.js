@@ -1,5 +1,7 @@
 const JWT = require("jsonwebtoken");
 const Action = require("../models/ActionSchema");
+const Session = require("../models/Session");
+const { SESSION_SETTINGS } = require("../config/constants");
 
 // ============================================================================
 // JWT SECRET - From environment variable (Critical Security Fix)
@@ -38,22 +40,65 @@ const logActivity = async (userId, action) => {
 // ============================================================================
 
 /**
- * Create JWT token for authenticated user
+ * Create a short-lived access token bound to a session
+ * (renewed through POST /auth/refresh, see services/sessions.js)
  */
-async function createTokenForUser(user) {
+async function createTokenForUser(user, { sessionId } = {}) {
   const payload = {
     userId: user.userId,
     username: user.username,
     role: user.role,
+    sid: sessionId?.toString(),
   };
-  const token = JWT.sign(payload, getJwtSecret(), { expiresIn: "1d" });
+  const token = JWT.sign(payload, getJwtSecret(), {
+    expiresIn: SESSION_SETTINGS.ACCESS_TOKEN_TTL,
+  });
   return token;
 }
 
 /**
- * Verify JWT token middleware
+ * Verify a raw JWT string and return its payload (throws on invalid/expired)
+ */
+function decodeToken(token) {
+  return JWT.verify(token, getJwtSecret());
+}
+
+/**
+ * Check the session an access token belongs to
+ * @param {object} decoded - Token payload
+ * @param {object} [options]
+ * @param {boolean} [options.allowPasswordChange] - Accept the temporary admin
+ *   password-change token (only POST /admin/change-password sets this)
+ * @returns {Promise<string|null>} - Why the session is unusable, or null if it is active
  */
-async function verifyToken(req, res, next) {
+async function getSessionRejection(decoded, { allowPasswordChange = false } = {}) {
+  // Temporary admin password-change tokens are not tied to a session
+  if (!decoded.sid) {
+    return decoded.mustChangePassword && allowPasswordChange
+      ? null
+      : "Session expired. Please login again.";
+  }
+
+  const session = await Session.findById(decoded.sid)
+    .select("userId revokedAt revokedReason expiresAt")
+    .lean();
+
+  if (!session || session.userId.toString() !== decoded.userId.toString()) {
+    return "Session expired. Please login again.";
+  }
+  if (session.revokedReason === "refresh_token_reuse") {
+    return "Session ended for your security. Please login again.";
+  }
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return "Session expired. Please login again.";
+  }
+  return null;
+}
+
+/**
+ * Build the token check; see verifyToken and verifyPasswordChangeToken
+ */
+const tokenVerifier = (sessionOptions = {}) => async function verifyToken(req, res, next) {
   const token = req.cookies.token;
 
   if (!token) {
@@ -65,20 +110,43 @@ async function verifyToken(req, res, next) {
     });
   }
 
+  let decoded;
   try {
-    const decoded = JWT.verify(token, getJwtSecret());
-    req.user = decoded;
-    next();
+    decoded = decodeToken(token);
   } catch (err) {
-    console.log(err)
     if (err.name === "TokenExpiredError") {
       return res.status(401).json({
-        error: "Token expired. Please login again."
+        error: "Token expired. Please login again.",
+        code: "TOKEN_EXPIRED", // Client should call POST /auth/refresh and retry
       });
     }
     return res.status(403).json({ error: "Unauthorized" });
   }
-}
+
+  try {
+    const rejection = await getSessionRejection(decoded, sessionOptions);
+    if (rejection) {
+      return res.status(401).json({ error: rejection, code: "SESSION_REVOKED" });
+    }
+  } catch (err) {
+    console.error("Session check error:", err);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+
+  req.user = decoded;
+  next();
+};
+
+/**
+ * Verify JWT token middleware
+ */
+const verifyToken = tokenVerifier();
+
+/**
+ * Like verifyToken, but also accepts the sessionless token issued to an admin
+ * who must change their password. Use it on POST /admin/change-password only.
+ */
+const verifyPasswordChangeToken = tokenVerifier({ allowPasswordChange: true });
 
 // ============================================================================
 // AUTHORIZATION MIDDLEWARE
@@ -111,4 +179,13 @@ const authorize = (roles) => async (req, res, next) => {
   }
 };
 
-module.exports = { createTokenForUser, verifyToken, authorize, logActivity };
+module.exports = {
+  getJwtSecret,
+  createTokenForUser,
+  decodeToken,
+  getSessionRejection,
+  verifyToken,
+  verifyPasswordChangeToken,
+  authorize,
+  logActivity,
+};
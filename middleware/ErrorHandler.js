@@ -26,6 +26,7 @@ const ErrorTypes = {
   NotFound: (message = "Resource not found") => new ApiError(404, message),
   Conflict: (message = "Conflict") => new ApiError(409, message),
   ValidationError: (message = "Validation failed") => new ApiError(422, message),
+  TooManyRequests: (message = "Too many requests") => new ApiError(429, message),
   InternalError: (message = "Internal server error") => new ApiError(500, message, false),
 };
 
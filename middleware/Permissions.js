@@ -0,0 +1,61 @@
+const Admin = require("../models/Admin");
+const { logActivity } = require("./Auth");
+const { ADMIN_PERMISSIONS } = require("../config/constants");
+
+const STAFF_ROLES = ["admin", "super_admin"];
+
+/**
+ * Permission Middleware
+ *
+ * Lets an admin through only if one of their roles grants `permission`
+ * (see ADMIN_PERMISSIONS in config/constants.js). Super admins hold every
+ * permission. The admin's permissions are left on `req.permissions`.
+ *
+ * Routes that clients/freelancers also use pass `{ allowUsers: true }`; those
+ * callers skip the check and the handler decides what they may see.
+ *
+ * Usage: router.post("/path", verifyToken, authorize([...]), requirePermission("wallet.adjust"), handler)
+ */
+const requirePermission = (permission, { allowUsers = false } = {}) => {
+  if (!ADMIN_PERMISSIONS[permission]) {
+    throw new Error(`Unknown admin permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: "Authentication required" });
+      }
+
+      if (!STAFF_ROLES.includes(req.user.role)) {
+        if (allowUsers) return next();
+        return res.status(403).json({
+          message: "Forbidden",
+          error: "You do not have the necessary permissions.",
+        });
+      }
+
+      const admin = await Admin.findById(req.user.userId).select("role roles isActive");
+      if (!admin || !admin.isActive) {
+        return res.status(403).json({ message: "Admin account is disabled" });
+      }
+
+      req.permissions = await admin.getPermissions();
+      if (!req.permissions.includes(permission)) {
+        await logActivity(req.user.userId, `Attempted unauthorized access. Route requires permission: ${permission}`);
+        return res.status(403).json({
+          message: "Forbidden",
+          error: `This action requires the "${permission}" permission.`,
+          requiredPermission: permission,
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("Permission check error:", error);
+      return res.status(500).json({ message: "Internal Server Error" });
+    }
+  };
+};
+
+module.exports = { requirePermission };
@@ -0,0 +1,56 @@
+const User = require("../models/User");
+const { TWO_FACTOR_SETTINGS } = require("../config/constants");
+
+/**
+ * Two-Factor Middleware
+ *
+ * Guards sensitive user actions (withdrawals, payout details, signing
+ * agreements) with a fresh TOTP or backup code, sent as `totp_code` in the
+ * body or the `x-totp-code` header.
+ *
+ * Usage: router.post("/path", verifyToken, authorize([...]), requireTwoFactor, handler)
+ */
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select(User.TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      if (!TWO_FACTOR_SETTINGS.REQUIRED_FOR_SENSITIVE_ACTIONS) return next();
+      return res.status(403).json({
+        message: "Enable two-factor authentication to perform this action",
+        requires2FASetup: true,
+      });
+    }
+
+    if (user.isTwoFactorLocked()) {
+      return res.status(423).json({
+        message: "Too many invalid 2FA codes. Try again later.",
+        lockedUntil: user.twoFactorLockUntil,
+      });
+    }
+
+    const code = req.body?.totp_code || req.headers["x-totp-code"];
+    if (!code) {
+      return res.status(400).json({ message: "2FA code required", requires2FA: true });
+    }
+
+    const method = await user.verifyTwoFactorCode(code);
+    if (!method) {
+      return res.status(401).json({ message: "Invalid 2FA code", requires2FA: true });
+    }
+
+    if (method === "backup") {
+      console.warn(`User ${user._id} used a 2FA backup code for ${req.method} ${req.originalUrl}`);
+    }
+    req.twoFactor = { method };
+    next();
+  } catch (error) {
+    console.error("2FA Check Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+};
+
+module.exports = { requireTwoFactor };
@@ -1,6 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
 const crypto = require("crypto");
+const AdminRole = require("./AdminRole");
+const { ALL_ADMIN_PERMISSIONS, BASELINE_ADMIN_ROLE } = require("../config/constants");
 
 const AdminSchema = new mongoose.Schema(
   {
@@ -29,6 +31,8 @@ const AdminSchema = new mongoose.Schema(
       default: "admin",
       enum: ["admin", "super_admin"],
     },
+    // Permission roles (models/AdminRole.js); ignored for super admins
+    roles: [{ type: mongoose.Schema.Types.ObjectId, ref: "AdminRole" }],
 
     // Secret code (hashed for security)
     secretCodeHash: {
@@ -174,6 +178,21 @@ AdminSchema.methods.useBackupCode = async function (code) {
   return true;
 };
 
+// Permissions granted by the admin's roles; admins without a role get the baseline role's
+AdminSchema.methods.getPermissions = async function () {
+  if (this.role === "super_admin") return [...ALL_ADMIN_PERMISSIONS];
+
+  let roles = this.roles?.length
+    ? await AdminRole.find({ _id: { $in: this.roles } }).select("permissions")
+    : [];
+  if (!roles.length) {
+    await AdminRole.ensureDefaults();
+    roles = await AdminRole.find({ name: BASELINE_ADMIN_ROLE }).select("permissions");
+  }
+
+  return [...new Set(roles.flatMap((role) => role.permissions))];
+};
+
 // Static method to find by credentials with lockout check
 AdminSchema.statics.findByCredentials = async function (email) {
   const admin = await this.findOne({ email: email.toLowerCase() });
@@ -37,12 +37,30 @@ const AdminActivityLogSchema = new mongoose.Schema(
         "ADMIN_UNBLOCK",
         "ADMIN_PASSWORD_RESET",
         "ADMIN_MFA_RESET",
+        "ADMIN_ROLES_UPDATE",
+        "ROLE_CREATE",
+        "ROLE_UPDATE",
+        "ROLE_DELETE",
+        "JOB_TRIGGER",
+        "CONTACT_VIOLATION_REVIEW",
+        "WALLET_ADJUST",
+        "WALLET_FREEZE",
+        "WALLET_UNFREEZE",
+        "PAYMENT_CLAWBACK",
+        "WITHDRAWAL_APPROVE",
+        "WITHDRAWAL_REJECT",
+        "WITHDRAWAL_PAYOUT_RETRY",
+        "APPROVAL_REQUESTED",
+        "APPROVAL_APPROVED",
+        "APPROVAL_REJECTED",
+        "APPROVAL_CANCELLED",
+        "APPROVAL_FAILED",
         "OTHER",
       ],
     },
     targetType: {
       type: String,
-      enum: ["user", "project", "escrow", "review", "settings", "content", "category", "admin"],
+      enum: ["user", "project", "escrow", "review", "settings", "content", "category", "admin", "job", "role", "approval", "withdrawal", "ledger"],
     },
     targetId: {
       type: mongoose.Schema.Types.Mixed,
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// ADMIN APPROVAL SCHEMA
+// A money movement above SiteSettings.dualApprovalThreshold, held until a
+// second admin approves it. `payload` holds the validated request body the
+// action is executed with (see services/adminApprovals.js).
+// ============================================================================
+
+const AdminApprovalSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["wallet_adjust", "payment_clawback", "escrow_release", "escrow_refund", "escrow_adjust"],
+      required: true,
+    },
+    amount: { type: Number, required: true }, // Absolute value, compared with the threshold
+    targetType: { type: String, enum: ["user", "project", "escrow"], required: true },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    reason: { type: String, default: "" },
+
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true },
+    requestedIp: { type: String, default: "" },
+
+    status: {
+      type: String,
+      enum: ["pending", "executed", "failed", "rejected", "cancelled", "expired"],
+      default: "pending",
+    },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    decidedAt: { type: Date, default: null },
+    decisionNote: { type: String, default: "" },
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+    error: { type: String, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+AdminApprovalSchema.index({ status: 1, createdAt: -1 });
+
+// One open request per action and target
+AdminApprovalSchema.index(
+  { action: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+module.exports = mongoose.model("AdminApproval", AdminApprovalSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { ALL_ADMIN_PERMISSIONS, DEFAULT_ADMIN_ROLES } = require("../config/constants");
+
+// ============================================================================
+// ADMIN ROLE SCHEMA
+// A named set of permissions that super admins assign to admins. System roles
+// come from DEFAULT_ADMIN_ROLES and are kept in sync with it; custom roles
+// are created under /admin/management/roles.
+// ============================================================================
+
+const AdminRoleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z][a-z0-9_-]{1,39}$/,
+    },
+    description: { type: String, default: "", maxlength: 200 },
+    permissions: [{ type: String, enum: ALL_ADMIN_PERMISSIONS }],
+    isSystem: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+  },
+  { timestamps: true }
+);
+
+let defaultsEnsured = false;
+
+// Create or refresh the system roles (once per process)
+AdminRoleSchema.statics.ensureDefaults = async function () {
+  if (defaultsEnsured) return;
+  await Promise.all(
+    DEFAULT_ADMIN_ROLES.map((role) =>
+      this.updateOne(
+        { name: role.name },
+        { $set: { description: role.description, permissions: role.permissions, isSystem: true } },
+        { upsert: true }
+      ).catch((err) => {
+        // Another instance inserted it first
+        if (err.code !== 11000) throw err;
+      })
+    )
+  );
+  defaultsEnsured = true;
+};
+
+module.exports = mongoose.model("AdminRole", AdminRoleSchema);
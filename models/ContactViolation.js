@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// MATCH SUB-SCHEMA
+// ============================================================================
+
+const ContactMatchSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["email", "phone", "upi", "handle"],
+      required: true,
+    },
+    obfuscated: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// ============================================================================
+// CONTACT VIOLATION SCHEMA
+// A chat message that tried to share contact details before the parties had
+// an active agreement. An admin upholds it (adding a strike to the sender)
+// or dismisses it as a false positive.
+// ============================================================================
+
+const ContactViolationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+    },
+    // Set once the (redacted) message is stored; null when it was blocked
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Chat",
+      default: null,
+    },
+
+    channel: {
+      type: String,
+      enum: ["rest", "websocket"],
+      required: true,
+    },
+    matches: [ContactMatchSchema],
+
+    // Unredacted text for the reviewer, encrypted like chat messages
+    originalMessage: { type: String, required: true },
+
+    action: {
+      type: String,
+      enum: ["redacted", "blocked"],
+      required: true,
+    },
+    // Set when upheld
+    strikesAfter: { type: Number },
+    banned: { type: Boolean, default: false },
+
+    status: {
+      type: String,
+      enum: [
+        "pending",    // Awaiting admin review
+        "upheld",     // Strike added
+        "dismissed",  // False positive, no strike
+      ],
+      default: "pending",
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, maxlength: 1000 },
+  },
+  { timestamps: true }
+);
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+ContactViolationSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ContactViolation", ContactViolationSchema);
@@ -0,0 +1,205 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// PARTICIPANT SUB-SCHEMA
+// ============================================================================
+
+const ParticipantSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["client", "freelancer"],
+      required: true,
+    },
+    unreadCount: { type: Number, default: 0, min: 0 },
+    lastReadAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// ============================================================================
+// CONVERSATION SCHEMA
+// A message thread between a client and a freelancer about one project.
+// Opened from the bid or agreement that connects them.
+// ============================================================================
+
+const ConversationSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+      index: true,
+    },
+    bidId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bid",
+      default: null,
+    },
+    agreementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Agreement",
+      default: null,
+    },
+
+    participants: {
+      type: [ParticipantSchema],
+      validate: [(p) => p.length === 2, "A conversation has exactly two participants"],
+    },
+
+    // `${projectId}:${smallerUserId}:${largerUserId}` — one thread per pair per project
+    participantKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    lastMessage: {
+      chatId: { type: mongoose.Schema.Types.ObjectId, ref: "Chat", default: null },
+      sender: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      sentAt: { type: Date, default: null },
+    },
+    lastMessageAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+ConversationSchema.index({ "participants.userId": 1, lastMessageAt: -1 });
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const buildParticipantKey = (projectId, userA, userB) => {
+  const [first, second] = [userA.toString(), userB.toString()].sort();
+  return `${projectId}:${first}:${second}`;
+};
+
+// Participant user id as a string, whether or not `userId` is populated
+const participantId = (participant) => (participant.userId._id || participant.userId).toString();
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Check whether a user takes part in this conversation
+ */
+ConversationSchema.methods.isParticipant = function (userId) {
+  return this.participants.some((p) => participantId(p) === userId.toString());
+};
+
+/**
+ * Get the other participant's user id
+ */
+ConversationSchema.methods.getOtherParticipant = function (userId) {
+  const other = this.participants.find((p) => participantId(p) !== userId.toString());
+  return other ? other.userId._id || other.userId : null;
+};
+
+/**
+ * Get a participant's unread counter
+ */
+ConversationSchema.methods.getUnreadCount = function (userId) {
+  const participant = this.participants.find((p) => participantId(p) === userId.toString());
+  return participant ? participant.unreadCount : 0;
+};
+
+// ============================================================================
+// STATIC METHODS
+// ============================================================================
+
+/**
+ * Find the conversation for a client/freelancer pair on a project, creating it if needed
+ */
+ConversationSchema.statics.findOrCreate = async function ({
+  projectId,
+  clientId,
+  freelancerId,
+  bidId = null,
+  agreementId = null,
+}) {
+  const participantKey = buildParticipantKey(projectId, clientId, freelancerId);
+
+  const update = {
+    $setOnInsert: {
+      projectId,
+      participantKey,
+      participants: [
+        { userId: clientId, role: "client" },
+        { userId: freelancerId, role: "freelancer" },
+      ],
+    },
+  };
+  // Keep the newest link; an agreement supersedes the bid it came from
+  const links = {};
+  if (bidId) links.bidId = bidId;
+  if (agreementId) links.agreementId = agreementId;
+  if (Object.keys(links).length) update.$set = links;
+
+  try {
+    return await this.findOneAndUpdate({ participantKey }, update, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+    });
+  } catch (err) {
+    // Two requests raced to create the same thread
+    if (err.code === 11000) return this.findOne({ participantKey });
+    throw err;
+  }
+};
+
+/**
+ * List a user's conversations, most recently active first
+ */
+ConversationSchema.statics.getForUser = function (userId, limit = 50) {
+  return this.find({ "participants.userId": userId })
+    .populate("participants.userId", "username profilePictureUrl")
+    .populate("projectId", "title status")
+    .sort({ lastMessageAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Point the conversation at a new message and bump the recipient's unread counter
+ */
+ConversationSchema.statics.recordMessage = function (conversationId, chat) {
+  return this.updateOne(
+    { _id: conversationId },
+    {
+      $set: {
+        lastMessage: { chatId: chat._id, sender: chat.sender, sentAt: chat.timestamp },
+        lastMessageAt: chat.timestamp,
+      },
+      $inc: { "participants.$[other].unreadCount": 1 },
+    },
+    { arrayFilters: [{ "other.userId": { $ne: chat.sender } }] }
+  );
+};
+
+/**
+ * Reset a participant's unread counter
+ */
+ConversationSchema.statics.markRead = function (conversationId, userId) {
+  return this.updateOne(
+    { _id: conversationId, "participants.userId": userId },
+    {
+      $set: {
+        "participants.$.unreadCount": 0,
+        "participants.$.lastReadAt": new Date(),
+      },
+    }
+  );
+};
+
+module.exports = mongoose.model("Conversation", ConversationSchema);
@@ -52,8 +52,11 @@ const AdminActionSchema = new mongoose.Schema(
     adminId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
-      required: true,
+      required: function () {
+        return !this.automated;
+      },
     },
+    automated: { type: Boolean, default: false }, // Written by a background job, not an admin
     note: { type: String },
     timestamp: { type: Date, default: Date.now },
   },
@@ -213,6 +216,8 @@ const DisputeSchema = new mongoose.Schema(
     // Deadlines
     responseDeadline: { type: Date },
     resolutionDeadline: { type: Date },
+    responseDeadlineMissedAt: { type: Date }, // Set when respondent let responseDeadline pass
+    escalatedAt: { type: Date },
 
     // Flags
     isBinding: { type: Boolean, default: true },
@@ -228,6 +233,20 @@ const DisputeSchema = new mongoose.Schema(
 
 DisputeSchema.index({ status: 1, priority: -1, createdAt: -1 });
 DisputeSchema.index({ filedBy: 1, status: 1 });
+DisputeSchema.index({ status: 1, responseDeadline: 1 });
+DisputeSchema.index({ status: 1, resolutionDeadline: 1 });
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PRIORITY_ORDER = ["low", "medium", "high", "urgent"];
+
+// Disputes where the respondent is still expected to answer
+const AWAITING_RESPONSE_STATUSES = ["open", "awaiting_response"];
+
+// Disputes an admin still has to decide
+const UNRESOLVED_STATUSES = ["open", "under_review", "awaiting_response", "escalated"];
 
 // ============================================================================
 // PRE-SAVE HOOKS
@@ -275,6 +294,9 @@ DisputeSchema.methods.markFeePaid = async function (paymentId) {
   this.arbitrationPaymentId = paymentId;
   this.arbitrationPaidAt = new Date();
   this.status = "open";
+  // Deadlines run from when the dispute becomes active, not from filing
+  this.responseDeadline = new Date(Date.now() + 72 * 60 * 60 * 1000);
+  this.resolutionDeadline = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
   return this.save();
 };
 
@@ -335,6 +357,46 @@ DisputeSchema.methods.resolve = async function (resolution, adminId) {
   return this.save();
 };
 
+/**
+ * Raise priority by one level (no-op at "urgent")
+ */
+DisputeSchema.methods.bumpPriority = function () {
+  const index = PRIORITY_ORDER.indexOf(this.priority);
+  this.priority = PRIORITY_ORDER[Math.min(index + 1, PRIORITY_ORDER.length - 1)];
+  return this.priority;
+};
+
+/**
+ * Flag a missed response deadline and hand the dispute to admins
+ * for a decision on the filer's evidence alone
+ */
+DisputeSchema.methods.markResponseMissed = async function () {
+  this.responseDeadlineMissedAt = new Date();
+  this.status = "under_review";
+  const priority = this.bumpPriority();
+  this.adminActions.push({
+    action: "response_deadline_missed",
+    automated: true,
+    note: `Respondent did not respond by ${this.responseDeadline.toISOString()}. Priority raised to ${priority}`,
+  });
+  return this.save();
+};
+
+/**
+ * Escalate a dispute whose resolution deadline has passed
+ */
+DisputeSchema.methods.escalateOverdue = async function () {
+  this.status = "escalated";
+  this.escalatedAt = new Date();
+  const priority = this.bumpPriority();
+  this.adminActions.push({
+    action: "escalated",
+    automated: true,
+    note: `Resolution deadline ${this.resolutionDeadline.toISOString()} passed. Priority raised to ${priority}`,
+  });
+  return this.save();
+};
+
 /**
  * Withdraw dispute
  */
@@ -359,7 +421,7 @@ DisputeSchema.statics.getAdminDashboard = async function (filters = {}) {
   if (filters.status) {
     query.status = filters.status;
   } else {
-    query.status = { $in: ["open", "under_review", "awaiting_response"] };
+    query.status = { $in: UNRESOLVED_STATUSES };
   }
 
   if (filters.priority) {
@@ -399,4 +461,49 @@ DisputeSchema.statics.getStats = async function () {
   }, {});
 };
 
+/**
+ * Disputes whose respondent let the response deadline pass unanswered
+ */
+DisputeSchema.statics.getMissedResponses = async function (now = new Date()) {
+  return this.find({
+    status: { $in: AWAITING_RESPONSE_STATUSES },
+    responseDeadline: { $lte: now },
+    responseDeadlineMissedAt: null,
+    "respondentResponse.submittedAt": null,
+  }).select("_id");
+};
+
+/**
+ * Disputes past their resolution deadline that have not been escalated yet
+ */
+DisputeSchema.statics.getDueForEscalation = async function (now = new Date()) {
+  return this.find({
+    status: { $in: ["open", "under_review", "awaiting_response"] },
+    resolutionDeadline: { $lte: now },
+  }).select("_id");
+};
+
+/**
+ * Overdue counts for the admin dashboard
+ */
+DisputeSchema.statics.getOverdueCounts = async function (now = new Date()) {
+  const [responseOverdue, resolutionOverdue, autoEscalated] = await Promise.all([
+    this.countDocuments({
+      status: { $in: UNRESOLVED_STATUSES },
+      responseDeadline: { $lte: now },
+      "respondentResponse.submittedAt": null,
+    }),
+    this.countDocuments({
+      status: { $in: UNRESOLVED_STATUSES },
+      resolutionDeadline: { $lte: now },
+    }),
+    this.countDocuments({
+      status: "escalated",
+      escalatedAt: { $ne: null },
+    }),
+  ]);
+
+  return { responseOverdue, resolutionOverdue, autoEscalated };
+};
+
 module.exports = mongoose.model("Dispute", DisputeSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// EMAIL CHANGE SCHEMA
+// A pending change of a user's email. A link goes to both the current and
+// the new address; the change is applied only once both are confirmed, so
+// neither a stolen session nor a typo can move the account elsewhere.
+// ============================================================================
+
+const EmailChangeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    oldEmail: { type: String, required: true },
+    newEmail: { type: String, required: true, lowercase: true, trim: true },
+
+    // sha256 of the token mailed to each address
+    oldAddressTokenHash: { type: String, required: true, unique: true },
+    newAddressTokenHash: { type: String, required: true, unique: true },
+    oldConfirmedAt: { type: Date, default: null },
+    newConfirmedAt: { type: Date, default: null },
+
+    status: {
+      type: String,
+      enum: ["pending", "completed", "cancelled", "failed"],
+      default: "pending",
+    },
+    completedAt: { type: Date },
+    expiresAt: { type: Date, required: true },
+    requestedIp: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+EmailChangeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Whether both addresses have confirmed
+ */
+EmailChangeSchema.methods.isFullyConfirmed = function () {
+  return !!(this.oldConfirmedAt && this.newConfirmedAt);
+};
+
+module.exports = mongoose.model("EmailChange", EmailChangeSchema);
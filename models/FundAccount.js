@@ -1,14 +1,31 @@
 const mongoose = require("mongoose");
 
-const FundAccountSchema = new mongoose.Schema({
-  userId: { type: String, required: true },
-  fundAccountId: { type: String, required: true },
-  contactId: { type: String, required: true },
-  bankDetails: {
-    accountNumber: String,
-    ifsc: String,
-    name: String,
+// ============================================================================
+// FUND ACCOUNT SCHEMA
+// A payout beneficiary registered with the payment gateway (Razorpay contact
+// + fund account). One per freelancer and bank account or UPI id;
+// `fingerprint` identifies the destination so the full number is never
+// stored here.
+// ============================================================================
+
+const FundAccountSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    provider: { type: String, required: true }, // Gateway name, e.g. "razorpay"
+    fundAccountId: { type: String, required: true },
+    contactId: { type: String, required: true },
+    fingerprint: { type: String, required: true },
+    accountType: { type: String, enum: ["bank_account", "vpa"], default: "bank_account" },
+    bankDetails: {
+      accountLast4: String,
+      ifsc: String,
+      name: String,
+    },
+    isActive: { type: Boolean, default: true },
   },
-});
+  { timestamps: true }
+);
+
+FundAccountSchema.index({ userId: 1, provider: 1, fingerprint: 1 }, { unique: true });
 
 module.exports = mongoose.model("FundAccount", FundAccountSchema);
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+/**
+ * JobLock Model — Mongo-backed lease used for leader election
+ *
+ * One document per lock name. An instance owns the lock while `expiresAt`
+ * is in the future; it must keep renewing the lease to stay owner. If the
+ * owner dies, the lease simply expires and another instance takes over.
+ */
+const JobLockSchema = new mongoose.Schema(
+  {
+    // Lock name, e.g. "scheduler:leader" or "job:milestone-auto-release"
+    _id: { type: String },
+
+    // Identifier of the process currently holding the lease
+    owner: {
+      type: String,
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    acquiredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// ─── Statics ──────────────────────────────────────────────────────────────────
+
+/**
+ * Try to acquire (or renew) a lease.
+ * @param {string} name    - Lock name
+ * @param {string} owner   - Caller's instance id
+ * @param {number} ttlMs   - Lease duration in milliseconds
+ * @returns {Promise<boolean>} - True if the caller now holds the lock
+ */
+JobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ expiresAt: { $lte: now } }, { owner }],
+      },
+      {
+        $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+        $setOnInsert: { acquiredAt: now },
+      },
+      { new: true, upsert: true }
+    );
+    return !!lock && lock.owner === owner;
+  } catch (err) {
+    // Upsert raced with a live lock held by someone else
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+/**
+ * Release a lease, but only if the caller still owns it.
+ */
+JobLockSchema.statics.release = async function (name, owner) {
+  await this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model("JobLock", JobLockSchema);
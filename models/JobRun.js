@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// FAILURE SUB-SCHEMA
+// ============================================================================
+
+const JobFailureSchema = new mongoose.Schema(
+  {
+    referenceId: { type: String },
+    message: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// ============================================================================
+// JOB RUN SCHEMA
+// One document per execution of a background job (scheduled or manual)
+// ============================================================================
+
+const JobRunSchema = new mongoose.Schema(
+  {
+    jobName: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    instanceId: { type: String },
+
+    status: {
+      type: String,
+      enum: [
+        "running",    // Handler still executing
+        "succeeded",  // Every item processed
+        "partial",    // Some items failed
+        "failed",     // Handler threw
+      ],
+      default: "running",
+      index: true,
+    },
+
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+
+    // Counters reported by the handler
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+
+    failures: [JobFailureSchema],
+    summary: { type: mongoose.Schema.Types.Mixed, default: {} },
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+JobRunSchema.index({ jobName: 1, startedAt: -1 });
+
+// Keep 30 days of run history
+JobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// ============================================================================
+// STATIC METHODS
+// ============================================================================
+
+/**
+ * Get the most recent run for each job name
+ */
+JobRunSchema.statics.getLatestByJob = async function () {
+  const latest = await this.aggregate([
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: "$jobName", run: { $first: "$$ROOT" } } },
+  ]);
+
+  return latest.reduce((acc, l) => {
+    acc[l._id] = l.run;
+    return acc;
+  }, {});
+};
+
+module.exports = mongoose.model("JobRun", JobRunSchema);
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// COLLECTION PROGRESS SUB-SCHEMA
+// ============================================================================
+
+const RotationTargetSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true }, // e.g. "chats"
+    lastProcessedId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    total: { type: Number, default: 0 }, // Documents when the rotation started
+    scanned: { type: Number, default: 0 },
+    reEncrypted: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    done: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// ============================================================================
+// KEY ROTATION SCHEMA
+// Progress of re-encrypting stored chat payloads with one encryption key.
+// The chat-key-rotation job resumes from `targets[].lastProcessedId` on
+// every run until all targets are done.
+// ============================================================================
+
+const KeyRotationSchema = new mongoose.Schema(
+  {
+    targetKeyId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed"],
+      default: "running",
+    },
+    targets: [RotationTargetSchema],
+    startedAt: { type: Date, default: Date.now },
+    completedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Overall progress as a percentage of documents scanned
+ */
+KeyRotationSchema.methods.getProgress = function () {
+  const total = this.targets.reduce((sum, t) => sum + t.total, 0);
+  const scanned = this.targets.reduce((sum, t) => sum + t.scanned, 0);
+  if (this.status === "completed" || total === 0) return 100;
+  return Math.min(99, Math.floor((scanned / total) * 100));
+};
+
+module.exports = mongoose.model("KeyRotation", KeyRotationSchema);
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+const { LEDGER_ACCOUNTS } = require("../config/constants");
+
+// ============================================================================
+// LEDGER ENTRY SCHEMA
+// Append-only double-entry journal. Each line moves `amount` into an account
+// (negative = out of it) and the lines of an entry always sum to zero, so a
+// wallet's balance must equal the sum of its account's lines. Per-user
+// accounts carry `userId`; platform accounts do not.
+// Written only by utils/walletHelper.js; checked by the ledger
+// reconciliation job (services/ledger.js).
+// ============================================================================
+
+const LedgerLineSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: Object.values(LEDGER_ACCOUNTS),
+      required: true,
+    },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const LedgerEntrySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "opening_balance",
+        "deposit",
+        "platform_fee",
+        "escrow_hold",
+        "escrow_release",
+        "escrow_refund",
+        "withdrawal",
+        "withdrawal_completed",
+        "withdrawal_reversal",
+        "admin_adjustment",
+        "admin_clawback",
+      ],
+      required: true,
+    },
+    lines: {
+      type: [LedgerLineSchema],
+      validate: {
+        validator: (lines) =>
+          lines.length >= 2 &&
+          Math.abs(lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0)) === 0,
+        message: "Ledger entry must have at least two lines that sum to zero",
+      },
+    },
+    referenceId: { type: mongoose.Schema.Types.ObjectId },
+    referenceModel: { type: String },
+    escrowId: { type: mongoose.Schema.Types.ObjectId, ref: "Escrow" },
+    description: { type: String, trim: true },
+    performedBy: { type: mongoose.Schema.Types.ObjectId },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+LedgerEntrySchema.index({ "lines.userId": 1, createdAt: -1 });
+LedgerEntrySchema.index({ "lines.account": 1 });
+LedgerEntrySchema.index({ escrowId: 1 }, { sparse: true });
+LedgerEntrySchema.index({ referenceId: 1, type: 1 });
+
+// Entries are never changed or removed; corrections are new entries
+const refuseChange = function () {
+  throw new Error("Ledger entries are append-only");
+};
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"]) {
+  LedgerEntrySchema.pre(op, refuseChange);
+}
+
+module.exports = mongoose.model("LedgerEntry", LedgerEntrySchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { LOGIN_RISK } = require("../config/constants");
+
+// ============================================================================
+// LOGIN EVENT SCHEMA
+// One login by a user or admin: where from, on which device, and what the
+// anomaly checks made of it. "success" events are the baseline that later
+// logins are compared against.
+// ============================================================================
+
+const LoginEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    userModel: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ["password", "google"],
+      default: "password",
+    },
+
+    // sha256 of the long-lived device cookie
+    deviceFingerprint: { type: String, required: true },
+    device: { type: String, default: "Unknown device" },
+    userAgent: { type: String, default: "" },
+    ipAddress: { type: String, default: "" },
+    location: {
+      country: { type: String, default: null },
+      region: { type: String, default: null },
+      city: { type: String, default: null },
+    },
+    coordinates: { type: [Number], default: undefined }, // [lat, lon]
+
+    risk: {
+      score: { type: Number, default: 0 },
+      level: { type: String, enum: ["low", "medium", "high"], default: "low" },
+      newDevice: { type: Boolean, default: false },
+      newCountry: { type: Boolean, default: false },
+      impossibleTravel: { type: Boolean, default: false },
+      // Set when impossibleTravel: distance and speed from the previous login
+      distanceKm: { type: Number },
+      speedKmh: { type: Number },
+    },
+
+    outcome: {
+      type: String,
+      enum: [
+        "success",
+        "step_up_required", // High risk, emailed code sent, not logged in
+        "step_up_failed",   // Wrong step-up code
+      ],
+      required: true,
+    },
+    // How a high-risk login was confirmed
+    stepUpMethod: { type: String, enum: [null, "totp", "email_otp"], default: null },
+    alertSent: { type: Boolean, default: false },
+    sessionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  },
+  { timestamps: true }
+);
+
+LoginEventSchema.index({ userId: 1, outcome: 1, createdAt: -1 });
+LoginEventSchema.index({ userId: 1, deviceFingerprint: 1 });
+LoginEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_RISK.HISTORY_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("LoginEvent", LoginEventSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// LOGIN KEY SCHEMA
+// RSA key pairs that browsers use to encrypt login payloads. One key is
+// "active" and published; a rotated-out key stays "retiring" until
+// `retireAt` so pages that fetched it just before rotation still work.
+// The private key is stored encrypted with utils/chatCrypto.
+// ============================================================================
+
+const LoginKeySchema = new mongoose.Schema(
+  {
+    kid: { type: String, required: true, unique: true },
+    publicKey: { type: String, required: true }, // SPKI PEM
+    privateKey: { type: String, required: true }, // chatCrypto payload of the PKCS#8 PEM
+    status: {
+      type: String,
+      enum: ["active", "retiring"],
+      default: "active",
+    },
+    activatedAt: { type: Date, default: Date.now },
+    // Payloads encrypted to this key are refused after this
+    retireAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// At most one active key, even with several instances rotating at once
+LoginKeySchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: "active" } });
+
+// Retired keys are deleted shortly after they stop being accepted
+LoginKeySchema.index({ retireAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+module.exports = mongoose.model("LoginKey", LoginKeySchema);
@@ -1,13 +1,38 @@
 const mongoose = require("mongoose");
+const { OTP_PURPOSES } = require("../config/constants");
+
+// ============================================================================
+// OTP SCHEMA
+// One emailed code per (email, purpose). The code is stored as a keyed hash.
+// After a successful check the code is cleared and, for purposes that hand
+// out an "email verified" ticket, the ticket id is recorded so the ticket
+// can be redeemed exactly once.
+// ============================================================================
 
 const OTPSchema = new mongoose.Schema({
   email: { type: String, required: true },
-  otp: { type: String, required: true },
-  isVerified: { type: Boolean, default: false },
+  purpose: {
+    type: String,
+    enum: Object.values(OTP_PURPOSES),
+    required: true,
+  },
+  otpHash: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+
+  verifiedAt: { type: Date, default: null },
+  ticketId: { type: String, default: null },
+
+  requestedIp: { type: String, default: "" },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+OTPSchema.index({ email: 1, purpose: 1 }, { unique: true });
+
+// Codes live 10 minutes and tickets 30 more; an hour also clears pre-hashing records
+OTPSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
 module.exports = mongoose.model("OTP-Input", OTPSchema);
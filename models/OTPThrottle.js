@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// OTP THROTTLE SCHEMA
+// Fixed-window counters for OTP sends and wrong guesses, keyed by
+// "email:<address>" or "ip:<address>". Reaching a limit sets lockedUntil.
+// ============================================================================
+
+const OTPThrottleSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    windowStartedAt: { type: Date, default: Date.now },
+    failures: { type: Number, default: 0 },
+    sends: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+OTPThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the key is locked out right now
+ */
+OTPThrottleSchema.methods.isLocked = function () {
+  return !!(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+module.exports = mongoose.model("OTPThrottle", OTPThrottleSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// PASSWORD RESET SCHEMA
+// One "forgot password" link. Only the sha256 of the token is stored; the
+// token itself exists only in the email. Single use, short lived.
+// ============================================================================
+
+const PasswordResetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    requestedIp: { type: String, default: "" },
+    usedIp: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// Drop a day after expiry; long enough to investigate a complaint
+PasswordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("PasswordReset", PasswordResetSchema);
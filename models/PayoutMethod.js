@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// PAYOUT METHOD SCHEMA
+// A freelancer's saved withdrawal destination: a bank account or a UPI id.
+// The full details live only in `details`, encrypted with utils/payoutCrypto
+// (the payout-key-rotation job re-encrypts them when the key changes);
+// `display` holds the masked copy shown in the UI and to admins.
+// ============================================================================
+
+const PayoutMethodSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    type: { type: String, enum: ["bank_account", "vpa"], required: true },
+
+    // encryptJson({ accountName, accountNumber, ifsc }) or encryptJson({ accountName, vpa })
+    details: { type: String, required: true },
+    // Keyed hash of the account number + IFSC (or the VPA), to spot duplicates
+    fingerprint: { type: String, required: true },
+
+    display: {
+      accountName: String,
+      accountLast4: String,
+      ifsc: String,
+      vpa: String, // Masked, e.g. "ra•••@okhdfc"
+    },
+
+    isPrimary: { type: Boolean, default: false },
+    // Cool-off: no withdrawals to this method before this time
+    usableFrom: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: null },
+    addedFromIp: { type: String, default: "" },
+    // Removed methods are kept, so withdrawals already sent here can still be paid out
+    status: { type: String, enum: ["active", "removed"], default: "active" },
+    removedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+PayoutMethodSchema.index(
+  { userId: 1, fingerprint: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+/**
+ * Whether the cool-off period has passed
+ */
+PayoutMethodSchema.methods.isUsable = function () {
+  return this.status === "active" && this.usableFrom <= new Date();
+};
+
+/**
+ * Short masked label, e.g. "HDFC0001234 •••• 6789" or "ra•••@okhdfc"
+ */
+PayoutMethodSchema.methods.getLabel = function () {
+  return this.type === "vpa"
+    ? this.display.vpa
+    : `${this.display.ifsc} •••• ${this.display.accountLast4}`;
+};
+
+module.exports = mongoose.model("PayoutMethod", PayoutMethodSchema);
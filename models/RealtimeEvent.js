@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+/**
+ * RealtimeEvent Model — capped collection used as a cross-instance message bus
+ *
+ * Every server instance tails this collection with a tailable cursor and
+ * pushes events to the sockets it holds locally. Being capped, old events
+ * roll off on their own; nothing here is meant to be read back later.
+ */
+const RealtimeEventSchema = new mongoose.Schema(
+  {
+    // Recipient user id; null for bootstrap/no-op documents
+    userId: {
+      type: String,
+      default: null,
+    },
+
+    // Payload sent verbatim to the recipient's sockets
+    data: { type: mongoose.Schema.Types.Mixed },
+
+    // Chat message to mark "delivered" once a socket receives the event
+    chatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Chat",
+      default: null,
+    },
+
+    createdAt: { type: Date, default: Date.now },
+  },
+  {
+    capped: { size: 16 * 1024 * 1024, max: 10000 },
+    versionKey: false,
+  }
+);
+
+module.exports = mongoose.model("RealtimeEvent", RealtimeEventSchema);
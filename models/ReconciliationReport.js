@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const { LEDGER_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// RECONCILIATION REPORT SCHEMA
+// Result of one ledger reconciliation run: wallets whose stored balances do
+// not match the ledger, escrows whose status does not match the money held
+// for them, and whether the journal as a whole still sums to zero.
+// ============================================================================
+
+const ReconciliationReportSchema = new mongoose.Schema(
+  {
+    runId: { type: mongoose.Schema.Types.ObjectId, ref: "JobRun", default: null },
+    trigger: { type: String, default: "schedule" },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date, default: null },
+
+    walletsChecked: { type: Number, default: 0 },
+    walletsSkipped: { type: Number, default: 0 }, // Kept changing during the re-check; left for the next run
+    walletsOpened: { type: Number, default: 0 }, // Opening balance entries written this run
+    escrowsChecked: { type: Number, default: 0 },
+    ledgerImbalance: { type: Number, default: 0 }, // Sum of every line; must be 0
+
+    // Stored wallet figure vs what the ledger says it should be
+    walletDiscrepancies: [
+      {
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        walletId: { type: mongoose.Schema.Types.ObjectId, ref: "Wallet" },
+        account: String,
+        expected: Number,
+        actual: Number,
+        difference: Number,
+        frozen: { type: Boolean, default: false },
+      },
+    ],
+
+    // Escrow status vs money still held in escrow for it
+    escrowDiscrepancies: [
+      {
+        _id: false,
+        escrowId: { type: mongoose.Schema.Types.ObjectId, ref: "Escrow" },
+        projectId: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+        status: String,
+        expectedHeld: Number,
+        ledgerHeld: Number,
+      },
+    ],
+
+    // Platform account totals at the time of the run
+    platformBalances: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    truncated: { type: Boolean, default: false },
+    walletsFrozen: { type: Number, default: 0 },
+    status: { type: String, enum: ["running", "clean", "discrepancies", "failed"], default: "running" },
+    error: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+ReconciliationReportSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LEDGER_SETTINGS.REPORT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("ReconciliationReport", ReconciliationReportSchema);
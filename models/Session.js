@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+
+// ============================================================================
+// SESSION SCHEMA
+// One login on one device. Access tokens carry the session id (`sid`) and
+// are only honoured while the session is active; the refresh token that
+// renews them is stored as a hash and rotated on every use.
+// ============================================================================
+
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    // Users and admins log in through the same route but live in different collections
+    userModel: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    username: { type: String },
+    role: { type: String, required: true },
+
+    // sha256 of the current refresh token secret
+    refreshTokenHash: { type: String, required: true },
+    // Hashes of rotated-out secrets; presenting one again means the token was copied
+    previousTokenHashes: { type: [String], default: [] },
+    rotatedAt: { type: Date },
+
+    // Where the session was created / last refreshed from
+    userAgent: { type: String, default: "" },
+    device: { type: String, default: "Unknown device" },
+    ipAddress: { type: String, default: "" },
+    location: {
+      country: { type: String, default: null },
+      region: { type: String, default: null },
+      city: { type: String, default: null },
+    },
+
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: [
+        null,
+        "logout",              // User logged out on this device
+        "revoked_by_user",     // Revoked from the session list
+        "refresh_token_reuse", // Rotated refresh token presented again
+        "session_limit",       // Too many active sessions, oldest dropped
+        "account_blocked",     // Admin blocked the account
+        "password_changed",
+        "password_reset",      // Reset through a forgot-password link
+        "email_changed",
+      ],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// ============================================================================
+// INDEXES
+// ============================================================================
+
+SessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+// Expired sessions are useless; keep them a week for the security log
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// ============================================================================
+// INSTANCE METHODS
+// ============================================================================
+
+/**
+ * Check whether the session can still be used
+ */
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// ============================================================================
+// STATIC METHODS
+// ============================================================================
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+SessionSchema.statics.getActiveForUser = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping one
+ */
+SessionSchema.statics.revokeAllForUser = function (userId, reason, exceptSessionId = null) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -46,6 +46,28 @@ const SiteSettingsSchema = new mongoose.Schema(
       type: String,
       default: "We are currently under maintenance. Please check back later.",
     },
+
+    // === Login Security ===
+    // Accept unencrypted login bodies (plain JSON over TLS) while clients move
+    // to encrypted payloads. Turn off once every client encrypts.
+    allowPlainLogin: {
+      type: Boolean,
+      default: true,
+    },
+    // Optional end of the migration window; plain logins stop after this
+    plainLoginUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // === Dual Approval ===
+    // Admin wallet adjustments, clawbacks and escrow releases/refunds of at
+    // least this amount (₹) wait for a second admin's approval. 0 = all of them.
+    dualApprovalThreshold: {
+      type: Number,
+      default: 50000,
+      min: 0,
+    },
   },
   { timestamps: true }
 );
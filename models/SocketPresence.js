@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+/**
+ * SocketPresence Model — which server instances hold a live socket for a user
+ *
+ * One document per (instance, user) pair. The owning instance refreshes
+ * `expiresAt` on every heartbeat, so entries from a crashed instance age out
+ * through the TTL index instead of leaving users stuck "online".
+ */
+const SocketPresenceSchema = new mongoose.Schema(
+  {
+    // `${instanceId}:${userId}`
+    _id: { type: String },
+
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    instanceId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("SocketPresence", SocketPresenceSchema);
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const speakeasy = require("speakeasy");
+const { TWO_FACTOR_SETTINGS } = require("../config/constants");
 
 const UserSchema = new mongoose.Schema(
   {
@@ -14,6 +17,27 @@ const UserSchema = new mongoose.Schema(
     isBanned: { type: Boolean, default: false },
     isbanDate: { type: Date },
     otpVerified: { type: Boolean, default: false },
+    // Google account "sub"; set on first Google sign-in
+    googleId: { type: String, unique: true, sparse: true },
+
+    // Two-Factor Authentication (TOTP). Secret and codes are never selected by default.
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, default: null, select: false },
+    // Backup codes are stored as sha256; the plain codes are shown once
+    twoFactorBackupCodes: {
+      type: [
+        {
+          codeHash: { type: String, required: true },
+          used: { type: Boolean, default: false },
+        },
+      ],
+      default: [],
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code cannot be used twice
+    twoFactorLastStep: { type: Number, default: null, select: false },
+    twoFactorFailedAttempts: { type: Number, default: 0, select: false },
+    twoFactorLockUntil: { type: Date, default: null, select: false },
     location: {
       type: String,
       default: "Not specified",
@@ -140,4 +164,108 @@ UserSchema.methods.checkProfileComplete = function () {
   return false;
 };
 
+// Set profileComplete once the profile qualifies; returns the current value
+UserSchema.methods.syncProfileComplete = async function () {
+  if (!this.profileComplete && this.checkProfileComplete()) {
+    this.profileComplete = true;
+    await this.save();
+  }
+  return this.profileComplete;
+};
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================================================
+
+// Fields needed by verifyTwoFactorCode(); pass to .select()
+UserSchema.statics.TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep +twoFactorFailedAttempts +twoFactorLockUntil";
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(code.toString().trim().toUpperCase()).digest("hex");
+
+// Generate a fresh set of backup codes, replacing the old ones
+UserSchema.methods.generateBackupCodes = function () {
+  const codes = [];
+  for (let i = 0; i < TWO_FACTOR_SETTINGS.BACKUP_CODE_COUNT; i++) {
+    codes.push(crypto.randomBytes(4).toString("hex").toUpperCase());
+  }
+  this.twoFactorBackupCodes = codes.map((code) => ({ codeHash: hashBackupCode(code), used: false }));
+  return codes;
+};
+
+UserSchema.methods.isTwoFactorLocked = function () {
+  return !!(this.twoFactorLockUntil && this.twoFactorLockUntil > Date.now());
+};
+
+/**
+ * Check a TOTP or (optionally) backup code and consume it.
+ * The document must be loaded with TWO_FACTOR_FIELDS. Both checks are
+ * atomic updates, so two requests cannot spend the same code.
+ * @param {string} code
+ * @param {{allowBackupCode?: boolean}} [options]
+ * @returns {Promise<"totp"|"backup"|null>} - How the code matched, or null
+ */
+UserSchema.methods.verifyTwoFactorCode = async function (code, { allowBackupCode = true } = {}) {
+  const Model = this.constructor;
+  const token = (code || "").toString().trim();
+  if (!this.twoFactorSecret || !token || this.isTwoFactorLocked()) return null;
+
+  const match = speakeasy.totp.verifyDelta({
+    secret: this.twoFactorSecret,
+    encoding: "base32",
+    token,
+    window: TWO_FACTOR_SETTINGS.TOTP_WINDOW,
+  });
+
+  if (match) {
+    const step = Math.floor(Date.now() / 1000 / 30) + match.delta;
+    const { modifiedCount } = await Model.updateOne(
+      {
+        _id: this._id,
+        $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }],
+      },
+      { $set: { twoFactorLastStep: step, twoFactorFailedAttempts: 0, twoFactorLockUntil: null } }
+    );
+    if (modifiedCount) {
+      this.twoFactorLastStep = step;
+      this.twoFactorFailedAttempts = 0;
+      return "totp";
+    }
+  } else if (allowBackupCode && /^[0-9a-f]{8}$/i.test(token)) {
+    const codeHash = hashBackupCode(token);
+    const { modifiedCount } = await Model.updateOne(
+      { _id: this._id, twoFactorBackupCodes: { $elemMatch: { codeHash, used: false } } },
+      {
+        $set: {
+          "twoFactorBackupCodes.$.used": true,
+          twoFactorFailedAttempts: 0,
+          twoFactorLockUntil: null,
+        },
+      }
+    );
+    if (modifiedCount) {
+      const entry = this.twoFactorBackupCodes.find((c) => c.codeHash === codeHash);
+      if (entry) entry.used = true;
+      this.twoFactorFailedAttempts = 0;
+      return "backup";
+    }
+  }
+
+  // Wrong or already used code: count it, and lock after too many
+  const failed = await Model.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { twoFactorFailedAttempts: 1 } },
+    { new: true, projection: { twoFactorFailedAttempts: 1 } }
+  );
+  if (failed && failed.twoFactorFailedAttempts >= TWO_FACTOR_SETTINGS.MAX_FAILED_ATTEMPTS) {
+    this.twoFactorLockUntil = new Date(Date.now() + TWO_FACTOR_SETTINGS.LOCK_DURATION_MS);
+    await Model.updateOne(
+      { _id: this._id },
+      { $set: { twoFactorFailedAttempts: 0, twoFactorLockUntil: this.twoFactorLockUntil } }
+    );
+  }
+  return null;
+};
+
 module.exports = mongoose.model("User", UserSchema);
@@ -8,7 +8,8 @@ const mongoose = require("mongoose");
  * - escrowBalance:  Funds locked inside active project escrows (client-side)
  *
  * A WalletTransaction is created for every state change, giving a complete
- * and tamper-evident audit trail.
+ * and tamper-evident audit trail, and a balanced LedgerEntry records the
+ * same movement in double-entry form.
  */
 const WalletSchema = new mongoose.Schema(
   {
@@ -58,6 +59,13 @@ const WalletSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+
+    // ── Ledger ─────────────────────────────────────────────────────────────────
+    /** When the wallet's balances were first booked in the ledger (see LedgerEntry). */
+    ledgerOpenedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const { WEBHOOK_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// WEBHOOK EVENT SCHEMA
+// Every signed delivery from a payment gateway, keyed by the gateway's event
+// id so retries and replays are processed once (see services/razorpayWebhooks.js).
+// ============================================================================
+
+const WebhookEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: ["razorpay"], required: true },
+    eventId: { type: String, required: true },
+    event: { type: String, required: true }, // e.g. "payment.captured"
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    attempts: { type: Number, default: 0 },
+    result: { type: String, default: "" }, // What was done, or why nothing was
+    error: { type: String, default: null },
+    lockedAt: { type: Date, default: null },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ status: 1, createdAt: -1 });
+WebhookEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: WEBHOOK_SETTINGS.EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("WebhookEvent", WebhookEventSchema);
@@ -4,19 +4,55 @@ const AdminWithdrawSchema = new mongoose.Schema({
   freelancerId: { type: String, required: true, ref: "User" },
   type: { type: String, enum: ["income", "withdraw"], required: true },
   amount: { type: Number, required: true },
+  // pending → processing (payout sent) → approved (paid) | failed (funds returned)
+  // pending → rejected (by admin, funds returned)
   status: {
     type: String,
-    enum: ["pending", "approved", "rejected"],
+    enum: ["pending", "processing", "approved", "rejected", "failed"],
     default: "pending",
   },
   description: String,
   createdAt: { type: Date, default: Date.now },
 
+  // Saved method the money goes to (see services/payoutMethods.js), with a
+  // masked copy so lists and reports never need to decrypt it
+  payoutMethodId: { type: mongoose.Schema.Types.ObjectId, ref: "PayoutMethod", default: null },
+  destination: {
+    type: { type: String, enum: ["bank_account", "vpa"] },
+    label: String,
+    accountName: String,
+  },
+
+  // Plaintext bank details of withdrawals made before saved payout methods
   bankDetails: {
-    accountNumber: { type: String, required: true },
-    accountName: { type: String, required: true },
-    ifscCode: { type: String, required: true },
+    accountNumber: String,
+    accountName: String,
+    ifscCode: String,
+  },
+
+  // ── Gateway payout (see services/payouts.js) ──
+  payout: {
+    provider: { type: String, default: null },
+    fundAccountId: { type: String, default: null },
+    payoutId: { type: String, default: null },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "processed", "reversed", "failed", "cancelled", "rejected"],
+      default: null,
+    },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    failureReason: { type: String, default: null },
+    utr: { type: String, default: null }, // Bank reference once processed
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null }, // null = automatic
+    initiatedAt: { type: Date, default: null },
+    updatedAt: { type: Date, default: null },
+    processedAt: { type: Date, default: null },
   },
 });
 
+AdminWithdrawSchema.index({ "payout.payoutId": 1 }, { sparse: true });
+AdminWithdrawSchema.index({ status: 1, "payout.status": 1, "payout.nextAttemptAt": 1 });
+
 module.exports = mongoose.model("AdminWithdraw", AdminWithdrawSchema);
@@ -1,13 +1,45 @@
 const mongoose = require("mongoose");
 
+// Previous content of a message, kept (still encrypted) when it is edited or deleted
+const revisionSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ["edit", "delete"], required: true },
+    message: { type: String, default: null },
+    attachments: { type: [String], default: [] },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const reactionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    emoji: { type: String, required: true },
+    reactedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const chatSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Conversation",
+    default: null, // null for messages sent before conversations existed
+  },
   sender: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
     required: true,
   },
-  message: { type: String, required: true },
+  message: {
+    type: String,
+    required: function () {
+      return !this.attachments?.length;
+    },
+  },
+  // Encrypted attachment metadata tokens (see services/chatAttachments.js)
+  attachments: { type: [String], default: [] },
   encrypted: { type: Boolean, default: true },
   status: {
     type: String,
@@ -15,6 +47,21 @@ const chatSchema = new mongoose.Schema({
     default: "sent",
   }, // New message status
   timestamp: { type: Date, default: Date.now },
+
+  // Edits and deletes are by the sender, within a time window. Deleted
+  // messages stay in the database (hidden from participants) for disputes.
+  editedAt: { type: Date, default: null },
+  deletedAt: { type: Date, default: null },
+  editHistory: { type: [revisionSchema], default: [] },
+  reactions: { type: [reactionSchema], default: [] },
+
+  // Blind index of the message's words (see services/chatSearch.js).
+  // Left unset on old messages until the index job reaches them.
+  searchTokens: { type: [String], default: undefined, select: false },
 });
 
+// Cursor pagination within a conversation (newest first)
+chatSchema.index({ conversationId: 1, _id: -1 });
+chatSchema.index({ conversationId: 1, searchTokens: 1 });
+
 module.exports = mongoose.model("Chat", chatSchema);
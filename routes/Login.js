@@ -2,32 +2,38 @@ const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
-const { verifyToken, authorize } = require("../middleware/Auth");
-const { createTokenForUser } = require("../middleware/Auth");
+const { verifyToken, verifyPasswordChangeToken, authorize } = require("../middleware/Auth");
 const User = require("../models/User");
 const Admin = require("../models/Admin");
+const Session = require("../models/Session");
+const {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeSession,
+  clearAuthCookies,
+  toSessionView,
+} = require("../services/sessions");
+const {
+  requestPasswordReset,
+  resetPassword,
+  resetPasswordWithTicket,
+  requestEmailChange,
+  confirmEmailChange,
+} = require("../services/accountRecovery");
+const { verifyGoogleIdToken, findOrCreateGoogleUser } = require("../services/googleAuth");
+const {
+  getPublicLoginKey,
+  decryptLoginPayload,
+  isPlainLoginAllowed,
+} = require("../services/loginCrypto");
+const { evaluateLogin, recordSuccessfulLogin } = require("../services/loginRisk");
 const speakeasy = require("speakeasy");
 
-const xorKey = "SecureOnlyThingsAreDone";
-
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
-/**
- * XOR Decryption for obfuscated credentials
- */
-function xorDecrypt(obfuscatedString, key) {
-  try {
-    let decoded = atob(obfuscatedString)
-      .split("")
-      .map((c, i) => c.charCodeAt(0) ^ key.charCodeAt(i % key.length));
-    return String.fromCharCode(...decoded);
-  } catch {
-    return null;
-  }
-}
-
 /**
  * Get client IP address
  */
@@ -40,10 +46,143 @@ function getClientIp(req) {
   );
 }
 
+/**
+ * 2FA step of a client/freelancer login (user loaded with User.TWO_FACTOR_FIELDS)
+ * @returns {Promise<{status: number, body: object}|null>} - Rejection, or null to continue
+ */
+async function checkUserTwoFactor(user, totpCode, clientIp) {
+  if (!user.twoFactorEnabled) return null;
+
+  if (user.isTwoFactorLocked()) {
+    return {
+      status: 423,
+      body: { message: "Too many invalid 2FA codes. Try again later.", lockedUntil: user.twoFactorLockUntil },
+    };
+  }
+
+  if (!totpCode) {
+    return { status: 400, body: { message: "2FA code required", requires2FA: true } };
+  }
+
+  const method = await user.verifyTwoFactorCode(totpCode);
+  if (!method) {
+    return { status: 401, body: { message: "Invalid 2FA code" } };
+  }
+  if (method === "backup") {
+    console.warn(`User ${user.email} used a backup code from IP: ${clientIp}`);
+  }
+  return null;
+}
+
+/**
+ * Ban response shared by password and Google login
+ */
+function bannedResponse(user) {
+  return {
+    message: "Account is banned due to unusual activity",
+    user: {
+      username: user.username,
+      banDate: user.isbanDate,
+      reviewDate: new Date(
+        user.isbanDate.getTime() + 6 * 24 * 60 * 60 * 1000
+      ),
+    },
+    reason:
+      "We've detected unusual activity on your account that violates our terms of service.",
+  };
+}
+
 // ============================================================================
 // LOGIN ROUTES
 // ============================================================================
 
+/**
+ * GET /auth/login-key
+ * Public key for encrypting login payloads (see services/loginCrypto.js)
+ */
+router.get("/auth/login-key", async (req, res) => {
+  try {
+    const key = await getPublicLoginKey();
+    res.set("Cache-Control", "no-store");
+    res.json({ ...key, plainLoginAllowed: await isPlainLoginAllowed() });
+  } catch (error) {
+    console.error("Login Key Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * POST /google/login
+ * Sign in a client/freelancer with a Google ID token.
+ *
+ * Body:
+ *   - credential: Google ID token from Google Identity Services
+ *   - role: "client" | "freelancer", only needed the first time (else 400 with requiresRole)
+ *   - totp_code: if the account has 2FA enabled
+ *   - step_up_code: emailed code, when an unusual sign-in got 403 requiresStepUp
+ *
+ * Links to an existing account with the same verified email.
+ * Registered before /:userDetails/login, which would otherwise match it.
+ */
+router.post("/google/login", async (req, res) => {
+  const { credential, role, totp_code, step_up_code } = req.body;
+
+  try {
+    const identity = await verifyGoogleIdToken(credential);
+    const { user, isNewUser } = await findOrCreateGoogleUser(identity, role);
+    const clientIp = getClientIp(req);
+
+    if (user.isBanned) {
+      return res.status(403).json(bannedResponse(user));
+    }
+
+    const twoFactorRejection = await checkUserTwoFactor(user, totp_code, clientIp);
+    if (twoFactorRejection) {
+      return res.status(twoFactorRejection.status).json(twoFactorRejection.body);
+    }
+
+    const principal = { userId: user._id, userModel: "User", email: user.email, method: "google" };
+    const { assessment, rejection } = await evaluateLogin(req, res, principal, {
+      twoFactorVerified: user.twoFactorEnabled,
+      stepUpCode: step_up_code,
+    });
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    const session = await startSession(req, res, {
+      userId: user._id,
+      userModel: "User",
+      username: user.username,
+      role: user.role,
+    });
+    await recordSuccessfulLogin(assessment, principal, { sessionId: session._id });
+
+    // Same check as /security/checkAuth/profile-status
+    const profileComplete = await user.syncProfileComplete();
+
+    res.status(isNewUser ? 201 : 200).json({
+      message: "Login successful",
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      chat_id: user._id,
+      profileComplete,
+      profilePicture: user.profilePictureUrl || null,
+      isNewUser,
+    });
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        ...(error.requiresRole && { requiresRole: true }),
+      });
+    }
+    console.error("Google Login Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 /**
  * POST /:userDetails/login
  * Unified login for users and admins
@@ -52,28 +191,47 @@ function getClientIp(req) {
  * - Requires secretCode
  * - Requires totp_code if 2FA is enabled
  * - Account lockout after failed attempts
+ *
+ * For Client/Freelancer:
+ * - Requires totp_code (TOTP or backup code) if 2FA is enabled
+ *
+ * Unusual sign-ins (new device/country, impossible travel) are emailed to the
+ * account owner. High-risk ones without 2FA get 403 requiresStepUp and an
+ * emailed code, to be resent as step_up_code.
+ *
+ * Body: { encrypted: { kid, key, iv, data } } wrapping
+ * { email, password, secretCode?, totp_code?, step_up_code?, ts }, or those fields as
+ * plain JSON while SiteSettings.allowPlainLogin is on.
  */
 router.post("/:userDetails/login", async (req, res) => {
   const { userDetails } = req.params;
-  let { email, password, secretCode, totp_code } = req.body;
 
   try {
-    // Validate input types
-    if (typeof email !== "string" || typeof password !== "string") {
-      return res.status(400).json({ message: "Invalid request format" });
+    // Credentials arrive encrypted to the published login key, or as plain
+    // JSON while the migration window is open
+    let credentials;
+    if (req.body.encrypted) {
+      credentials = await decryptLoginPayload(req.body.encrypted);
+    } else if (await isPlainLoginAllowed()) {
+      credentials = req.body;
+    } else {
+      return res.status(400).json({
+        message: "Please update the app to sign in",
+        requiresEncryptedLogin: true,
+      });
     }
 
-    // Decrypt credentials
-    email = xorDecrypt(email, xorKey);
-    password = xorDecrypt(password, xorKey);
+    const { email, password, secretCode, totp_code, step_up_code } = credentials;
 
-    if (!email || !password) {
-      return res.status(400).json({ message: "Invalid credentials format" });
+    // Validate input types
+    if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
+      return res.status(400).json({ message: "Invalid request format" });
     }
 
     const clientIp = getClientIp(req);
     let user;
     let tokenRole;
+    let assessment;
 
     // ================================================================
     // ADMIN LOGIN (Enhanced Security)
@@ -148,6 +306,17 @@ router.post("/:userDetails/login", async (req, res) => {
         }
       }
 
+      const risk = await evaluateLogin(
+        req,
+        res,
+        { userId: admin._id, userModel: "Admin", email: admin.email },
+        { twoFactorVerified: admin.twoFactorEnabled, stepUpCode: step_up_code }
+      );
+      if (risk.rejection) {
+        return res.status(risk.rejection.status).json(risk.rejection.body);
+      }
+      assessment = risk.assessment;
+
       // Check if password change is required — issue temporary token for password change
       if (admin.mustChangePassword) {
         const tempToken = jwt.sign(
@@ -161,6 +330,7 @@ router.post("/:userDetails/login", async (req, res) => {
           sameSite: "strict",
           maxAge: 10 * 60 * 1000, // 10 minutes
         });
+        await recordSuccessfulLogin(assessment, { userId: admin._id, userModel: "Admin", email: admin.email });
         return res.status(200).json({
           message: "Password change required",
           requiresPasswordChange: true,
@@ -185,7 +355,7 @@ router.post("/:userDetails/login", async (req, res) => {
     // USER LOGIN (Client/Freelancer)
     // ================================================================
     else if (userDetails === "Client") {
-      user = await User.findOne({ email: email.toLowerCase() });
+      user = await User.findOne({ email: email.toLowerCase() }).select(User.TWO_FACTOR_FIELDS);
 
       if (!user) {
         return res.status(401).json({ message: "Invalid email" });
@@ -193,18 +363,7 @@ router.post("/:userDetails/login", async (req, res) => {
 
       // Check ban status
       if (user.isBanned) {
-        return res.status(403).json({
-          message: "Account is banned due to unusual activity",
-          user: {
-            username: user.username,
-            banDate: user.isbanDate,
-            reviewDate: new Date(
-              user.isbanDate.getTime() + 6 * 24 * 60 * 60 * 1000
-            ),
-          },
-          reason:
-            "We've detected unusual activity on your account that violates our terms of service.",
-        });
+        return res.status(403).json(bannedResponse(user));
       }
 
       // Verify password
@@ -213,29 +372,42 @@ router.post("/:userDetails/login", async (req, res) => {
         return res.status(401).json({ message: "Invalid password" });
       }
 
+      const twoFactorRejection = await checkUserTwoFactor(user, totp_code, clientIp);
+      if (twoFactorRejection) {
+        return res.status(twoFactorRejection.status).json(twoFactorRejection.body);
+      }
+
+      const risk = await evaluateLogin(
+        req,
+        res,
+        { userId: user._id, userModel: "User", email: user.email },
+        { twoFactorVerified: user.twoFactorEnabled, stepUpCode: step_up_code }
+      );
+      if (risk.rejection) {
+        return res.status(risk.rejection.status).json(risk.rejection.body);
+      }
+      assessment = risk.assessment;
+
       tokenRole = user.role;
     } else {
       return res.status(404).json({ message: "Invalid login type" });
     }
 
     // ================================================================
-    // CREATE TOKEN AND RESPOND
+    // START SESSION AND RESPOND
     // ================================================================
-    const tokenDetails = {
+    const userModel = userDetails === "Manager" ? "Admin" : "User";
+    const session = await startSession(req, res, {
       userId: user._id,
+      userModel,
       username: user.username,
       role: tokenRole,
-    };
-
-    const token = await createTokenForUser(tokenDetails);
-
-    res.cookie("token", token, {
-      sameSite: "None",
-      httpOnly: true,
-      secure: true,
-      path: "/",
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
     });
+    await recordSuccessfulLogin(
+      assessment,
+      { userId: user._id, userModel, email: user.email },
+      { sessionId: session._id }
+    );
 
     res.json({
       message: "Login successful",
@@ -247,6 +419,12 @@ router.post("/:userDetails/login", async (req, res) => {
       profilePicture: user.profilePictureUrl || null,
     });
   } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
     console.error("Login Error:", error);
     res.status(500).json({ message: "Internal server error" });
   }
@@ -262,7 +440,7 @@ router.post("/:userDetails/login", async (req, res) => {
  */
 router.post(
   "/admin/change-password",
-  verifyToken,
+  verifyPasswordChangeToken,
   authorize(["admin", "super_admin"]),
   async (req, res) => {
     const { currentPassword, newPassword, totp_code } = req.body;
@@ -323,12 +501,9 @@ router.post(
       admin.mustChangePassword = false;
       await admin.save();
 
-      // Clear token to force re-login
-      res.clearCookie("token", {
-        sameSite: "None",
-        secure: true,
-        path: "/",
-      });
+      // End every session to force re-login
+      await Session.revokeAllForUser(admin._id, "password_changed");
+      clearAuthCookies(res);
 
       res.json({
         message: "Password changed successfully. Please log in again.",
@@ -403,15 +578,195 @@ router.post(
 
 /**
  * GET /logout
- * Logout user by clearing token
+ * End the current session and clear its cookies
  */
-router.get("/logout", verifyToken, async (req, res) => {
-  res.clearCookie("token", {
-    sameSite: "None",
-    secure: true,
-    path: "/",
-  });
-  res.json({ message: "Logout successful" });
+router.get("/logout", async (req, res) => {
+  try {
+    await endSession(req, res);
+    res.json({ message: "Logout successful" });
+  } catch (error) {
+    console.error("Logout Error:", error);
+    clearAuthCookies(res);
+    res.json({ message: "Logout successful" });
+  }
+});
+
+// ============================================================================
+// SESSION ROUTES
+// ============================================================================
+
+/**
+ * POST /auth/refresh
+ * Rotate the refresh token and issue a new access token.
+ * Call when a request fails with code TOKEN_EXPIRED.
+ */
+router.post("/auth/refresh", async (req, res) => {
+  try {
+    const session = await refreshSession(req, res);
+    res.json({ message: "Session refreshed", expiresAt: session.expiresAt });
+  } catch (error) {
+    if (error.statusCode) {
+      if (error.statusCode === 401) clearAuthCookies(res);
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Refresh Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * GET /sessions
+ * List the caller's active sessions (devices)
+ */
+router.get("/sessions", verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveForUser(req.user.userId);
+    res.json({ sessions: sessions.map((s) => toSessionView(s, req.user.sid)) });
+  } catch (error) {
+    console.error("List Sessions Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /sessions/:id
+ * Log out one device
+ */
+router.delete("/sessions/:id", verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^[a-f0-9]{24}$/.test(id)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+
+    const revoked = await revokeSession(req.user.userId, id, "revoked_by_user");
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    if (id === req.user.sid) clearAuthCookies(res);
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Revoke Session Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /sessions
+ * Log out every device. Pass ?keepCurrent=true to stay logged in here.
+ */
+router.delete("/sessions", verifyToken, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+    const result = await Session.revokeAllForUser(
+      req.user.userId,
+      "revoked_by_user",
+      keepCurrent ? req.user.sid : null
+    );
+
+    if (!keepCurrent) clearAuthCookies(res);
+    res.json({ message: "Sessions revoked", revoked: result.modifiedCount });
+  } catch (error) {
+    console.error("Revoke Sessions Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+// ============================================================================
+// ACCOUNT RECOVERY ROUTES (Client/Freelancer)
+// ============================================================================
+
+/**
+ * POST /password/forgot
+ * Email a password reset link. Responds the same whether or not the email exists.
+ */
+router.post("/password/forgot", async (req, res) => {
+  try {
+    await requestPasswordReset(req.body.email, req);
+    res.json({ message: "If that email is registered, a reset link is on its way." });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Forgot Password Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * POST /password/reset
+ * Set a new password with either the token from the reset email, or the
+ * `verificationTicket` from /verify-otp with purpose "password_reset".
+ * Signs the user out of every device.
+ */
+router.post("/password/reset", async (req, res) => {
+  try {
+    const { token, verificationTicket, newPassword } = req.body;
+    if (verificationTicket) {
+      await resetPasswordWithTicket(verificationTicket, newPassword);
+    } else {
+      await resetPassword(token, newPassword, req);
+    }
+    clearAuthCookies(res);
+    res.json({ message: "Password reset successful. Please login with your new password." });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Reset Password Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
+/**
+ * POST /email/change
+ * Start an email change; both the current and new address get a confirmation link
+ */
+router.post(
+  "/email/change",
+  verifyToken,
+  authorize(["client", "freelancer"]),
+  async (req, res) => {
+    try {
+      const { newEmail, password } = req.body;
+      const change = await requestEmailChange(req.user.userId, { newEmail, password }, req);
+      res.json({
+        message: "Check both your current and new inbox to confirm the change.",
+        newEmail: change.newEmail,
+        expiresAt: change.expiresAt,
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Email Change Error:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * POST /email/change/confirm
+ * Confirm an email change from either address's link
+ */
+router.post("/email/change/confirm", async (req, res) => {
+  try {
+    const result = await confirmEmailChange(req.body.token);
+    res.json({
+      message:
+        result.status === "completed"
+          ? "Email changed successfully."
+          : "Confirmed. Please also confirm from the link sent to your other address.",
+      ...result,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Confirm Email Change Error:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
 });
 
 /**
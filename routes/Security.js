@@ -1,6 +1,12 @@
 const express = require("express");
+const bcrypt = require("bcrypt");
+const speakeasy = require("speakeasy");
+const QRCode = require("qrcode");
 const { verifyToken, authorize } = require("../middleware/Auth");
 const User = require("../models/User");
+const Activity = require("../models/ActionSchema");
+const { TWO_FACTOR_SETTINGS } = require("../config/constants");
+const { getLoginHistory } = require("../services/loginRisk");
 
 const security = express.Router();
 
@@ -47,14 +53,8 @@ security.get(
         return res.status(404).json({ message: "User not found" });
       }
 
-      // Check if profile is complete based on role
-      const isComplete = user.profileComplete || user.checkProfileComplete();
-
-      // If profile is newly complete, update the flag
-      if (!user.profileComplete && isComplete) {
-        user.profileComplete = true;
-        await user.save();
-      }
+      // Check if profile is complete based on role, updating the flag if newly complete
+      await user.syncProfileComplete();
 
       res.json({
         profileComplete: user.profileComplete,
@@ -68,4 +68,269 @@ security.get(
   }
 );
 
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION (clients & freelancers)
+// Required for withdrawals and agreement signing, see middleware/TwoFactor.js
+// ============================================================================
+
+const logActivity = async (userId, action) => {
+  try {
+    await Activity.create({ userId, action });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+/**
+ * GET /2fa/status
+ * Whether 2FA is on and how many backup codes are left
+ */
+security.get(
+  "/2fa/status",
+  verifyToken,
+  authorize(["client", "freelancer"]),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.userId).select("twoFactorEnabled +twoFactorBackupCodes");
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      res.json({
+        twoFactorEnabled: user.twoFactorEnabled,
+        backupCodesRemaining: user.twoFactorEnabled
+          ? user.twoFactorBackupCodes.filter((c) => !c.used).length
+          : 0,
+        requiredForSensitiveActions: TWO_FACTOR_SETTINGS.REQUIRED_FOR_SENSITIVE_ACTIONS,
+      });
+    } catch (error) {
+      console.error("2FA status error:", error);
+      res.status(500).json({ message: "Error fetching 2FA status" });
+    }
+  }
+);
+
+/**
+ * POST /2fa/setup
+ * Generate a TOTP secret and QR code; 2FA is enabled once a code is verified
+ */
+security.post(
+  "/2fa/setup",
+  verifyToken,
+  authorize(["client", "freelancer"]),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user.userId).select(User.TWO_FACTOR_FIELDS);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (user.twoFactorEnabled) {
+        return res.status(400).json({ message: "2FA is already enabled" });
+      }
+
+      const secret = speakeasy.generateSecret({
+        name: `${TWO_FACTOR_SETTINGS.ISSUER} (${user.email})`,
+        issuer: TWO_FACTOR_SETTINGS.ISSUER,
+        length: 32,
+      });
+
+      // Stored but not enabled until the user proves the app is set up
+      user.twoFactorSecret = secret.base32;
+      user.twoFactorLastStep = null;
+      await user.save();
+
+      const qrCodeDataUrl = await QRCode.toDataURL(secret.otpauth_url);
+
+      res.json({
+        message: "Scan QR code with your authenticator app, then verify with a code",
+        secret: secret.base32,
+        qrCode: qrCodeDataUrl,
+      });
+    } catch (error) {
+      console.error("2FA setup error:", error);
+      res.status(500).json({ message: "Error setting up 2FA" });
+    }
+  }
+);
+
+/**
+ * POST /2fa/verify
+ * Verify a TOTP code to finish setup; returns the backup codes once
+ */
+security.post(
+  "/2fa/verify",
+  verifyToken,
+  authorize(["client", "freelancer"]),
+  async (req, res) => {
+    try {
+      const { totp_code } = req.body;
+      if (!totp_code) {
+        return res.status(400).json({ message: "TOTP code is required" });
+      }
+
+      const user = await User.findById(req.user.userId).select(User.TWO_FACTOR_FIELDS);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (user.twoFactorEnabled) {
+        return res.status(400).json({ message: "2FA is already enabled" });
+      }
+
+      if (!user.twoFactorSecret) {
+        return res.status(400).json({ message: "Please run 2FA setup first" });
+      }
+
+      if (user.isTwoFactorLocked()) {
+        return res.status(423).json({ message: "Too many invalid codes. Try again later." });
+      }
+
+      const method = await user.verifyTwoFactorCode(totp_code, { allowBackupCode: false });
+      if (!method) {
+        return res.status(401).json({ message: "Invalid verification code" });
+      }
+
+      user.twoFactorEnabled = true;
+      const backupCodes = user.generateBackupCodes();
+      await user.save();
+
+      await logActivity(user._id, "Enabled two-factor authentication");
+
+      res.json({
+        message: "2FA enabled successfully. Store your backup codes somewhere safe.",
+        backupCodes,
+      });
+    } catch (error) {
+      console.error("2FA verify error:", error);
+      res.status(500).json({ message: "Error verifying 2FA" });
+    }
+  }
+);
+
+/**
+ * POST /2fa/disable
+ * Turn 2FA off (requires password and a TOTP or backup code)
+ */
+security.post(
+  "/2fa/disable",
+  verifyToken,
+  authorize(["client", "freelancer"]),
+  async (req, res) => {
+    try {
+      const { password, totp_code } = req.body;
+      if (typeof password !== "string" || !password || !totp_code) {
+        return res.status(400).json({ message: "Password and TOTP code are required" });
+      }
+
+      const user = await User.findById(req.user.userId).select(User.TWO_FACTOR_FIELDS);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({ message: "2FA is not enabled" });
+      }
+
+      if (user.isTwoFactorLocked()) {
+        return res.status(423).json({ message: "Too many invalid codes. Try again later." });
+      }
+
+      const isPasswordValid = await bcrypt.compare(password, user.password);
+      if (!isPasswordValid) {
+        return res.status(401).json({ message: "Invalid password" });
+      }
+
+      const method = await user.verifyTwoFactorCode(totp_code);
+      if (!method) {
+        return res.status(401).json({ message: "Invalid TOTP code" });
+      }
+
+      user.twoFactorEnabled = false;
+      user.twoFactorSecret = null;
+      user.twoFactorBackupCodes = [];
+      user.twoFactorLastStep = null;
+      await user.save();
+
+      await logActivity(user._id, "Disabled two-factor authentication");
+
+      res.json({ message: "2FA disabled successfully" });
+    } catch (error) {
+      console.error("Disable 2FA error:", error);
+      res.status(500).json({ message: "Error disabling 2FA" });
+    }
+  }
+);
+
+/**
+ * POST /2fa/regenerate-backup
+ * Replace all backup codes (requires a TOTP code)
+ */
+security.post(
+  "/2fa/regenerate-backup",
+  verifyToken,
+  authorize(["client", "freelancer"]),
+  async (req, res) => {
+    try {
+      const { totp_code } = req.body;
+      if (!totp_code) {
+        return res.status(400).json({ message: "TOTP code is required" });
+      }
+
+      const user = await User.findById(req.user.userId).select(User.TWO_FACTOR_FIELDS);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (!user.twoFactorEnabled) {
+        return res.status(400).json({ message: "2FA is not enabled" });
+      }
+
+      if (user.isTwoFactorLocked()) {
+        return res.status(423).json({ message: "Too many invalid codes. Try again later." });
+      }
+
+      const method = await user.verifyTwoFactorCode(totp_code, { allowBackupCode: false });
+      if (!method) {
+        return res.status(401).json({ message: "Invalid TOTP code" });
+      }
+
+      const backupCodes = user.generateBackupCodes();
+      await user.save();
+
+      await logActivity(user._id, "Regenerated 2FA backup codes");
+
+      res.json({
+        message: "Backup codes regenerated",
+        backupCodes,
+      });
+    } catch (error) {
+      console.error("Regenerate backup codes error:", error);
+      res.status(500).json({ message: "Error regenerating backup codes" });
+    }
+  }
+);
+
+// ============================================================================
+// LOGIN HISTORY
+// ============================================================================
+
+/**
+ * GET /login-history?page=&limit=
+ * The caller's sign-ins with device, location and what looked unusual
+ */
+security.get(
+  "/login-history",
+  verifyToken,
+  authorize(["client", "freelancer"]),
+  async (req, res) => {
+    try {
+      res.json(await getLoginHistory(req.user.userId, req.query));
+    } catch (error) {
+      console.error("Login history error:", error);
+      res.status(500).json({ message: "Error fetching login history" });
+    }
+  }
+);
+
 module.exports = security;
@@ -1,12 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
-const OTP = require("../models/OTP");
 const sendEmail = require("../utils/sendEmail");
 const Admin = require("../models/Admin");
 const speakeasy = require("speakeasy");
 const QRCode = require("qrcode");
-const crypto = require("crypto");
+const { issueOtp, verifyOtp, readEmailTicket, consumeEmailTicket } = require("../services/otp");
+const { getClientIp } = require("../utils/helpers");
+const { OTP_PURPOSES } = require("../config/constants");
 
 // ============================================================================
 // VALIDATION HELPERS
@@ -66,57 +67,56 @@ const sanitize = (str) => {
 // USER OTP ROUTES
 // ============================================================================
 
+const PUBLIC_OTP_PURPOSES = [OTP_PURPOSES.SIGNUP, OTP_PURPOSES.PASSWORD_RESET];
+
+const OTP_EMAIL_COPY = {
+  [OTP_PURPOSES.SIGNUP]: {
+    subject: "Verification Code - FreelancerHub",
+    text: "Please enter this code to verify your email.",
+  },
+  [OTP_PURPOSES.PASSWORD_RESET]: {
+    subject: "Password Reset Code - FreelancerHub",
+    text: "Enter this code to reset your password.",
+  },
+};
+
 /**
  * POST /send-otp
  * Send OTP for email verification
+ * Body: { email, purpose?: "signup" | "password_reset" } (default "signup")
  */
 router.post("/send-otp", async (req, res) => {
-  const { email } = req.body;
+  const { email, purpose = OTP_PURPOSES.SIGNUP } = req.body;
 
   try {
     if (!email || !isValidEmail(email)) {
       return res.status(400).json({ message: "Valid email is required." });
     }
 
-    const normalizedEmail = email.toLowerCase().trim();
-
-    // Generate secure OTP
-    const otpCode = crypto.randomInt(100000, 999999).toString();
+    if (!PUBLIC_OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ message: "Invalid OTP purpose." });
+    }
 
-    // Rate limiting: Check for recent OTP
-    const recentOtp = await OTP.findOne({
-      email: normalizedEmail,
-      createdAt: { $gt: Date.now() - 60 * 1000 }, // Within last minute
-    });
+    const normalizedEmail = email.toLowerCase().trim();
 
-    if (recentOtp) {
-      return res.status(429).json({
-        message: "Please wait 60 seconds before requesting another OTP.",
-      });
+    // Reset codes only go to registered emails, but the response is the same
+    if (purpose === OTP_PURPOSES.PASSWORD_RESET && !(await User.exists({ email: normalizedEmail }))) {
+      return res.status(200).json({ message: "OTP sent successfully." });
     }
 
-    // Upsert OTP record
-    await OTP.findOneAndUpdate(
-      { email: normalizedEmail },
-      {
-        email: normalizedEmail,
-        otp: otpCode,
-        createdAt: Date.now(),
-        isVerified: false,
-      },
-      { upsert: true, new: true }
-    );
+    const otpCode = await issueOtp({ email: normalizedEmail, purpose, ip: getClientIp(req) });
 
     res.status(200).json({ message: "OTP sent successfully." });
 
+    const copy = OTP_EMAIL_COPY[purpose];
     sendEmail(
       normalizedEmail,
-      "Verification Code - FreelancerHub",
+      copy.subject,
       `<div style="font-family: Arial, sans-serif; max-width: 500px; margin: auto; padding: 20px; border: 1px solid #ddd; border-radius: 10px; text-align: center; background-color: #f9f9f9;">
         <h2 style="color: #333;">FreelancerHub OTP Verification</h2>
         <p style="font-size: 16px;">Your OTP code is:</p>
         <h1 style="color: #4CAF50; margin: 10px 0;">${otpCode}</h1>
-        <p style="font-size: 14px; color: #555;">Please enter this code to verify your email. This OTP is valid for only 10 minutes.</p>
+        <p style="font-size: 14px; color: #555;">${copy.text} This OTP is valid for only 10 minutes.</p>
         <hr style="margin: 20px 0;">
         <p style="font-size: 12px; color: #888;">If you did not request this, please ignore this email.</p>
         <footer style="margin-top: 20px; font-size: 12px; color: #999;">&copy; 2025 FreelancerHub. All Rights Reserved.</footer>
@@ -125,6 +125,9 @@ router.post("/send-otp", async (req, res) => {
       console.error("Async OTP email failed:", err);
     });
   } catch (error) {
+    if (error.statusCode && !res.headersSent) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("Send OTP Error:", error);
     if (!res.headersSent) {
       res.status(500).json({ message: "Error sending OTP." });
@@ -135,39 +138,33 @@ router.post("/send-otp", async (req, res) => {
 /**
  * POST /verify-otp
  * Verify OTP code
+ * Body: { email, otp, purpose? } (default "signup")
+ * Returns a single-use `verificationTicket` for /signup or /password/reset
  */
 router.post("/verify-otp", async (req, res) => {
-  const { email, otp } = req.body;
+  const { email, otp, purpose = OTP_PURPOSES.SIGNUP } = req.body;
 
   try {
     if (!email || !otp) {
       return res.status(400).json({ message: "Email and OTP are required." });
     }
 
-    const normalizedEmail = email.toLowerCase().trim();
-    const validOtp = await OTP.findOne({
-      email: normalizedEmail,
-      otp: otp.toString().trim(),
-    });
-
-    if (!validOtp) {
-      return res.status(400).json({ message: "Invalid OTP." });
+    if (!PUBLIC_OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ message: "Invalid OTP purpose." });
     }
 
-    // Check OTP expiry (10 minutes)
-    const otpAge = Date.now() - validOtp.createdAt;
-    if (otpAge > 10 * 60 * 1000) {
-      await OTP.deleteOne({ email: normalizedEmail });
-      return res.status(400).json({
-        message: "OTP expired. Please request a new one.",
-      });
-    }
-
-    validOtp.isVerified = true;
-    await validOtp.save();
+    const verificationTicket = await verifyOtp({
+      email,
+      purpose,
+      code: otp,
+      ip: getClientIp(req),
+    });
 
-    res.status(200).json({ message: "OTP verified successfully." });
+    res.status(200).json({ message: "OTP verified successfully.", verificationTicket });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("Verify OTP Error:", error);
     res.status(500).json({ message: "Error verifying OTP." });
   }
@@ -180,9 +177,10 @@ router.post("/verify-otp", async (req, res) => {
 /**
  * POST /signup
  * Register a new user (client/freelancer)
+ * Requires the `verificationTicket` returned by /verify-otp
  */
 router.post("/signup", async (req, res) => {
-  const { username, password, email, role } = req.body;
+  const { username, password, email, role, verificationTicket } = req.body;
 
   try {
     // Validate all required fields
@@ -190,6 +188,10 @@ router.post("/signup", async (req, res) => {
       return res.status(400).json({ message: "All fields are required." });
     }
 
+    if (!verificationTicket) {
+      return res.status(400).json({ message: "Email not verified. Please complete OTP verification." });
+    }
+
     const normalizedEmail = email.toLowerCase().trim();
     const sanitizedUsername = sanitize(username);
 
@@ -213,13 +215,9 @@ router.post("/signup", async (req, res) => {
       });
     }
 
-    // Verify OTP was completed
-    const validOtp = await OTP.findOne({
-      email: normalizedEmail,
-      isVerified: true,
-    });
-
-    if (!validOtp) {
+    // The ticket must be for this email; it is only used up once everything else checks out
+    const ticket = readEmailTicket(verificationTicket, OTP_PURPOSES.SIGNUP);
+    if (ticket.email !== normalizedEmail) {
       return res.status(400).json({ message: "Email not verified. Please complete OTP verification." });
     }
 
@@ -237,6 +235,8 @@ router.post("/signup", async (req, res) => {
       });
     }
 
+    await consumeEmailTicket(verificationTicket, OTP_PURPOSES.SIGNUP);
+
     // Create new user
     const newUser = new User({
       username: sanitizedUsername,
@@ -247,10 +247,12 @@ router.post("/signup", async (req, res) => {
     });
 
     await newUser.save();
-    await OTP.deleteOne({ email: normalizedEmail });
 
     res.status(201).json({ message: "Signup successful." });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error("User Signup Error:", error);
     res.status(500).json({ message: "Internal server error." });
   }
@@ -1,5 +1,6 @@
 const express = require("express");
 const { verifyToken, authorize } = require("../middleware/Auth");
+const { requirePermission } = require("../middleware/Permissions");
 const router = express.Router();
 const mongoose = require("mongoose");
 
@@ -13,6 +14,16 @@ const DisputeSchema = require("../models/Dispute");
 const PaymentSchema = require("../models/Payment");
 const AdminWithdrawSchema = require("../models/WithdrawReportsAdmin");
 const SiteSettings = require("../models/SiteSettings");
+const { getPublicLoginKey, isPlainLoginAllowed, rotateLoginKey } = require("../services/loginCrypto");
+const { getLoginHistory } = require("../services/loginRisk");
+const {
+  submitMoneyAction,
+  approveRequest,
+  declineRequest,
+  listApprovals,
+} = require("../services/adminApprovals");
+const { listReports, getReport, getUserLedger } = require("../services/ledger");
+const { startPayout, retryPayout } = require("../services/payouts");
 const Content = require("../models/Content");
 const Category = require("../models/Category");
 const AdminActivityLog = require("../models/AdminActivityLog");
@@ -20,6 +31,10 @@ const Action = require("../models/ActionSchema");
 const Wallet = require("../models/Wallet");
 const WalletTransaction = require("../models/WalletTransaction");
 const walletHelper = require("../utils/walletHelper");
+const ContactViolation = require("../models/ContactViolation");
+const Session = require("../models/Session");
+const { reviewViolation } = require("../services/contactProtection");
+const { decrypt } = require("../utils/chatCrypto");
 
 // Utils
 const { uploadFile } = require("../utils/S3");
@@ -54,6 +69,19 @@ const logAdminActivity = async (adminId, action, opts = {}) => {
   }
 };
 
+// 202 body for a money movement that now waits for a second admin
+const pendingApprovalResponse = (approval) => ({
+  message: "This amount needs a second admin's approval. The request is pending.",
+  requiresApproval: true,
+  approval: {
+    _id: approval._id,
+    action: approval.action,
+    amount: approval.amount,
+    status: approval.status,
+    expiresAt: approval.expiresAt,
+  },
+});
+
 const scanFile = async (file, allowedTypes, maxSize) => {
   if (!file) throw new Error("File is missing");
   const { buffer, size, originalname } = file;
@@ -73,6 +101,7 @@ router.get(
   "/dashboard-overview",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("dashboard.view"),
   async (req, res) => {
     try {
       const [
@@ -138,6 +167,7 @@ router.get(
   "/users",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("users.view"),
   async (req, res) => {
     try {
       const { page = 1, limit = 20, search, role, status } = req.query;
@@ -204,6 +234,7 @@ router.get(
   "/users/:userId",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("users.view"),
   async (req, res) => {
     try {
       const user = await User.findById(req.params.userId).select(
@@ -218,11 +249,35 @@ router.get(
   }
 );
 
+// User's sign-in history (device, location, risk flags)
+router.get(
+  "/users/:userId/login-history",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("users.view"),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.userId)) {
+        return res.status(400).json({ message: "Invalid user ID" });
+      }
+      const user = await User.findById(req.params.userId).select("username email");
+      if (!user) return res.status(404).json({ message: "User not found" });
+
+      const history = await getLoginHistory(user._id, req.query);
+      res.json({ user, ...history });
+    } catch (err) {
+      console.error("Login history error:", err);
+      res.status(500).json({ message: "Error fetching login history" });
+    }
+  }
+);
+
 // Block user
 router.put(
   "/users/:userId/block",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("users.block"),
   async (req, res) => {
     try {
       const { reason, duration } = req.body; // duration in days, null = permanent
@@ -239,6 +294,7 @@ router.put(
         user.banExpiresAt = null; // permanent
       }
       await user.save();
+      await Session.revokeAllForUser(user._id, "account_blocked");
 
       await logAdminActivity(req.user.userId, "USER_BLOCK", {
         targetType: "user",
@@ -265,6 +321,7 @@ router.put(
   "/users/:userId/unblock",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("users.block"),
   async (req, res) => {
     try {
       const user = await User.findById(req.params.userId);
@@ -299,6 +356,7 @@ router.get(
   "/projects",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("projects.view"),
   async (req, res) => {
     try {
       const { page = 1, limit = 20, status, search } = req.query;
@@ -340,6 +398,7 @@ router.get(
   "/projects/:projectId",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("projects.view"),
   async (req, res) => {
     try {
       const project = await Project.findById(req.params.projectId)
@@ -364,6 +423,7 @@ router.delete(
   "/projects/:projectId",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("projects.delete"),
   async (req, res) => {
     try {
       const { reason } = req.body;
@@ -409,6 +469,7 @@ router.post(
   "/categories",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("content.edit"),
   async (req, res) => {
     try {
       const { name, description } = req.body;
@@ -445,6 +506,7 @@ router.put(
   "/categories/:id",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("content.edit"),
   async (req, res) => {
     try {
       const { name, description, isActive } = req.body;
@@ -474,6 +536,7 @@ router.delete(
   "/categories/:id",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("content.edit"),
   async (req, res) => {
     try {
       const category = await Category.findByIdAndDelete(req.params.id);
@@ -503,6 +566,7 @@ router.get(
   "/escrow",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("escrow.view"),
   async (req, res) => {
     try {
       const { page = 1, limit = 20, status } = req.query;
@@ -542,6 +606,7 @@ router.get(
   "/escrow/project/:projectId",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("escrow.view"),
   async (req, res) => {
     try {
       const escrow = await Escrow.findOne({ projectId: req.params.projectId })
@@ -557,15 +622,18 @@ router.get(
   }
 );
 
-// Edit escrow amount (only when funded/hold)
+// Edit escrow amount (only when funded/hold). Held for a second admin when
+// the larger of the old and new amount reaches the approval threshold.
 router.put(
   "/escrow/:escrowId/edit",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("escrow.manage"),
   async (req, res) => {
     try {
-      const { newAmount, reason } = req.body;
-      if (!newAmount || newAmount <= 0)
+      const { reason } = req.body;
+      const newAmount = Number(req.body.newAmount);
+      if (!Number.isFinite(newAmount) || newAmount <= 0)
         return res.status(400).json({ message: "Valid amount is required" });
       if (!reason)
         return res.status(400).json({ message: "Reason is required" });
@@ -578,39 +646,34 @@ router.put(
           .status(400)
           .json({ message: "Can only edit amount for funded/held escrows" });
 
-      const previousAmount = escrow.amount;
-      escrow.adjustmentHistory.push({
-        previousAmount,
-        newAmount,
-        refundAmount: 0,
-        reason: `[ADMIN] ${reason}`,
-        adjustedAt: new Date(),
-      });
-      escrow.amount = newAmount;
-      escrow.adjustedAmount = newAmount;
-      await escrow.save();
-
-      await logAdminActivity(req.user.userId, "ESCROW_EDIT", {
-        targetType: "escrow",
-        targetId: escrow._id,
-        reason,
-        metadata: { previousAmount, newAmount },
-        ipAddress: getClientIp(req),
-      });
+      const outcome = await submitMoneyAction(
+        {
+          action: "escrow_adjust",
+          amount: Math.max(escrow.amount, newAmount),
+          targetType: "escrow",
+          targetId: escrow._id,
+          payload: { escrowId: escrow._id, previousAmount: escrow.amount, newAmount, reason },
+          reason,
+        },
+        { adminId: req.user.userId, ip: getClientIp(req) }
+      );
+      if (outcome.pending) return res.status(202).json(pendingApprovalResponse(outcome.approval));
 
-      res.json({ message: "Escrow amount updated", escrow });
+      res.json(outcome.result);
     } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
       console.error("Edit escrow error:", err);
       res.status(500).json({ message: "Error updating escrow" });
     }
   }
 );
 
-// Release escrow to freelancer
+// Release escrow to freelancer (held for a second admin above the approval threshold)
 router.put(
   "/escrow/:escrowId/release",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("escrow.manage"),
   async (req, res) => {
     try {
       const { reason } = req.body;
@@ -622,39 +685,34 @@ router.put(
           .status(400)
           .json({ message: "Escrow is not in a releasable state" });
 
-      escrow.status = "released";
-      await escrow.save();
-
-      // Create release transaction
-      await Transaction.create({
-        escrowId: escrow._id,
-        type: "release",
-        amount: escrow.amount,
-        description: `[ADMIN RELEASE] ${reason || "Admin released escrow"}`,
-        status: "completed",
-      });
-
-      await logAdminActivity(req.user.userId, "ESCROW_RELEASE", {
-        targetType: "escrow",
-        targetId: escrow._id,
-        reason: reason || "Admin release",
-        metadata: { amount: escrow.amount },
-        ipAddress: getClientIp(req),
-      });
+      const outcome = await submitMoneyAction(
+        {
+          action: "escrow_release",
+          amount: escrow.amount,
+          targetType: "escrow",
+          targetId: escrow._id,
+          payload: { escrowId: escrow._id, amount: escrow.amount, reason },
+          reason,
+        },
+        { adminId: req.user.userId, ip: getClientIp(req) }
+      );
+      if (outcome.pending) return res.status(202).json(pendingApprovalResponse(outcome.approval));
 
-      res.json({ message: "Escrow released to freelancer", escrow });
+      res.json(outcome.result);
     } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
       console.error("Release escrow error:", err);
       res.status(500).json({ message: "Error releasing escrow" });
     }
   }
 );
 
-// Refund escrow to client
+// Refund escrow to client (held for a second admin above the approval threshold)
 router.put(
   "/escrow/:escrowId/refund",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("escrow.manage"),
   async (req, res) => {
     try {
       const { reason } = req.body;
@@ -666,29 +724,22 @@ router.put(
           .status(400)
           .json({ message: "Escrow is not in a refundable state" });
 
-      escrow.status = "refunded";
-      escrow.refundedAmount = escrow.amount;
-      await escrow.save();
-
-      // Create refund transaction
-      await Transaction.create({
-        escrowId: escrow._id,
-        type: "refund",
-        amount: escrow.amount,
-        description: `[ADMIN REFUND] ${reason || "Admin refunded escrow"}`,
-        status: "completed",
-      });
-
-      await logAdminActivity(req.user.userId, "ESCROW_REFUND", {
-        targetType: "escrow",
-        targetId: escrow._id,
-        reason: reason || "Admin refund",
-        metadata: { amount: escrow.amount },
-        ipAddress: getClientIp(req),
-      });
+      const outcome = await submitMoneyAction(
+        {
+          action: "escrow_refund",
+          amount: escrow.amount,
+          targetType: "escrow",
+          targetId: escrow._id,
+          payload: { escrowId: escrow._id, amount: escrow.amount, reason },
+          reason,
+        },
+        { adminId: req.user.userId, ip: getClientIp(req) }
+      );
+      if (outcome.pending) return res.status(202).json(pendingApprovalResponse(outcome.approval));
 
-      res.json({ message: "Escrow refunded to client", escrow });
+      res.json(outcome.result);
     } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
       console.error("Refund escrow error:", err);
       res.status(500).json({ message: "Error refunding escrow" });
     }
@@ -700,6 +751,7 @@ router.put(
   "/escrow/:escrowId/block",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("escrow.manage"),
   async (req, res) => {
     try {
       const { reason } = req.body;
@@ -748,6 +800,7 @@ router.get(
   "/users/:userId/wallet",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("wallet.view"),
   async (req, res) => {
     try {
       const { userId } = req.params;
@@ -772,26 +825,29 @@ router.get(
 /**
  * POST /admin/users/:userId/wallet/adjust
  * Admin manually credit (+) or debit (-) a user's wallet balance.
+ * At or above the dual approval threshold this responds 202 with a pending
+ * approval instead (see /admin/approvals).
  * Body: { delta: Number (positive = credit, negative = debit), reason: String }
  */
 router.post(
   "/users/:userId/wallet/adjust",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("wallet.adjust"),
   async (req, res) => {
-    const mongoose = require("mongoose");
-    const session = await mongoose.startSession();
     try {
-      const adminId = req.user.userId;
       const { userId } = req.params;
       const { delta, reason } = req.body;
 
-      if (typeof delta !== "number" || delta === 0) {
+      if (typeof delta !== "number" || !Number.isFinite(delta) || delta === 0) {
         return res.status(400).json({ message: "delta must be a non-zero number" });
       }
       if (!reason || reason.trim().length < 5) {
         return res.status(400).json({ message: "reason is required (min 5 characters)" });
       }
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({ message: "Invalid user ID" });
+      }
 
       const user = await User.findById(userId);
       if (!user) return res.status(404).json({ message: "User not found" });
@@ -807,39 +863,24 @@ router.post(
         }
       }
 
-      session.startTransaction();
-
-      const updatedWallet = await walletHelper.adminAdjustWallet(
-        userId,
-        delta,
-        adminId,
-        `[ADMIN] ${reason.trim()}`,
-        session
+      const outcome = await submitMoneyAction(
+        {
+          action: "wallet_adjust",
+          amount: delta,
+          targetType: "user",
+          targetId: user._id,
+          payload: { userId: user._id, delta, reason: reason.trim() },
+          reason: reason.trim(),
+        },
+        { adminId: req.user.userId, ip: getClientIp(req) }
       );
+      if (outcome.pending) return res.status(202).json(pendingApprovalResponse(outcome.approval));
 
-      await session.commitTransaction();
-
-      await logAdminActivity(adminId, "WALLET_ADJUST", {
-        targetType: "user",
-        targetId: userId,
-        reason: reason.trim(),
-        metadata: { delta, newBalance: updatedWallet.balance },
-        ipAddress: getClientIp(req),
-      });
-
-      res.json({
-        message: `Wallet ${delta > 0 ? "credited" : "debited"} by ₹${Math.abs(delta)}`,
-        wallet: {
-          balance: updatedWallet.balance,
-          escrowBalance: updatedWallet.escrowBalance,
-        },
-      });
+      res.json(outcome.result);
     } catch (err) {
-      await session.abortTransaction();
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
       console.error("Wallet adjust error:", err);
       res.status(500).json({ message: "Error adjusting wallet", error: err.message });
-    } finally {
-      session.endSession();
     }
   }
 );
@@ -870,6 +911,7 @@ router.put(
   "/settings/platform",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("settings.edit"),
   async (req, res) => {
     try {
       const {
@@ -930,6 +972,7 @@ router.put(
   "/settings/site",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("settings.edit"),
   upload.single("logo"),
   async (req, res) => {
     try {
@@ -1006,6 +1049,7 @@ router.put(
   "/content/:type",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("content.edit"),
   async (req, res) => {
     try {
       const validTypes = ["about_us", "terms_and_conditions", "privacy_policy"];
@@ -1041,6 +1085,7 @@ router.get(
   "/reviews",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("reviews.moderate"),
   async (req, res) => {
     try {
       const { page = 1, limit = 20 } = req.query;
@@ -1077,6 +1122,7 @@ router.delete(
   "/reviews/:reviewId",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("reviews.moderate"),
   async (req, res) => {
     try {
       const { reason } = req.body;
@@ -1111,6 +1157,7 @@ router.get(
   "/reports/users/excel",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("reports.export"),
   async (req, res) => {
     try {
       const users = await User.find().select("-password -__v");
@@ -1154,6 +1201,7 @@ router.get(
   "/reports/projects/excel",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("reports.export"),
   async (req, res) => {
     try {
       const projects = await Project.find()
@@ -1199,6 +1247,7 @@ router.get(
   "/reports/transactions/excel",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("reports.export"),
   async (req, res) => {
     try {
       const transactions = await PaymentSchema.find().populate(
@@ -1252,6 +1301,7 @@ router.get(
   "/reports/payouts/excel",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("reports.export"),
   async (req, res) => {
     try {
       const transactions = await AdminWithdrawSchema.find().populate(
@@ -1268,8 +1318,8 @@ router.get(
         { header: "Status", key: "status", width: 20 },
         { header: "Description", key: "description", width: 50 },
         { header: "Date", key: "createdAt", width: 25 },
-        { header: "Account No.", key: "accountNumber", width: 20 },
-        { header: "IFSC", key: "ifscCode", width: 25 },
+        { header: "Paid To", key: "destination", width: 30 },
+        { header: "Account Name", key: "accountName", width: 25 },
       ];
       transactions.forEach((t) => {
         worksheet.addRow({
@@ -1280,8 +1330,11 @@ router.get(
           status: t.status,
           description: t.description,
           createdAt: new Date(t.createdAt).toLocaleString(),
-          accountNumber: t.bankDetails?.accountNumber,
-          ifscCode: t.bankDetails?.ifscCode,
+          // Masked; withdrawals from before saved payout methods only have bank details
+          destination:
+            t.destination?.label ||
+            (t.bankDetails?.accountNumber && `${t.bankDetails.ifscCode} •••• ${t.bankDetails.accountNumber.slice(-4)}`),
+          accountName: t.destination?.accountName || t.bankDetails?.accountName,
         });
       });
 
@@ -1310,6 +1363,7 @@ router.get(
   "/activity-logs",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("audit.view"),
   async (req, res) => {
     try {
       const { page = 1, limit = 50, action, adminId } = req.query;
@@ -1352,6 +1406,7 @@ router.get(
   "/all/transaction",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("finance.view"),
   async (req, res) => {
     try {
       const all = await PaymentSchema.find().populate("userId", "username");
@@ -1368,6 +1423,7 @@ router.get(
   "/transaction/:projectId",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("finance.view"),
   async (req, res) => {
     try {
       const all = await PaymentSchema.findOne({
@@ -1386,6 +1442,7 @@ router.get(
   "/pay-out/freelancers",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("finance.view"),
   async (req, res) => {
     try {
       const payouts = await AdminWithdrawSchema.find().populate(
@@ -1405,6 +1462,7 @@ router.post(
   "/pay-out/freelancers/:freelancerId",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("payout.send"),
   async (req, res) => {
     try {
       const { freelancerId } = req.params;
@@ -1417,21 +1475,19 @@ router.post(
           .json({ message: "No pending payout request found" });
       }
 
-      const transaction = await Transaction.findOne({
-        escrowId: payment._id,
-        type: "withdrawal",
-      }).sort({ createdAt: -1 });
+      const withdrawal = await startPayout(payment._id, { adminId: req.user.userId });
 
-      payment.status = "approved";
-      await payment.save();
-
-      if (transaction) {
-        transaction.status = "completed";
-        await transaction.save();
-      }
+      await logAdminActivity(req.user.userId, "WITHDRAWAL_APPROVE", {
+        targetType: "withdrawal",
+        targetId: withdrawal._id,
+        reason: "Payout sent",
+        metadata: { amount: withdrawal.amount, freelancerId, payoutStatus: withdrawal.payout?.status },
+        ipAddress: getClientIp(req),
+      });
 
-      res.json({ message: "Payout processed manually" });
+      res.json({ message: `Payout ${withdrawal.status}`, withdrawal });
     } catch (error) {
+      if (error.statusCode) return res.status(error.statusCode).json({ message: error.message });
       console.error(error);
       res.status(500).json({ message: "Payout processing failed" });
     }
@@ -1443,6 +1499,7 @@ router.get(
   "/disputes",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("dispute.view"),
   async (req, res) => {
     try {
       const disputes = await DisputeSchema.find()
@@ -1461,15 +1518,20 @@ router.get(
 
 /**
  * GET /admin/withdrawals
- * List all pending withdrawal requests
+ * List withdrawal requests by status (default pending)
+ * Query: ?status=pending|processing|approved|rejected|failed
  */
 router.get(
   "/withdrawals",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("finance.view"),
   async (req, res) => {
     try {
       const { status = "pending", page = 1, limit = 30 } = req.query;
+      if (!AdminWithdrawSchema.schema.path("status").enumValues.includes(status)) {
+        return res.status(400).json({ message: "Invalid status filter" });
+      }
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       const [requests, total] = await Promise.all([
@@ -1498,53 +1560,89 @@ router.get(
 
 /**
  * POST /admin/withdrawals/:id/approve
- * Mark a pending withdrawal as approved (payment processed outside the system)
+ * Approve a pending withdrawal and send it to the gateway as a payout.
+ * The withdrawal stays "processing" until the payout settles (webhook or
+ * payout-sync job); a failed payout returns the funds to the wallet.
  */
 router.post(
   "/withdrawals/:id/approve",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("withdrawal.approve"),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { note } = req.body;
 
-      const withdrawal = await AdminWithdrawSchema.findById(id);
-      if (!withdrawal) return res.status(404).json({ message: "Withdrawal not found" });
-      if (withdrawal.status !== "pending")
-        return res.status(409).json({ message: `Withdrawal is already ${withdrawal.status}` });
-
-      withdrawal.status = "approved";
-      if (note) withdrawal.description = `${withdrawal.description || ""} | Admin note: ${note}`;
-      await withdrawal.save();
+      if (note) {
+        await AdminWithdrawSchema.updateOne(
+          { _id: id, status: "pending" },
+          [{ $set: { description: { $concat: [{ $ifNull: ["$description", ""] }, { $literal: ` | Admin note: ${note}` }] } } }]
+        );
+      }
 
-      // Mark the corresponding WalletTransaction as completed
-      await WalletTransaction.findOneAndUpdate(
-        {
-          userId: withdrawal.freelancerId,
-          type: "withdrawal",
-          status: "pending",
-          referenceId: withdrawal._id,
-        },
-        { status: "completed" }
-      );
+      const withdrawal = await startPayout(id, { adminId: req.user.userId });
 
       await logAdminActivity(req.user.userId, "WITHDRAWAL_APPROVE", {
         targetType: "withdrawal",
         targetId: withdrawal._id,
         reason: note || "Admin approved",
-        metadata: { amount: withdrawal.amount, freelancerId: withdrawal.freelancerId },
+        metadata: {
+          amount: withdrawal.amount,
+          freelancerId: withdrawal.freelancerId,
+          payoutId: withdrawal.payout?.payoutId,
+          payoutStatus: withdrawal.payout?.status,
+        },
         ipAddress: getClientIp(req),
       });
 
-      res.json({ message: "Withdrawal approved", withdrawal });
+      const messages = {
+        approved: "Withdrawal approved and paid out",
+        processing: "Withdrawal approved, payout in progress",
+        failed: "Payout failed — funds returned to the freelancer's wallet",
+      };
+      res.json({ message: messages[withdrawal.status] || "Withdrawal approved", withdrawal });
     } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
       console.error("Approve withdrawal error:", err);
       res.status(500).json({ message: "Error approving withdrawal" });
     }
   }
 );
 
+/**
+ * POST /admin/withdrawals/:id/payout/retry
+ * Resend a payout whose automatic retries ran out before it reached the gateway
+ */
+router.post(
+  "/withdrawals/:id/payout/retry",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("withdrawal.approve"),
+  async (req, res) => {
+    try {
+      const withdrawal = await retryPayout(req.params.id);
+
+      await logAdminActivity(req.user.userId, "WITHDRAWAL_PAYOUT_RETRY", {
+        targetType: "withdrawal",
+        targetId: withdrawal._id,
+        metadata: {
+          amount: withdrawal.amount,
+          payoutStatus: withdrawal.payout?.status,
+          lastError: withdrawal.payout?.lastError,
+        },
+        ipAddress: getClientIp(req),
+      });
+
+      res.json({ message: `Payout ${withdrawal.payout?.status || withdrawal.status}`, withdrawal });
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+      console.error("Retry payout error:", err);
+      res.status(500).json({ message: "Error retrying payout" });
+    }
+  }
+);
+
 /**
  * POST /admin/withdrawals/:id/reject
  * Reject a pending withdrawal AND atomically reverse the wallet debit.
@@ -1554,6 +1652,7 @@ router.post(
   "/withdrawals/:id/reject",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("withdrawal.approve"),
   async (req, res) => {
     const mongoose = require("mongoose");
     const session = await mongoose.startSession();
@@ -1565,18 +1664,32 @@ router.post(
         return res.status(400).json({ message: "Rejection reason is required (min 5 characters)" });
       }
 
-      const withdrawal = await AdminWithdrawSchema.findById(id);
-      if (!withdrawal) return res.status(404).json({ message: "Withdrawal not found" });
-      if (withdrawal.status !== "pending") {
-        return res.status(409).json({ message: `Cannot reject: withdrawal is already ${withdrawal.status}` });
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ message: "Invalid withdrawal ID" });
       }
 
       session.startTransaction();
 
-      // Mark withdrawal as rejected
-      withdrawal.status = "rejected";
-      withdrawal.description = `${withdrawal.description || ""} | Rejected: ${reason.trim()}`;
-      await withdrawal.save({ session });
+      // Claim the withdrawal: an approve or auto-payout may have moved it on meanwhile
+      const withdrawal = await AdminWithdrawSchema.findOneAndUpdate(
+        { _id: id, status: "pending" },
+        [
+          {
+            $set: {
+              status: "rejected",
+              description: { $concat: [{ $ifNull: ["$description", ""] }, { $literal: ` | Rejected: ${reason.trim()}` }] },
+            },
+          },
+        ],
+        { session, new: true }
+      );
+
+      if (!withdrawal) {
+        await session.abortTransaction();
+        const existing = await AdminWithdrawSchema.findById(id).select("status");
+        if (!existing) return res.status(404).json({ message: "Withdrawal not found" });
+        return res.status(409).json({ message: `Cannot reject: withdrawal is already ${existing.status}` });
+      }
 
       // ── REVERSE the wallet debit atomically ──
       await walletHelper.reverseWithdrawal(
@@ -1601,7 +1714,7 @@ router.post(
         withdrawal,
       });
     } catch (err) {
-      await session.abortTransaction();
+      if (session.inTransaction()) await session.abortTransaction();
       console.error("Reject withdrawal error:", err);
       res.status(500).json({ message: "Error rejecting withdrawal", error: err.message });
     } finally {
@@ -1623,6 +1736,7 @@ router.post(
   "/users/:userId/wallet/freeze",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("wallet.freeze"),
   async (req, res) => {
     try {
       const { userId } = req.params;
@@ -1675,6 +1789,7 @@ router.post(
   "/users/:userId/wallet/unfreeze",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("wallet.freeze"),
   async (req, res) => {
     try {
       const { userId } = req.params;
@@ -1714,6 +1829,8 @@ router.post(
  * POST /admin/projects/:projectId/clawback
  * Reverse a released payment: debit the freelancer and credit the client.
  * Use when a frozen freelancer received payment that must be recovered.
+ * At or above the dual approval threshold this responds 202 with a pending
+ * approval instead.
  *
  * Body:
  *   amount  (Number, required) – amount to claw back in ₹
@@ -1723,14 +1840,13 @@ router.post(
   "/projects/:projectId/clawback",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("payment.clawback"),
   async (req, res) => {
-    const session = await mongoose.startSession();
     try {
-      const adminId = req.user.userId;
       const { projectId } = req.params;
       const { amount, reason } = req.body;
 
-      if (!amount || typeof amount !== "number" || amount <= 0) {
+      if (!amount || typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
         return res.status(400).json({ message: "A positive numeric amount is required" });
       }
       if (!reason || reason.trim().length < 10) {
@@ -1740,10 +1856,7 @@ router.post(
         return res.status(400).json({ message: "Invalid project ID" });
       }
 
-      const project = await Project.findById(projectId)
-        .populate("clientId", "username")
-        .populate("freelancerId", "username");
-
+      const project = await Project.findById(projectId).select("freelancerId");
       if (!project) {
         return res.status(404).json({ message: "Project not found" });
       }
@@ -1751,41 +1864,480 @@ router.post(
         return res.status(400).json({ message: "No freelancer assigned to this project" });
       }
 
-      session.startTransaction();
-
-      const { freelancerWallet, clientWallet } = await walletHelper.adminClawback(
-        project.freelancerId._id,
-        project.clientId._id,
-        amount,
-        project._id,
-        adminId,
-        `Admin clawback – ${reason.trim()}`,
-        session
+      const outcome = await submitMoneyAction(
+        {
+          action: "payment_clawback",
+          amount,
+          targetType: "project",
+          targetId: project._id,
+          payload: { projectId: project._id, amount, reason: reason.trim() },
+          reason: reason.trim(),
+        },
+        { adminId: req.user.userId, ip: getClientIp(req) }
       );
+      if (outcome.pending) return res.status(202).json(pendingApprovalResponse(outcome.approval));
 
-      await logAdminActivity(adminId, "PAYMENT_CLAWBACK", {
-        targetType: "project",
-        targetId: projectId,
-        amount,
-        reason: reason.trim(),
-        freelancerId: project.freelancerId._id,
-        clientId: project.clientId._id,
+      res.json(outcome.result);
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+      console.error("Clawback error:", err);
+      res.status(400).json({ message: err.message || "Error processing clawback" });
+    }
+  }
+);
+
+// ============================================================================
+// 13. CHAT CONTACT VIOLATIONS
+// ============================================================================
+
+/**
+ * GET /admin/contact-violations
+ * Messages flagged for sharing contact info before an agreement.
+ *
+ * Query: status (pending|upheld|dismissed), userId, page, limit
+ */
+router.get(
+  "/contact-violations",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("violations.review"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 50, status, userId } = req.query;
+      const filter = {};
+      if (status) filter.status = status;
+      if (userId) {
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+          return res.status(400).json({ message: "Invalid user ID" });
+        }
+        filter.userId = userId;
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const [violations, total] = await Promise.all([
+        ContactViolation.find(filter)
+          .populate("userId", "username email Strikes isBanned")
+          .populate("recipientId", "username")
+          .populate("reviewedBy", "username")
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        ContactViolation.countDocuments(filter),
+      ]);
+
+      res.json({
+        violations: violations.map((v) => ({
+          ...v,
+          originalMessage: decrypt(v.originalMessage) ?? "Decryption error",
+        })),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit)),
+        },
+      });
+    } catch (err) {
+      console.error("Contact violations error:", err);
+      res.status(500).json({ message: "Error fetching contact violations" });
+    }
+  }
+);
+
+/**
+ * PUT /admin/contact-violations/:id/review
+ * Uphold or dismiss a flagged message. Upholding adds a strike to the
+ * sender and bans them at the strike limit (lifted via /users/:userId/unblock).
+ *
+ * Body:
+ *   decision (String, required) – "upheld" | "dismissed"
+ *   note     (String, optional)
+ */
+router.put(
+  "/contact-violations/:id/review",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("violations.review"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { decision, note } = req.body;
+
+      if (!["upheld", "dismissed"].includes(decision)) {
+        return res.status(400).json({ message: "Decision must be 'upheld' or 'dismissed'" });
+      }
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({ message: "Invalid violation ID" });
+      }
+
+      const existing = await ContactViolation.findById(id).select("status");
+      if (!existing) {
+        return res.status(404).json({ message: "Violation not found" });
+      }
+      if (existing.status !== "pending") {
+        return res.status(400).json({ message: `Violation already ${existing.status}` });
+      }
+
+      const violation = await reviewViolation(id, {
+        decision,
+        adminId: req.user.userId,
+        note,
+      });
+      if (!violation) {
+        return res.status(409).json({ message: "Violation was reviewed by another admin" });
+      }
+
+      await logAdminActivity(req.user.userId, "CONTACT_VIOLATION_REVIEW", {
+        targetType: "user",
+        targetId: violation.userId,
+        reason: note || "",
+        metadata: { violationId: violation._id, decision },
         ipAddress: getClientIp(req),
       });
 
-      await session.commitTransaction();
+      res.json({ message: `Violation ${decision}`, violation });
+    } catch (err) {
+      console.error("Contact violation review error:", err);
+      res.status(500).json({ message: "Error reviewing contact violation" });
+    }
+  }
+);
 
+// ============================================================================
+// 14. LOGIN SECURITY (payload encryption migration)
+// ============================================================================
+
+/**
+ * GET /admin/settings/login-security
+ * Plain-login migration window and the published login key
+ */
+router.get(
+  "/settings/login-security",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("settings.edit"),
+  async (req, res) => {
+    try {
+      const settings = await SiteSettings.getSettings();
+      const key = await getPublicLoginKey();
       res.json({
-        message: `₹${amount} clawed back from ${project.freelancerId.username} and returned to ${project.clientId.username}.`,
-        freelancerNewBalance: freelancerWallet.balance,
-        clientNewBalance: clientWallet.balance,
+        allowPlainLogin: settings.allowPlainLogin,
+        plainLoginUntil: settings.plainLoginUntil,
+        plainLoginAllowedNow: await isPlainLoginAllowed(),
+        loginKey: { kid: key.kid, alg: key.alg, rotatesAt: key.rotatesAt },
       });
     } catch (err) {
-      await session.abortTransaction();
-      console.error("Clawback error:", err);
-      res.status(400).json({ message: err.message || "Error processing clawback" });
-    } finally {
-      session.endSession();
+      console.error("Get login security error:", err);
+      res.status(500).json({ message: "Error fetching login security settings" });
+    }
+  }
+);
+
+/**
+ * PUT /admin/settings/login-security
+ * Body: { allowPlainLogin?: boolean, plainLoginUntil?: ISO date | null }
+ */
+router.put(
+  "/settings/login-security",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("settings.edit"),
+  async (req, res) => {
+    try {
+      const { allowPlainLogin, plainLoginUntil } = req.body;
+      const settings = await SiteSettings.getSettings();
+
+      if (allowPlainLogin !== undefined) {
+        if (typeof allowPlainLogin !== "boolean") {
+          return res.status(400).json({ message: "allowPlainLogin must be a boolean" });
+        }
+        settings.allowPlainLogin = allowPlainLogin;
+      }
+      if (plainLoginUntil !== undefined) {
+        const until = plainLoginUntil === null ? null : new Date(plainLoginUntil);
+        if (until && isNaN(until.getTime())) {
+          return res.status(400).json({ message: "plainLoginUntil must be a date or null" });
+        }
+        settings.plainLoginUntil = until;
+      }
+
+      await settings.save();
+
+      await logAdminActivity(req.user.userId, "SETTINGS_UPDATE", {
+        targetType: "settings",
+        metadata: { allowPlainLogin: settings.allowPlainLogin, plainLoginUntil: settings.plainLoginUntil },
+        ipAddress: getClientIp(req),
+      });
+
+      res.json({
+        message: "Login security settings updated",
+        allowPlainLogin: settings.allowPlainLogin,
+        plainLoginUntil: settings.plainLoginUntil,
+      });
+    } catch (err) {
+      console.error("Update login security error:", err);
+      res.status(500).json({ message: "Error updating login security settings" });
+    }
+  }
+);
+
+/**
+ * POST /admin/settings/login-security/rotate-key
+ * Rotate the login key now (e.g. if the private key may have leaked).
+ * The previous key stays accepted for the grace period.
+ */
+router.post(
+  "/settings/login-security/rotate-key",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("settings.edit"),
+  async (req, res) => {
+    try {
+      const key = await rotateLoginKey();
+
+      await logAdminActivity(req.user.userId, "SETTINGS_UPDATE", {
+        targetType: "settings",
+        reason: "Login key rotated",
+        metadata: { kid: key.kid },
+        ipAddress: getClientIp(req),
+      });
+
+      res.json({ message: "Login key rotated", kid: key.kid });
+    } catch (err) {
+      console.error("Rotate login key error:", err);
+      res.status(500).json({ message: "Error rotating login key" });
+    }
+  }
+);
+
+// ============================================================================
+// 15. DUAL APPROVALS (four-eyes for large money movements)
+// Wallet adjustments, clawbacks and escrow releases/refunds at or above
+// SiteSettings.dualApprovalThreshold wait here for a second admin.
+// ============================================================================
+
+/**
+ * GET /admin/approvals?status=pending&page=&limit=
+ */
+router.get(
+  "/approvals",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("finance.view"),
+  async (req, res) => {
+    try {
+      const { status, page, limit } = req.query;
+      const validStatuses = ["pending", "executed", "failed", "rejected", "cancelled", "expired"];
+      if (status && !validStatuses.includes(status)) {
+        return res.status(400).json({ message: "Invalid status filter" });
+      }
+
+      res.json(await listApprovals({ status, page, limit }));
+    } catch (err) {
+      console.error("List approvals error:", err);
+      res.status(500).json({ message: "Error fetching approvals" });
+    }
+  }
+);
+
+/**
+ * POST /admin/approvals/:id/approve
+ * Approve and execute a pending request. Must be a different admin than the
+ * requester, holding the action's permission.
+ * Body: { totp_code: String (required), note?: String }
+ */
+router.post(
+  "/approvals/:id/approve",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("finance.approve"),
+  async (req, res) => {
+    try {
+      const { totp_code, note } = req.body;
+      if (!totp_code) {
+        return res.status(400).json({ message: "2FA code required", requires2FA: true });
+      }
+
+      const { approval, result } = await approveRequest(
+        req.params.id,
+        { adminId: req.user.userId, ip: getClientIp(req) },
+        { totpCode: totp_code, note: typeof note === "string" ? note.trim() : "" }
+      );
+
+      res.json({ ...result, message: `Approved. ${result.message}`, approval });
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+      console.error("Approve request error:", err);
+      res.status(500).json({ message: "Error executing approved request" });
+    }
+  }
+);
+
+/**
+ * POST /admin/approvals/:id/reject
+ * Reject a pending request, or cancel your own
+ * Body: { note?: String }
+ */
+router.post(
+  "/approvals/:id/reject",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("finance.approve"),
+  async (req, res) => {
+    try {
+      const { note } = req.body;
+      const approval = await declineRequest(
+        req.params.id,
+        { adminId: req.user.userId, ip: getClientIp(req) },
+        { note: typeof note === "string" ? note.trim() : "" }
+      );
+
+      res.json({
+        message: approval.status === "cancelled" ? "Request cancelled" : "Request rejected",
+        approval,
+      });
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+      console.error("Reject request error:", err);
+      res.status(500).json({ message: "Error rejecting request" });
+    }
+  }
+);
+
+/**
+ * GET /admin/settings/approvals
+ */
+router.get(
+  "/settings/approvals",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("settings.edit"),
+  async (req, res) => {
+    try {
+      const settings = await SiteSettings.getSettings();
+      res.json({ dualApprovalThreshold: settings.dualApprovalThreshold });
+    } catch (err) {
+      console.error("Get approval settings error:", err);
+      res.status(500).json({ message: "Error fetching approval settings" });
+    }
+  }
+);
+
+/**
+ * PUT /admin/settings/approvals
+ * Body: { dualApprovalThreshold: Number ≥ 0 } (₹; 0 = every such action needs approval)
+ */
+router.put(
+  "/settings/approvals",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("settings.edit"),
+  async (req, res) => {
+    try {
+      const { dualApprovalThreshold } = req.body;
+      if (typeof dualApprovalThreshold !== "number" || !Number.isFinite(dualApprovalThreshold) || dualApprovalThreshold < 0) {
+        return res.status(400).json({ message: "dualApprovalThreshold must be a number ≥ 0" });
+      }
+
+      const settings = await SiteSettings.getSettings();
+      const previous = settings.dualApprovalThreshold;
+      settings.dualApprovalThreshold = dualApprovalThreshold;
+      await settings.save();
+
+      await logAdminActivity(req.user.userId, "SETTINGS_UPDATE", {
+        targetType: "settings",
+        reason: "Dual approval threshold changed",
+        metadata: { before: previous, after: dualApprovalThreshold },
+        ipAddress: getClientIp(req),
+      });
+
+      res.json({ message: "Approval settings updated", dualApprovalThreshold });
+    } catch (err) {
+      console.error("Update approval settings error:", err);
+      res.status(500).json({ message: "Error updating approval settings" });
+    }
+  }
+);
+
+// ============================================================================
+// 16. LEDGER & RECONCILIATION
+// Reports from the nightly ledger reconciliation job (services/ledger.js).
+// Run it on demand with POST /admin/jobs/ledger-reconciliation/run.
+// ============================================================================
+
+/**
+ * GET /admin/ledger/reconciliation?status=discrepancies&page=&limit=
+ * Latest first; discrepancy lists are left out — fetch a report for those.
+ */
+router.get(
+  "/ledger/reconciliation",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("finance.view"),
+  async (req, res) => {
+    try {
+      const { status, page, limit } = req.query;
+      const validStatuses = ["running", "clean", "discrepancies", "failed"];
+      if (status && !validStatuses.includes(status)) {
+        return res.status(400).json({ message: "Invalid status filter" });
+      }
+
+      res.json(await listReports({ status, page, limit }));
+    } catch (err) {
+      console.error("List reconciliation reports error:", err);
+      res.status(500).json({ message: "Error fetching reconciliation reports" });
+    }
+  }
+);
+
+/**
+ * GET /admin/ledger/reconciliation/:id
+ */
+router.get(
+  "/ledger/reconciliation/:id",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("finance.view"),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: "Invalid report ID" });
+      }
+      const report = await getReport(req.params.id);
+      if (!report) return res.status(404).json({ message: "Report not found" });
+
+      res.json({ report });
+    } catch (err) {
+      console.error("Get reconciliation report error:", err);
+      res.status(500).json({ message: "Error fetching reconciliation report" });
+    }
+  }
+);
+
+/**
+ * GET /admin/users/:userId/ledger?page=&limit=
+ * Ledger entries touching a user's wallet, next to its stored balances
+ */
+router.get(
+  "/users/:userId/ledger",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("wallet.view"),
+  async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.userId)) {
+        return res.status(400).json({ message: "Invalid user ID" });
+      }
+      const wallet = await Wallet.findOne({ userId: req.params.userId }).select(
+        "balance escrowBalance withdrawalsBlocked ledgerOpenedAt"
+      );
+
+      const ledger = await getUserLedger(req.params.userId, req.query);
+      res.json({ wallet, ...ledger });
+    } catch (err) {
+      console.error("User ledger error:", err);
+      res.status(500).json({ message: "Error fetching ledger" });
     }
   }
 );
@@ -5,9 +5,13 @@ const bcrypt = require("bcrypt");
 const speakeasy = require("speakeasy");
 const QRCode = require("qrcode");
 const { verifyToken, authorize } = require("../middleware/Auth");
+const { requirePermission } = require("../middleware/Permissions");
 const Admin = require("../models/Admin");
+const AdminRole = require("../models/AdminRole");
 const AdminActivityLog = require("../models/AdminActivityLog");
 const sendEmail = require("../utils/sendEmail");
+const { getLoginHistory } = require("../services/loginRisk");
+const { ADMIN_PERMISSIONS } = require("../config/constants");
 
 // ============================================================================
 // HELPERS
@@ -35,14 +39,27 @@ const logAdminActivity = async (adminId, action, opts = {}) => {
   }
 };
 
-// Super Admin only middleware
-const requireSuperAdmin = (req, res, next) => {
-  if (req.user?.role !== "super_admin") {
-    return res.status(403).json({
-      message: "Forbidden. Super Admin access required.",
-    });
+/**
+ * Load the roles for a list of ids
+ * @returns {Promise<object[]|null>} - The roles, or null if any id is invalid or unknown
+ */
+const findRoles = async (roleIds) => {
+  if (!Array.isArray(roleIds) || !roleIds.every((id) => /^[a-f0-9]{24}$/.test(id))) return null;
+  const ids = [...new Set(roleIds)];
+  const roles = await AdminRole.find({ _id: { $in: ids } });
+  return roles.length === ids.length ? roles : null;
+};
+
+/**
+ * Validate a role's permission list
+ * @returns {string|null} - Error message, or null if valid
+ */
+const checkPermissionList = (permissions) => {
+  if (!Array.isArray(permissions) || !permissions.length) {
+    return "Select at least one permission";
   }
-  next();
+  const unknown = permissions.filter((p) => !ADMIN_PERMISSIONS[p]);
+  return unknown.length ? `Unknown permissions: ${unknown.join(", ")}` : null;
 };
 
 // Generate a secure random password
@@ -87,8 +104,8 @@ router.get(
   async (req, res) => {
     try {
       const admin = await Admin.findById(req.user.userId).select(
-        "username email role twoFactorEnabled lastLoginAt lastLoginIp createdAt mustChangePassword"
-      );
+        "username email role roles twoFactorEnabled lastLoginAt lastLoginIp createdAt mustChangePassword"
+      ).populate("roles", "name");
       if (!admin) return res.status(404).json({ message: "Admin not found" });
 
       const backupCodesRemaining = admin.twoFactorBackupCodes
@@ -101,6 +118,8 @@ router.get(
           username: admin.username,
           email: admin.email,
           role: admin.role,
+          roles: admin.roles.map((r) => r.name),
+          permissions: await admin.getPermissions(),
           twoFactorEnabled: admin.twoFactorEnabled,
           lastLoginAt: admin.lastLoginAt,
           lastLoginIp: admin.lastLoginIp,
@@ -483,6 +502,24 @@ router.post(
   }
 );
 
+/**
+ * GET /admin/settings/login-history
+ * Own sign-ins with device, location and risk flags
+ */
+router.get(
+  "/settings/login-history",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  async (req, res) => {
+    try {
+      res.json(await getLoginHistory(req.user.userId, req.query));
+    } catch (err) {
+      console.error("Login history error:", err);
+      res.status(500).json({ message: "Error fetching login history" });
+    }
+  }
+);
+
 // ============================================================================
 // 2. SUPER ADMIN ROUTES (Admin Management)
 // ============================================================================
@@ -495,11 +532,12 @@ router.get(
   "/management/admins",
   verifyToken,
   authorize(["super_admin"]),
-  requireSuperAdmin,
+  requirePermission("admins.manage"),
   async (req, res) => {
     try {
       const admins = await Admin.find()
-        .select("username email role isActive twoFactorEnabled lastLoginAt createdAt mustChangePassword")
+        .select("username email role roles isActive twoFactorEnabled lastLoginAt createdAt mustChangePassword")
+        .populate("roles", "name")
         .sort({ createdAt: -1 });
 
       res.json({ admins });
@@ -518,10 +556,10 @@ router.post(
   "/management/admins",
   verifyToken,
   authorize(["super_admin"]),
-  requireSuperAdmin,
+  requirePermission("admins.manage"),
   async (req, res) => {
     try {
-      const { username, email } = req.body;
+      const { username, email, roleIds = [] } = req.body;
 
       if (!username || !email) {
         return res.status(400).json({
@@ -529,6 +567,11 @@ router.post(
         });
       }
 
+      const roles = await findRoles(roleIds);
+      if (!roles) {
+        return res.status(400).json({ message: "One or more roles do not exist" });
+      }
+
       // Auto-generate a secure secret code (min 16 chars, must have letters + numbers)
       const letters = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
       const digits = "0123456789";
@@ -566,6 +609,7 @@ router.post(
         email: email.toLowerCase().trim(),
         password: tempPassword,
         role: "admin",
+        roles: roles.map((r) => r._id),
         mustChangePassword: true,
         isActive: true,
       });
@@ -619,7 +663,7 @@ router.post(
       await logAdminActivity(req.user.userId, "ADMIN_CREATE", {
         targetType: "admin",
         targetId: admin._id,
-        metadata: { username, email },
+        metadata: { username, email, roles: roles.map((r) => r.name) },
         ipAddress: getClientIp(req),
       });
 
@@ -630,6 +674,7 @@ router.post(
           username: admin.username,
           email: admin.email,
           role: admin.role,
+          roles: roles.map((r) => r.name),
         },
       });
     } catch (err) {
@@ -647,7 +692,7 @@ router.delete(
   "/management/admins/:adminId",
   verifyToken,
   authorize(["super_admin"]),
-  requireSuperAdmin,
+  requirePermission("admins.manage"),
   async (req, res) => {
     try {
       const { adminId } = req.params;
@@ -692,7 +737,7 @@ router.put(
   "/management/admins/:adminId/block",
   verifyToken,
   authorize(["super_admin"]),
-  requireSuperAdmin,
+  requirePermission("admins.manage"),
   async (req, res) => {
     try {
       const { adminId } = req.params;
@@ -736,7 +781,7 @@ router.put(
   "/management/admins/:adminId/unblock",
   verifyToken,
   authorize(["super_admin"]),
-  requireSuperAdmin,
+  requirePermission("admins.manage"),
   async (req, res) => {
     try {
       const { adminId } = req.params;
@@ -770,7 +815,7 @@ router.post(
   "/management/admins/:adminId/reset-password",
   verifyToken,
   authorize(["super_admin"]),
-  requireSuperAdmin,
+  requirePermission("admins.manage"),
   async (req, res) => {
     try {
       const { adminId } = req.params;
@@ -831,7 +876,7 @@ router.post(
   "/management/admins/:adminId/reset-mfa",
   verifyToken,
   authorize(["super_admin"]),
-  requireSuperAdmin,
+  requirePermission("admins.manage"),
   async (req, res) => {
     try {
       const { adminId } = req.params;
@@ -881,4 +926,235 @@ router.post(
   }
 );
 
+// ============================================================================
+// 3. ROLES & PERMISSIONS (Super Admin only)
+// ============================================================================
+
+/**
+ * GET /admin/management/permissions
+ * Every permission that roles can grant
+ */
+router.get(
+  "/management/permissions",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("admins.manage"),
+  (req, res) => {
+    res.json({
+      permissions: Object.entries(ADMIN_PERMISSIONS).map(([name, description]) => ({ name, description })),
+    });
+  }
+);
+
+/**
+ * GET /admin/management/roles
+ * List roles with how many admins hold each
+ */
+router.get(
+  "/management/roles",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    try {
+      await AdminRole.ensureDefaults();
+      const [roles, counts] = await Promise.all([
+        AdminRole.find().sort({ isSystem: -1, name: 1 }),
+        Admin.aggregate([{ $unwind: "$roles" }, { $group: { _id: "$roles", count: { $sum: 1 } } }]),
+      ]);
+      const countByRole = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+      res.json({
+        roles: roles.map((role) => ({
+          ...role.toObject(),
+          adminCount: countByRole.get(role._id.toString()) || 0,
+        })),
+      });
+    } catch (err) {
+      console.error("List roles error:", err);
+      res.status(500).json({ message: "Error fetching roles" });
+    }
+  }
+);
+
+/**
+ * POST /admin/management/roles
+ * Create a custom role
+ * Body: { name, description?, permissions: string[] }
+ */
+router.post(
+  "/management/roles",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    try {
+      const { name, description, permissions } = req.body;
+
+      if (typeof name !== "string" || !/^[a-z][a-z0-9_-]{1,39}$/.test(name.trim().toLowerCase())) {
+        return res.status(400).json({
+          message: "Role name must be 2-40 characters: letters, numbers, '-' or '_'",
+        });
+      }
+      const permissionError = checkPermissionList(permissions);
+      if (permissionError) return res.status(400).json({ message: permissionError });
+
+      await AdminRole.ensureDefaults();
+      if (await AdminRole.exists({ name: name.trim().toLowerCase() })) {
+        return res.status(409).json({ message: "A role with this name already exists" });
+      }
+
+      const role = await AdminRole.create({
+        name,
+        description: description || "",
+        permissions: [...new Set(permissions)],
+        createdBy: req.user.userId,
+      });
+
+      await logAdminActivity(req.user.userId, "ROLE_CREATE", {
+        targetType: "role",
+        targetId: role._id,
+        metadata: { name: role.name, permissions: role.permissions },
+        ipAddress: getClientIp(req),
+      });
+
+      res.status(201).json({ message: "Role created", role });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({ message: "A role with this name already exists" });
+      }
+      console.error("Create role error:", err);
+      res.status(500).json({ message: "Error creating role" });
+    }
+  }
+);
+
+/**
+ * PUT /admin/management/roles/:roleId
+ * Change a custom role's description or permissions
+ */
+router.put(
+  "/management/roles/:roleId",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    try {
+      const { description, permissions } = req.body;
+
+      const [role] = (await findRoles([req.params.roleId])) || [];
+      if (!role) return res.status(404).json({ message: "Role not found" });
+      if (role.isSystem) {
+        return res.status(400).json({ message: "System roles cannot be changed; create a custom role instead" });
+      }
+
+      const previous = role.permissions.slice();
+      if (permissions !== undefined) {
+        const permissionError = checkPermissionList(permissions);
+        if (permissionError) return res.status(400).json({ message: permissionError });
+        role.permissions = [...new Set(permissions)];
+      }
+      if (description !== undefined) role.description = description;
+      await role.save();
+
+      await logAdminActivity(req.user.userId, "ROLE_UPDATE", {
+        targetType: "role",
+        targetId: role._id,
+        metadata: { name: role.name, before: previous, after: role.permissions },
+        ipAddress: getClientIp(req),
+      });
+
+      res.json({ message: "Role updated", role });
+    } catch (err) {
+      console.error("Update role error:", err);
+      res.status(500).json({ message: "Error updating role" });
+    }
+  }
+);
+
+/**
+ * DELETE /admin/management/roles/:roleId
+ * Delete a custom role and take it away from every admin holding it
+ */
+router.delete(
+  "/management/roles/:roleId",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    try {
+      const [role] = (await findRoles([req.params.roleId])) || [];
+      if (!role) return res.status(404).json({ message: "Role not found" });
+      if (role.isSystem) {
+        return res.status(400).json({ message: "System roles cannot be deleted" });
+      }
+
+      const { modifiedCount } = await Admin.updateMany({ roles: role._id }, { $pull: { roles: role._id } });
+      await role.deleteOne();
+
+      await logAdminActivity(req.user.userId, "ROLE_DELETE", {
+        targetType: "role",
+        targetId: role._id,
+        reason: req.body?.reason || "",
+        metadata: { name: role.name, removedFromAdmins: modifiedCount },
+        ipAddress: getClientIp(req),
+      });
+
+      res.json({ message: "Role deleted", removedFromAdmins: modifiedCount });
+    } catch (err) {
+      console.error("Delete role error:", err);
+      res.status(500).json({ message: "Error deleting role" });
+    }
+  }
+);
+
+/**
+ * PUT /admin/management/admins/:adminId/roles
+ * Replace an admin's roles
+ * Body: { roleIds: string[] } (empty = baseline read-only access)
+ */
+router.put(
+  "/management/admins/:adminId/roles",
+  verifyToken,
+  authorize(["super_admin"]),
+  requirePermission("admins.manage"),
+  async (req, res) => {
+    try {
+      const { adminId } = req.params;
+
+      const admin = await Admin.findById(adminId).populate("roles", "name");
+      if (!admin) return res.status(404).json({ message: "Admin not found" });
+      if (admin.role === "super_admin") {
+        return res.status(400).json({ message: "Super admins already hold every permission" });
+      }
+
+      const roles = await findRoles(req.body.roleIds);
+      if (!roles) {
+        return res.status(400).json({ message: "roleIds must list existing roles" });
+      }
+
+      const previous = admin.roles.map((r) => r.name);
+      admin.roles = roles.map((r) => r._id);
+      await admin.save();
+
+      await logAdminActivity(req.user.userId, "ADMIN_ROLES_UPDATE", {
+        targetType: "admin",
+        targetId: admin._id,
+        reason: req.body.reason || "",
+        metadata: { username: admin.username, before: previous, after: roles.map((r) => r.name) },
+        ipAddress: getClientIp(req),
+      });
+
+      res.json({
+        message: "Roles updated",
+        roles: roles.map((r) => r.name),
+        permissions: await admin.getPermissions(),
+      });
+    } catch (err) {
+      console.error("Update admin roles error:", err);
+      res.status(500).json({ message: "Error updating admin roles" });
+    }
+  }
+);
+
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
 const { verifyToken, authorize } = require("../middleware/Auth");
+const { requireTwoFactor } = require("../middleware/TwoFactor");
 const Agreement = require("../models/Agreement");
 const Project = require("../models/Project");
 const Bid = require("../models/Bid");
@@ -596,6 +597,7 @@ router.post(
   "/:id/sign/client",
   verifyToken,
   authorize(["client"]),
+  requireTwoFactor,
   async (req, res) => {
     const session = await mongoose.startSession();
     
@@ -788,6 +790,7 @@ router.post(
   "/:id/sign/freelancer",
   verifyToken,
   authorize(["freelancer"]),
+  requireTwoFactor,
   async (req, res) => {
     try {
       const freelancerId = req.user.userId;
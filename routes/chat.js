@@ -1,43 +1,38 @@
 const express = require("express");
-const crypto = require("crypto");
-const WebSocket = require("ws");
+const mongoose = require("mongoose");
+const multer = require("multer");
 const Chat = require("../models/chat_sys");
 const User = require("../models/User");
+const Conversation = require("../models/Conversation");
 const { verifyToken } = require("../middleware/Auth");
+const { pubsub } = require("../services/pubsub");
+const { decrypt } = require("../utils/chatCrypto");
+const {
+  openConversation,
+  resolveConversation,
+  canSend,
+  CLOSED_CONVERSATION_ERROR,
+  storeMessage,
+} = require("../services/conversations");
+const {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  DOWNLOAD_URL_TTL_SECONDS,
+  uploadAttachment,
+  verifyAttachments,
+  describeAttachments,
+  getAttachmentUrl,
+} = require("../services/chatAttachments");
+const { screenMessage, linkViolationToChat } = require("../services/contactProtection");
+const { editMessage, deleteMessage, setReaction } = require("../services/chatMessages");
+const { searchConversation, getMessageContext } = require("../services/chatSearch");
 
 const router = express.Router();
-const secretKey = Buffer.from(process.env.ENCRYPTION_KEY, "hex");
-const activeUsers = new Map();
+const upload = multer();
 
 
-// Sensitive info middleware
-const checkSensitiveInfo = async (req, res, next) => {
-  const { message, sender } = req.body;
-  const sensitivePattern = "{Message is against our policy}";
-
-  if (message?.includes(sensitivePattern)) {
-    const user = await User.findByIdAndUpdate(
-      sender,
-      { $inc: { Strikes: 1 } },
-      { new: true }
-    );
-
-    if (user.Strikes >= 3) {
-      await User.findByIdAndUpdate(sender, { isBanned: true });
-      return res.status(403).json({ message: "User is banned" });
-    }
-
-    return res.status(400).json({
-      message: "Sensitive information detected. Strike added",
-    });
-  }
-  next();
-};
-
 // Ban check middleware
 const checkBan = async (req, res, next) => {
-  const { sender } = req.body;
-  const user = await User.findById(sender);
+  const user = await User.findById(req.user.userId);
   if (user?.isBanned) {
     return res.status(403).json({ message: "User is banned" });
   }
@@ -45,126 +40,289 @@ const checkBan = async (req, res, next) => {
 };
 
 // Encryption utilities
-const encryptMessage = (message, key) => {
-  const iv = crypto.randomBytes(12);
-  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
-  const encrypted = Buffer.concat([
-    cipher.update(message, "utf8"),
-    cipher.final(),
-  ]);
-  const authTag = cipher.getAuthTag();
-
-  return `${iv.toString("hex")}:${encrypted.toString("hex")}:${authTag.toString(
-    "hex"
-  )}`;
+const decryptMessage = (encryptedMessage) =>
+  encryptedMessage ? decrypt(encryptedMessage) ?? "Decryption error" : "";
+
+const isValidObjectId = (id) => {
+  return (
+    mongoose.Types.ObjectId.isValid(id) &&
+    new mongoose.Types.ObjectId(id).toString() === id
+  );
 };
 
-const decryptMessage = (encryptedMessage, key) => {
-  try {
-    const [ivHex, encryptedText, authTagHex] = encryptedMessage.split(":");
-    if (!ivHex || !encryptedText || !authTagHex) {
-      throw new Error("Invalid encrypted message format");
+const MESSAGE_PAGE_LIMIT = 50;
+const SEARCH_PAGE_LIMIT = 20;
+const CONTEXT_WINDOW_LIMIT = 50;
+
+// What participants see of a stored message
+const toMessageView = (chat) => ({
+  _id: chat._id,
+  conversationId: chat.conversationId,
+  sender: chat.sender,
+  receiver: chat.receiver,
+  message: decryptMessage(chat.message),
+  attachments: describeAttachments(chat.attachments),
+  status: chat.status,
+  timestamp: chat.timestamp,
+  edited: !!chat.editedAt,
+  editedAt: chat.editedAt || null,
+  deleted: !!chat.deletedAt,
+  reactions: (chat.reactions || []).map(({ userId, emoji }) => ({ userId, emoji })),
+});
+
+// Load a conversation the caller takes part in, or send the error response
+const loadConversation = async (req, res) => {
+  const { id } = req.params;
+  if (!isValidObjectId(id)) {
+    res.status(400).json({ error: "Invalid conversation id" });
+    return null;
+  }
+  const conversation = await Conversation.findById(id);
+  if (!conversation || !conversation.isParticipant(req.user.userId)) {
+    res.status(404).json({ error: "Conversation not found" });
+    return null;
+  }
+  return conversation;
+};
+
+// Counterpart entry of a conversation whose participants are populated
+const findOtherParticipant = (conversation, userId) =>
+  conversation.participants.find(
+    (p) => p.userId?._id && p.userId._id.toString() !== userId
+  );
+
+// Screen the message for contact info and, if it may be sent, store and publish it.
+// Sends the error response itself and returns null when the message is rejected.
+const sendScreenedMessage = async (res, { conversation, senderId, message, attachments = [] }) => {
+  let text = message;
+  let screening = null;
+  if (message) {
+    screening = await screenMessage({
+      text: message,
+      senderId,
+      receiverId: conversation.getOtherParticipant(senderId),
+      conversationId: conversation._id,
+      channel: "rest",
+    });
+    if (!screening.allowed) {
+      res.status(400).json({
+        message: "Sharing contact information before an agreement is active is not allowed. The message was flagged for review",
+      });
+      return null;
     }
+    text = screening.message;
+  }
 
-    const iv = Buffer.from(ivHex, "hex");
-    const encrypted = Buffer.from(encryptedText, "hex");
-    const authTag = Buffer.from(authTagHex, "hex");
+  const chat = await storeMessage(conversation, senderId, text || null, attachments);
+  if (screening?.violation) await linkViolationToChat(screening.violation, chat);
+  await publishChat(chat);
 
-    const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
-    decipher.setAuthTag(authTag);
+  return { chat, redacted: !!screening?.violation };
+};
+
+// Publish a stored message to the receiver's sockets on any instance;
+// the instance that delivers it marks the chat "delivered"
+const publishChat = (chat) =>
+  pubsub.publish({
+    userId: chat.receiver.toString(),
+    data: {
+      _id: chat._id,
+      conversationId: chat.conversationId,
+      sender: chat.sender,
+      receiver: chat.receiver,
+      message: chat.message,
+      attachments: describeAttachments(chat.attachments),
+      status: "delivered",
+      timestamp: chat.timestamp,
+    },
+    chatId: chat._id,
+  });
+
+// List the user's conversations
+router.get("/conversations", verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const conversations = await Conversation.getForUser(userId);
+
+    const others = conversations.map((c) => findOtherParticipant(c, userId));
+    const [onlineUserIds, lastMessages] = await Promise.all([
+      pubsub.getOnlineUserIds(others.filter(Boolean).map((p) => p.userId._id.toString())),
+      Chat.find({
+        _id: { $in: conversations.map((c) => c.lastMessage?.chatId).filter(Boolean) },
+      }).lean(),
+    ]);
+    const lastMessageById = new Map(lastMessages.map((m) => [m._id.toString(), m]));
+
+    const result = conversations.map((conversation, i) => {
+      const other = others[i];
+      const lastMessage = conversation.lastMessage?.chatId
+        ? lastMessageById.get(conversation.lastMessage.chatId.toString())
+        : null;
+
+      return {
+        _id: conversation._id,
+        project: conversation.projectId,
+        bidId: conversation.bidId,
+        agreementId: conversation.agreementId,
+        participant: other
+          ? {
+              _id: other.userId._id,
+              username: other.userId.username,
+              profilePictureUrl: other.userId.profilePictureUrl,
+              role: other.role,
+              status: onlineUserIds.has(other.userId._id.toString()) ? "online" : "offline",
+            }
+          : null,
+        lastMessage: lastMessage
+          ? {
+              _id: lastMessage._id,
+              sender: lastMessage.sender,
+              message: decryptMessage(lastMessage.message),
+              timestamp: lastMessage.timestamp,
+            }
+          : null,
+        lastMessageAt: conversation.lastMessageAt,
+        unreadCount: conversation.getUnreadCount(userId),
+      };
+    });
 
-    return Buffer.concat([
-      decipher.update(encrypted),
-      decipher.final(),
-    ]).toString("utf8");
+    res.status(200).json({ conversations: result });
   } catch (error) {
-    console.error("Decryption failed:", error.message);
-    return "Decryption error";
+    console.error("Error fetching conversations:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
-};
+});
 
-// Get users endpoint
-router.get("/users", verifyToken, async (req, res) => {
+// Open a conversation with a client/freelancer on a project
+router.post("/conversations", verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { projectId, participantId } = req.body;
+
+    if (!isValidObjectId(projectId) || !isValidObjectId(participantId)) {
+      return res.status(400).json({ error: "Valid projectId and participantId are required" });
+    }
+
+    const conversation = await openConversation(userId, participantId, projectId);
+    if (!conversation) {
+      return res.status(403).json({
+        error: "You can only message users you have a bid or agreement with on this project",
+      });
+    }
+
+    res.status(200).json({ conversation });
+  } catch (error) {
+    console.error("Error opening conversation:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Page through a conversation's messages, newest first
+router.get("/conversations/:id/messages", verifyToken, async (req, res) => {
   try {
     const userId = req.user.userId;
+    const { id } = req.params;
+    const { cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || MESSAGE_PAGE_LIMIT, 100);
+
+    if (!isValidObjectId(id) || (cursor && !isValidObjectId(cursor))) {
+      return res.status(400).json({ error: "Invalid conversation id or cursor" });
+    }
 
-    const users = await User.find({ _id: { $ne: userId } })
-      .select("_id username profilePictureUrl")
+    const conversation = await Conversation.findById(id);
+    if (!conversation || !conversation.isParticipant(userId)) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    const query = { conversationId: conversation._id };
+    if (cursor) query._id = { $lt: cursor };
+
+    const chats = await Chat.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
       .lean();
 
-    const chatUsers = await Promise.all(
-      users.map(async (user) => {
-        const [lastMessage, unreadCount] = await Promise.all([
-          Chat.findOne({
-            $or: [
-              { sender: userId, receiver: user._id },
-              { sender: user._id, receiver: userId },
-            ],
-          })
-            .sort({ timestamp: -1 })
-            .lean(),
-          Chat.countDocuments({
-            sender: user._id,
-            receiver: userId,
-            status: "delivered",
-          }),
-        ]);
-
-        return {
-          _id: user._id,
-          username: user.username,
-          profilePictureUrl: user.profilePictureUrl,
-          status: activeUsers.has(user._id.toString()) ? "online" : "offline",
-          lastMessage: lastMessage
-            ? decryptMessage(lastMessage.message, secretKey)
-            : "",
-          unreadCount,
-        };
-      })
-    );
+    const hasMore = chats.length > limit;
+    const page = hasMore ? chats.slice(0, limit) : chats;
 
-    res.status(200).json({ users: chatUsers });
+    const messages = page.map(toMessageView);
+
+    // Opening the newest page counts as reading the thread
+    if (!cursor) {
+      await Promise.all([
+        Chat.updateMany(
+          { conversationId: conversation._id, receiver: userId, status: { $ne: "read" } },
+          { status: "read" }
+        ),
+        Conversation.markRead(conversation._id, userId),
+      ]);
+    }
+
+    res.status(200).json({
+      messages,
+      nextCursor: hasMore ? page[page.length - 1]._id : null,
+    });
   } catch (error) {
-    console.error("Error fetching chat users:", error);
+    console.error("Error fetching messages:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Send message endpoint
+// Send a message in a conversation
 router.post(
-  "/send",
+  "/conversations/:id/messages",
   verifyToken,
-  checkSensitiveInfo,
   checkBan,
   async (req, res) => {
     try {
-      const { sender, receiver, message } = req.body;
-      const encryptedMessage = encryptMessage(message, secretKey);
+      const userId = req.user.userId;
+      const { id } = req.params;
+      const { message, attachments } = req.body;
 
-      const chat = new Chat({
-        sender,
-        receiver,
-        message: encryptedMessage,
-        encrypted: true,
-        status: "sent",
-      });
-      await chat.save();
-
-      const recipientSocket = activeUsers.get(receiver);
-      if (recipientSocket) {
-        recipientSocket.send(
-          JSON.stringify({
-            sender,
-            receiver,
-            message: encryptedMessage,
-            status: "delivered",
-          })
-        );
-        chat.status = "delivered";
-        await chat.save();
+      if (!isValidObjectId(id)) {
+        return res.status(400).json({ error: "Invalid conversation id" });
+      }
+      if ((!message || typeof message !== "string") && !attachments?.length) {
+        return res.status(400).json({ error: "Message or attachments are required" });
+      }
+
+      const conversation = await resolveConversation(userId, { conversationId: id });
+      if (!conversation) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
+      if (!(await canSend(conversation))) {
+        return res.status(403).json({ error: CLOSED_CONVERSATION_ERROR });
       }
 
-      res.status(200).json({ message: "Message sent successfully" });
+      let attachmentTokens;
+      try {
+        attachmentTokens = verifyAttachments(attachments, {
+          conversationId: conversation._id,
+          senderId: userId,
+        });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const sent = await sendScreenedMessage(res, {
+        conversation,
+        senderId: userId,
+        message,
+        attachments: attachmentTokens,
+      });
+      if (!sent) return;
+      const { chat, redacted } = sent;
+
+      res.status(200).json({
+        message: "Message sent successfully",
+        redacted,
+        chat: {
+          _id: chat._id,
+          conversationId: chat.conversationId,
+          status: chat.status,
+          timestamp: chat.timestamp,
+        },
+      });
     } catch (error) {
       console.error("Error sending message:", error);
       res.status(500).json({ error: "Internal server error" });
@@ -172,134 +330,384 @@ router.post(
   }
 );
 
-// Get messages endpoint
-router.get("/messages", verifyToken, async (req, res) => {
+// Search a conversation's messages; every word of `q` must appear.
+// Pages newest first via `cursor`.
+router.get("/conversations/:id/search", verifyToken, async (req, res) => {
   try {
-    const { sender, receiver } = req.query;
-    const chats = await Chat.find({
-      $or: [
-        { sender, receiver },
-        { sender: receiver, receiver: sender },
-      ],
-    })
-      .sort({ timestamp: -1 })
-      .limit(50)
-      .lean();
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
 
-    const decryptedChats = chats.map((chat) => ({
-      _id: chat._id,
-      sender: chat.sender,
-      receiver: chat.receiver,
-      message: decryptMessage(chat.message, secretKey),
-      status: chat.status,
-      timestamp: chat.timestamp,
-    }));
+    const { q, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || SEARCH_PAGE_LIMIT, 50);
+    if (!q || typeof q !== "string") {
+      return res.status(400).json({ error: "Search query is required" });
+    }
+    if (cursor && !isValidObjectId(cursor)) {
+      return res.status(400).json({ error: "Invalid cursor" });
+    }
 
-    await Chat.updateMany(
-      { receiver: sender, sender: receiver, status: "delivered" },
-      { status: "read" }
-    );
+    const results = await searchConversation(conversation._id, q, { cursor, limit });
+    if (!results) {
+      return res.status(400).json({ error: "Search query must contain at least one word" });
+    }
 
-    res.status(200).json(decryptedChats);
+    res.status(200).json({
+      results: results.chats.map(toMessageView),
+      nextCursor: results.nextCursor,
+    });
   } catch (error) {
-    console.error("Error fetching messages:", error);
+    console.error("Error searching messages:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Messages around one message (e.g. a search hit), oldest first
+router.get("/conversations/:id/messages/:messageId/context", verifyToken, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    if (!isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    const clamp = (value) => Math.min(Math.max(parseInt(value) || 10, 0), CONTEXT_WINDOW_LIMIT);
+    const context = await getMessageContext(conversation._id, req.params.messageId, {
+      before: clamp(req.query.before),
+      after: clamp(req.query.after),
+    });
+    if (!context) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    res.status(200).json({
+      messages: context.chats.map(toMessageView),
+      targetId: req.params.messageId,
+      hasOlder: context.hasOlder,
+      hasNewer: context.hasNewer,
+    });
+  } catch (error) {
+    console.error("Error fetching message context:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Edit one of your messages (within CHAT_SETTINGS.EDIT_WINDOW_MS of sending)
+router.put("/conversations/:id/messages/:messageId", verifyToken, checkBan, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    if (!isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    const { chat, redacted } = await editMessage({
+      conversation,
+      messageId: req.params.messageId,
+      userId: req.user.userId,
+      text: req.body.message,
+    });
+
+    res.status(200).json({ message: "Message edited", redacted, chat: toMessageView(chat) });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error("Error editing message:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Delete one of your messages (within CHAT_SETTINGS.DELETE_WINDOW_MS of sending)
+router.delete("/conversations/:id/messages/:messageId", verifyToken, async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    if (!isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    const chat = await deleteMessage({
+      conversation,
+      messageId: req.params.messageId,
+      userId: req.user.userId,
+    });
+
+    res.status(200).json({ message: "Message deleted", chat: toMessageView(chat) });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error("Error deleting message:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// WebSocket setup
-const wss = new WebSocket.Server({ port: 9000 });
+// Add (POST) or remove (DELETE) a reaction; body: { emoji }
+const reactionHandler = (add) => async (req, res) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) return;
+    if (!isValidObjectId(req.params.messageId)) {
+      return res.status(400).json({ error: "Invalid message id" });
+    }
+
+    const chat = await setReaction({
+      conversation,
+      messageId: req.params.messageId,
+      userId: req.user.userId,
+      emoji: req.body.emoji,
+      add,
+    });
 
-wss.on("connection", (ws, req) => {
-  const userId = req.url?.split("/").pop();
-  if (!userId) {
-    ws.close();
-    return;
+    res.status(200).json({ reactions: toMessageView(chat).reactions });
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+    console.error("Error updating reaction:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
+};
 
-  activeUsers.set(userId, ws);
+router.post("/conversations/:id/messages/:messageId/reactions", verifyToken, reactionHandler(true));
+router.delete("/conversations/:id/messages/:messageId/reactions", verifyToken, reactionHandler(false));
 
-  ws.on("message", async (data) => {
+// Upload files to attach to a message in a conversation.
+// Returns tokens to pass as `attachments` when sending (REST or WebSocket).
+router.post(
+  "/conversations/:id/attachments",
+  verifyToken,
+  checkBan,
+  upload.array("files", MAX_ATTACHMENTS_PER_MESSAGE),
+  async (req, res) => {
     try {
-      console.log("Raw WebSocket message:", data);
-      const messageString = data.toString();
+      const userId = req.user.userId;
+      const { id } = req.params;
 
-      const parsedData = JSON.parse(messageString);
+      if (!isValidObjectId(id)) {
+        return res.status(400).json({ error: "Invalid conversation id" });
+      }
+      if (!req.files?.length) {
+        return res.status(400).json({ error: "No files uploaded" });
+      }
 
-      const { sender, receiver, message, alreadyStored, type } =
-        JSON.parse(data);
+      const conversation = await Conversation.findById(id);
+      if (!conversation || !conversation.isParticipant(userId)) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
 
-      if (type === "typing") {
-        const recipientSocket = activeUsers.get(receiver);
-        if (recipientSocket) {
-          recipientSocket.send(JSON.stringify({ sender, type: "typing" }));
-        }
-        return;
+      const uploads = [];
+      for (const file of req.files) {
+        uploads.push(
+          await uploadAttachment(file, { conversationId: conversation._id, uploadedBy: userId })
+        );
       }
 
-      const webRTCTypes = [
-        "connection-request",
-        "connection-accepted",
-        "connection-rejected",
-        "candidate",
-        "answer",
-        "offer",
-      ];
-
-      if (webRTCTypes.includes(type)) {
-        console.log(`Received ${type} message:`, parsedData);
-        const recipientSocket = activeUsers.get(receiver);
-        if (recipientSocket) {
-          recipientSocket.send(JSON.stringify(parsedData));
-          console.log(`${type} message sent to ${receiver}`);
-        } else {
-          console.error(`No active WebSocket found for receiver: ${receiver}`);
-        }
-        return;
+      res.status(200).json({
+        attachments: uploads.map(({ token, attachment }) => ({ token, ...attachment })),
+      });
+    } catch (error) {
+      console.error("Error uploading attachment:", error);
+      res.status(400).json({ error: error.message });
+    }
+  }
+);
+
+// Short-lived download link for one attachment of a message
+router.get(
+  "/conversations/:id/messages/:messageId/attachments/:index",
+  verifyToken,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { id, messageId } = req.params;
+      const index = parseInt(req.params.index);
+
+      if (!isValidObjectId(id) || !isValidObjectId(messageId) || Number.isNaN(index)) {
+        return res.status(400).json({ error: "Invalid attachment reference" });
       }
 
-      const encryptedMessage = encryptMessage(message, secretKey);
-      let chat;
+      const conversation = await Conversation.findById(id);
+      if (!conversation || !conversation.isParticipant(userId)) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
 
-      if (!alreadyStored) {
-        chat = new Chat({
-          sender,
-          receiver,
-          message: encryptedMessage,
-          encrypted: true,
-          status: "sent",
-        });
-        await chat.save();
+      const chat = await Chat.findOne({ _id: messageId, conversationId: conversation._id })
+        .select("attachments")
+        .lean();
+      const token = chat?.attachments?.[index];
+      if (!token) {
+        return res.status(404).json({ error: "Attachment not found" });
       }
 
-      const recipientSocket = activeUsers.get(receiver);
-      if (recipientSocket) {
-        recipientSocket.send(
-          JSON.stringify({
-            sender,
-            receiver,
-            message: encryptedMessage,
-            status: "delivered",
-          })
-        );
-        if (chat) {
-          chat.status = "delivered";
-          await chat.save();
-        }
+      const url = await getAttachmentUrl(token);
+      if (!url) {
+        return res.status(500).json({ error: "Attachment could not be decrypted" });
       }
+
+      res.status(200).json({ url, expiresIn: DOWNLOAD_URL_TTL_SECONDS });
     } catch (error) {
-      console.error("Error processing WebSocket message:", error);
+      console.error("Error creating attachment link:", error);
+      res.status(500).json({ error: "Internal server error" });
     }
-  });
+  }
+);
 
-  ws.on("close", () => {
-    activeUsers.delete(userId);
-  });
+// Mark a conversation as read
+router.post("/conversations/:id/read", verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { id } = req.params;
 
-  ws.on("error", (error) => {
-    console.error("WebSocket error:", error);
-    activeUsers.delete(userId);
-  });
+    if (!isValidObjectId(id)) {
+      return res.status(400).json({ error: "Invalid conversation id" });
+    }
+
+    const conversation = await Conversation.findById(id);
+    if (!conversation || !conversation.isParticipant(userId)) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+
+    await Promise.all([
+      Chat.updateMany(
+        { conversationId: conversation._id, receiver: userId, status: { $ne: "read" } },
+        { status: "read" }
+      ),
+      Conversation.markRead(conversation._id, userId),
+    ]);
+
+    res.status(200).json({ message: "Conversation marked as read" });
+  } catch (error) {
+    console.error("Error marking conversation read:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get users endpoint — people the user has a conversation with
+router.get("/users", verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const conversations = await Conversation.getForUser(userId);
+
+    // Collapse per-project threads into one entry per counterpart
+    const byUser = new Map();
+    for (const conversation of conversations) {
+      const other = findOtherParticipant(conversation, userId);
+      if (!other) continue;
+      const otherId = other.userId._id.toString();
+      const unread = conversation.getUnreadCount(userId);
+
+      if (byUser.has(otherId)) {
+        byUser.get(otherId).unreadCount += unread;
+        continue;
+      }
+      byUser.set(otherId, {
+        user: other.userId,
+        conversationId: conversation._id,
+        lastChatId: conversation.lastMessage?.chatId,
+        unreadCount: unread,
+      });
+    }
+
+    const entries = Array.from(byUser.values());
+    const [onlineUserIds, lastMessages] = await Promise.all([
+      pubsub.getOnlineUserIds(Array.from(byUser.keys())),
+      Chat.find({ _id: { $in: entries.map((e) => e.lastChatId).filter(Boolean) } }).lean(),
+    ]);
+    const lastMessageById = new Map(lastMessages.map((m) => [m._id.toString(), m]));
+
+    const chatUsers = entries.map((entry) => {
+      const lastMessage = entry.lastChatId
+        ? lastMessageById.get(entry.lastChatId.toString())
+        : null;
+      return {
+        _id: entry.user._id,
+        username: entry.user.username,
+        profilePictureUrl: entry.user.profilePictureUrl,
+        conversationId: entry.conversationId,
+        status: onlineUserIds.has(entry.user._id.toString()) ? "online" : "offline",
+        lastMessage: lastMessage ? decryptMessage(lastMessage.message) : "",
+        unreadCount: entry.unreadCount,
+      };
+    });
+
+    res.status(200).json({ users: chatUsers });
+  } catch (error) {
+    console.error("Error fetching chat users:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Send message endpoint (legacy: addressed by receiver instead of conversation)
+router.post(
+  "/send",
+  verifyToken,
+  checkBan,
+  async (req, res) => {
+    try {
+      const { sender, receiver, message, conversationId } = req.body;
+
+      if (sender && sender !== req.user.userId) {
+        return res.status(403).json({ error: "Sender does not match authenticated user" });
+      }
+
+      const conversation = await resolveConversation(req.user.userId, {
+        conversationId,
+        receiver,
+      });
+      if (!conversation) {
+        return res.status(403).json({
+          error: "No conversation with this user. Start one from a bid or agreement first.",
+        });
+      }
+      if (!(await canSend(conversation))) {
+        return res.status(403).json({ error: CLOSED_CONVERSATION_ERROR });
+      }
+
+      const sent = await sendScreenedMessage(res, {
+        conversation,
+        senderId: req.user.userId,
+        message,
+      });
+      if (!sent) return;
+
+      res.status(200).json({
+        message: "Message sent successfully",
+        redacted: sent.redacted,
+        conversationId: conversation._id,
+      });
+    } catch (error) {
+      console.error("Error sending message:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Get messages endpoint (legacy: last 50 messages between the caller and another user)
+router.get("/messages", verifyToken, async (req, res) => {
+  try {
+    const { sender, receiver } = req.query;
+
+    if (sender !== req.user.userId && receiver !== req.user.userId) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    const chats = await Chat.find({
+      $or: [
+        { sender, receiver },
+        { sender: receiver, receiver: sender },
+      ],
+    })
+      .sort({ timestamp: -1 })
+      .limit(MESSAGE_PAGE_LIMIT)
+      .lean();
+
+    const decryptedChats = chats.map(toMessageView);
+
+    await Chat.updateMany(
+      { receiver: sender, sender: receiver, status: "delivered" },
+      { status: "read" }
+    );
+
+    res.status(200).json(decryptedChats);
+  } catch (error) {
+    console.error("Error fetching messages:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
 });
 
 module.exports = router;
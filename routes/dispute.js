@@ -1,8 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
-const Razorpay = require("razorpay");
 const { verifyToken, authorize } = require("../middleware/Auth");
+const { requirePermission } = require("../middleware/Permissions");
 const Dispute = require("../models/Dispute");
 const Agreement = require("../models/Agreement");
 const Milestone = require("../models/Milestone");
@@ -14,15 +14,10 @@ const Wallet = require("../models/Wallet");
 const sendEmail = require("../utils/sendEmail");
 const Activity = require("../models/ActionSchema");
 const walletHelper = require("../utils/walletHelper");
-
-// ============================================================================
-// RAZORPAY SETUP
-// ============================================================================
-
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+const Conversation = require("../models/Conversation");
+const { buildTranscript } = require("../services/chatMessages");
+const { uploadFile } = require("../utils/S3");
+const { gateway } = require("../services/paymentGateway");
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -194,8 +189,8 @@ router.post(
 
       await dispute.save();
 
-      // Create Razorpay payment link for arbitration fee
-      const paymentLink = await razorpay.paymentLink.create({
+      // Create payment link for arbitration fee
+      const paymentLink = await gateway.createPaymentLink({
         amount: dispute.arbitrationFee * 100, // in paise
         currency: "INR",
         accept_partial: false,
@@ -450,6 +445,7 @@ router.post(
   "/:id/message",
   verifyToken,
   authorize(["client", "freelancer", "admin", "super_admin"]),
+  requirePermission("dispute.manage", { allowUsers: true }),
   async (req, res) => {
     try {
       const userId = req.user.userId;
@@ -545,6 +541,7 @@ router.get(
   "/:id",
   verifyToken,
   authorize(["client", "freelancer", "admin", "super_admin"]),
+  requirePermission("dispute.view", { allowUsers: true }),
   async (req, res) => {
     try {
       const userId = req.user.userId;
@@ -610,6 +607,7 @@ router.get(
   "/admin/dashboard",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("dispute.view"),
   async (req, res) => {
     try {
       const { status, priority, limit } = req.query;
@@ -620,9 +618,12 @@ router.get(
         limit: parseInt(limit) || 50,
       });
 
-      const stats = await Dispute.getStats();
+      const [stats, overdue] = await Promise.all([
+        Dispute.getStats(),
+        Dispute.getOverdueCounts(),
+      ]);
 
-      res.json({ disputes, stats });
+      res.json({ disputes, stats, overdue });
     } catch (err) {
       console.error("Admin Dashboard Error:", err);
       res.status(500).json({ message: "Error fetching dashboard" });
@@ -638,6 +639,7 @@ router.post(
   "/admin/:id/assign",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("dispute.manage"),
   async (req, res) => {
     try {
       const adminId = req.user.userId;
@@ -682,6 +684,7 @@ router.post(
   "/admin/:id/resolve",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("dispute.resolve"),
   async (req, res) => {
     const session = await mongoose.startSession();
 
@@ -967,6 +970,7 @@ router.put(
   "/admin/:id/priority",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("dispute.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1009,6 +1013,7 @@ router.post(
   "/admin/:id/escalate",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("dispute.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1039,4 +1044,83 @@ router.post(
   }
 );
 
+/**
+ * POST /dispute/admin/:id/chat-evidence
+ * Attach the parties' project chat to the dispute as evidence. The
+ * transcript includes deleted messages and earlier versions of edited ones.
+ */
+router.post(
+  "/admin/:id/chat-evidence",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("dispute.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!isValidObjectId(id)) {
+        return res.status(400).json({ message: "Invalid dispute ID" });
+      }
+
+      const dispute = await Dispute.findById(id);
+      if (!dispute) {
+        return res.status(404).json({ message: "Dispute not found" });
+      }
+
+      const conversation = await Conversation.findOne({
+        projectId: dispute.projectId,
+        "participants.userId": { $all: [dispute.filedBy, dispute.filedAgainst] },
+      });
+      if (!conversation) {
+        return res.status(404).json({ message: "No chat found between the parties for this project" });
+      }
+
+      const transcript = await buildTranscript(conversation._id);
+      const exportedAt = new Date();
+      const body = JSON.stringify(
+        {
+          disputeNumber: dispute.disputeNumber,
+          conversationId: conversation._id,
+          participants: conversation.participants.map(({ userId, role }) => ({ userId, role })),
+          exportedAt,
+          exportedBy: req.user.userId,
+          messages: transcript,
+        },
+        null,
+        2
+      );
+
+      const url = await uploadFile(
+        { buffer: Buffer.from(body, "utf8"), mimetype: "application/json" },
+        process.env.AWS_BUCKET_NAME,
+        `dispute-evidence/${dispute._id}/chat-${exportedAt.getTime()}.json`
+      );
+
+      dispute.evidence.push({
+        type: "chat_log",
+        title: `Chat transcript (${transcript.length} messages)`,
+        description: `Exported ${exportedAt.toISOString()}, includes edit and delete history`,
+        url,
+        uploadedBy: req.user.userId,
+        uploadedAt: exportedAt,
+      });
+      dispute.adminActions.push({
+        action: "chat_evidence_added",
+        adminId: req.user.userId,
+        note: `Chat transcript attached (${transcript.length} messages)`,
+      });
+      await dispute.save();
+
+      res.json({
+        message: "Chat transcript added to evidence",
+        evidence: dispute.evidence[dispute.evidence.length - 1],
+        messages: transcript,
+      });
+    } catch (err) {
+      console.error("Chat Evidence Error:", err);
+      res.status(500).json({ message: "Error attaching chat evidence" });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,186 @@
+const express = require("express");
+const router = express.Router();
+const { verifyToken, authorize } = require("../middleware/Auth");
+const { requirePermission } = require("../middleware/Permissions");
+const JobRun = require("../models/JobRun");
+const KeyRotation = require("../models/KeyRotation");
+const AdminActivityLog = require("../models/AdminActivityLog");
+const { scheduler } = require("../services/jobScheduler");
+const { activeKeyId } = require("../utils/chatCrypto");
+const { DEFAULTS } = require("../config/constants");
+
+// ============================================================================
+// ADMIN BACKGROUND JOB ROUTES
+// Inspect scheduled jobs, browse run history and trigger runs manually
+// ============================================================================
+
+const getClientIp = (req) =>
+  req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
+  req.connection?.remoteAddress ||
+  req.ip ||
+  "unknown";
+
+const logAdminActivity = async (adminId, action, opts = {}) => {
+  try {
+    await AdminActivityLog.create({
+      adminId,
+      action,
+      targetType: opts.targetType || null,
+      targetId: opts.targetId || null,
+      reason: opts.reason || "",
+      metadata: opts.metadata || {},
+      ipAddress: opts.ipAddress || "",
+    });
+  } catch (err) {
+    console.error("Error logging admin activity:", err);
+  }
+};
+
+/**
+ * GET /admin/jobs
+ * List registered jobs with their most recent run
+ */
+router.get(
+  "/",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("jobs.view"),
+  async (req, res) => {
+    try {
+      const latest = await JobRun.getLatestByJob();
+
+      const jobs = scheduler.getJobs().map((job) => ({
+        ...job,
+        lastRun: latest[job.name] || null,
+      }));
+
+      res.json({
+        instanceId: scheduler.instanceId,
+        isLeader: scheduler.isLeader,
+        jobs,
+      });
+    } catch (err) {
+      console.error("List Jobs Error:", err);
+      res.status(500).json({ message: "Error fetching jobs" });
+    }
+  }
+);
+
+/**
+ * GET /admin/jobs/runs
+ * Paginated run history, optionally filtered by job name and status
+ */
+router.get(
+  "/runs",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("jobs.view"),
+  async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(
+        parseInt(req.query.limit) || DEFAULTS.PAGINATION_LIMIT,
+        DEFAULTS.MAX_PAGINATION_LIMIT
+      );
+
+      const filter = {};
+      if (req.query.jobName) filter.jobName = req.query.jobName;
+      if (req.query.status) filter.status = req.query.status;
+
+      const [runs, total] = await Promise.all([
+        JobRun.find(filter)
+          .sort({ startedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate("triggeredBy", "name email")
+          .lean(),
+        JobRun.countDocuments(filter),
+      ]);
+
+      res.json({
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      });
+    } catch (err) {
+      console.error("Job Runs Error:", err);
+      res.status(500).json({ message: "Error fetching job runs" });
+    }
+  }
+);
+
+/**
+ * GET /admin/jobs/key-rotation
+ * Progress of re-encrypting chat data with the active encryption key,
+ * plus earlier rotations
+ */
+router.get(
+  "/key-rotation",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("jobs.view"),
+  async (req, res) => {
+    try {
+      const rotations = await KeyRotation.find().sort({ startedAt: -1 }).limit(10);
+      const current = rotations.find((r) => r.targetKeyId === activeKeyId) || null;
+
+      res.json({
+        activeKeyId,
+        current: current && { ...current.toObject(), progress: current.getProgress() },
+        history: rotations
+          .filter((r) => r !== current)
+          .map((r) => ({ ...r.toObject(), progress: r.getProgress() })),
+      });
+    } catch (err) {
+      console.error("Key Rotation Status Error:", err);
+      res.status(500).json({ message: "Error fetching key rotation status" });
+    }
+  }
+);
+
+/**
+ * POST /admin/jobs/:name/run
+ * Run a job immediately, regardless of schedule or leadership
+ */
+router.post(
+  "/:name/run",
+  verifyToken,
+  authorize(["admin", "super_admin"]),
+  requirePermission("jobs.run"),
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+
+      if (!scheduler.hasJob(name)) {
+        return res.status(404).json({ message: "Job not found" });
+      }
+
+      const run = await scheduler.runJob(name, {
+        trigger: "manual",
+        triggeredBy: req.user.userId,
+      });
+
+      if (!run) {
+        return res.status(409).json({ message: "Job is already running" });
+      }
+
+      await logAdminActivity(req.user.userId, "JOB_TRIGGER", {
+        targetType: "job",
+        targetId: run._id,
+        metadata: { jobName: name, status: run.status },
+        ipAddress: getClientIp(req),
+      });
+
+      res.json({ message: "Job run completed", run });
+    } catch (err) {
+      console.error("Trigger Job Error:", err);
+      res.status(500).json({ message: "Error running job" });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const { verifyToken, authorize } = require("../middleware/Auth");
-const Razorpay = require("razorpay");
+const { requireTwoFactor } = require("../middleware/TwoFactor");
 const mongoose = require("mongoose");
 const AdminWithdrawSchema = require("../models/WithdrawReportsAdmin");
 const router = express.Router();
@@ -11,7 +11,6 @@ const Project = require("../models/Project");
 const IdempotencyKey = require("../models/IdempotencyKey");
 const Agreement = require("../models/Agreement");
 const Wallet = require("../models/Wallet");
-const axios = require("axios");
 const sendEmail = require("../utils/sendEmail");
 const crypto = require("crypto");
 const Activity = require("../models/ActionSchema");
@@ -19,6 +18,22 @@ const fs = require("fs");
 const path = require("path");
 const Ongoing = require("../models/OnGoingProject.Schema");
 const walletHelper = require("../utils/walletHelper");
+const { fundProjectEscrow } = require("../services/payments");
+const { handleRazorpayWebhook } = require("../services/razorpayWebhooks");
+const { gateway } = require("../services/paymentGateway");
+const { startPayout } = require("../services/payouts");
+const {
+  addPayoutMethod,
+  listPayoutMethods,
+  setPrimaryPayoutMethod,
+  removePayoutMethod,
+  getMethodForWithdrawal,
+  toPayoutMethodView,
+} = require("../services/payoutMethods");
+const User = require("../models/User");
+const { issueOtp, verifyOtp } = require("../services/otp");
+const { getClientIp } = require("../utils/helpers");
+const { OTP_PURPOSES, PAYOUT_SETTINGS } = require("../config/constants");
 
 // ============================================================================
 // UTILITY FUNCTIONS
@@ -53,25 +68,6 @@ const createRequestHash = (body) => {
     .digest("hex");
 };
 
-/**
- * Timing-safe comparison for signature verification
- */
-const timingSafeCompare = (a, b) => {
-  if (a.length !== b.length) {
-    return false;
-  }
-  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
-};
-
-// ============================================================================
-// RAZORPAY CONFIGURATION
-// ============================================================================
-
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
-
 // ============================================================================
 // EMAIL TEMPLATES
 // ============================================================================
@@ -235,7 +231,7 @@ router.post(
 
       // ================ CREATE RAZORPAY ORDER ================
       
-      const order = await razorpay.orders.create({
+      const order = await gateway.createOrder({
         amount: amount,
         currency: currency.toUpperCase(),
         notes: {
@@ -334,21 +330,22 @@ router.post(
 
       // ================ SIGNATURE VERIFICATION ================
       
-      const generatedSignature = crypto
-        .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-        .update(`${razorpay_order_id}|${razorpay_payment_id}`)
-        .digest("hex");
+      const signatureValid = gateway.verifyPaymentSignature({
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        signature: razorpay_signature,
+      });
 
-      // Use timing-safe comparison to prevent timing attacks
-      if (!timingSafeCompare(generatedSignature, razorpay_signature)) {
+      if (!signatureValid) {
         await logActivity(clientId, `Invalid payment signature attempt for order ${razorpay_order_id}`);
         return res.status(400).json({ message: "Invalid payment signature" });
       }
 
       // ================ FETCH AND VALIDATE RECORDS ================
       
+      // The webhook may already have completed it (transactionId is then the payment id)
       const payment = await Payment.findOne({
-        transactionId: razorpay_order_id,
+        transactionId: { $in: [razorpay_order_id, razorpay_payment_id] },
         userId: clientId,
       });
 
@@ -356,6 +353,14 @@ router.post(
         return res.status(404).json({ message: "Payment order not found" });
       }
 
+      if (payment.status === "completed" && payment.transactionId === razorpay_payment_id) {
+        const escrow = await Escrow.findOne({ projectId: payment.projectId, clientId }).select("_id");
+        return res.json({
+          message: "Payment captured and funds held in escrow",
+          escrowId: escrow?._id,
+        });
+      }
+
       // Check if payment already processed
       if (payment.status === "completed") {
         return res.status(409).json({
@@ -372,46 +377,33 @@ router.post(
         return res.status(404).json({ message: "Project not found or unauthorized" });
       }
 
-      // ================ VERIFY PAYMENT STATUS WITH RAZORPAY ================
+      // ================ VERIFY PAYMENT STATUS WITH GATEWAY ================
       
-      const paymentStatus = await axios.get(
-        `https://api.razorpay.com/v1/payments/${razorpay_payment_id}`,
-        {
-          auth: {
-            username: process.env.RAZORPAY_KEY_ID,
-            password: process.env.RAZORPAY_KEY_SECRET,
-          },
-        }
-      );
+      const paymentStatus = await gateway.fetchPayment(razorpay_payment_id);
 
       // Verify payment belongs to this order
-      if (paymentStatus.data.order_id !== razorpay_order_id) {
+      if (paymentStatus.orderId !== razorpay_order_id) {
         return res.status(400).json({ message: "Payment order mismatch" });
       }
 
-      let isCaptured = paymentStatus.data.status === "captured";
+      let isCaptured = paymentStatus.status === "captured";
 
-      if (!isCaptured && paymentStatus.data.status === "authorized") {
+      if (!isCaptured && paymentStatus.status === "authorized") {
         // Capture the payment
-        const captureResponse = await axios.post(
-          `https://api.razorpay.com/v1/payments/${razorpay_payment_id}/capture`,
-          { amount: payment.amount * 100, currency: "INR" },
-          {
-            auth: {
-              username: process.env.RAZORPAY_KEY_ID,
-              password: process.env.RAZORPAY_KEY_SECRET,
-            },
-          }
+        const captureResponse = await gateway.capturePayment(
+          razorpay_payment_id,
+          Math.round(payment.amount * 100),
+          "INR"
         );
 
-        if (captureResponse.data.status !== "captured") {
+        if (captureResponse.status !== "captured") {
           return res.status(400).json({ message: "Payment capture failed" });
         }
 
         isCaptured = true;
       } else if (!isCaptured) {
         return res.status(400).json({
-          message: `Payment cannot be processed. Status: ${paymentStatus.data.status}`,
+          message: `Payment cannot be processed. Status: ${paymentStatus.status}`,
         });
       }
 
@@ -419,70 +411,7 @@ router.post(
       
       session.startTransaction();
 
-      // Calculate commission and freelancer amount
-      const commission = payment.amount - project.budget;
-      const freelancerAmount = payment.amount - commission;
-
-      // Update payment status atomically
-      const updatedPayment = await Payment.findOneAndUpdate(
-        {
-          _id: payment._id,
-          status: "pending", // Only update if still pending
-        },
-        {
-          status: "completed",
-          transactionId: razorpay_payment_id,
-        },
-        { session, new: true }
-      );
-
-      if (!updatedPayment) {
-        await session.abortTransaction();
-        return res.status(409).json({
-          message: "Payment already processed by another request",
-        });
-      }
-
-      // Check for existing escrow (prevent duplicates)
-      const existingEscrow = await Escrow.findOne({
-        projectId: project_id,
-        clientId: clientId,
-      }).session(session);
-
-      if (existingEscrow) {
-        await session.abortTransaction();
-        return res.status(409).json({
-          message: "Escrow already exists for this project",
-        });
-      }
-
-      // Create escrow record (status tracker for the project fund lock)
-      const escrow = new Escrow({
-        projectId: project_id,
-        clientId: clientId,
-        freelancerId: null,
-        amount: freelancerAmount,
-        status: "funded",
-      });
-      await escrow.save({ session });
-
-      // ── GLOBAL WALLET: credit client balance then lock into escrow ──
-      await walletHelper.creditWallet(
-        clientId,
-        freelancerAmount,
-        `Payment captured for project: ${project.title}`,
-        project._id,
-        "Project",
-        session
-      );
-      await walletHelper.holdEscrow(
-        clientId,
-        freelancerAmount,
-        escrow._id,
-        project._id,
-        `Escrow funded for project: ${project.title}`,
-        session
-      );
+      const { escrow } = await fundProjectEscrow(payment, project, razorpay_payment_id, session);
 
       await session.commitTransaction();
 
@@ -496,7 +425,8 @@ router.post(
         escrowId: escrow._id,
       });
     } catch (err) {
-      await session.abortTransaction();
+      if (session.inTransaction()) await session.abortTransaction();
+      if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
       console.error("Error verifying payment:", err);
       return res.status(500).json({
         message: "Error verifying payment",
@@ -577,13 +507,10 @@ router.delete(
         });
       }
 
-      // Process refund with Razorpay
-      const refundResponse = await razorpay.payments.refund(
-        paymentRecord.transactionId,
-        {
-          amount: escrow.amount * 100,
-        }
-      );
+      // Process refund through the payment gateway
+      const refundResponse = await gateway.refund(paymentRecord.transactionId, {
+        amount: Math.round(escrow.amount * 100),
+      });
 
       // Update payment status
       await Payment.findByIdAndUpdate(
@@ -850,11 +777,10 @@ router.post(
         }).session(session);
 
         if (paymentRecord) {
-          // Razorpay refund for the excess amount
-          await razorpay.payments.refund(
-            paymentRecord.transactionId,
-            { amount: remainingAmount * 100 }
-          );
+          // Gateway refund for the excess amount
+          await gateway.refund(paymentRecord.transactionId, {
+            amount: Math.round(remainingAmount * 100),
+          });
 
           // Return excess escrow to client wallet balance
           await walletHelper.refundEscrow(
@@ -993,25 +919,73 @@ router.post(
   }
 );
 
+/**
+ * POST /freelancer/withdraw/otp
+ * Email a one-time code to confirm the next withdrawal
+ */
+router.post(
+  "/freelancer/withdraw/otp",
+  verifyToken,
+  authorize(["freelancer"]),
+  async (req, res) => {
+    try {
+      const freelancer = await User.findById(req.user.userId).select("email");
+      if (!freelancer) {
+        return res.status(404).json({ message: "User not found." });
+      }
+
+      const otpCode = await issueOtp({
+        email: freelancer.email,
+        purpose: OTP_PURPOSES.WITHDRAWAL,
+        ip: getClientIp(req),
+      });
+
+      await sendEmail(
+        freelancer.email,
+        "Confirm your withdrawal - FreelancerHub",
+        `<div style="font-family: Arial, sans-serif; max-width: 500px; margin: auto; padding: 20px; border: 1px solid #ddd; border-radius: 10px; text-align: center; background-color: #f9f9f9;">
+          <h2 style="color: #333;">Withdrawal Confirmation</h2>
+          <p style="font-size: 16px;">Your withdrawal code is:</p>
+          <h1 style="color: #4CAF50; margin: 10px 0;">${otpCode}</h1>
+          <p style="font-size: 14px; color: #555;">This code is valid for 10 minutes. If you did not start a withdrawal, change your password now.</p>
+        </div>`
+      );
+
+      res.status(200).json({ message: "Withdrawal code sent to your email." });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Withdraw OTP Error:", error);
+      res.status(500).json({ message: "Error sending withdrawal code." });
+    }
+  }
+);
+
 /**
  * POST /freelancer/withdraw/balance
- * Request withdrawal of freelancer earnings
+ * Request withdrawal of freelancer earnings to a saved payout method
+ * Body: { amount, payoutMethodId } — without payoutMethodId the primary method is used
+ * Requires a 2FA code (`totp_code`) and the emailed withdrawal code (`email_otp`),
+ * since it sends money out of the platform
  */
 router.post(
   "/freelancer/withdraw/balance",
   verifyToken,
   authorize(["freelancer"]),
+  requireTwoFactor,
   async (req, res) => {
     const session = await mongoose.startSession();
+    const freelancerId = req.user.userId;
+    const { payoutMethodId, amount, email_otp } = req.body;
+    let payoutMethod;
+    let adminWithdraw;
 
     try {
-      const freelancerId = req.user.userId;
-      const { accountNumber, accountName, ifscCode, amount } = req.body;
-
       // ================ INPUT VALIDATION ================
-      
-      if (!accountNumber || !accountName || !ifscCode || !amount) {
-        return res.status(400).json({ message: "All fields are required." });
+
+      if (!amount) {
+        return res.status(400).json({ message: "Amount is required." });
       }
 
       // Validate amount
@@ -1019,18 +993,32 @@ router.post(
         return res.status(400).json({ message: "Minimum withdrawal is ₹500." });
       }
 
-      // Validate account number (basic check)
-      if (!/^\d{9,18}$/.test(accountNumber)) {
-        return res.status(400).json({ message: "Invalid account number format." });
+      // Saved method (primary if no id), past its cool-off period
+      try {
+        payoutMethod = await getMethodForWithdrawal(freelancerId, payoutMethodId);
+      } catch (methodError) {
+        if (!methodError.statusCode) throw methodError;
+        return res
+          .status(methodError.statusCode)
+          .json({ message: methodError.message, usableFrom: methodError.usableFrom });
       }
 
-      // Validate IFSC code
-      if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifscCode.toUpperCase())) {
-        return res.status(400).json({ message: "Invalid IFSC code format." });
+      if (!email_otp) {
+        return res.status(400).json({ message: "Withdrawal code is required.", requiresEmailOtp: true });
       }
 
-      // Sanitize account name
-      const sanitizedAccountName = accountName.trim().substring(0, 100);
+      const freelancer = await User.findById(freelancerId).select("email");
+      try {
+        await verifyOtp({
+          email: freelancer.email,
+          purpose: OTP_PURPOSES.WITHDRAWAL,
+          code: email_otp,
+          ip: getClientIp(req),
+        });
+      } catch (otpError) {
+        if (!otpError.statusCode) throw otpError;
+        return res.status(otpError.statusCode).json({ message: otpError.message, requiresEmailOtp: true });
+      }
 
       session.startTransaction();
 
@@ -1048,7 +1036,7 @@ router.post(
       }
 
       // Create admin withdrawal request record first (get its ID for the WalletTransaction reference)
-      const adminWithdraw = await AdminWithdrawSchema.create(
+      adminWithdraw = await AdminWithdrawSchema.create(
         [
           {
             freelancerId,
@@ -1056,10 +1044,11 @@ router.post(
             amount: amount,
             status: "pending",
             description: `Withdrawal request for ₹${amount}`,
-            bankDetails: {
-              accountNumber,
-              accountName: sanitizedAccountName,
-              ifscCode: ifscCode.toUpperCase(),
+            payoutMethodId: payoutMethod._id,
+            destination: {
+              type: payoutMethod.type,
+              label: payoutMethod.getLabel(),
+              accountName: payoutMethod.display.accountName,
             },
           },
         ],
@@ -1077,18 +1066,8 @@ router.post(
       );
 
       await session.commitTransaction();
-
-      await logActivity(
-        freelancerId,
-        `Withdrawal request submitted for ₹${amount}`
-      );
-
-      return res.status(200).json({
-        message: `Withdrawal of ₹${amount} initiated successfully.`,
-        withdrawalId: adminWithdraw[0]._id,
-      });
     } catch (error) {
-      await session.abortTransaction();
+      if (session.inTransaction()) await session.abortTransaction();
       console.error("Withdraw Error:", error);
 
       // Pass through validation errors from walletHelper cleanly
@@ -1100,7 +1079,217 @@ router.post(
     } finally {
       session.endSession();
     }
+
+    // ── The money is held from here on; nothing below may fail the request ──
+    let withdrawal = adminWithdraw[0];
+    try {
+      payoutMethod.lastUsedAt = new Date();
+      await payoutMethod.save();
+
+      await logActivity(
+        freelancerId,
+        `Withdrawal request submitted for ₹${amount} to ${payoutMethod.getLabel()}`
+      );
+
+      // ── PAYOUT: small withdrawals go straight to the gateway, larger ones wait for an admin ──
+      if (amount <= PAYOUT_SETTINGS.AUTO_PAYOUT_LIMIT) {
+        withdrawal = await startPayout(withdrawal._id);
+      }
+    } catch (payoutError) {
+      // payout-sync or an admin picks it up from here
+      console.error("Automatic payout error:", payoutError);
+      withdrawal = (await AdminWithdrawSchema.findById(withdrawal._id).catch(() => null)) || withdrawal;
+    }
+
+    const messages = {
+      pending: `Withdrawal of ₹${amount} submitted for review.`,
+      processing: `Withdrawal of ₹${amount} initiated; the payout is in progress.`,
+      approved: `Withdrawal of ₹${amount} paid out.`,
+      failed: `Withdrawal of ₹${amount} could not be paid out; the amount was returned to your wallet.`,
+    };
+    return res.status(200).json({
+      message: messages[withdrawal.status] || `Withdrawal of ₹${amount} is ${withdrawal.status}.`,
+      withdrawalId: withdrawal._id,
+      status: withdrawal.status,
+      payoutStatus: withdrawal.payout?.status || null,
+    });
+  }
+);
+
+// ============================================================================
+// PAYOUT METHODS (saved bank accounts / UPI ids for withdrawals)
+// ============================================================================
+
+/**
+ * GET /freelancer/payout-methods
+ * List saved payout methods, masked, primary first
+ */
+router.get(
+  "/freelancer/payout-methods",
+  verifyToken,
+  authorize(["freelancer"]),
+  async (req, res) => {
+    try {
+      const methods = await listPayoutMethods(req.user.userId);
+      res.json({ payoutMethods: methods.map(toPayoutMethodView) });
+    } catch (error) {
+      console.error("List Payout Methods Error:", error);
+      res.status(500).json({ message: "Error fetching payout methods." });
+    }
   }
 );
 
+/**
+ * POST /freelancer/payout-methods
+ * Save a bank account or UPI ID. Requires a 2FA code (`totp_code`).
+ * Body: { type: "bank_account", accountName, accountNumber, ifscCode }
+ *    or { type: "vpa", accountName, vpa }; optional isPrimary
+ * The method can receive withdrawals only after a cool-off period, and the
+ * freelancer is emailed about it.
+ */
+router.post(
+  "/freelancer/payout-methods",
+  verifyToken,
+  authorize(["freelancer"]),
+  requireTwoFactor,
+  async (req, res) => {
+    try {
+      const { type, accountName, accountNumber, ifscCode, vpa, isPrimary } = req.body;
+      const method = await addPayoutMethod(
+        req.user.userId,
+        { type, accountName, accountNumber, ifscCode, vpa, isPrimary },
+        req
+      );
+      res.status(201).json({
+        message: `Payout method saved. It can be used for withdrawals from ${method.usableFrom.toUTCString()}.`,
+        payoutMethod: toPayoutMethodView(method),
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Add Payout Method Error:", error);
+      res.status(500).json({ message: "Error saving payout method." });
+    }
+  }
+);
+
+/**
+ * PATCH /freelancer/payout-methods/:id/primary
+ * Make a method the default for withdrawals
+ */
+router.patch(
+  "/freelancer/payout-methods/:id/primary",
+  verifyToken,
+  authorize(["freelancer"]),
+  async (req, res) => {
+    try {
+      const method = await setPrimaryPayoutMethod(req.user.userId, req.params.id);
+      res.json({ message: "Primary payout method updated.", payoutMethod: toPayoutMethodView(method) });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Set Primary Payout Method Error:", error);
+      res.status(500).json({ message: "Error updating payout method." });
+    }
+  }
+);
+
+/**
+ * DELETE /freelancer/payout-methods/:id
+ * Remove a saved method; withdrawals already sent to it are unaffected
+ */
+router.delete(
+  "/freelancer/payout-methods/:id",
+  verifyToken,
+  authorize(["freelancer"]),
+  async (req, res) => {
+    try {
+      await removePayoutMethod(req.user.userId, req.params.id);
+      res.json({ message: "Payout method removed." });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error("Remove Payout Method Error:", error);
+      res.status(500).json({ message: "Error removing payout method." });
+    }
+  }
+);
+
+// ============================================================================
+// GATEWAY WEBHOOKS (no user auth — authenticated by signature)
+// ============================================================================
+
+/**
+ * POST /webhooks/razorpay
+ * Razorpay event delivery. Requires X-Razorpay-Signature; events are
+ * deduplicated by X-Razorpay-Event-Id. Non-2xx responses make Razorpay retry.
+ * Replay locally with: node scripts/replayRazorpayWebhook.js <event>
+ */
+router.post("/webhooks/razorpay", async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({ message: "Expected a JSON body" });
+    }
+
+    const outcome = await handleRazorpayWebhook({
+      rawBody: req.rawBody,
+      body: req.body,
+      signature: req.headers["x-razorpay-signature"],
+      eventId: req.headers["x-razorpay-event-id"],
+    });
+
+    res.json(outcome);
+  } catch (err) {
+    if (err.statusCode && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error("Razorpay webhook error:", err);
+    res.status(500).json({ message: "Error processing webhook" });
+  }
+});
+
+// ============================================================================
+// MOCK GATEWAY CHECKOUT (PAYMENT_GATEWAY=mock only)
+// ============================================================================
+
+if (gateway.name === "mock") {
+  /**
+   * POST /mock-gateway/orders/:orderId/pay
+   * Stand-in for the Razorpay checkout widget during local development.
+   * Body: { outcome?: "captured" | "authorized" | "failed" }
+   * Returns the fields the frontend then posts to /verify-payment.
+   */
+  router.post(
+    "/mock-gateway/orders/:orderId/pay",
+    verifyToken,
+    authorize(["client"]),
+    async (req, res) => {
+      try {
+        const payment = await Payment.findOne({
+          transactionId: req.params.orderId,
+          userId: req.user.userId,
+        });
+        if (!payment) return res.status(404).json({ message: "Payment order not found" });
+
+        const outcome = req.body.outcome || "captured";
+        if (!["captured", "authorized", "failed"].includes(outcome)) {
+          return res.status(400).json({ message: "outcome must be captured, authorized or failed" });
+        }
+
+        const { checkout, payment: gatewayPayment, webhooks } = await gateway.simulatePayment(
+          req.params.orderId,
+          { outcome }
+        );
+        res.json({ ...checkout, status: gatewayPayment.status, webhooks });
+      } catch (err) {
+        console.error("Mock checkout error:", err);
+        res.status(400).json({ message: err.message });
+      }
+    }
+  );
+}
+
 module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const mongoose = require("mongoose");
 const { verifyToken, authorize } = require("../middleware/Auth");
+const { requirePermission } = require("../middleware/Permissions");
 const SkillVerification = require("../models/SkillVerification");
 const SkillQuestion = require("../models/SkillQuestion");
 const User = require("../models/User");
@@ -905,6 +906,7 @@ router.post(
   "/admin/:id/verify",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("skills.verify"),
   async (req, res) => {
     try {
       const adminId = req.user.userId;
@@ -1141,6 +1143,7 @@ router.post(
   "/admin/questions",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("skills.manage"),
   async (req, res) => {
     try {
       const { questions } = req.body;
@@ -1171,6 +1174,7 @@ router.get(
   "/admin/questions/:skillName",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("skills.manage"),
   async (req, res) => {
     try {
       const { skillName } = req.params;
@@ -1198,6 +1202,7 @@ router.delete(
   "/admin/questions/:id",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("skills.manage"),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1231,6 +1236,7 @@ router.delete(
   "/admin/questions/skill/:skillName",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("skills.manage"),
   async (req, res) => {
     try {
       const { skillName } = req.params;
@@ -1258,6 +1264,7 @@ router.get(
   "/admin/challenges",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("skills.verify"),
   async (req, res) => {
     try {
       const skills = await SkillQuestion.aggregate([
@@ -1296,6 +1303,7 @@ router.get(
   "/admin/pending",
   verifyToken,
   authorize(["admin", "super_admin"]),
+  requirePermission("skills.verify"),
   async (req, res) => {
     try {
       const pending = await SkillVerification.find({ status: "pending" })
@@ -0,0 +1,345 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const PasswordReset = require("../models/PasswordReset");
+const EmailChange = require("../models/EmailChange");
+const sendEmail = require("../utils/sendEmail");
+const { logActivity, getClientIp } = require("../utils/helpers");
+const { isValidEmail } = require("../utils/validators");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { consumeEmailTicket } = require("./otp");
+const { ACCOUNT_RECOVERY, OTP_PURPOSES } = require("../config/constants");
+
+// ============================================================================
+// ACCOUNT RECOVERY
+// Forgot-password and email-change flows for clients and freelancers.
+// Links carry a random token; only its sha256 is stored, and every token
+// is consumed with a conditional update so it works exactly once.
+// ============================================================================
+
+const newToken = () => crypto.randomBytes(32).toString("base64url");
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const isValidToken = (token) => typeof token === "string" && /^[A-Za-z0-9_-]{43}$/.test(token);
+
+// Same rule as signup
+const isValidUserPassword = (password) =>
+  typeof password === "string" && password.length >= 8 && /[a-zA-Z]/.test(password) && /[0-9]/.test(password);
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const emailLayout = (title, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+    <div style="text-align: center; padding: 20px; background: linear-gradient(135deg, #7c3aed, #4f46e5); border-radius: 12px 12px 0 0;">
+      <h1 style="color: white; margin: 0;">${title}</h1>
+    </div>
+    <div style="padding: 30px; background: #f8fafc; border: 1px solid #e2e8f0; border-top: none; border-radius: 0 0 12px 12px;">
+      ${body}
+    </div>
+  </div>
+`;
+
+const linkButton = (url, label) =>
+  `<p style="text-align: center; margin: 24px 0;"><a href="${url}" style="background: #4f46e5; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none;">${label}</a></p>`;
+
+// Emails go out in the background so response time does not reveal whether an account exists
+const sendInBackground = (to, subject, html) => {
+  sendEmail(to, subject, html).catch((err) => {
+    console.error(`Account email "${subject}" failed:`, err.message);
+  });
+};
+
+// ============================================================================
+// FORGOT PASSWORD
+// ============================================================================
+
+/**
+ * Email a reset link if the address belongs to a user.
+ * Always resolves the same way so callers cannot probe for accounts.
+ */
+const requestPasswordReset = async (email, req) => {
+  if (!isValidEmail(email)) {
+    throw ErrorTypes.BadRequest("Valid email is required");
+  }
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() }).select("_id email username");
+  if (!user) return;
+
+  const recent = await PasswordReset.exists({
+    userId: user._id,
+    createdAt: { $gt: new Date(Date.now() - ACCOUNT_RECOVERY.REQUEST_COOLDOWN_MS) },
+  });
+  if (recent) return;
+
+  // Only the newest link works
+  await PasswordReset.deleteMany({ userId: user._id, usedAt: null });
+
+  const token = newToken();
+  await PasswordReset.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ACCOUNT_RECOVERY.RESET_TOKEN_TTL_MS),
+    requestedIp: getClientIp(req),
+  });
+
+  await logActivity(user._id, "Requested a password reset");
+
+  const minutes = Math.round(ACCOUNT_RECOVERY.RESET_TOKEN_TTL_MS / 60000);
+  sendInBackground(
+    user.email,
+    "Reset your password - FreelancerHub",
+    emailLayout(
+      "Reset Your Password",
+      `<p style="color: #475569;">Hi ${escapeHtml(user.username)}, we received a request to reset your password.</p>
+      ${linkButton(`${ACCOUNT_RECOVERY.FRONTEND_URL}/reset-password?token=${token}`, "Choose a new password")}
+      <p style="color: #475569;">This link works once and expires in ${minutes} minutes.</p>
+      <p style="color: #94a3b8; font-size: 12px;">If you did not ask for this, you can ignore this email; your password stays the same.</p>`
+    )
+  );
+};
+
+/**
+ * Save the new password, sign the user out everywhere and tell them
+ */
+const applyNewPassword = async (user, newPassword, via) => {
+  user.password = newPassword;
+  await user.save();
+
+  // Whoever had the old password may have had a session or started an email change
+  await Promise.all([
+    Session.revokeAllForUser(user._id, "password_reset"),
+    PasswordReset.deleteMany({ userId: user._id, usedAt: null }),
+    EmailChange.updateMany({ userId: user._id, status: "pending" }, { $set: { status: "cancelled" } }),
+  ]);
+
+  await logActivity(user._id, `Reset password via ${via}`);
+
+  sendInBackground(
+    user.email,
+    "Your password was changed - FreelancerHub",
+    emailLayout(
+      "Password Changed",
+      `<p style="color: #475569;">Your FreelancerHub password was just reset and all devices were signed out.</p>
+      <p style="color: #ef4444; font-weight: bold;">If this wasn't you, reset your password again and contact support.</p>`
+    )
+  );
+};
+
+/**
+ * Set a new password with a reset token, then sign the user out everywhere
+ * @throws {ApiError} 400 when the token is invalid, used or expired
+ */
+const resetPassword = async (token, newPassword, req) => {
+  if (!isValidToken(token)) {
+    throw ErrorTypes.BadRequest("Reset link is invalid or has expired");
+  }
+  if (!isValidUserPassword(newPassword)) {
+    throw ErrorTypes.BadRequest("Password must be at least 8 characters with letters and numbers");
+  }
+
+  const reset = await PasswordReset.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date(), usedIp: getClientIp(req) } },
+    { new: true }
+  );
+  if (!reset) {
+    throw ErrorTypes.BadRequest("Reset link is invalid or has expired");
+  }
+
+  const user = await User.findById(reset.userId);
+  if (!user) {
+    throw ErrorTypes.BadRequest("Reset link is invalid or has expired");
+  }
+
+  await applyNewPassword(user, newPassword, "email link");
+};
+
+/**
+ * Same as resetPassword(), with the ticket from a password_reset OTP instead of a link
+ */
+const resetPasswordWithTicket = async (ticket, newPassword) => {
+  if (!isValidUserPassword(newPassword)) {
+    throw ErrorTypes.BadRequest("Password must be at least 8 characters with letters and numbers");
+  }
+
+  const email = await consumeEmailTicket(ticket, OTP_PURPOSES.PASSWORD_RESET);
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw ErrorTypes.BadRequest("Email verification is not valid for this action.");
+  }
+
+  await applyNewPassword(user, newPassword, "email OTP");
+};
+
+// ============================================================================
+// EMAIL CHANGE
+// ============================================================================
+
+/**
+ * Start an email change: mail a confirmation link to both addresses
+ * @returns {Promise<object>} - EmailChange document
+ */
+const requestEmailChange = async (userId, { newEmail, password }, req) => {
+  if (!isValidEmail(newEmail)) {
+    throw ErrorTypes.BadRequest("Valid email is required");
+  }
+  if (typeof password !== "string" || !password) {
+    throw ErrorTypes.BadRequest("Current password is required");
+  }
+
+  const normalizedEmail = newEmail.toLowerCase().trim();
+  const user = await User.findById(userId);
+  if (!user) {
+    throw ErrorTypes.NotFound("User not found");
+  }
+
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    throw ErrorTypes.Unauthorized("Invalid password");
+  }
+
+  if (normalizedEmail === user.email) {
+    throw ErrorTypes.BadRequest("That is already your email");
+  }
+  if (await User.exists({ email: normalizedEmail })) {
+    throw ErrorTypes.Conflict("Email is already in use");
+  }
+
+  const recent = await EmailChange.exists({
+    userId: user._id,
+    createdAt: { $gt: new Date(Date.now() - ACCOUNT_RECOVERY.REQUEST_COOLDOWN_MS) },
+  });
+  if (recent) {
+    throw ErrorTypes.TooManyRequests("Please wait a minute before requesting another change");
+  }
+
+  // A new request replaces any pending one
+  await EmailChange.updateMany({ userId: user._id, status: "pending" }, { $set: { status: "cancelled" } });
+
+  const oldToken = newToken();
+  const newAddressToken = newToken();
+  const change = await EmailChange.create({
+    userId: user._id,
+    oldEmail: user.email,
+    newEmail: normalizedEmail,
+    oldAddressTokenHash: hashToken(oldToken),
+    newAddressTokenHash: hashToken(newAddressToken),
+    expiresAt: new Date(Date.now() + ACCOUNT_RECOVERY.EMAIL_CHANGE_TTL_MS),
+    requestedIp: getClientIp(req),
+  });
+
+  await logActivity(user._id, `Requested email change to ${normalizedEmail}`);
+
+  const confirmUrl = (token) => `${ACCOUNT_RECOVERY.FRONTEND_URL}/confirm-email-change?token=${token}`;
+  sendInBackground(
+    user.email,
+    "Confirm your email change - FreelancerHub",
+    emailLayout(
+      "Email Change Requested",
+      `<p style="color: #475569;">Someone signed in to your account asked to change its email to <b>${escapeHtml(normalizedEmail)}</b>.</p>
+      ${linkButton(confirmUrl(oldToken), "Yes, this was me")}
+      <p style="color: #475569;">The change only happens once this address and the new one both confirm.</p>
+      <p style="color: #ef4444; font-weight: bold;">If this wasn't you, do not click the link and change your password.</p>`
+    )
+  );
+  sendInBackground(
+    normalizedEmail,
+    "Confirm your new email - FreelancerHub",
+    emailLayout(
+      "Confirm Your New Email",
+      `<p style="color: #475569;">Confirm that this address should be used for your FreelancerHub account (${escapeHtml(user.username)}).</p>
+      ${linkButton(confirmUrl(newAddressToken), "Confirm new email")}`
+    )
+  );
+
+  return change;
+};
+
+/**
+ * Confirm one side of an email change; applies the change once both sides confirm
+ * @returns {Promise<{status: string, waitingFor: string|null}>}
+ * @throws {ApiError} 400 when the link is invalid or expired, 409 if the address was taken meanwhile
+ */
+const confirmEmailChange = async (token) => {
+  if (!isValidToken(token)) {
+    throw ErrorTypes.BadRequest("Confirmation link is invalid or has expired");
+  }
+
+  const tokenHash = hashToken(token);
+  const pending = { status: "pending", expiresAt: { $gt: new Date() } };
+
+  let change = await EmailChange.findOne({
+    ...pending,
+    $or: [{ oldAddressTokenHash: tokenHash }, { newAddressTokenHash: tokenHash }],
+  });
+  if (!change) {
+    throw ErrorTypes.BadRequest("Confirmation link is invalid or has expired");
+  }
+
+  const side = change.oldAddressTokenHash === tokenHash ? "oldConfirmedAt" : "newConfirmedAt";
+  if (!change[side]) {
+    change = await EmailChange.findOneAndUpdate(
+      { _id: change._id, ...pending, [side]: null },
+      { $set: { [side]: new Date() } },
+      { new: true }
+    );
+    if (!change) {
+      throw ErrorTypes.BadRequest("Confirmation link is invalid or has expired");
+    }
+  }
+
+  if (!change.isFullyConfirmed()) {
+    return {
+      status: "pending",
+      waitingFor: change.oldConfirmedAt ? "new_address" : "current_address",
+    };
+  }
+
+  // Both confirmed; claim the request so only one confirmation applies it
+  const claimed = await EmailChange.findOneAndUpdate(
+    { _id: change._id, status: "pending" },
+    { $set: { status: "completed", completedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { status: "completed", waitingFor: null };
+  }
+
+  try {
+    const { modifiedCount } = await User.updateOne(
+      { _id: change.userId, email: change.oldEmail },
+      { $set: { email: change.newEmail } }
+    );
+    if (!modifiedCount) {
+      throw ErrorTypes.Conflict("Your email changed since this request was made");
+    }
+  } catch (err) {
+    await EmailChange.updateOne({ _id: change._id }, { $set: { status: "failed" } });
+    if (err.code === 11000) throw ErrorTypes.Conflict("Email is already in use");
+    throw err;
+  }
+
+  await logActivity(change.userId, `Changed email from ${change.oldEmail} to ${change.newEmail}`);
+
+  sendInBackground(
+    change.oldEmail,
+    "Your email was changed - FreelancerHub",
+    emailLayout(
+      "Email Changed",
+      `<p style="color: #475569;">Your FreelancerHub account now uses <b>${escapeHtml(change.newEmail)}</b>. This address will no longer receive account emails.</p>
+      <p style="color: #ef4444; font-weight: bold;">If this wasn't you, contact support immediately.</p>`
+    )
+  );
+
+  return { status: "completed", waitingFor: null };
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  resetPasswordWithTicket,
+  requestEmailChange,
+  confirmEmailChange,
+};
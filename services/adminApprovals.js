@@ -0,0 +1,520 @@
+const mongoose = require("mongoose");
+const speakeasy = require("speakeasy");
+const Admin = require("../models/Admin");
+const AdminApproval = require("../models/AdminApproval");
+const AdminActivityLog = require("../models/AdminActivityLog");
+const SiteSettings = require("../models/SiteSettings");
+const Escrow = require("../models/Escrow");
+const Project = require("../models/Project");
+const Transaction = require("../models/Transaction");
+const Wallet = require("../models/Wallet");
+const walletHelper = require("../utils/walletHelper");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { APPROVAL_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// DUAL (FOUR-EYES) APPROVAL
+// Wallet adjustments, clawbacks, escrow releases/refunds and escrow amount
+// edits at or above SiteSettings.dualApprovalThreshold are stored as a pending
+// AdminApproval.
+// Another admin with the matching permission approves it with a fresh TOTP
+// code, and only then is the action executed. Below the threshold the same
+// executor runs straight away.
+// ============================================================================
+
+const logAdminActivity = async (adminId, action, opts = {}) => {
+  try {
+    await AdminActivityLog.create({
+      adminId,
+      action,
+      targetType: opts.targetType || null,
+      targetId: opts.targetId || null,
+      reason: opts.reason || "",
+      metadata: opts.metadata || {},
+      ipAddress: opts.ipAddress || "",
+    });
+  } catch (err) {
+    console.error("Error logging admin activity:", err);
+  }
+};
+
+/**
+ * Run `work(session)` in a transaction
+ */
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+// ============================================================================
+// EXECUTORS
+// Each takes the validated payload and the admin who requested it, re-checks
+// the current state (an approval may run days later), performs the movement
+// and writes the activity log entry.
+// ============================================================================
+
+const executors = {
+  async wallet_adjust({ userId, delta, reason }, adminId, ip) {
+    if (delta < 0) {
+      const wallet = await Wallet.findOne({ userId });
+      const available = wallet ? wallet.balance : 0;
+      if (available + delta < 0) {
+        throw ErrorTypes.BadRequest(
+          `Debit of ${Math.abs(delta)} would exceed available balance of ${available}`
+        );
+      }
+    }
+
+    const updatedWallet = await inTransaction((session) =>
+      walletHelper.adminAdjustWallet(userId, delta, adminId, `[ADMIN] ${reason}`, session)
+    );
+
+    await logAdminActivity(adminId, "WALLET_ADJUST", {
+      targetType: "user",
+      targetId: userId,
+      reason,
+      metadata: { delta, amount: Math.abs(delta), newBalance: updatedWallet.balance },
+      ipAddress: ip,
+    });
+
+    return {
+      message: `Wallet ${delta > 0 ? "credited" : "debited"} by ₹${Math.abs(delta)}`,
+      wallet: {
+        balance: updatedWallet.balance,
+        escrowBalance: updatedWallet.escrowBalance,
+      },
+    };
+  },
+
+  async payment_clawback({ projectId, amount, reason }, adminId, ip) {
+    const project = await Project.findById(projectId)
+      .populate("clientId", "username")
+      .populate("freelancerId", "username");
+    if (!project) throw ErrorTypes.NotFound("Project not found");
+    if (!project.freelancerId) throw ErrorTypes.BadRequest("No freelancer assigned to this project");
+
+    let wallets;
+    try {
+      wallets = await inTransaction((session) =>
+        walletHelper.adminClawback(
+          project.freelancerId._id,
+          project.clientId._id,
+          amount,
+          project._id,
+          adminId,
+          `Admin clawback – ${reason}`,
+          session
+        )
+      );
+    } catch (err) {
+      // walletHelper reports insufficient balance as a plain Error
+      if (err.statusCode) throw err;
+      throw ErrorTypes.BadRequest(err.message || "Error processing clawback");
+    }
+
+    await logAdminActivity(adminId, "PAYMENT_CLAWBACK", {
+      targetType: "project",
+      targetId: projectId,
+      reason,
+      metadata: {
+        amount,
+        freelancerId: project.freelancerId._id,
+        clientId: project.clientId._id,
+      },
+      ipAddress: ip,
+    });
+
+    return {
+      message: `₹${amount} clawed back from ${project.freelancerId.username} and returned to ${project.clientId.username}.`,
+      freelancerNewBalance: wallets.freelancerWallet.balance,
+      clientNewBalance: wallets.clientWallet.balance,
+    };
+  },
+
+  async escrow_release({ escrowId, amount, reason }, adminId, ip) {
+    const description = `[ADMIN RELEASE] ${reason || "Admin released escrow"}`;
+    let escrow;
+    try {
+      escrow = await inTransaction(async (session) => {
+        // The amount is pinned so an approval cannot release a different sum
+        const funded = await Escrow.findOneAndUpdate(
+          { _id: escrowId, status: "funded", ...(amount !== undefined && { amount }) },
+          { $set: { status: "released" } },
+          { new: true, session }
+        );
+        if (!funded) throw ErrorTypes.BadRequest("Escrow is not in a releasable state");
+
+        let freelancerId = funded.freelancerId;
+        if (!freelancerId) {
+          const project = await Project.findById(funded.projectId).select("freelancerId").session(session);
+          freelancerId = project && project.freelancerId;
+        }
+        if (!freelancerId) throw ErrorTypes.BadRequest("No freelancer assigned to this escrow");
+
+        await walletHelper.releaseEscrow(
+          funded.clientId,
+          freelancerId,
+          funded.amount,
+          funded._id,
+          funded.projectId,
+          description,
+          session
+        );
+        await Transaction.create(
+          [{ escrowId: funded._id, type: "release", amount: funded.amount, description, status: "completed" }],
+          { session }
+        );
+        return funded;
+      });
+    } catch (err) {
+      // walletHelper reports a short escrow balance as a plain Error
+      if (err.statusCode) throw err;
+      throw ErrorTypes.BadRequest(err.message || "Error releasing escrow");
+    }
+
+    await logAdminActivity(adminId, "ESCROW_RELEASE", {
+      targetType: "escrow",
+      targetId: escrow._id,
+      reason: reason || "Admin release",
+      metadata: { amount: escrow.amount },
+      ipAddress: ip,
+    });
+
+    return { message: "Escrow released to freelancer", escrow };
+  },
+
+  async escrow_refund({ escrowId, amount, reason }, adminId, ip) {
+    const description = `[ADMIN REFUND] ${reason || "Admin refunded escrow"}`;
+    let refunded;
+    try {
+      refunded = await inTransaction(async (session) => {
+        const escrow = await Escrow.findOneAndUpdate(
+          { _id: escrowId, status: "funded", ...(amount !== undefined && { amount }) },
+          [{ $set: { status: "refunded", refundedAmount: "$amount" } }],
+          { new: true, session }
+        );
+        if (!escrow) throw ErrorTypes.BadRequest("Escrow is not in a refundable state");
+
+        await walletHelper.refundEscrow(
+          escrow.clientId,
+          escrow.amount,
+          escrow._id,
+          escrow.projectId,
+          description,
+          session
+        );
+        await Transaction.create(
+          [{ escrowId: escrow._id, type: "refund", amount: escrow.amount, description, status: "completed" }],
+          { session }
+        );
+        return escrow;
+      });
+    } catch (err) {
+      if (err.statusCode) throw err;
+      throw ErrorTypes.BadRequest(err.message || "Error refunding escrow");
+    }
+
+    await logAdminActivity(adminId, "ESCROW_REFUND", {
+      targetType: "escrow",
+      targetId: refunded._id,
+      reason: reason || "Admin refund",
+      metadata: { amount: refunded.amount },
+      ipAddress: ip,
+    });
+
+    return { message: "Escrow refunded to client", escrow: refunded };
+  },
+
+  async escrow_adjust({ escrowId, previousAmount, newAmount, reason }, adminId, ip) {
+    const escrow = await Escrow.findOneAndUpdate(
+      { _id: escrowId, status: "funded", amount: previousAmount },
+      {
+        $set: { amount: newAmount, adjustedAmount: newAmount },
+        $push: {
+          adjustmentHistory: {
+            previousAmount,
+            newAmount,
+            refundAmount: 0,
+            reason: `[ADMIN] ${reason}`,
+            adjustedAt: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!escrow) throw ErrorTypes.Conflict("Escrow is no longer funded at the requested amount");
+
+    await logAdminActivity(adminId, "ESCROW_EDIT", {
+      targetType: "escrow",
+      targetId: escrow._id,
+      reason,
+      metadata: { previousAmount, newAmount },
+      ipAddress: ip,
+    });
+
+    return { message: "Escrow amount updated", escrow };
+  },
+};
+
+// ============================================================================
+// REQUEST / DECIDE
+// ============================================================================
+
+/**
+ * What was moved on the same target by executed actions within
+ * APPROVAL_SETTINGS.AGGREGATION_WINDOW_MS, so that splitting one movement into
+ * several small ones still reaches the threshold
+ */
+const recentAmountForTarget = async (action, targetId) => {
+  const logAction = APPROVAL_SETTINGS.LOG_ACTIONS[action];
+  if (!logAction || !mongoose.isValidObjectId(targetId)) return 0;
+
+  // targetId is Mixed in the log: stored as a string or an ObjectId
+  const id = String(targetId);
+
+  const [row] = await AdminActivityLog.aggregate([
+    {
+      $match: {
+        action: logAction,
+        targetId: { $in: [id, new mongoose.Types.ObjectId(id)] },
+        createdAt: { $gte: new Date(Date.now() - APPROVAL_SETTINGS.AGGREGATION_WINDOW_MS) },
+      },
+    },
+    { $group: { _id: null, total: { $sum: { $abs: { $ifNull: ["$metadata.amount", 0] } } } } },
+  ]);
+  return row ? row.total : 0;
+};
+
+/**
+ * Execute a money movement now, or hold it for a second admin if it is at or
+ * above the threshold. Recent movements of the same kind on the same target
+ * count towards the threshold.
+ * @param {object} request
+ * @param {string} request.action - Key of `executors`
+ * @param {number} request.amount - Amount moved (sign ignored)
+ * @param {string} request.targetType
+ * @param {string} request.targetId
+ * @param {object} request.payload - Executor arguments
+ * @param {string} request.reason
+ * @param {{adminId: string, ip: string}} actor
+ * @returns {Promise<{pending: boolean, approval?: object, result?: object}>}
+ * @throws {ApiError} 409 if the same action is already waiting for the target
+ */
+const submitMoneyAction = async (request, { adminId, ip }) => {
+  const { dualApprovalThreshold } = await SiteSettings.getSettings();
+  const amount = Math.abs(request.amount);
+  const recentAmount = await recentAmountForTarget(request.action, request.targetId);
+
+  if (amount + recentAmount < dualApprovalThreshold) {
+    return { pending: false, result: await executors[request.action](request.payload, adminId, ip) };
+  }
+
+  let approval;
+  try {
+    approval = await AdminApproval.create({
+      action: request.action,
+      amount,
+      targetType: request.targetType,
+      targetId: request.targetId,
+      payload: request.payload,
+      reason: request.reason || "",
+      requestedBy: adminId,
+      requestedIp: ip,
+      expiresAt: new Date(Date.now() + APPROVAL_SETTINGS.EXPIRES_AFTER_MS),
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw ErrorTypes.Conflict("An approval request for this is already pending");
+    }
+    throw err;
+  }
+
+  await logAdminActivity(adminId, "APPROVAL_REQUESTED", {
+    targetType: "approval",
+    targetId: approval._id,
+    reason: approval.reason,
+    metadata: {
+      action: approval.action,
+      amount,
+      recentAmount,
+      target: { type: approval.targetType, id: approval.targetId },
+      threshold: dualApprovalThreshold,
+    },
+    ipAddress: ip,
+  });
+
+  return { pending: true, approval };
+};
+
+// Mark pending approvals past their expiry as expired
+const expireStale = () =>
+  AdminApproval.updateMany(
+    { status: "pending", expiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" } }
+  );
+
+/**
+ * Pending approval that `adminId` may decide on
+ */
+const loadPendingApproval = async (approvalId) => {
+  if (!mongoose.isValidObjectId(approvalId)) throw ErrorTypes.BadRequest("Invalid approval ID");
+  await expireStale();
+
+  const approval = await AdminApproval.findById(approvalId);
+  if (!approval) throw ErrorTypes.NotFound("Approval request not found");
+  if (approval.status !== "pending") {
+    throw ErrorTypes.Conflict(`This request is already ${approval.status}`);
+  }
+  return approval;
+};
+
+/**
+ * Approve and execute a pending request
+ * @param {object} options
+ * @param {string} options.totpCode - Approver's current authenticator code
+ * @param {string} [options.note]
+ * @throws {ApiError} 403 for the requester, without the permission or 2FA;
+ *   401 on a wrong code; 409 if already decided
+ */
+const approveRequest = async (approvalId, { adminId, ip }, { totpCode, note = "" }) => {
+  const approval = await loadPendingApproval(approvalId);
+
+  if (approval.requestedBy.toString() === adminId.toString()) {
+    throw ErrorTypes.Forbidden("A different admin must approve this request");
+  }
+
+  const approver = await Admin.findById(adminId);
+  if (!approver || !approver.isActive) throw ErrorTypes.Forbidden("Admin account is disabled");
+
+  const permission = APPROVAL_SETTINGS.PERMISSIONS[approval.action];
+  if (!(await approver.getPermissions()).includes(permission)) {
+    throw ErrorTypes.Forbidden(`Approving this requires the "${permission}" permission`);
+  }
+
+  if (!approver.twoFactorEnabled || !approver.twoFactorSecret) {
+    throw ErrorTypes.Forbidden("Enable 2FA to approve money movements");
+  }
+  const validCode =
+    !!totpCode &&
+    speakeasy.totp.verify({
+      secret: approver.twoFactorSecret,
+      encoding: "base32",
+      token: totpCode.toString().trim(),
+      window: 1,
+    });
+  if (!validCode) throw ErrorTypes.Unauthorized("Invalid 2FA code");
+
+  // Claim it so two approvers cannot both execute it
+  const claimed = await AdminApproval.findOneAndUpdate(
+    { _id: approval._id, status: "pending" },
+    { $set: { status: "executed", decidedBy: adminId, decidedAt: new Date(), decisionNote: note } },
+    { new: true }
+  );
+  if (!claimed) throw ErrorTypes.Conflict("This request was decided by someone else");
+
+  await logAdminActivity(adminId, "APPROVAL_APPROVED", {
+    targetType: "approval",
+    targetId: claimed._id,
+    reason: note,
+    metadata: { action: claimed.action, amount: claimed.amount, requestedBy: claimed.requestedBy },
+    ipAddress: ip,
+  });
+
+  try {
+    // Executed as the requester's action; the approval records who approved it
+    const result = await executors[claimed.action](claimed.payload, claimed.requestedBy, ip);
+    claimed.result = { message: result.message };
+    await claimed.save();
+    return { approval: claimed, result };
+  } catch (err) {
+    claimed.status = "failed";
+    claimed.error = err.message;
+    await claimed.save();
+
+    await logAdminActivity(adminId, "APPROVAL_FAILED", {
+      targetType: "approval",
+      targetId: claimed._id,
+      reason: err.message,
+      metadata: { action: claimed.action, amount: claimed.amount },
+      ipAddress: ip,
+    });
+    throw err;
+  }
+};
+
+/**
+ * Reject a pending request (another admin) or cancel it (the requester)
+ */
+const declineRequest = async (approvalId, { adminId, ip }, { note = "" } = {}) => {
+  const approval = await loadPendingApproval(approvalId);
+  const ownRequest = approval.requestedBy.toString() === adminId.toString();
+
+  if (!ownRequest) {
+    const admin = await Admin.findById(adminId).select("role roles");
+    const permission = APPROVAL_SETTINGS.PERMISSIONS[approval.action];
+    if (!admin || !(await admin.getPermissions()).includes(permission)) {
+      throw ErrorTypes.Forbidden(`Rejecting this requires the "${permission}" permission`);
+    }
+  }
+
+  const status = ownRequest ? "cancelled" : "rejected";
+  const declined = await AdminApproval.findOneAndUpdate(
+    { _id: approval._id, status: "pending" },
+    { $set: { status, decidedBy: adminId, decidedAt: new Date(), decisionNote: note } },
+    { new: true }
+  );
+  if (!declined) throw ErrorTypes.Conflict("This request was decided by someone else");
+
+  await logAdminActivity(adminId, ownRequest ? "APPROVAL_CANCELLED" : "APPROVAL_REJECTED", {
+    targetType: "approval",
+    targetId: declined._id,
+    reason: note,
+    metadata: { action: declined.action, amount: declined.amount, requestedBy: declined.requestedBy },
+    ipAddress: ip,
+  });
+
+  return declined;
+};
+
+/**
+ * Approval requests, newest first
+ */
+const listApprovals = async ({ status, page = 1, limit = 20 } = {}) => {
+  await expireStale();
+
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const filter = status ? { status } : {};
+
+  const [approvals, total] = await Promise.all([
+    AdminApproval.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .populate("requestedBy", "username email")
+      .populate("decidedBy", "username email"),
+    AdminApproval.countDocuments(filter),
+  ]);
+
+  return {
+    approvals,
+    pagination: { page: safePage, limit: safeLimit, total, pages: Math.ceil(total / safeLimit) },
+  };
+};
+
+module.exports = {
+  submitMoneyAction,
+  approveRequest,
+  declineRequest,
+  listApprovals,
+};
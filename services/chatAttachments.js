@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const fileType = require("file-type");
+const { uploadFile, getDownloadUrl } = require("../utils/S3");
+const { encryptJson, decryptJson } = require("../utils/chatCrypto");
+const { ALLOWED_FILE_TYPES, DEFAULTS } = require("../config/constants");
+
+// ============================================================================
+// CHAT ATTACHMENTS
+// Files are uploaded to S3 first; the upload returns an encrypted metadata
+// token which the client then sends along with a chat message (REST or
+// WebSocket). The same token is what gets stored on the Chat document, so
+// the S3 key and filename are never kept in plaintext.
+// ============================================================================
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+const MAX_ATTACHMENT_SIZE = DEFAULTS.MAX_FILE_SIZE_MB * 1024 * 1024;
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+/**
+ * Plain text (logs, snippets) has no magic bytes for file-type to detect.
+ * Accept it only if it decodes as UTF-8 and contains no NUL bytes.
+ */
+const isPlainText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(sample);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate an uploaded file by size and detected (not declared) type
+ * @returns {Promise<{mime: string, ext: string}>}
+ */
+const scanAttachment = async (file) => {
+  if (!file) throw new Error("File is missing");
+
+  const { buffer, size, originalname } = file;
+
+  if (size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`File size exceeds the maximum limit of ${MAX_ATTACHMENT_SIZE} bytes`);
+  }
+
+  const type = await fileType.fromBuffer(buffer);
+  if (type) {
+    if (!ALLOWED_FILE_TYPES.ALL.includes(type.mime)) {
+      throw new Error(`Invalid file type for ${originalname}`);
+    }
+    return type;
+  }
+
+  if (isPlainText(buffer)) {
+    return { mime: "text/plain", ext: "txt" };
+  }
+
+  throw new Error(`Invalid file type for ${originalname}`);
+};
+
+const toPublicView = (meta, index) => ({
+  index,
+  name: meta.name,
+  mimeType: meta.mimeType,
+  size: meta.size,
+});
+
+/**
+ * Scan and upload a file for a conversation
+ * @returns {Promise<{token: string, attachment: object}>}
+ */
+const uploadAttachment = async (file, { conversationId, uploadedBy }) => {
+  const type = await scanAttachment(file);
+
+  const key = `chat-attachments/${conversationId}/${crypto.randomUUID()}.${type.ext}`;
+  await uploadFile({ buffer: file.buffer, mimetype: type.mime }, process.env.AWS_BUCKET_NAME, key);
+
+  const meta = {
+    key,
+    name: (file.originalname || `attachment.${type.ext}`).slice(0, 255),
+    mimeType: type.mime,
+    size: file.size,
+    conversationId: conversationId.toString(),
+    uploadedBy: uploadedBy.toString(),
+    uploadedAt: new Date().toISOString(),
+  };
+
+  return { token: encryptJson(meta), attachment: toPublicView(meta) };
+};
+
+/**
+ * Check attachment tokens sent with a message. A token is only valid in the
+ * conversation it was uploaded to and only for the user who uploaded it.
+ * @returns {string[]} - Tokens to store on the Chat document
+ */
+const verifyAttachments = (tokens, { conversationId, senderId }) => {
+  if (!tokens) return [];
+  if (!Array.isArray(tokens)) throw new Error("Attachments must be an array");
+  if (tokens.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new Error(`A message can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`);
+  }
+
+  for (const token of tokens) {
+    const meta = typeof token === "string" ? decryptJson(token) : null;
+    if (
+      !meta ||
+      meta.conversationId !== conversationId.toString() ||
+      meta.uploadedBy !== senderId.toString()
+    ) {
+      throw new Error("Invalid attachment");
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Decrypt stored attachments into what clients may see (no S3 keys)
+ */
+const describeAttachments = (tokens = []) =>
+  tokens
+    .map((token, index) => {
+      const meta = decryptJson(token);
+      return meta ? toPublicView(meta, index) : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Presigned URL for one stored attachment
+ * @returns {Promise<string|null>}
+ */
+const getAttachmentUrl = async (token) => {
+  const meta = decryptJson(token);
+  if (!meta) return null;
+  return getDownloadUrl(meta.key, {
+    expiresIn: DOWNLOAD_URL_TTL_SECONDS,
+    filename: meta.name,
+  });
+};
+
+module.exports = {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  DOWNLOAD_URL_TTL_SECONDS,
+  scanAttachment,
+  uploadAttachment,
+  verifyAttachments,
+  describeAttachments,
+  getAttachmentUrl,
+};
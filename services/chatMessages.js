@@ -0,0 +1,238 @@
+const Chat = require("../models/chat_sys");
+const { pubsub } = require("./pubsub");
+const { screenMessage, linkViolationToChat } = require("./contactProtection");
+const { encrypt, decrypt } = require("../utils/chatCrypto");
+const { describeAttachments } = require("./chatAttachments");
+const { buildSearchTokens } = require("./chatSearch");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { CHAT_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// CHAT MESSAGE CHANGES
+// Edit, soft-delete and reactions on stored messages. Every change keeps
+// the previous encrypted content in `editHistory` and is pushed to both
+// participants' sockets.
+// ============================================================================
+
+// A single emoji, including ZWJ sequences, skin tones and flags
+const EMOJI_PATTERN =
+  /^(?:\p{Regional_Indicator}{2}|\p{Extended_Pictographic}\p{Emoji_Modifier}?\uFE0F?(?:\u200D\p{Extended_Pictographic}\p{Emoji_Modifier}?\uFE0F?)*)$/u;
+
+/**
+ * Load a message of a conversation the user takes part in
+ */
+const findMessage = async (conversation, messageId) => {
+  const chat = await Chat.findOne({ _id: messageId, conversationId: conversation._id });
+  if (!chat) throw ErrorTypes.NotFound("Message not found");
+  return chat;
+};
+
+/**
+ * Check that the user sent the message, it still exists and the window is open
+ */
+const assertChangeable = (chat, userId, windowMs, verb) => {
+  if (chat.sender.toString() !== userId.toString()) {
+    throw ErrorTypes.Forbidden(`You can only ${verb} your own messages`);
+  }
+  if (chat.deletedAt) {
+    throw ErrorTypes.BadRequest("Message has been deleted");
+  }
+  if (Date.now() - chat.timestamp.getTime() > windowMs) {
+    throw ErrorTypes.BadRequest(
+      `Messages can only be ${verb === "edit" ? "edited" : "deleted"} within ${Math.round(windowMs / 60000)} minutes of sending`
+    );
+  }
+};
+
+/**
+ * Notify both participants about a change to a message
+ */
+const publishChange = (conversation, data) =>
+  Promise.all(
+    conversation.participants.map((p) =>
+      pubsub.publish({ userId: (p.userId._id || p.userId).toString(), data })
+    )
+  );
+
+/**
+ * Replace the text of a message. Edits are screened for contact info like
+ * new messages, so they cannot be used to slip details past the check.
+ * @returns {Promise<{chat: object, redacted: boolean}>}
+ */
+const editMessage = async ({ conversation, messageId, userId, text }) => {
+  if (!text || typeof text !== "string") {
+    throw ErrorTypes.BadRequest("Message is required");
+  }
+
+  const chat = await findMessage(conversation, messageId);
+  assertChangeable(chat, userId, CHAT_SETTINGS.EDIT_WINDOW_MS, "edit");
+  if (chat.editHistory.length >= CHAT_SETTINGS.MAX_EDITS_PER_MESSAGE) {
+    throw ErrorTypes.BadRequest("This message cannot be edited any further");
+  }
+
+  const screening = await screenMessage({
+    text,
+    senderId: userId,
+    receiverId: chat.receiver,
+    conversationId: conversation._id,
+    channel: "rest",
+  });
+  if (!screening.allowed) {
+    throw ErrorTypes.BadRequest(
+      "Sharing contact information before an agreement is active is not allowed. The message was flagged for review"
+    );
+  }
+
+  const editedAt = new Date();
+  // Matching on the current ciphertext makes concurrent edits fail instead of
+  // silently dropping a revision
+  const updated = await Chat.findOneAndUpdate(
+    { _id: chat._id, message: chat.message, deletedAt: null },
+    {
+      $push: {
+        editHistory: {
+          action: "edit",
+          message: chat.message,
+          attachments: chat.attachments,
+          changedAt: editedAt,
+        },
+      },
+      $set: {
+        message: encrypt(screening.message),
+        searchTokens: buildSearchTokens(conversation._id, screening.message),
+        editedAt,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) throw ErrorTypes.Conflict("Message was changed, reload and try again");
+
+  if (screening.violation) await linkViolationToChat(screening.violation, updated);
+
+  await publishChange(conversation, {
+    type: "message_edited",
+    _id: updated._id,
+    conversationId: updated.conversationId,
+    message: updated.message,
+    editedAt,
+  });
+
+  return { chat: updated, redacted: !!screening.violation };
+};
+
+/**
+ * Soft-delete a message: its content moves into the edit history and is
+ * no longer shown to either participant
+ */
+const deleteMessage = async ({ conversation, messageId, userId }) => {
+  const chat = await findMessage(conversation, messageId);
+  assertChangeable(chat, userId, CHAT_SETTINGS.DELETE_WINDOW_MS, "delete");
+
+  const deletedAt = new Date();
+  const updated = await Chat.findOneAndUpdate(
+    { _id: chat._id, deletedAt: null },
+    {
+      $push: {
+        editHistory: {
+          action: "delete",
+          message: chat.message,
+          attachments: chat.attachments,
+          changedAt: deletedAt,
+        },
+      },
+      $set: { message: null, attachments: [], searchTokens: [], deletedAt },
+    },
+    { new: true }
+  );
+  if (!updated) throw ErrorTypes.BadRequest("Message has been deleted");
+
+  await publishChange(conversation, {
+    type: "message_deleted",
+    _id: updated._id,
+    conversationId: updated.conversationId,
+    deletedAt,
+  });
+
+  return updated;
+};
+
+/**
+ * Add or remove the user's reaction on a message
+ * @param {boolean} add - false to remove
+ */
+const setReaction = async ({ conversation, messageId, userId, emoji, add = true }) => {
+  if (typeof emoji !== "string" || emoji.length > 32 || !EMOJI_PATTERN.test(emoji)) {
+    throw ErrorTypes.BadRequest("Reaction must be a single emoji");
+  }
+
+  const chat = await findMessage(conversation, messageId);
+  if (chat.deletedAt) throw ErrorTypes.BadRequest("Message has been deleted");
+
+  let updated;
+  if (add) {
+    const own = chat.reactions.filter((r) => r.userId.toString() === userId.toString());
+    if (own.some((r) => r.emoji === emoji)) return chat;
+    if (own.length >= CHAT_SETTINGS.MAX_REACTIONS_PER_USER) {
+      throw ErrorTypes.BadRequest(
+        `You can add at most ${CHAT_SETTINGS.MAX_REACTIONS_PER_USER} reactions to a message`
+      );
+    }
+    updated = await Chat.findOneAndUpdate(
+      { _id: chat._id, reactions: { $not: { $elemMatch: { userId, emoji } } } },
+      { $push: { reactions: { userId, emoji, reactedAt: new Date() } } },
+      { new: true }
+    );
+  } else {
+    updated = await Chat.findByIdAndUpdate(
+      chat._id,
+      { $pull: { reactions: { userId, emoji } } },
+      { new: true }
+    );
+  }
+  // A concurrent request added the same reaction
+  if (!updated) return Chat.findById(chat._id);
+
+  await publishChange(conversation, {
+    type: "reactions_updated",
+    _id: updated._id,
+    conversationId: updated.conversationId,
+    reactions: updated.reactions,
+  });
+
+  return updated;
+};
+
+/**
+ * Full decrypted record of a conversation for dispute evidence, including
+ * deleted messages and every earlier version of edited ones
+ * @returns {Promise<object[]>}
+ */
+const buildTranscript = async (conversationId) => {
+  const chats = await Chat.find({ conversationId }).sort({ _id: 1 }).lean();
+  const readable = (payload) => (payload ? decrypt(payload) ?? "[undecryptable]" : "");
+
+  return chats.map((chat) => ({
+    _id: chat._id,
+    sender: chat.sender,
+    receiver: chat.receiver,
+    sentAt: chat.timestamp,
+    message: readable(chat.message),
+    attachments: describeAttachments(chat.attachments),
+    editedAt: chat.editedAt || null,
+    deletedAt: chat.deletedAt || null,
+    history: (chat.editHistory || []).map((revision) => ({
+      action: revision.action,
+      changedAt: revision.changedAt,
+      message: readable(revision.message),
+      attachments: describeAttachments(revision.attachments),
+    })),
+    reactions: (chat.reactions || []).map(({ userId, emoji, reactedAt }) => ({ userId, emoji, reactedAt })),
+  }));
+};
+
+module.exports = {
+  editMessage,
+  deleteMessage,
+  setReaction,
+  buildTranscript,
+};
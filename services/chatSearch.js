@@ -0,0 +1,134 @@
+const Chat = require("../models/chat_sys");
+const { decrypt, blindIndex } = require("../utils/chatCrypto");
+
+// ============================================================================
+// CHAT SEARCH
+// Message bodies are encrypted, so search runs on a blind index: each word
+// of a message is stored as an HMAC scoped to its conversation
+// (Chat.searchTokens). A query is tokenised the same way and matched against
+// those hashes; plaintext never reaches the database.
+// Only whole words match, in any order.
+// ============================================================================
+
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 40;
+const MAX_TOKENS_PER_MESSAGE = 200;
+const MAX_QUERY_TOKENS = 8;
+const INDEX_BATCH_SIZE = 500;
+
+/**
+ * Split text into unique, case- and accent-insensitive words
+ * @returns {string[]}
+ */
+const tokenize = (text) => {
+  if (!text) return [];
+  const words = text
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= MIN_TOKEN_LENGTH && w.length <= MAX_TOKEN_LENGTH);
+  return [...new Set(words)].slice(0, MAX_TOKENS_PER_MESSAGE);
+};
+
+/**
+ * Blind index entries for a message in a conversation
+ * @returns {string[]}
+ */
+const buildSearchTokens = (conversationId, text) =>
+  tokenize(text).map((token) => blindIndex(token, conversationId.toString()));
+
+/**
+ * Find messages in a conversation containing every word of the query,
+ * newest first
+ * @returns {Promise<{chats: object[], nextCursor: string|null}|null>} - null if the query has no searchable words
+ */
+const searchConversation = async (conversationId, query, { cursor, limit = 20 } = {}) => {
+  const words = tokenize(query).slice(0, MAX_QUERY_TOKENS);
+  if (!words.length) return null;
+
+  const filter = {
+    conversationId,
+    deletedAt: null,
+    searchTokens: { $all: words.map((w) => blindIndex(w, conversationId.toString())) },
+  };
+  if (cursor) filter._id = { $lt: cursor };
+
+  const chats = await Chat.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = chats.length > limit;
+  const page = hasMore ? chats.slice(0, limit) : chats;
+  return { chats: page, nextCursor: hasMore ? page[page.length - 1]._id : null };
+};
+
+/**
+ * Messages around one message, oldest first, for jumping to a search hit
+ * @returns {Promise<{chats: object[], hasOlder: boolean, hasNewer: boolean}|null>}
+ */
+const getMessageContext = async (conversationId, messageId, { before = 10, after = 10 } = {}) => {
+  const target = await Chat.findOne({ _id: messageId, conversationId }).lean();
+  if (!target) return null;
+
+  const [older, newer] = await Promise.all([
+    Chat.find({ conversationId, _id: { $lt: target._id } })
+      .sort({ _id: -1 })
+      .limit(before + 1)
+      .lean(),
+    Chat.find({ conversationId, _id: { $gt: target._id } })
+      .sort({ _id: 1 })
+      .limit(after + 1)
+      .lean(),
+  ]);
+
+  return {
+    chats: [...older.slice(0, before).reverse(), target, ...newer.slice(0, after)],
+    hasOlder: older.length > before,
+    hasNewer: newer.length > after,
+  };
+};
+
+/**
+ * Job handler: index messages stored before search existed
+ */
+const runChatSearchIndex = async () => {
+  const chats = await Chat.find({
+    conversationId: { $ne: null },
+    searchTokens: { $exists: false },
+  })
+    .select("conversationId message")
+    .limit(INDEX_BATCH_SIZE)
+    .lean();
+
+  const result = { processed: chats.length, succeeded: 0, failed: 0, failures: [], summary: {} };
+
+  for (const chat of chats) {
+    const text = chat.message ? decrypt(chat.message) : "";
+    if (text === null) {
+      result.failed += 1;
+      result.failures.push({ referenceId: chat._id.toString(), message: "Could not decrypt message" });
+    }
+    // Undecryptable messages get an empty index so they are not retried every run
+    await Chat.updateOne(
+      { _id: chat._id },
+      { $set: { searchTokens: buildSearchTokens(chat.conversationId, text || "") } }
+    );
+    if (text !== null) result.succeeded += 1;
+  }
+
+  result.summary.remaining = await Chat.countDocuments({
+    conversationId: { $ne: null },
+    searchTokens: { $exists: false },
+  });
+  return result;
+};
+
+module.exports = {
+  tokenize,
+  buildSearchTokens,
+  searchConversation,
+  getMessageContext,
+  runChatSearchIndex,
+};
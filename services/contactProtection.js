@@ -0,0 +1,117 @@
+const User = require("../models/User");
+const ContactViolation = require("../models/ContactViolation");
+const { hasActiveAgreement } = require("../middleware/ContactProtection");
+const { detectContactInfo } = require("../utils/contactDetector");
+const { encrypt } = require("../utils/chatCrypto");
+const { CONTACT_PROTECTION } = require("../config/constants");
+
+// ============================================================================
+// CHAT CONTACT PROTECTION
+// Server-side screening of outgoing chat messages. Until the two parties
+// have an active agreement, contact details are redacted (or the message is
+// blocked) and the attempt is logged for review. Detection alone never
+// punishes: a strike is added only when an admin upholds the violation, and
+// the user is banned once upheld strikes reach the limit.
+// ============================================================================
+
+/**
+ * Add a strike to the sender, banning them once the limit is reached
+ * @returns {Promise<{strikes: number, banned: boolean}>}
+ */
+const addStrike = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { Strikes: 1 } },
+    { new: true }
+  ).select("Strikes isBanned");
+  if (!user) return { strikes: 0, banned: false };
+
+  if (user.Strikes >= CONTACT_PROTECTION.STRIKE_LIMIT && !user.isBanned) {
+    await User.updateOne(
+      { _id: userId },
+      { $set: { isBanned: true, isbanDate: new Date() } }
+    );
+    return { strikes: user.Strikes, banned: true };
+  }
+
+  return { strikes: user.Strikes, banned: user.isBanned };
+};
+
+/**
+ * Screen a chat message before it is stored
+ * @param {object} params
+ * @param {string} params.text - Plaintext message (may be empty for attachment-only messages)
+ * @param {string} params.senderId
+ * @param {string} params.receiverId
+ * @param {string} [params.conversationId]
+ * @param {"rest"|"websocket"} params.channel
+ * @returns {Promise<{allowed: boolean, message: string, violation: object|null}>}
+ *   `message` is the text to store; `allowed` is false when the message must not be sent
+ */
+const screenMessage = async ({ text, senderId, receiverId, conversationId, channel }) => {
+  const result = { allowed: true, message: text, violation: null };
+
+  const detection = detectContactInfo(text);
+  if (!detection.found) return result;
+
+  // Parties under an active agreement may exchange contact details
+  if (await hasActiveAgreement(senderId, receiverId)) return result;
+
+  const blocked = CONTACT_PROTECTION.ACTION === "block";
+
+  result.violation = await ContactViolation.create({
+    userId: senderId,
+    recipientId: receiverId,
+    conversationId,
+    channel,
+    matches: detection.matches.map(({ type, obfuscated }) => ({ type, obfuscated: !!obfuscated })),
+    originalMessage: encrypt(text),
+    action: blocked ? "blocked" : "redacted",
+  });
+
+  result.allowed = !blocked;
+  result.message = detection.redacted;
+  return result;
+};
+
+/**
+ * Point a violation at the chat message that was stored for it
+ */
+const linkViolationToChat = (violation, chat) =>
+  ContactViolation.updateOne({ _id: violation._id }, { $set: { chatId: chat._id } });
+
+/**
+ * Review a logged violation. Upholding it adds a strike to the sender (and
+ * bans them at CONTACT_PROTECTION.STRIKE_LIMIT); dismissing it changes nothing.
+ * @returns {Promise<object|null>} - Updated violation, or null if not found
+ */
+const reviewViolation = async (violationId, { decision, adminId, note }) => {
+  const violation = await ContactViolation.findOneAndUpdate(
+    { _id: violationId, status: "pending" },
+    {
+      $set: {
+        status: decision,
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        reviewNote: note || "",
+      },
+    },
+    { new: true }
+  );
+  if (!violation) return null;
+
+  if (decision === "upheld") {
+    const { strikes, banned } = await addStrike(violation.userId);
+    violation.strikesAfter = strikes;
+    violation.banned = banned;
+    await violation.save();
+  }
+
+  return violation;
+};
+
+module.exports = {
+  screenMessage,
+  linkViolationToChat,
+  reviewViolation,
+};
@@ -0,0 +1,143 @@
+const Conversation = require("../models/Conversation");
+const Chat = require("../models/chat_sys");
+const Project = require("../models/Project");
+const Bid = require("../models/Bid");
+const Agreement = require("../models/Agreement");
+const { encrypt } = require("../utils/chatCrypto");
+const { buildSearchTokens } = require("./chatSearch");
+
+// ============================================================================
+// CONVERSATION SERVICE
+// Who may message whom, and the shared "store a message" step used by both
+// the REST routes and the WebSocket service.
+// ============================================================================
+
+// A bid still under consideration keeps the thread open
+const OPEN_BID_STATUSES = ["pending", "sign_pending", "accepted"];
+
+// Agreements that no longer connect the two parties
+const CLOSED_AGREEMENT_STATUSES = ["cancelled", "amended"];
+
+/**
+ * Find what connects two users on a project.
+ * The project's client can talk to freelancers who bid on it or hold
+ * an agreement for it — and vice versa. Nobody else.
+ * @returns {Promise<object|null>} - { projectId, clientId, freelancerId, bidId, agreementId }
+ */
+const findRelationship = async (userId, otherUserId, projectId) => {
+  const project = await Project.findById(projectId).select("clientId");
+  if (!project) return null;
+
+  const clientId = project.clientId.toString();
+  let freelancerId;
+  if (clientId === userId.toString()) {
+    freelancerId = otherUserId.toString();
+  } else if (clientId === otherUserId.toString()) {
+    freelancerId = userId.toString();
+  } else {
+    return null;
+  }
+  if (freelancerId === clientId) return null;
+
+  const agreement = await Agreement.findOne({
+    projectId,
+    clientId,
+    freelancerId,
+    status: { $nin: CLOSED_AGREEMENT_STATUSES },
+  })
+    .sort({ createdAt: -1 })
+    .select("_id bidId");
+
+  if (agreement) {
+    return { projectId, clientId, freelancerId, agreementId: agreement._id, bidId: agreement.bidId };
+  }
+
+  const bid = await Bid.findOne({
+    projectId,
+    freelancerId,
+    status: { $in: OPEN_BID_STATUSES },
+  }).select("_id");
+
+  if (bid) {
+    return { projectId, clientId, freelancerId, agreementId: null, bidId: bid._id };
+  }
+
+  return null;
+};
+
+/**
+ * Open (or reopen) the conversation between two users on a project
+ * @returns {Promise<object|null>} - Conversation, or null if they have no relationship
+ */
+const openConversation = async (userId, otherUserId, projectId) => {
+  const relationship = await findRelationship(userId, otherUserId, projectId);
+  if (!relationship) return null;
+  return Conversation.findOrCreate(relationship);
+};
+
+/**
+ * Resolve the conversation an incoming message belongs to.
+ * Clients that predate conversations only send `receiver`; for them the
+ * pair's most recently active thread is used.
+ * @returns {Promise<object|null>}
+ */
+const resolveConversation = async (senderId, { conversationId, receiver }) => {
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || !conversation.isParticipant(senderId)) return null;
+    return conversation;
+  }
+
+  if (!receiver) return null;
+  return Conversation.findOne({
+    "participants.userId": { $all: [senderId, receiver] },
+  }).sort({ lastMessageAt: -1 });
+};
+
+/**
+ * Whether the participants are still connected on the project. Checked on
+ * every send: a thread stays readable after its bid or agreement ends, but
+ * no new messages can be added to it.
+ * @returns {Promise<boolean>}
+ */
+const canSend = async (conversation) => {
+  const [first, second] = conversation.participants;
+  return !!(await findRelationship(first.userId, second.userId, conversation.projectId));
+};
+
+// Reply for a send to a conversation whose relationship has ended
+const CLOSED_CONVERSATION_ERROR =
+  "This conversation is closed because the bid or agreement connecting you has ended.";
+
+/**
+ * Encrypt and persist a message, index it for search and update the conversation
+ * @param {object} conversation
+ * @param {string} senderId
+ * @param {string|null} text - Plaintext; null for attachment-only messages
+ * @param {string[]} [attachments] - Verified attachment tokens
+ * @returns {Promise<object>} - Saved Chat document
+ */
+const storeMessage = async (conversation, senderId, text, attachments = []) => {
+  const chat = await Chat.create({
+    conversationId: conversation._id,
+    sender: senderId,
+    receiver: conversation.getOtherParticipant(senderId),
+    message: text ? encrypt(text) : null,
+    searchTokens: buildSearchTokens(conversation._id, text),
+    attachments,
+    encrypted: true,
+    status: "sent",
+  });
+
+  await Conversation.recordMessage(conversation._id, chat);
+  return chat;
+};
+
+module.exports = {
+  findRelationship,
+  openConversation,
+  resolveConversation,
+  canSend,
+  CLOSED_CONVERSATION_ERROR,
+  storeMessage,
+};
@@ -0,0 +1,133 @@
+const crypto = require("crypto");
+const { OAuth2Client } = require("google-auth-library");
+const User = require("../models/User");
+const { logActivity } = require("../utils/helpers");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+
+// ============================================================================
+// GOOGLE SIGN-IN
+// Verifies Google ID tokens (signature against Google's published keys,
+// audience, issuer, expiry) and maps them to a User by Google id, then by
+// verified email. GOOGLE_CLIENT_ID may list several client ids, comma separated.
+// ============================================================================
+
+const USER_ROLES = ["client", "freelancer"];
+
+const getClientIds = () =>
+  (process.env.GOOGLE_CLIENT_ID || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+let client = null;
+const getClient = () => {
+  if (!client) client = new OAuth2Client();
+  return client;
+};
+
+/**
+ * Verify a Google ID token
+ * @param {string} idToken
+ * @returns {Promise<{googleId: string, email: string, name: string, picture: string|null}>}
+ * @throws {ApiError} 401 if the token is invalid or the email is not verified
+ */
+const verifyGoogleIdToken = async (idToken) => {
+  const audience = getClientIds();
+  if (!audience.length) {
+    throw ErrorTypes.InternalError("Google sign-in is not configured");
+  }
+  if (typeof idToken !== "string" || !idToken) {
+    throw ErrorTypes.BadRequest("Google credential is required");
+  }
+
+  let payload;
+  try {
+    const ticket = await getClient().verifyIdToken({ idToken, audience });
+    payload = ticket.getPayload();
+  } catch (err) {
+    console.warn("Google ID token rejected:", err.message);
+    throw ErrorTypes.Unauthorized("Invalid Google credential");
+  }
+
+  if (!payload?.sub || !payload.email || payload.email_verified !== true) {
+    throw ErrorTypes.Unauthorized("Google account email is not verified");
+  }
+
+  return {
+    googleId: payload.sub,
+    email: payload.email.toLowerCase(),
+    name: payload.name || "",
+    picture: payload.picture || null,
+  };
+};
+
+/**
+ * A free username based on the email's local part, e.g. "jane.doe" -> "janedoe", "janedoe4821"
+ */
+const generateUsername = async (email) => {
+  const base = email.split("@")[0].replace(/[^a-zA-Z0-9_]/g, "").slice(0, 20) || "user";
+  let candidate = base;
+  for (let i = 0; i < 5; i++) {
+    if (!(await User.exists({ username: candidate }))) return candidate;
+    candidate = `${base}${crypto.randomInt(1000, 10000)}`;
+  }
+  return `${base}${crypto.randomBytes(4).toString("hex")}`;
+};
+
+/**
+ * Find, link or create the User for a verified Google identity.
+ * @param {object} identity - From verifyGoogleIdToken()
+ * @param {string} [role] - Needed only when no account exists yet
+ * @returns {Promise<{user: object, isNewUser: boolean}>}
+ * @throws {ApiError} 400 with `requiresRole` when a new account needs a role
+ */
+const findOrCreateGoogleUser = async (identity, role) => {
+  const twoFactorFields = User.TWO_FACTOR_FIELDS;
+
+  let user = await User.findOne({ googleId: identity.googleId }).select(twoFactorFields);
+  if (user) return { user, isNewUser: false };
+
+  user = await User.findOne({ email: identity.email }).select(twoFactorFields);
+  if (user) {
+    if (user.googleId && user.googleId !== identity.googleId) {
+      throw ErrorTypes.Conflict("This email is linked to a different Google account");
+    }
+    // Google has verified the address, so it is the same person
+    user.googleId = identity.googleId;
+    if (!user.otpVerified) user.otpVerified = true;
+    await user.save();
+    await logActivity(user._id, "Linked Google account");
+    return { user, isNewUser: false };
+  }
+
+  if (!USER_ROLES.includes(role)) {
+    const error = ErrorTypes.BadRequest("Choose 'client' or 'freelancer' to finish creating your account");
+    error.requiresRole = true;
+    throw error;
+  }
+
+  try {
+    user = await User.create({
+      username: await generateUsername(identity.email),
+      email: identity.email,
+      // Unusable random password; the user can set one via forgot-password
+      password: crypto.randomBytes(32).toString("base64url"),
+      role,
+      googleId: identity.googleId,
+      otpVerified: true,
+      profilePictureUrl: identity.picture || undefined,
+    });
+  } catch (err) {
+    // Two first logins raced; the other one created the account
+    if (err.code === 11000) return findOrCreateGoogleUser(identity, role);
+    throw err;
+  }
+
+  await logActivity(user._id, "Signed up with Google");
+  return { user, isNewUser: true };
+};
+
+module.exports = {
+  verifyGoogleIdToken,
+  findOrCreateGoogleUser,
+};
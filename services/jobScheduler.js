@@ -0,0 +1,193 @@
+const os = require("os");
+const crypto = require("crypto");
+const JobLock = require("../models/JobLock");
+const JobRun = require("../models/JobRun");
+const { JOB_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// JOB SCHEDULER SERVICE
+// Persistent, Mongo-backed background job runner.
+//
+// Every instance ticks, but only the instance holding the "scheduler:leader"
+// lease runs scheduled jobs. Each execution additionally takes a per-job
+// lock, so a manual trigger on another instance can never overlap a
+// scheduled run of the same job.
+// ============================================================================
+
+const LEADER_LOCK = "scheduler:leader";
+
+class JobScheduler {
+  constructor(options = {}) {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+    this.tickIntervalMs = options.tickIntervalMs || JOB_SETTINGS.TICK_INTERVAL_MS;
+    this.leaderLeaseMs = options.leaderLeaseMs || JOB_SETTINGS.LEADER_LEASE_MS;
+    this.jobs = new Map();
+    this.isLeader = false;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name
+   * @param {object} job
+   * @param {number} job.intervalMs   - How often the leader runs it
+   * @param {string} job.description  - Human readable summary for the admin UI
+   * @param {Function} job.handler    - async (ctx) => ({ processed, succeeded, failed, failures, summary })
+   */
+  register(name, { intervalMs, description, handler }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      description: description || "",
+      handler,
+      nextRunAt: Date.now(),
+    });
+  }
+
+  /**
+   * Start the tick loop
+   */
+  start() {
+    if (this.timer) return;
+    console.log(`[SCHEDULER] Started on ${this.instanceId} with ${this.jobs.size} job(s)`);
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    this.timer.unref();
+    this.tick();
+  }
+
+  /**
+   * Stop the tick loop and give up leadership
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.isLeader) {
+      this.isLeader = false;
+      try {
+        await JobLock.release(LEADER_LOCK, this.instanceId);
+      } catch (err) {
+        console.error("[SCHEDULER] Error releasing leader lock:", err.message);
+      }
+    }
+  }
+
+  /**
+   * One scheduling pass: renew leadership, then run whatever is due
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      const wasLeader = this.isLeader;
+      this.isLeader = await JobLock.acquire(LEADER_LOCK, this.instanceId, this.leaderLeaseMs);
+
+      if (this.isLeader !== wasLeader) {
+        console.log(`[SCHEDULER] ${this.isLeader ? "Acquired" : "Lost"} leadership (${this.instanceId})`);
+      }
+      if (!this.isLeader) return;
+
+      const now = Date.now();
+      for (const job of this.jobs.values()) {
+        if (job.nextRunAt > now) continue;
+        job.nextRunAt = now + job.intervalMs;
+        await this.runJob(job.name, { trigger: "schedule" });
+      }
+    } catch (err) {
+      console.error("[SCHEDULER] Tick error:", err.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Execute a job once and record the run
+   * @param {string} name
+   * @param {object} options
+   * @param {"schedule"|"manual"} options.trigger
+   * @param {string} [options.triggeredBy] - Admin id for manual runs
+   * @returns {Promise<object|null>} - The JobRun document, or null if the job is already running
+   */
+  async runJob(name, { trigger = "schedule", triggeredBy = null } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+
+    const lockName = `job:${name}`;
+    const locked = await JobLock.acquire(lockName, this.instanceId, JOB_SETTINGS.RUN_LOCK_MS);
+    if (!locked) return null;
+
+    // Nothing may leave the lock held: it would skip the job for RUN_LOCK_MS
+    let run;
+    try {
+      run = await JobRun.create({
+        jobName: name,
+        trigger,
+        triggeredBy,
+        instanceId: this.instanceId,
+        status: "running",
+        startedAt: new Date(),
+      });
+    } catch (err) {
+      await JobLock.release(lockName, this.instanceId);
+      throw err;
+    }
+
+    try {
+      const result = (await job.handler({ runId: run._id, trigger })) || {};
+      const failures = result.failures || [];
+
+      run.processed = result.processed || 0;
+      run.succeeded = result.succeeded || 0;
+      run.failed = result.failed || failures.length;
+      run.failures = failures.slice(0, JOB_SETTINGS.MAX_FAILURES_RECORDED);
+      run.summary = result.summary || {};
+      run.status = run.failed > 0 ? "partial" : "succeeded";
+    } catch (err) {
+      console.error(`[SCHEDULER] Job "${name}" failed:`, err);
+      run.status = "failed";
+      run.error = err.message;
+    } finally {
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+      try {
+        await run.save();
+      } finally {
+        await JobLock.release(lockName, this.instanceId);
+      }
+    }
+
+    return run;
+  }
+
+  /**
+   * Check whether a job name is registered
+   */
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+
+  /**
+   * Describe registered jobs (for the admin UI)
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).map((job) => ({
+      name: job.name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      nextRunAt: this.isLeader ? new Date(job.nextRunAt) : null,
+    }));
+  }
+}
+
+// Shared instance used by index.js and the admin routes
+const scheduler = new JobScheduler();
+
+module.exports = { JobScheduler, scheduler };
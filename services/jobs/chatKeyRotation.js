@@ -0,0 +1,186 @@
+const Chat = require("../../models/chat_sys");
+const ContactViolation = require("../../models/ContactViolation");
+const KeyRotation = require("../../models/KeyRotation");
+const { activeKeyId, needsReEncryption, reEncrypt } = require("../../utils/chatCrypto");
+const { JOB_SETTINGS } = require("../../config/constants");
+
+// ============================================================================
+// CHAT KEY ROTATION JOB
+// Re-encrypts stored chat payloads with the active encryption key, in _id
+// order, checkpointing after every batch so a run that hits its time budget
+// (or a restart) picks up where it left off.
+// ============================================================================
+
+/**
+ * Re-encrypt one payload if it uses an old key.
+ * Counts into `stats`; payloads that cannot be decrypted are left as they are.
+ */
+const rotatePayload = (payload, stats) => {
+  if (!payload || !needsReEncryption(payload)) return payload;
+  const next = reEncrypt(payload);
+  if (next === null) {
+    stats.failed += 1;
+    return payload;
+  }
+  stats.changed = true;
+  return next;
+};
+
+// Collections holding chatCrypto payloads, and how to rewrite a document.
+// Documents are read and written through the native driver so the
+// compare-and-set filter sees exactly what is stored.
+const TARGETS = [
+  {
+    name: "chats",
+    collection: () => Chat.collection,
+    projection: { message: 1, attachments: 1, editHistory: 1 },
+    rewrite: (doc, stats) => ({
+      message: rotatePayload(doc.message, stats) ?? null,
+      attachments: (doc.attachments || []).map((a) => rotatePayload(a, stats)),
+      editHistory: (doc.editHistory || []).map((revision) => ({
+        ...revision,
+        message: rotatePayload(revision.message, stats) ?? null,
+        attachments: (revision.attachments || []).map((a) => rotatePayload(a, stats)),
+      })),
+    }),
+  },
+  {
+    name: "contactViolations",
+    collection: () => ContactViolation.collection,
+    projection: { originalMessage: 1 },
+    rewrite: (doc, stats) => ({
+      originalMessage: rotatePayload(doc.originalMessage, stats),
+    }),
+  },
+];
+
+/**
+ * Find the rotation for the active key, starting one if needed
+ */
+const getOrStartRotation = async () => {
+  const existing = await KeyRotation.findOne({ targetKeyId: activeKeyId });
+  if (existing) return existing;
+
+  const targets = await Promise.all(
+    TARGETS.map(async (t) => ({
+      name: t.name,
+      total: await t.collection().estimatedDocumentCount(),
+    }))
+  );
+
+  try {
+    return await KeyRotation.create({ targetKeyId: activeKeyId, targets });
+  } catch (err) {
+    if (err.code === 11000) return KeyRotation.findOne({ targetKeyId: activeKeyId });
+    throw err;
+  }
+};
+
+/**
+ * Rewrite one document, retrying if it changed between read and write
+ * @returns {Promise<{reEncrypted: boolean, failed: number}>}
+ */
+const rotateDocument = async (target, doc) => {
+  const collection = target.collection();
+  let current = doc;
+
+  for (let attempt = 0; attempt < 3 && current; attempt++) {
+    const stats = { changed: false, failed: 0 };
+    const update = target.rewrite(current, stats);
+    if (!stats.changed) return { reEncrypted: false, failed: stats.failed };
+
+    const filter = { _id: current._id };
+    for (const field of Object.keys(update)) filter[field] = current[field] ?? null;
+
+    const { modifiedCount } = await collection.updateOne(filter, { $set: update });
+    if (modifiedCount) return { reEncrypted: true, failed: stats.failed };
+
+    current = await collection.findOne({ _id: doc._id }, { projection: target.projection });
+  }
+
+  // Deleted meanwhile, or kept changing; a later rotation will catch it
+  return { reEncrypted: false, failed: current ? 1 : 0 };
+};
+
+/**
+ * Job handler
+ */
+const runChatKeyRotation = async () => {
+  const rotation = await getOrStartRotation();
+  const result = {
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    failures: [],
+    summary: { keyId: activeKeyId },
+  };
+
+  if (rotation.status === "completed") {
+    result.summary.status = "completed";
+    result.summary.progress = 100;
+    return result;
+  }
+
+  const deadline = Date.now() + JOB_SETTINGS.KEY_ROTATION_MAX_RUN_MS;
+
+  for (const progress of rotation.targets) {
+    const target = TARGETS.find((t) => t.name === progress.name);
+    if (!target || progress.done) continue;
+
+    while (Date.now() < deadline) {
+      const filter = progress.lastProcessedId ? { _id: { $gt: progress.lastProcessedId } } : {};
+      const docs = await target
+        .collection()
+        .find(filter, { projection: target.projection })
+        .sort({ _id: 1 })
+        .limit(JOB_SETTINGS.KEY_ROTATION_BATCH_SIZE)
+        .toArray();
+
+      if (!docs.length) {
+        progress.done = true;
+        break;
+      }
+
+      for (const doc of docs) {
+        try {
+          const { reEncrypted, failed } = await rotateDocument(target, doc);
+          if (reEncrypted) {
+            progress.reEncrypted += 1;
+            result.succeeded += 1;
+          }
+          if (failed) {
+            progress.failed += 1;
+            result.failed += 1;
+            result.failures.push({
+              referenceId: `${target.name}:${doc._id}`,
+              message: "Could not decrypt or update payload",
+            });
+          }
+        } catch (err) {
+          console.error(`[JOB] Key rotation failed for ${target.name}:${doc._id}:`, err.message);
+          progress.failed += 1;
+          result.failed += 1;
+          result.failures.push({ referenceId: `${target.name}:${doc._id}`, message: err.message });
+        }
+        progress.scanned += 1;
+        result.processed += 1;
+      }
+
+      // Checkpoint so the next run resumes after this batch
+      progress.lastProcessedId = docs[docs.length - 1]._id;
+      await rotation.save();
+    }
+  }
+
+  if (rotation.targets.every((t) => t.done)) {
+    rotation.status = "completed";
+    rotation.completedAt = new Date();
+  }
+  await rotation.save();
+
+  result.summary.status = rotation.status;
+  result.summary.progress = rotation.getProgress();
+  return result;
+};
+
+module.exports = { runChatKeyRotation };
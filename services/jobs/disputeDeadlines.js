@@ -0,0 +1,131 @@
+const Dispute = require("../../models/Dispute");
+const sendEmail = require("../../utils/sendEmail");
+
+// ============================================================================
+// DISPUTE DEADLINE ENFORCEMENT JOB
+// Acts on the responseDeadline / resolutionDeadline set by the Dispute model:
+//  - respondent missed responseDeadline → flag, move to under_review, bump priority
+//  - resolutionDeadline passed          → escalate, bump priority
+// ============================================================================
+
+const sendDeadlineEmail = async (email, name, disputeNumber, heading, message) => {
+  const subject = `Dispute Update: ${disputeNumber}`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+      <h2 style="color: #ff9800;">⏰ ${heading}</h2>
+      <p>Hello ${name},</p>
+      <p>${message}</p>
+      <p><strong>Dispute Number:</strong> ${disputeNumber}</p>
+      <div style="margin: 30px 0;">
+        <a href="https://freelancerhub-five.vercel.app/disputes"
+           style="background-color: #ff9800; color: white; padding: 12px 24px; text-decoration: none; border-radius: 5px;">
+          View Dispute
+        </a>
+      </div>
+      <hr>
+      <p style="font-size: 12px; color: #888;">&copy; 2025 FreelancerHub</p>
+    </div>
+  `;
+  await sendEmail(email, subject, html, true);
+};
+
+/**
+ * Email both parties; failures are logged, never thrown
+ */
+const notifyParties = async (dispute, heading, message) => {
+  for (const party of [dispute.clientId, dispute.freelancerId]) {
+    if (!party?.email) continue;
+    try {
+      await sendDeadlineEmail(party.email, party.username, dispute.disputeNumber, heading, message);
+    } catch (emailErr) {
+      console.error("Email error:", emailErr);
+    }
+  }
+};
+
+const loadDispute = (id) =>
+  Dispute.findById(id)
+    .populate("clientId", "username email")
+    .populate("freelancerId", "username email");
+
+/**
+ * Job handler
+ */
+const runDisputeDeadlines = async () => {
+  const now = new Date();
+  const [missed, overdue] = await Promise.all([
+    Dispute.getMissedResponses(now),
+    Dispute.getDueForEscalation(now),
+  ]);
+
+  const result = {
+    processed: missed.length + overdue.length,
+    succeeded: 0,
+    failed: 0,
+    failures: [],
+    summary: { responsesMissed: 0, escalated: 0 },
+  };
+
+  const recordFailure = (id, err) => {
+    console.error(`[JOB] Dispute deadline handling failed for ${id}:`, err.message);
+    result.failed += 1;
+    result.failures.push({ referenceId: id.toString(), message: err.message });
+  };
+
+  // ── Missed response deadlines ──
+  for (const { _id } of missed) {
+    try {
+      const dispute = await loadDispute(_id);
+      // Re-check: the respondent may have answered since the query ran
+      if (
+        !dispute ||
+        dispute.respondentResponse?.submittedAt ||
+        !["open", "awaiting_response"].includes(dispute.status)
+      ) {
+        continue;
+      }
+
+      await dispute.markResponseMissed();
+      result.succeeded += 1;
+      result.summary.responsesMissed += 1;
+
+      await notifyParties(
+        dispute,
+        "Response Deadline Missed",
+        "The respondent did not submit a response before the deadline. The dispute will now be reviewed by our team based on the evidence submitted so far."
+      );
+    } catch (err) {
+      recordFailure(_id, err);
+    }
+  }
+
+  // ── Resolution deadlines ──
+  for (const { _id } of overdue) {
+    try {
+      const dispute = await loadDispute(_id);
+      if (
+        !dispute ||
+        !["open", "under_review", "awaiting_response"].includes(dispute.status) ||
+        dispute.resolutionDeadline > now
+      ) {
+        continue;
+      }
+
+      await dispute.escalateOverdue();
+      result.succeeded += 1;
+      result.summary.escalated += 1;
+
+      await notifyParties(
+        dispute,
+        "Dispute Escalated",
+        "Your dispute was not resolved within the standard resolution window and has been escalated for priority handling by a senior admin."
+      );
+    } catch (err) {
+      recordFailure(_id, err);
+    }
+  }
+
+  return result;
+};
+
+module.exports = { runDisputeDeadlines };
@@ -0,0 +1,72 @@
+const { JOB_NAMES, JOB_SETTINGS } = require("../../config/constants");
+const { runMilestoneAutoRelease } = require("./milestoneAutoRelease");
+const { runDisputeDeadlines } = require("./disputeDeadlines");
+const { runChatSearchIndex } = require("../chatSearch");
+const { runChatKeyRotation } = require("./chatKeyRotation");
+const { runPayoutKeyRotation } = require("./payoutKeyRotation");
+const { runLoginKeyRotation } = require("../loginCrypto");
+const { runLedgerReconciliation } = require("../ledger");
+const { runPayoutSync } = require("../payouts");
+
+// ============================================================================
+// JOB REGISTRY
+// Every background job the scheduler knows about is registered here
+// ============================================================================
+
+/**
+ * Register all background jobs on a scheduler instance
+ * @param {import("../jobScheduler").JobScheduler} scheduler
+ */
+const registerJobs = (scheduler) => {
+  scheduler.register(JOB_NAMES.MILESTONE_AUTO_RELEASE, {
+    intervalMs:
+      parseInt(process.env.MILESTONE_AUTO_RELEASE_INTERVAL_MS) ||
+      JOB_SETTINGS.MILESTONE_AUTO_RELEASE_INTERVAL_MS,
+    description: "Release submitted milestones whose client review window has expired",
+    handler: runMilestoneAutoRelease,
+  });
+
+  scheduler.register(JOB_NAMES.DISPUTE_DEADLINES, {
+    intervalMs: JOB_SETTINGS.DISPUTE_DEADLINES_INTERVAL_MS,
+    description: "Flag missed dispute response deadlines and escalate disputes past their resolution deadline",
+    handler: runDisputeDeadlines,
+  });
+
+  scheduler.register(JOB_NAMES.CHAT_SEARCH_INDEX, {
+    intervalMs: JOB_SETTINGS.CHAT_SEARCH_INDEX_INTERVAL_MS,
+    description: "Add chat messages stored before search existed to the blind search index",
+    handler: runChatSearchIndex,
+  });
+
+  scheduler.register(JOB_NAMES.CHAT_KEY_ROTATION, {
+    intervalMs: JOB_SETTINGS.CHAT_KEY_ROTATION_INTERVAL_MS,
+    description: "Re-encrypt stored chat messages and attachments with the active encryption key",
+    handler: runChatKeyRotation,
+  });
+
+  scheduler.register(JOB_NAMES.PAYOUT_KEY_ROTATION, {
+    intervalMs: JOB_SETTINGS.PAYOUT_KEY_ROTATION_INTERVAL_MS,
+    description: "Re-encrypt saved payout methods with the active payout encryption key",
+    handler: runPayoutKeyRotation,
+  });
+
+  scheduler.register(JOB_NAMES.LOGIN_KEY_ROTATION, {
+    intervalMs: JOB_SETTINGS.LOGIN_KEY_ROTATION_INTERVAL_MS,
+    description: "Rotate the RSA key browsers use to encrypt login payloads once it is a week old",
+    handler: runLoginKeyRotation,
+  });
+
+  scheduler.register(JOB_NAMES.LEDGER_RECONCILIATION, {
+    intervalMs: JOB_SETTINGS.LEDGER_RECONCILIATION_INTERVAL_MS,
+    description: "Recompute wallet balances from the ledger and report (optionally freeze) mismatched wallets",
+    handler: runLedgerReconciliation,
+  });
+
+  scheduler.register(JOB_NAMES.PAYOUT_SYNC, {
+    intervalMs: JOB_SETTINGS.PAYOUT_SYNC_INTERVAL_MS,
+    description: "Retry failed payout requests and poll the gateway for payouts with no recent status",
+    handler: runPayoutSync,
+  });
+};
+
+module.exports = { registerJobs };
@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const Milestone = require("../../models/Milestone");
+const User = require("../../models/User");
+const Activity = require("../../models/ActionSchema");
+const walletHelper = require("../../utils/walletHelper");
+const sendEmail = require("../../utils/sendEmail");
+
+// ============================================================================
+// MILESTONE AUTO-RELEASE JOB
+// Releases submitted milestones whose review window (autoReleaseAfterHours)
+// has passed without the client confirming or requesting a revision.
+// ============================================================================
+
+const logActivity = async (userId, action) => {
+  try {
+    await Activity.create({ userId, action });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+const sendAutoReleasedEmail = async (email, name, milestoneTitle, amount, isFreelancer) => {
+  const subject = `Milestone Auto-Released: "${milestoneTitle}"`;
+  const body = isFreelancer
+    ? `<p>The review window for milestone <strong>"${milestoneTitle}"</strong> has ended without client action, so the payment has been released to your wallet.</p>`
+    : `<p>The review window for milestone <strong>"${milestoneTitle}"</strong> has ended without action, so the escrowed payment has been released to the freelancer.</p>`;
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: auto; padding: 20px;">
+      <h2 style="color: #4CAF50;">⏰ Milestone Auto-Released</h2>
+      <p>Hello ${name},</p>
+      ${body}
+      <p><strong>Amount Released:</strong> ₹${amount.toLocaleString()}</p>
+      <hr>
+      <p style="font-size: 12px; color: #888;">&copy; 2025 FreelancerHub</p>
+    </div>
+  `;
+  await sendEmail(email, subject, html, true);
+};
+
+/**
+ * Release a single milestone inside its own transaction.
+ * Re-checks eligibility under the session so a client confirming at the
+ * same moment cannot cause a double release.
+ * @returns {Promise<object|null>} - Released milestone, or null if no longer eligible
+ */
+const releaseMilestone = async (milestoneId) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction();
+
+    const milestone = await Milestone.findById(milestoneId).session(session);
+    if (!milestone || !milestone.shouldAutoRelease()) {
+      await session.abortTransaction();
+      return null;
+    }
+
+    const amount = milestone.finalAmount || milestone.amount;
+
+    milestone.autoReleaseScheduledAt = null;
+    await milestone.release();
+
+    // ── GLOBAL WALLET: release milestone funds from client escrow → freelancer balance ──
+    await walletHelper.releaseEscrow(
+      milestone.clientId,
+      milestone.freelancerId,
+      amount,
+      null,   // no single Escrow doc id for milestones — project's escrow holds it
+      milestone.projectId,
+      `Milestone auto-released after ${milestone.autoReleaseAfterHours}h: ${milestone.title}`,
+      session
+    );
+
+    // Start next milestone if exists
+    const nextMilestone = await Milestone.findOne({
+      agreementId: milestone.agreementId,
+      milestoneNumber: milestone.milestoneNumber + 1,
+      status: "pending",
+    }).session(session);
+
+    if (nextMilestone) {
+      nextMilestone.status = "in_progress";
+      nextMilestone.startedAt = new Date();
+      await nextMilestone.save({ session });
+    }
+
+    await session.commitTransaction();
+    return milestone;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Job handler — processes every milestone due for auto-release
+ */
+const runMilestoneAutoRelease = async () => {
+  const due = await Milestone.getDueForAutoRelease();
+
+  const result = {
+    processed: due.length,
+    succeeded: 0,
+    failed: 0,
+    failures: [],
+    summary: { releasedAmount: 0, skipped: 0 },
+  };
+
+  for (const candidate of due) {
+    try {
+      const milestone = await releaseMilestone(candidate._id);
+      if (!milestone) {
+        result.summary.skipped += 1;
+        continue;
+      }
+
+      const amount = milestone.finalAmount || milestone.amount;
+      result.succeeded += 1;
+      result.summary.releasedAmount += amount;
+
+      await logActivity(milestone.freelancerId, `Milestone auto-released: ${milestone.title}`);
+      await logActivity(milestone.clientId, `Milestone auto-released: ${milestone.title}`);
+
+      try {
+        const [client, freelancer] = await Promise.all([
+          User.findById(milestone.clientId).select("username email"),
+          User.findById(milestone.freelancerId).select("username email"),
+        ]);
+        if (freelancer) {
+          await sendAutoReleasedEmail(freelancer.email, freelancer.username, milestone.title, amount, true);
+        }
+        if (client) {
+          await sendAutoReleasedEmail(client.email, client.username, milestone.title, amount, false);
+        }
+      } catch (emailErr) {
+        console.error("Email error:", emailErr);
+      }
+    } catch (err) {
+      console.error(`[JOB] Auto-release failed for milestone ${candidate._id}:`, err.message);
+      result.failed += 1;
+      result.failures.push({
+        referenceId: candidate._id.toString(),
+        message: err.message,
+      });
+    }
+  }
+
+  return result;
+};
+
+module.exports = { runMilestoneAutoRelease, releaseMilestone };
@@ -0,0 +1,62 @@
+const PayoutMethod = require("../../models/PayoutMethod");
+const { activeKeyId, activePrefix, reEncrypt } = require("../../utils/payoutCrypto");
+const { JOB_SETTINGS } = require("../../config/constants");
+
+// ============================================================================
+// PAYOUT KEY ROTATION JOB
+// Re-encrypts saved payout method details still written with an older
+// payout key. Each payload names its key, so methods left to do are found by
+// prefix and no checkpoint is kept; undecryptable ones are skipped (in _id
+// order) and reported.
+// ============================================================================
+
+/**
+ * Job handler
+ */
+const runPayoutKeyRotation = async () => {
+  const result = {
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    failures: [],
+    summary: { keyId: activeKeyId },
+  };
+
+  const deadline = Date.now() + JOB_SETTINGS.KEY_ROTATION_MAX_RUN_MS;
+  const stale = { details: { $not: new RegExp(`^${activePrefix}`) } };
+  let lastId = null;
+
+  while (Date.now() < deadline) {
+    const filter = lastId ? { ...stale, _id: { $gt: lastId } } : stale;
+    const methods = await PayoutMethod.collection
+      .find(filter, { projection: { details: 1 } })
+      .sort({ _id: 1 })
+      .limit(JOB_SETTINGS.KEY_ROTATION_BATCH_SIZE)
+      .toArray();
+    if (!methods.length) break;
+
+    for (const method of methods) {
+      result.processed += 1;
+      try {
+        const details = reEncrypt(method.details);
+        if (details === null) throw new Error("Could not decrypt payout method details");
+
+        // Compare-and-set: skip it if the method changed meanwhile
+        const { modifiedCount } = await PayoutMethod.collection.updateOne(
+          { _id: method._id, details: method.details },
+          { $set: { details } }
+        );
+        if (modifiedCount) result.succeeded += 1;
+      } catch (err) {
+        result.failed += 1;
+        result.failures.push({ referenceId: `payoutMethods:${method._id}`, message: err.message });
+      }
+    }
+    lastId = methods[methods.length - 1]._id;
+  }
+
+  result.summary.remaining = await PayoutMethod.countDocuments(stale);
+  return result;
+};
+
+module.exports = { runPayoutKeyRotation };
@@ -0,0 +1,408 @@
+const Wallet = require("../models/Wallet");
+const Escrow = require("../models/Escrow");
+const LedgerEntry = require("../models/LedgerEntry");
+const ReconciliationReport = require("../models/ReconciliationReport");
+const { LEDGER_ACCOUNTS: ACCOUNTS, LEDGER_SETTINGS, JOB_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// LEDGER RECONCILIATION
+// Recomputes every wallet from the double-entry journal written by
+// utils/walletHelper.js and compares it with the stored balances:
+//  - user_available lines must sum to Wallet.balance
+//  - user_escrow lines must sum to Wallet.escrowBalance
+//  - every line in the journal must sum to zero
+//  - escrows that are released/refunded must no longer hold money
+// The ledger is summed and the wallets read separately, so wallets flagged
+// by the first pass are re-checked on their own before being reported.
+// Findings are saved as a ReconciliationReport; with
+// LEDGER_FREEZE_ON_DISCREPANCY=true, mismatched wallets are also blocked
+// from withdrawing until an admin unfreezes them.
+// ============================================================================
+
+const CLOSED_ESCROW_STATUSES = ["released", "refunded", "paid"];
+
+// Tries to read a flagged wallet and its ledger with no money movement in between
+const RECHECK_ATTEMPTS = 3;
+
+const round = (n) => Math.round(n * 100) / 100;
+const differs = (a, b) => Math.abs(a - b) >= LEDGER_SETTINGS.TOLERANCE;
+
+/**
+ * Book opening balances for wallets no money movement has touched since the
+ * ledger was introduced. Claiming `ledgerOpenedAt` returns the wallet as it
+ * was at that instant, so the opening entry matches exactly what was stored.
+ */
+const openUntouchedWallets = async () => {
+  let opened = 0;
+  const untouched = await Wallet.find({ ledgerOpenedAt: null }).select("_id").lean();
+
+  for (const { _id } of untouched) {
+    const wallet = await Wallet.findOneAndUpdate(
+      { _id, ledgerOpenedAt: null },
+      { $set: { ledgerOpenedAt: new Date() } },
+      { new: false }
+    ).lean();
+    if (!wallet) continue; // Opened by a wallet operation in the meantime
+
+    const available = round(wallet.balance || 0);
+    const escrow = round(wallet.escrowBalance || 0);
+    if (available || escrow) {
+      await LedgerEntry.create({
+        type: "opening_balance",
+        lines: [
+          { account: ACCOUNTS.USER_AVAILABLE, userId: wallet.userId, amount: available },
+          { account: ACCOUNTS.USER_ESCROW, userId: wallet.userId, amount: escrow },
+          { account: ACCOUNTS.OPENING_BALANCES, amount: round(-(available + escrow)) },
+        ].filter((line) => line.amount !== 0),
+        description: "Balances held before the ledger was introduced",
+      });
+    }
+    opened += 1;
+  }
+
+  return opened;
+};
+
+/**
+ * Sum every ledger line per account (and per user for user accounts)
+ */
+const sumLedger = async () => {
+  const totals = await LedgerEntry.aggregate([
+    { $unwind: "$lines" },
+    {
+      $group: {
+        _id: { account: "$lines.account", userId: "$lines.userId" },
+        total: { $sum: "$lines.amount" },
+      },
+    },
+  ]);
+
+  const users = new Map(); // userId → { user_available, user_escrow }
+  const platform = {};
+  let imbalance = 0;
+
+  for (const { _id, total } of totals) {
+    imbalance += total;
+    if (_id.userId) {
+      const key = _id.userId.toString();
+      if (!users.has(key)) users.set(key, {});
+      users.get(key)[_id.account] = round(total);
+    } else {
+      platform[_id.account] = round((platform[_id.account] || 0) + total);
+    }
+  }
+
+  return { users, platform, imbalance: round(imbalance) };
+};
+
+/**
+ * Money the ledger still holds in escrow per project, for projects funded
+ * after the ledger was introduced
+ */
+const sumEscrowByProject = async () => {
+  const totals = await LedgerEntry.aggregate([
+    { $match: { referenceModel: "Project", "lines.account": ACCOUNTS.USER_ESCROW } },
+    { $unwind: "$lines" },
+    { $match: { "lines.account": ACCOUNTS.USER_ESCROW } },
+    {
+      $group: {
+        _id: "$referenceId",
+        held: { $sum: "$lines.amount" },
+        funded: { $max: { $cond: [{ $eq: ["$type", "escrow_hold"] }, 1, 0] } },
+      },
+    },
+    { $match: { funded: 1 } },
+  ]);
+
+  return new Map(totals.map(({ _id, held }) => [_id.toString(), round(held)]));
+};
+
+/**
+ * Sum one user's ledger lines per account
+ * @param {ObjectId} userId
+ */
+const sumUserLedger = async (userId) => {
+  const totals = await LedgerEntry.aggregate([
+    { $match: { "lines.userId": userId } },
+    { $unwind: "$lines" },
+    { $match: { "lines.userId": userId } },
+    { $group: { _id: "$lines.account", total: { $sum: "$lines.amount" } } },
+  ]);
+  return Object.fromEntries(totals.map(({ _id, total }) => [_id, round(total)]));
+};
+
+/**
+ * Stored balances of one wallet that differ from its ledger sums
+ */
+const compareWallet = (wallet, ledger) => {
+  const discrepancies = [];
+  const pairs = [
+    [ACCOUNTS.USER_AVAILABLE, wallet.balance || 0],
+    [ACCOUNTS.USER_ESCROW, wallet.escrowBalance || 0],
+  ];
+  for (const [account, actual] of pairs) {
+    const expected = ledger[account] || 0;
+    if (differs(expected, actual)) {
+      discrepancies.push({
+        userId: wallet.userId,
+        walletId: wallet._id,
+        account,
+        expected,
+        actual: round(actual),
+        difference: round(actual - expected),
+      });
+    }
+  }
+  return discrepancies;
+};
+
+/**
+ * Compare a flagged wallet with a fresh sum of its own ledger lines. Money
+ * moved between the full ledger sum and the wallet scan makes a healthy
+ * wallet look wrong, so the sum only counts when the wallet reads the same
+ * before and after it. Wallet updates and their ledger lines commit together.
+ * @returns {Promise<Object[]|null>} - Confirmed discrepancies, or null if the
+ *   wallet kept changing (it is checked again next run)
+ */
+const recheckWallet = async (walletId) => {
+  for (let attempt = 0; attempt < RECHECK_ATTEMPTS; attempt++) {
+    const before = await Wallet.findById(walletId).select("userId balance escrowBalance updatedAt").lean();
+    if (!before) return [];
+    const ledger = await sumUserLedger(before.userId);
+    const after = await Wallet.findById(walletId).select("updatedAt").lean();
+    if (after && after.updatedAt.getTime() === before.updatedAt.getTime()) {
+      return compareWallet(before, ledger);
+    }
+  }
+  return null;
+};
+
+const checkWallets = async (ledgerUsers) => {
+  const discrepancies = [];
+  const flagged = [];
+  let checked = 0;
+  let skipped = 0;
+
+  const cursor = Wallet.find({ ledgerOpenedAt: { $ne: null } })
+    .select("userId balance escrowBalance")
+    .lean()
+    .cursor();
+
+  for await (const wallet of cursor) {
+    checked += 1;
+    const key = wallet.userId.toString();
+    const ledger = ledgerUsers.get(key) || {};
+    ledgerUsers.delete(key);
+
+    if (compareWallet(wallet, ledger).length) flagged.push(wallet._id);
+  }
+
+  for (const walletId of flagged) {
+    const confirmed = await recheckWallet(walletId);
+    if (confirmed === null) skipped += 1;
+    else discrepancies.push(...confirmed);
+  }
+
+  // Ledger lines for users whose wallet is missing or was never opened
+  for (const [userId, ledger] of ledgerUsers) {
+    for (const [account, expected] of Object.entries(ledger)) {
+      if (differs(expected, 0)) {
+        discrepancies.push({ userId, walletId: null, account, expected, actual: 0, difference: round(-expected) });
+      }
+    }
+  }
+
+  return { checked, skipped, discrepancies };
+};
+
+const checkEscrows = async (heldByProject) => {
+  const discrepancies = [];
+  if (!heldByProject.size) return { checked: 0, discrepancies };
+
+  const escrows = await Escrow.find({ projectId: { $in: [...heldByProject.keys()] } })
+    .select("projectId status amount originalAmount")
+    .lean();
+
+  for (const escrow of escrows) {
+    const held = heldByProject.get(escrow.projectId.toString()) || 0;
+    const closed = CLOSED_ESCROW_STATUSES.includes(escrow.status);
+    const ceiling = escrow.originalAmount || escrow.amount;
+
+    // Closed escrows hold nothing; open ones never hold more than was funded
+    const expectedHeld = closed ? 0 : escrow.amount;
+    const mismatch = closed
+      ? differs(held, 0)
+      : held <= -LEDGER_SETTINGS.TOLERANCE || held - ceiling >= LEDGER_SETTINGS.TOLERANCE;
+
+    if (mismatch) {
+      discrepancies.push({
+        escrowId: escrow._id,
+        projectId: escrow.projectId,
+        status: escrow.status,
+        expectedHeld,
+        ledgerHeld: held,
+      });
+    }
+  }
+
+  return { checked: escrows.length, discrepancies };
+};
+
+/**
+ * Block withdrawals on wallets the ledger disagrees with. Wallets an admin
+ * already froze keep their original reason.
+ */
+const freezeWallets = async (discrepancies, reportId) => {
+  const walletIds = [...new Set(discrepancies.filter((d) => d.walletId).map((d) => d.walletId.toString()))];
+  if (!walletIds.length) return new Set();
+
+  const frozen = new Set();
+  for (const walletId of walletIds) {
+    const { modifiedCount } = await Wallet.updateOne(
+      { _id: walletId, withdrawalsBlocked: false },
+      {
+        $set: {
+          withdrawalsBlocked: true,
+          withdrawalBlockedReason: `Balance does not match the ledger (reconciliation report ${reportId})`,
+          withdrawalBlockedAt: new Date(),
+          withdrawalBlockedBy: null,
+        },
+      }
+    );
+    if (modifiedCount) frozen.add(walletId);
+  }
+  return frozen;
+};
+
+/**
+ * Job handler
+ */
+const runLedgerReconciliation = async ({ runId = null, trigger = "schedule" } = {}) => {
+  const report = await ReconciliationReport.create({ runId, trigger, startedAt: new Date() });
+
+  try {
+    report.walletsOpened = await openUntouchedWallets();
+
+    const [{ users, platform, imbalance }, heldByProject] = await Promise.all([sumLedger(), sumEscrowByProject()]);
+    const wallets = await checkWallets(users);
+    const escrows = await checkEscrows(heldByProject);
+
+    const frozen = LEDGER_SETTINGS.FREEZE_ON_DISCREPANCY
+      ? await freezeWallets(wallets.discrepancies, report._id)
+      : new Set();
+    for (const d of wallets.discrepancies) {
+      d.frozen = !!d.walletId && frozen.has(d.walletId.toString());
+    }
+
+    const max = LEDGER_SETTINGS.MAX_DISCREPANCIES_RECORDED;
+    const found = wallets.discrepancies.length + escrows.discrepancies.length;
+
+    report.walletsChecked = wallets.checked;
+    report.walletsSkipped = wallets.skipped;
+    report.escrowsChecked = escrows.checked;
+    report.ledgerImbalance = imbalance;
+    report.platformBalances = platform;
+    report.walletDiscrepancies = wallets.discrepancies.slice(0, max);
+    report.escrowDiscrepancies = escrows.discrepancies.slice(0, max);
+    report.truncated = wallets.discrepancies.length > max || escrows.discrepancies.length > max;
+    report.walletsFrozen = frozen.size;
+    report.status = found || differs(imbalance, 0) ? "discrepancies" : "clean";
+    report.finishedAt = new Date();
+    await report.save();
+
+    if (report.status !== "clean") {
+      console.error(
+        `[LEDGER] Reconciliation found ${found} discrepancies (imbalance ₹${imbalance}) — report ${report._id}`
+      );
+    }
+
+    const failures = [
+      ...wallets.discrepancies.map((d) => ({
+        referenceId: (d.walletId || d.userId).toString(),
+        message: `${d.account}: ledger ₹${d.expected}, wallet ₹${d.actual}`,
+      })),
+      ...escrows.discrepancies.map((d) => ({
+        referenceId: d.escrowId.toString(),
+        message: `Escrow ${d.status} but ledger holds ₹${d.ledgerHeld}`,
+      })),
+    ];
+
+    return {
+      processed: wallets.checked + escrows.checked,
+      succeeded: wallets.checked - wallets.skipped + escrows.checked - found,
+      failed: found,
+      failures: failures.slice(0, JOB_SETTINGS.MAX_FAILURES_RECORDED),
+      summary: {
+        reportId: report._id.toString(),
+        status: report.status,
+        walletsOpened: report.walletsOpened,
+        walletsSkipped: wallets.skipped,
+        ledgerImbalance: imbalance,
+        walletsFrozen: frozen.size,
+      },
+    };
+  } catch (err) {
+    report.status = "failed";
+    report.error = err.message;
+    report.finishedAt = new Date();
+    await report.save().catch(() => {});
+    throw err;
+  }
+};
+
+// ============================================================================
+// ADMIN QUERIES
+// ============================================================================
+
+const listReports = async ({ status, page = 1, limit = 20 } = {}) => {
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const filter = status ? { status } : {};
+
+  const [reports, total] = await Promise.all([
+    ReconciliationReport.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .select("-walletDiscrepancies -escrowDiscrepancies"),
+    ReconciliationReport.countDocuments(filter),
+  ]);
+
+  return {
+    reports,
+    pagination: { page: safePage, limit: safeLimit, total, pages: Math.ceil(total / safeLimit) },
+  };
+};
+
+const getReport = (id) =>
+  ReconciliationReport.findById(id).populate("walletDiscrepancies.userId", "username email role");
+
+/**
+ * Ledger lines touching one user, newest first
+ */
+const getUserLedger = async (userId, { page = 1, limit = 20 } = {}) => {
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const safePage = Math.max(parseInt(page) || 1, 1);
+  const filter = { "lines.userId": userId };
+
+  const [entries, total] = await Promise.all([
+    LedgerEntry.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    LedgerEntry.countDocuments(filter),
+  ]);
+
+  return {
+    entries,
+    pagination: { page: safePage, limit: safeLimit, total, pages: Math.ceil(total / safeLimit) },
+  };
+};
+
+module.exports = {
+  runLedgerReconciliation,
+  listReports,
+  getReport,
+  getUserLedger,
+};
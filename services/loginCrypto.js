@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const LoginKey = require("../models/LoginKey");
+const SiteSettings = require("../models/SiteSettings");
+const { encrypt, decrypt } = require("../utils/chatCrypto");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { LOGIN_KEY_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// LOGIN PAYLOAD ENCRYPTION
+// The browser fetches the active public key (GET /auth/login-key), then for
+// each login:
+//   1. generates a random AES-256-GCM key and 12-byte IV
+//   2. encrypts JSON { email, password, ..., ts } with it (ts = Date.now())
+//   3. wraps the AES key with RSA-OAEP (SHA-256) under the public key
+//   4. sends { encrypted: { kid, key, iv, data } }, all base64, where data is
+//      ciphertext followed by the 16-byte tag (WebCrypto's output as-is)
+// Keys rotate weekly; the previous key keeps working for a grace period.
+// ============================================================================
+
+let cachedActive = null; // { key, loadedAt }
+const privateKeyCache = new Map(); // kid -> KeyObject
+
+const b64 = (value) => Buffer.from(typeof value === "string" ? value : "", "base64");
+
+/**
+ * Generate a key pair and make it the active key, retiring the current one
+ * @returns {Promise<object>} - The new LoginKey
+ */
+const rotateLoginKey = async () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: LOGIN_KEY_SETTINGS.MODULUS_LENGTH,
+  });
+
+  await LoginKey.updateMany(
+    { status: "active" },
+    { $set: { status: "retiring", retireAt: new Date(Date.now() + LOGIN_KEY_SETTINGS.RETIRE_GRACE_MS) } }
+  );
+
+  let key;
+  try {
+    key = await LoginKey.create({
+      kid: crypto.randomBytes(8).toString("hex"),
+      publicKey: publicKey.export({ type: "spki", format: "pem" }),
+      privateKey: encrypt(privateKey.export({ type: "pkcs8", format: "pem" })),
+    });
+  } catch (err) {
+    // Another instance rotated at the same moment; use its key
+    if (err.code !== 11000) throw err;
+    key = await LoginKey.findOne({ status: "active" });
+  }
+
+  cachedActive = { key, loadedAt: Date.now() };
+  return key;
+};
+
+/**
+ * The key to publish, creating the first one if none exists
+ */
+const getActiveLoginKey = async () => {
+  if (cachedActive && Date.now() - cachedActive.loadedAt < LOGIN_KEY_SETTINGS.CACHE_MS) {
+    return cachedActive.key;
+  }
+
+  const key = (await LoginKey.findOne({ status: "active" })) || (await rotateLoginKey());
+  cachedActive = { key, loadedAt: Date.now() };
+  return key;
+};
+
+/**
+ * Public part of the active key, as returned to browsers
+ */
+const getPublicLoginKey = async () => {
+  const key = await getActiveLoginKey();
+  return {
+    kid: key.kid,
+    alg: LOGIN_KEY_SETTINGS.ALGORITHM,
+    enc: "A256GCM",
+    publicKey: key.publicKey,
+    jwk: {
+      ...crypto.createPublicKey(key.publicKey).export({ format: "jwk" }),
+      kid: key.kid,
+      alg: LOGIN_KEY_SETTINGS.ALGORITHM,
+      use: "enc",
+    },
+    rotatesAt: new Date(key.activatedAt.getTime() + LOGIN_KEY_SETTINGS.ROTATE_AFTER_MS),
+  };
+};
+
+/**
+ * Private key for a kid that is still accepted, or null
+ */
+const getPrivateKey = async (kid) => {
+  const key = await LoginKey.findOne({
+    kid,
+    $or: [{ status: "active" }, { retireAt: { $gt: new Date() } }],
+  });
+  if (!key) {
+    privateKeyCache.delete(kid);
+    return null;
+  }
+
+  if (!privateKeyCache.has(kid)) {
+    const pem = decrypt(key.privateKey);
+    if (!pem) return null;
+    privateKeyCache.set(kid, crypto.createPrivateKey(pem));
+  }
+  return privateKeyCache.get(kid);
+};
+
+/**
+ * Decrypt an encrypted login body
+ * @param {{kid: string, key: string, iv: string, data: string}} envelope
+ * @returns {Promise<object>} - The decrypted fields (email, password, ...)
+ * @throws {ApiError} 400 if the envelope is malformed, stale or for an unknown key
+ */
+const decryptLoginPayload = async (envelope) => {
+  const invalid = () => ErrorTypes.BadRequest("Invalid encrypted login payload");
+
+  if (!envelope || typeof envelope !== "object" || typeof envelope.kid !== "string") {
+    throw invalid();
+  }
+
+  const privateKey = await getPrivateKey(envelope.kid);
+  if (!privateKey) {
+    // Client has a key that has since been retired; it should fetch a new one
+    const error = ErrorTypes.BadRequest("Login key expired. Refresh and try again.");
+    error.code = "LOGIN_KEY_EXPIRED";
+    throw error;
+  }
+
+  let payload;
+  try {
+    const aesKey = crypto.privateDecrypt(
+      { key: privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" },
+      b64(envelope.key)
+    );
+    const iv = b64(envelope.iv);
+    const data = b64(envelope.data);
+    if (aesKey.length !== 32 || iv.length !== 12 || data.length <= 16) throw invalid();
+
+    const decipher = crypto.createDecipheriv("aes-256-gcm", aesKey, iv);
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    const plaintext = Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+    payload = JSON.parse(plaintext.toString("utf8"));
+  } catch {
+    throw invalid();
+  }
+
+  if (!payload || typeof payload !== "object" || typeof payload.ts !== "number") {
+    throw invalid();
+  }
+  if (Math.abs(Date.now() - payload.ts) > LOGIN_KEY_SETTINGS.MAX_PAYLOAD_AGE_MS) {
+    throw ErrorTypes.BadRequest("Encrypted login payload has expired. Please try again.");
+  }
+
+  return payload;
+};
+
+/**
+ * Whether unencrypted login bodies are still accepted (the migration window)
+ */
+const isPlainLoginAllowed = async () => {
+  const settings = await SiteSettings.getSettings();
+  if (!settings.allowPlainLogin) return false;
+  return !settings.plainLoginUntil || settings.plainLoginUntil > new Date();
+};
+
+/**
+ * Job handler: rotate the active key once it is older than ROTATE_AFTER_MS
+ */
+const runLoginKeyRotation = async () => {
+  const active = await LoginKey.findOne({ status: "active" });
+  const due = !active || Date.now() - active.activatedAt.getTime() >= LOGIN_KEY_SETTINGS.ROTATE_AFTER_MS;
+
+  const result = { processed: 1, succeeded: 0, failed: 0, failures: [], summary: {} };
+  if (!due) {
+    result.summary = { rotated: false, kid: active.kid };
+    return result;
+  }
+
+  const key = await rotateLoginKey();
+  result.succeeded = 1;
+  result.summary = { rotated: true, kid: key.kid, previousKid: active?.kid || null };
+  return result;
+};
+
+module.exports = {
+  getPublicLoginKey,
+  decryptLoginPayload,
+  isPlainLoginAllowed,
+  rotateLoginKey,
+  runLoginKeyRotation,
+};
@@ -0,0 +1,281 @@
+const crypto = require("crypto");
+const LoginEvent = require("../models/LoginEvent");
+const OTP = require("../models/OTP");
+const { getRequestContext } = require("./sessions");
+const { issueOtp, verifyOtp } = require("./otp");
+const sendEmail = require("../utils/sendEmail");
+const { LOGIN_RISK, OTP_PURPOSES } = require("../config/constants");
+
+// ============================================================================
+// LOGIN ANOMALY DETECTION
+// Every login is compared with the account's earlier successful logins:
+//   - new device      (device cookie never seen on this account)
+//   - new country     (GeoIP country never seen on this account)
+//   - impossible travel (too far from the last login for the time elapsed)
+// High risk needs a second factor: a TOTP code if the account has 2FA
+// (already checked by the login route), otherwise a code sent by email.
+// Anything unusual is emailed to the account owner.
+// ============================================================================
+
+const cookieOptions = {
+  sameSite: "None",
+  httpOnly: true,
+  secure: true,
+  path: "/",
+};
+
+const hashDeviceId = (deviceId) => crypto.createHash("sha256").update(deviceId).digest("hex");
+
+/**
+ * Device id from the cookie, issuing one for browsers that have none
+ */
+const getDeviceId = (req, res) => {
+  const existing = req.cookies?.[LOGIN_RISK.DEVICE_COOKIE];
+  if (typeof existing === "string" && /^[A-Za-z0-9_-]{32,64}$/.test(existing)) return existing;
+
+  const deviceId = crypto.randomBytes(24).toString("base64url");
+  res.cookie(LOGIN_RISK.DEVICE_COOKIE, deviceId, {
+    ...cookieOptions,
+    maxAge: LOGIN_RISK.DEVICE_COOKIE_MAX_AGE_MS,
+  });
+  return deviceId;
+};
+
+/**
+ * Great-circle distance in km between two [lat, lon] points
+ */
+const distanceKm = ([lat1, lon1], [lat2, lon2]) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const a =
+    Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Score a login against the account's history
+ * @returns {Promise<object>} - Request context, fingerprint and risk
+ */
+const assessLogin = async (req, res, { userId }) => {
+  const context = getRequestContext(req);
+  const deviceFingerprint = hashDeviceId(getDeviceId(req, res));
+  const risk = { score: 0, level: "low", newDevice: false, newCountry: false, impossibleTravel: false };
+
+  const previous = await LoginEvent.findOne({ userId, outcome: "success" }).sort({ createdAt: -1 });
+
+  // No history yet, nothing to compare with
+  if (previous) {
+    const [knownDevice, knownCountry] = await Promise.all([
+      LoginEvent.exists({ userId, outcome: "success", deviceFingerprint }),
+      context.location.country
+        ? LoginEvent.exists({ userId, outcome: "success", "location.country": context.location.country })
+        : true,
+    ]);
+
+    if (!knownDevice) {
+      risk.newDevice = true;
+      risk.score += LOGIN_RISK.SCORES.NEW_DEVICE;
+    }
+    if (!knownCountry) {
+      risk.newCountry = true;
+      risk.score += LOGIN_RISK.SCORES.NEW_COUNTRY;
+    }
+
+    if (context.coordinates && previous.coordinates?.length === 2) {
+      const km = distanceKm(previous.coordinates, context.coordinates);
+      const hours = Math.max((Date.now() - previous.createdAt.getTime()) / 3600000, 1 / 60);
+      const speed = km / hours;
+      if (km >= LOGIN_RISK.MIN_TRAVEL_DISTANCE_KM && speed > LOGIN_RISK.MAX_TRAVEL_SPEED_KMH) {
+        risk.impossibleTravel = true;
+        risk.distanceKm = Math.round(km);
+        risk.speedKmh = Math.round(speed);
+        risk.score += LOGIN_RISK.SCORES.IMPOSSIBLE_TRAVEL;
+      }
+    }
+  }
+
+  if (risk.score >= LOGIN_RISK.HIGH_RISK_SCORE) risk.level = "high";
+  else if (risk.score >= LOGIN_RISK.MEDIUM_RISK_SCORE) risk.level = "medium";
+
+  return { context, deviceFingerprint, risk };
+};
+
+const recordEvent = (assessment, principal, fields) =>
+  LoginEvent.create({
+    userId: principal.userId,
+    userModel: principal.userModel,
+    method: principal.method || "password",
+    deviceFingerprint: assessment.deviceFingerprint,
+    device: assessment.context.device,
+    userAgent: assessment.context.userAgent,
+    ipAddress: assessment.context.ipAddress,
+    location: assessment.context.location,
+    coordinates: assessment.context.coordinates || undefined,
+    risk: assessment.risk,
+    ...fields,
+  });
+
+/**
+ * Assess a login that has passed password (and 2FA, if enabled) checks.
+ * For high risk without a verified TOTP, the caller must resend the login
+ * with `step_up_code` from the email this sends.
+ *
+ * @param {object} principal - { userId, userModel: "User"|"Admin", email, method? }
+ * @param {object} options
+ * @param {boolean} options.twoFactorVerified - A TOTP/backup code was checked for this login
+ * @param {string} [options.stepUpCode] - Emailed step-up code, on the retry
+ * @returns {Promise<{assessment: object, rejection?: {status: number, body: object}}>}
+ */
+const evaluateLogin = async (req, res, principal, { twoFactorVerified, stepUpCode }) => {
+  const assessment = await assessLogin(req, res, principal);
+  assessment.stepUpMethod = null;
+
+  if (assessment.risk.level !== "high") return { assessment };
+
+  if (twoFactorVerified) {
+    assessment.stepUpMethod = "totp";
+    return { assessment };
+  }
+
+  const otpRequest = {
+    email: principal.email,
+    purpose: OTP_PURPOSES.LOGIN_STEP_UP,
+    ip: assessment.context.ipAddress,
+  };
+
+  if (stepUpCode) {
+    try {
+      await verifyOtp({ ...otpRequest, code: stepUpCode });
+    } catch (err) {
+      if (!err.statusCode) throw err;
+      await recordEvent(assessment, principal, { outcome: "step_up_failed" });
+      return {
+        assessment,
+        rejection: { status: err.statusCode, body: { message: err.message, requiresStepUp: true } },
+      };
+    }
+    assessment.stepUpMethod = "email_otp";
+    return { assessment };
+  }
+
+  // Don't send a second email while the first code is still good
+  const pending = await OTP.exists({
+    email: principal.email.toLowerCase(),
+    purpose: OTP_PURPOSES.LOGIN_STEP_UP,
+    otpHash: { $ne: null },
+    expiresAt: { $gt: new Date() },
+  });
+  if (!pending) {
+    const code = await issueOtp(otpRequest);
+    sendEmail(
+      principal.email,
+      "Confirm it's you - FreelancerHub",
+      `<div style="font-family: Arial, sans-serif; max-width: 500px; margin: auto; padding: 20px; border: 1px solid #ddd; border-radius: 10px; text-align: center; background-color: #f9f9f9;">
+        <h2 style="color: #333;">Unusual sign-in</h2>
+        <p style="font-size: 14px; color: #555;">We noticed a sign-in from ${describeWhere(assessment.context)} on ${assessment.context.device}. Enter this code to continue:</p>
+        <h1 style="color: #4CAF50; margin: 10px 0;">${code}</h1>
+        <p style="font-size: 12px; color: #888;">Valid for 10 minutes. If this wasn't you, change your password now.</p>
+      </div>`
+    ).catch((err) => console.error("Step-up email failed:", err.message));
+  }
+
+  await recordEvent(assessment, principal, { outcome: "step_up_required" });
+  return {
+    assessment,
+    rejection: {
+      status: 403,
+      body: {
+        message: "Unusual sign-in. Enter the code we emailed you.",
+        requiresStepUp: true,
+        method: "email_otp",
+      },
+    },
+  };
+};
+
+const describeWhere = ({ location, ipAddress }) =>
+  [location.city, location.region, location.country].filter(Boolean).join(", ") || `IP ${ipAddress}`;
+
+/**
+ * Store a successful login and email the owner if anything was unusual
+ */
+const recordSuccessfulLogin = async (assessment, principal, { sessionId = null } = {}) => {
+  const { risk, context } = assessment;
+  const unusual = risk.newDevice || risk.newCountry || risk.impossibleTravel;
+
+  const event = await recordEvent(assessment, principal, {
+    outcome: "success",
+    stepUpMethod: assessment.stepUpMethod,
+    sessionId,
+    alertSent: unusual,
+  });
+
+  if (unusual) {
+    const reasons = [
+      risk.impossibleTravel &&
+        `It came from about ${risk.distanceKm} km away from your previous sign-in, too soon to have travelled.`,
+      risk.newCountry && `It came from a country you have not signed in from before (${context.location.country}).`,
+      risk.newDevice && "It was on a device we have not seen on your account.",
+    ].filter(Boolean);
+
+    sendEmail(
+      principal.email,
+      "New sign-in to your account - FreelancerHub",
+      `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #333;">New sign-in to your account</h2>
+        <p style="color: #475569;"><b>${context.device}</b> · ${describeWhere(context)} · ${new Date().toUTCString()}</p>
+        <ul style="color: #475569;">${reasons.map((r) => `<li>${r}</li>`).join("")}</ul>
+        <p style="color: #ef4444; font-weight: bold;">If this wasn't you, change your password and sign out all devices.</p>
+      </div>`
+    ).catch((err) => console.error("Login alert email failed:", err.message));
+  }
+
+  return event;
+};
+
+/**
+ * What the login history shows for one event
+ */
+const toLoginEventView = (event) => ({
+  _id: event._id,
+  createdAt: event.createdAt,
+  method: event.method,
+  device: event.device,
+  ipAddress: event.ipAddress,
+  location: event.location,
+  outcome: event.outcome,
+  risk: {
+    level: event.risk.level,
+    newDevice: event.risk.newDevice,
+    newCountry: event.risk.newCountry,
+    impossibleTravel: event.risk.impossibleTravel,
+  },
+  stepUpMethod: event.stepUpMethod,
+});
+
+/**
+ * Paginated login history of one account, newest first
+ */
+const getLoginHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const safeLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const safePage = Math.max(parseInt(page) || 1, 1);
+
+  const [events, total] = await Promise.all([
+    LoginEvent.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit),
+    LoginEvent.countDocuments({ userId }),
+  ]);
+
+  return {
+    events: events.map(toLoginEventView),
+    pagination: { page: safePage, limit: safeLimit, total, pages: Math.ceil(total / safeLimit) },
+  };
+};
+
+module.exports = {
+  evaluateLogin,
+  recordSuccessfulLogin,
+  getLoginHistory,
+};
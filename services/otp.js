@@ -0,0 +1,251 @@
+const crypto = require("crypto");
+const JWT = require("jsonwebtoken");
+const OTP = require("../models/OTP");
+const OTPThrottle = require("../models/OTPThrottle");
+const { getJwtSecret } = require("../middleware/Auth");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { OTP_PURPOSES, OTP_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// EMAIL OTP
+// Issue and check 6-digit codes scoped to a purpose. Wrong guesses count
+// against both the email and the client IP; either can get locked out.
+// Signup and password reset trade a correct code for a short-lived signed
+// ticket that can be redeemed once.
+// ============================================================================
+
+const TICKET_AUDIENCE = "email-verification";
+
+// Purposes whose verified code becomes a ticket; others are checked inline
+const TICKET_PURPOSES = [OTP_PURPOSES.SIGNUP, OTP_PURPOSES.PASSWORD_RESET];
+
+const getOtpKey = () => process.env.OTP_SECRET || getJwtSecret();
+
+// Keyed so a leaked OTP collection cannot be brute-forced offline
+const hashOtp = (email, purpose, code) =>
+  crypto.createHmac("sha256", getOtpKey()).update(`${purpose}:${email}:${code}`).digest("hex");
+
+const safeEqual = (a, b) =>
+  typeof a === "string" && typeof b === "string" && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const normalizeEmail = (email) => (typeof email === "string" ? email.toLowerCase().trim() : "");
+
+const assertPurpose = (purpose) => {
+  if (!Object.values(OTP_PURPOSES).includes(purpose)) {
+    throw ErrorTypes.BadRequest("Invalid OTP purpose");
+  }
+};
+
+// ============================================================================
+// THROTTLING
+// ============================================================================
+
+const throttleKeys = (email, ip) => ({ emailKey: `email:${email}`, ipKey: `ip:${ip || "unknown"}` });
+
+/**
+ * Throw 429 if any of the keys is locked out
+ */
+const assertNotLocked = async (keys) => {
+  const locked = await OTPThrottle.findOne({ key: { $in: keys }, lockedUntil: { $gt: new Date() } });
+  if (locked) {
+    const minutes = Math.ceil((locked.lockedUntil - Date.now()) / 60000);
+    throw ErrorTypes.TooManyRequests(`Too many attempts. Try again in ${minutes} minutes.`);
+  }
+};
+
+/**
+ * Count one send or failure for a key, locking it when the limit is reached
+ * @param {"sends"|"failures"} field
+ * @returns {Promise<boolean>} - true if this call locked the key
+ */
+const bumpCounter = async (key, field, limit) => {
+  const now = Date.now();
+  const expiresAt = new Date(now + OTP_SETTINGS.FAILURE_WINDOW_MS + OTP_SETTINGS.LOCKOUT_MS);
+
+  // Start a fresh window if the current one is over
+  await OTPThrottle.updateOne(
+    { key, windowStartedAt: { $lt: new Date(now - OTP_SETTINGS.FAILURE_WINDOW_MS) } },
+    { $set: { windowStartedAt: new Date(now), failures: 0, sends: 0 } }
+  );
+
+  let counter;
+  try {
+    counter = await OTPThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { [field]: 1 }, $set: { expiresAt }, $setOnInsert: { windowStartedAt: new Date(now) } },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    // Lost an upsert race for a new key
+    if (err.code !== 11000) throw err;
+    counter = await OTPThrottle.findOneAndUpdate({ key }, { $inc: { [field]: 1 }, $set: { expiresAt } }, { new: true });
+  }
+
+  const count = counter[field];
+  if (count < limit) return false;
+
+  await OTPThrottle.updateOne(
+    { key },
+    { $set: { lockedUntil: new Date(now + OTP_SETTINGS.LOCKOUT_MS), failures: 0, sends: 0 } }
+  );
+  console.warn(`OTP lockout for ${key} after ${count} ${field}`);
+  return true;
+};
+
+const recordFailure = (emailKey, ipKey) =>
+  Promise.all([
+    bumpCounter(emailKey, "failures", OTP_SETTINGS.MAX_FAILURES_PER_EMAIL),
+    bumpCounter(ipKey, "failures", OTP_SETTINGS.MAX_FAILURES_PER_IP),
+  ]);
+
+// ============================================================================
+// ISSUE / VERIFY
+// ============================================================================
+
+/**
+ * Create a code for (email, purpose), replacing any earlier one.
+ * The caller emails it.
+ * @returns {Promise<string>} - The 6-digit code
+ * @throws {ApiError} 429 on cooldown or lockout
+ */
+const issueOtp = async ({ email, purpose, ip }) => {
+  assertPurpose(purpose);
+  const normalizedEmail = normalizeEmail(email);
+  const { emailKey, ipKey } = throttleKeys(normalizedEmail, ip);
+
+  await assertNotLocked([emailKey, ipKey]);
+
+  const recent = await OTP.exists({
+    email: normalizedEmail,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - OTP_SETTINGS.RESEND_COOLDOWN_MS) },
+  });
+  if (recent) {
+    throw ErrorTypes.TooManyRequests("Please wait 60 seconds before requesting another OTP.");
+  }
+
+  if (await bumpCounter(ipKey, "sends", OTP_SETTINGS.MAX_SENDS_PER_IP)) {
+    throw ErrorTypes.TooManyRequests("Too many OTP requests. Try again later.");
+  }
+
+  const code = crypto.randomInt(100000, 1000000).toString();
+  const now = Date.now();
+
+  await OTP.findOneAndUpdate(
+    { email: normalizedEmail, purpose },
+    {
+      $set: {
+        otpHash: hashOtp(normalizedEmail, purpose, code),
+        attempts: 0,
+        expiresAt: new Date(now + OTP_SETTINGS.TTL_MS),
+        verifiedAt: null,
+        ticketId: null,
+        requestedIp: ip || "",
+        createdAt: new Date(now),
+      },
+    },
+    { upsert: true }
+  );
+
+  return code;
+};
+
+/**
+ * Check and consume a code.
+ * @returns {Promise<string|null>} - Signed "email verified" ticket for signup and
+ *   password reset, null for purposes that are checked inline (withdrawal, login step-up)
+ * @throws {ApiError} 400 on a wrong or expired code, 429 when locked out
+ */
+const verifyOtp = async ({ email, purpose, code, ip }) => {
+  assertPurpose(purpose);
+  const normalizedEmail = normalizeEmail(email);
+  const { emailKey, ipKey } = throttleKeys(normalizedEmail, ip);
+
+  await assertNotLocked([emailKey, ipKey]);
+
+  const token = (code ?? "").toString().trim();
+  const record = await OTP.findOne({
+    email: normalizedEmail,
+    purpose,
+    otpHash: { $ne: null },
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!record || !/^\d{6}$/.test(token) || !safeEqual(hashOtp(normalizedEmail, purpose, token), record.otpHash)) {
+    if (record) {
+      // Burn the code after too many wrong guesses
+      const attempts = record.attempts + 1;
+      await OTP.updateOne(
+        { _id: record._id },
+        attempts >= OTP_SETTINGS.MAX_ATTEMPTS_PER_CODE
+          ? { $set: { attempts, otpHash: null } }
+          : { $inc: { attempts: 1 } }
+      );
+    }
+    await recordFailure(emailKey, ipKey);
+    throw ErrorTypes.BadRequest(record ? "Invalid OTP." : "OTP expired or not requested. Please request a new one.");
+  }
+
+  await OTPThrottle.updateOne({ key: emailKey }, { $set: { failures: 0 } });
+
+  if (!TICKET_PURPOSES.includes(purpose)) {
+    const { deletedCount } = await OTP.deleteOne({ _id: record._id, otpHash: record.otpHash });
+    if (!deletedCount) throw ErrorTypes.BadRequest("OTP already used. Please request a new one.");
+    return null;
+  }
+
+  const ticketId = crypto.randomUUID();
+  const { modifiedCount } = await OTP.updateOne(
+    { _id: record._id, otpHash: record.otpHash },
+    { $set: { otpHash: null, verifiedAt: new Date(), ticketId } }
+  );
+  if (!modifiedCount) throw ErrorTypes.BadRequest("OTP already used. Please request a new one.");
+
+  return JWT.sign({ email: normalizedEmail, purpose, tid: ticketId }, getJwtSecret(), {
+    expiresIn: OTP_SETTINGS.TICKET_TTL,
+    audience: TICKET_AUDIENCE,
+  });
+};
+
+// ============================================================================
+// EMAIL VERIFIED TICKETS
+// ============================================================================
+
+/**
+ * Check a ticket's signature and purpose without using it up
+ * @returns {{email: string, tid: string}}
+ * @throws {ApiError} 400 if invalid, expired or for another purpose
+ */
+const readEmailTicket = (ticket, purpose) => {
+  let payload;
+  try {
+    payload = JWT.verify(ticket || "", getJwtSecret(), { audience: TICKET_AUDIENCE });
+  } catch {
+    throw ErrorTypes.BadRequest("Email verification expired. Please verify your email again.");
+  }
+  if (payload.purpose !== purpose || !payload.email || !payload.tid) {
+    throw ErrorTypes.BadRequest("Email verification is not valid for this action.");
+  }
+  return { email: payload.email, tid: payload.tid };
+};
+
+/**
+ * Redeem a ticket; a ticket works once
+ * @returns {Promise<string>} - The verified email
+ */
+const consumeEmailTicket = async (ticket, purpose) => {
+  const { email, tid } = readEmailTicket(ticket, purpose);
+  const record = await OTP.findOneAndDelete({ email, purpose, ticketId: tid, verifiedAt: { $ne: null } });
+  if (!record) {
+    throw ErrorTypes.BadRequest("Email verification already used. Please verify your email again.");
+  }
+  return email;
+};
+
+module.exports = {
+  issueOtp,
+  verifyOtp,
+  readEmailTicket,
+  consumeEmailTicket,
+};
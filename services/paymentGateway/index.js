@@ -0,0 +1,44 @@
+const RazorpayGateway = require("./razorpayGateway");
+const MockGateway = require("./mockGateway");
+
+// ============================================================================
+// PAYMENT GATEWAY FACTORY
+// PAYMENT_GATEWAY=razorpay (default) talks to Razorpay;
+// PAYMENT_GATEWAY=mock uses the offline MockGateway (refused in production).
+//
+// Gateway interface (amounts in paise):
+//   createOrder({ amount, currency, notes })            -> Razorpay-shaped order
+//   verifyPaymentSignature({ orderId, paymentId, signature }) -> boolean
+//   verifyWebhookSignature(rawBody, signature)          -> boolean
+//   fetchPayment(paymentId)                             -> { id, orderId, amount, status }
+//   capturePayment(paymentId, amount, currency)         -> { id, status }
+//   refund(paymentId, { amount })                       -> { id, paymentId, amount, status }
+//   registerFundAccount({ name, email, referenceId, bankAccount: { name, ifsc, accountNumber } | vpa })
+//                                                       -> { contactId, fundAccountId }
+//   createPayout({ amount, fundAccountId, mode, referenceId, narration, idempotencyKey })
+//                                                       -> payout, same shape as fetchPayout
+//   fetchPayout(payoutId)                               -> { id, status, amount, referenceId, utr, failureReason }
+//   createPaymentLink(options)                          -> { id, short_url }
+// Failures throw an Error with `gateway`, `operation` and `retryable`.
+// ============================================================================
+
+const gateways = {
+  razorpay: RazorpayGateway,
+  mock: MockGateway,
+};
+
+const createPaymentGateway = (type = process.env.PAYMENT_GATEWAY || "razorpay") => {
+  const Gateway = gateways[type];
+  if (!Gateway) {
+    throw new Error(`Unknown PAYMENT_GATEWAY "${type}"`);
+  }
+  if (type === "mock" && process.env.NODE_ENV === "production") {
+    throw new Error("PAYMENT_GATEWAY=mock cannot be used in production");
+  }
+  return new Gateway();
+};
+
+// Shared instance used by routes and services
+const gateway = createPaymentGateway();
+
+module.exports = { createPaymentGateway, gateway, RazorpayGateway, MockGateway };
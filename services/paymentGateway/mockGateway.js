@@ -0,0 +1,399 @@
+const crypto = require("crypto");
+
+// ============================================================================
+// MOCK GATEWAY
+// Deterministic in-process stand-in for Razorpay, so deposit → escrow →
+// release → payout can run locally and in integration tests without network
+// access. Ids are sequential (order_mock000001, pay_mock000001, ...), payment
+// signatures and webhooks are signed exactly like Razorpay's, and webhooks
+// are handed straight to services/razorpayWebhooks.js.
+//
+// Webhooks caused by an API call (refund.processed, payout.<outcome>) are
+// queued and delivered MOCK_GATEWAY_WEBHOOK_DELAY_MS later, never inside the
+// caller's request — Razorpay doesn't either. Tests can turn autoWebhooks
+// off and flush. Payouts start "processing" and settle as MOCK_GATEWAY_PAYOUT_OUTCOME
+// (processed by default; "none" leaves them for settlePayout).
+//
+// Test controls:
+//   simulatePayment(orderId, { outcome })   what the browser checkout would return
+//   failNext(operation, { message, retryable, times })
+//   setLatency(ms)                          delay every call (and webhook)
+//   emitWebhook(event, payload)             deliver any Razorpay-shaped event now
+//   flushWebhooks()                         deliver queued webhooks now
+//   settlePayout(payoutId, status)          finish a payout left "processing"
+//   reset()
+// ============================================================================
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const hmacHex = (secret, data) => crypto.createHmac("sha256", secret).update(data).digest("hex");
+
+class MockGateway {
+  constructor({
+    latencyMs = parseInt(process.env.MOCK_GATEWAY_LATENCY_MS) || 0,
+    autoWebhooks = process.env.MOCK_GATEWAY_WEBHOOKS !== "false",
+    webhookDelayMs = parseInt(process.env.MOCK_GATEWAY_WEBHOOK_DELAY_MS) || 1000,
+    payoutOutcome = process.env.MOCK_GATEWAY_PAYOUT_OUTCOME || "processed",
+    keySecret = process.env.RAZORPAY_KEY_SECRET || "mock_key_secret",
+    webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET || "mock_webhook_secret",
+  } = {}) {
+    this.name = "mock";
+    this.latencyMs = latencyMs;
+    this.autoWebhooks = autoWebhooks;
+    this.webhookDelayMs = webhookDelayMs;
+    this.payoutOutcome = payoutOutcome === "none" ? null : payoutOutcome;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.reset();
+  }
+
+  reset() {
+    this.counters = {};
+    this.orders = new Map();
+    this.payments = new Map();
+    this.refunds = new Map();
+    this.fundAccounts = new Map();
+    this.payouts = new Map();
+    this.payoutKeys = new Map(); // idempotencyKey → payout id
+    this.paymentLinks = new Map();
+    this.failures = new Map(); // operation → { message, retryable, times }
+    this.webhooks = []; // Every delivery, in order, for assertions
+    this.queuedWebhooks = [];
+  }
+
+  setLatency(ms) {
+    this.latencyMs = ms;
+  }
+
+  /**
+   * Make the next `times` calls to `operation` fail. Operations are the
+   * method names (createOrder, refund, createPayout, ...) plus
+   * "simulatePayment" for a declined checkout.
+   */
+  failNext(operation, { message = "Simulated gateway failure", retryable = true, times = 1 } = {}) {
+    this.failures.set(operation, { message, retryable, times });
+  }
+
+  _nextId(prefix) {
+    this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+    return `${prefix}_mock${String(this.counters[prefix]).padStart(6, "0")}`;
+  }
+
+  _takeFailure(operation) {
+    const failure = this.failures.get(operation);
+    if (!failure) return null;
+    failure.times -= 1;
+    if (failure.times <= 0) this.failures.delete(operation);
+    return failure;
+  }
+
+  _error(operation, message, retryable) {
+    const error = new Error(`Mock ${operation} failed: ${message}`);
+    error.gateway = "mock";
+    error.operation = operation;
+    error.gatewayStatus = retryable ? 502 : 400;
+    error.retryable = retryable;
+    return error;
+  }
+
+  /**
+   * Latency, then any queued failure for `operation`
+   */
+  async _call(operation) {
+    if (this.latencyMs) await sleep(this.latencyMs);
+    const failure = this._takeFailure(operation);
+    if (failure) throw this._error(operation, failure.message, failure.retryable);
+  }
+
+  // ==========================================================================
+  // GATEWAY INTERFACE
+  // ==========================================================================
+
+  async createOrder({ amount, currency = "INR", notes = {} }) {
+    await this._call("createOrder");
+    const order = {
+      id: this._nextId("order"),
+      entity: "order",
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      status: "created",
+      attempts: 0,
+      notes,
+      created_at: Math.floor(Date.now() / 1000),
+    };
+    this.orders.set(order.id, order);
+    return { ...order };
+  }
+
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return hmacHex(this.keySecret, `${orderId}|${paymentId}`) === signature;
+  }
+
+  verifyWebhookSignature(rawBody, signature) {
+    if (!rawBody) return false;
+    return hmacHex(this.webhookSecret, rawBody) === signature;
+  }
+
+  async fetchPayment(paymentId) {
+    await this._call("fetchPayment");
+    const payment = this.payments.get(paymentId);
+    if (!payment) throw this._error("fetchPayment", `payment ${paymentId} does not exist`, false);
+    return { id: payment.id, orderId: payment.order_id, amount: payment.amount, status: payment.status };
+  }
+
+  async capturePayment(paymentId, amount) {
+    await this._call("capturePayment");
+    const payment = this.payments.get(paymentId);
+    if (!payment || payment.status !== "authorized" || payment.amount !== amount) {
+      throw this._error("capturePayment", `payment ${paymentId} cannot be captured`, false);
+    }
+    payment.status = "captured";
+    return { id: payment.id, status: payment.status };
+  }
+
+  async refund(paymentId, { amount } = {}) {
+    await this._call("refund");
+    const payment = this.payments.get(paymentId);
+    if (!payment || payment.status !== "captured") {
+      throw this._error("refund", `payment ${paymentId} is not captured`, false);
+    }
+    const refundAmount = amount || payment.amount - payment.amount_refunded;
+    if (refundAmount <= 0 || payment.amount_refunded + refundAmount > payment.amount) {
+      throw this._error("refund", "refund exceeds the captured amount", false);
+    }
+
+    payment.amount_refunded += refundAmount;
+    const refund = {
+      id: this._nextId("rfnd"),
+      entity: "refund",
+      amount: refundAmount,
+      currency: payment.currency,
+      payment_id: paymentId,
+      status: "processed",
+    };
+    this.refunds.set(refund.id, refund);
+
+    this._queue(() => this.emitWebhook("refund.processed", { refund: { entity: { ...refund } } }));
+    return { id: refund.id, paymentId, amount: refund.amount, status: refund.status };
+  }
+
+  async registerFundAccount({ name, referenceId, bankAccount, vpa }) {
+    await this._call("registerFundAccount");
+    if (!vpa && (!bankAccount?.accountNumber || !bankAccount?.ifsc)) {
+      throw this._error("registerFundAccount", "a VPA or bank account number and IFSC are required", false);
+    }
+    const fundAccount = {
+      id: this._nextId("fa"),
+      contactId: this._nextId("cont"),
+      name,
+      referenceId,
+      accountType: vpa ? "vpa" : "bank_account",
+      accountLast4: vpa ? null : bankAccount.accountNumber.slice(-4),
+    };
+    this.fundAccounts.set(fundAccount.id, fundAccount);
+    return { contactId: fundAccount.contactId, fundAccountId: fundAccount.id };
+  }
+
+  async createPayout({ amount, currency = "INR", fundAccountId, mode = "IMPS", referenceId, idempotencyKey }) {
+    if (idempotencyKey && this.payoutKeys.has(idempotencyKey)) {
+      return this._payoutView(this.payouts.get(this.payoutKeys.get(idempotencyKey)));
+    }
+    await this._call("createPayout");
+    if (!this.fundAccounts.has(fundAccountId)) {
+      throw this._error("createPayout", `fund account ${fundAccountId} does not exist`, false);
+    }
+
+    const payout = {
+      id: this._nextId("pout"),
+      entity: "payout",
+      fund_account_id: fundAccountId,
+      amount,
+      currency,
+      status: "processing",
+      reference_id: referenceId,
+      mode,
+      utr: null,
+      status_details: null,
+    };
+    this.payouts.set(payout.id, payout);
+    if (idempotencyKey) this.payoutKeys.set(idempotencyKey, payout.id);
+
+    if (this.payoutOutcome) {
+      const outcome = this.payoutOutcome;
+      this._queue(() => this.settlePayout(payout.id, outcome));
+    }
+    return this._payoutView(payout);
+  }
+
+  async fetchPayout(payoutId) {
+    await this._call("fetchPayout");
+    const payout = this.payouts.get(payoutId);
+    if (!payout) throw this._error("fetchPayout", `payout ${payoutId} does not exist`, false);
+    return this._payoutView(payout);
+  }
+
+  _payoutView(payout) {
+    return {
+      id: payout.id,
+      status: payout.status,
+      amount: payout.amount,
+      referenceId: payout.reference_id,
+      utr: payout.utr,
+      failureReason: payout.status_details?.description || null,
+    };
+  }
+
+  async createPaymentLink(options) {
+    await this._call("createPaymentLink");
+    const link = {
+      id: this._nextId("plink"),
+      amount: options.amount,
+      currency: options.currency || "INR",
+      status: "created",
+      notes: options.notes || {},
+    };
+    link.short_url = `https://mock-gateway.local/pay/${link.id}`;
+    this.paymentLinks.set(link.id, link);
+    return { ...link };
+  }
+
+  // ==========================================================================
+  // SIMULATION
+  // ==========================================================================
+
+  /**
+   * Play the customer side of checkout for an order
+   * @param {string} orderId
+   * @param {Object} [options]
+   * @param {"captured"|"authorized"|"failed"} [options.outcome] - "authorized" leaves the capture to verify-payment
+   * @param {boolean} [options.webhook] - deliver the matching webhooks (defaults to autoWebhooks)
+   * @returns {Promise<{checkout: Object, payment: Object, webhooks: Object[]}>}
+   *   `checkout` is the body the frontend posts to /payments/verify-payment (plus project_id)
+   */
+  async simulatePayment(orderId, { outcome = "captured", webhook = this.autoWebhooks } = {}) {
+    const order = this.orders.get(orderId);
+    if (!order) throw this._error("simulatePayment", `order ${orderId} does not exist`, false);
+
+    const declined = this._takeFailure("simulatePayment");
+    if (this.latencyMs) await sleep(this.latencyMs);
+
+    const payment = {
+      id: this._nextId("pay"),
+      entity: "payment",
+      amount: order.amount,
+      amount_refunded: 0,
+      currency: order.currency,
+      status: declined ? "failed" : outcome,
+      order_id: orderId,
+      method: "upi",
+      error_description: declined || outcome === "failed" ? declined?.message || "Payment declined (mock)" : null,
+      created_at: Math.floor(Date.now() / 1000),
+    };
+    this.payments.set(payment.id, payment);
+    order.attempts += 1;
+    if (payment.status === "captured") {
+      order.status = "paid";
+      order.amount_paid = order.amount;
+      order.amount_due = 0;
+    }
+
+    const webhooks = [];
+    if (webhook && payment.status === "failed") {
+      webhooks.push(await this.emitWebhook("payment.failed", { payment: { entity: { ...payment } } }));
+    } else if (webhook && payment.status === "captured") {
+      webhooks.push(await this.emitWebhook("payment.captured", { payment: { entity: { ...payment } } }));
+      webhooks.push(
+        await this.emitWebhook("order.paid", {
+          payment: { entity: { ...payment } },
+          order: { entity: { ...order } },
+        })
+      );
+    }
+
+    return {
+      checkout: {
+        razorpay_order_id: orderId,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: hmacHex(this.keySecret, `${orderId}|${payment.id}`),
+      },
+      payment: { ...payment },
+      webhooks,
+    };
+  }
+
+  /**
+   * Move a payout to its final status and announce it like Razorpay would
+   * @param {string} payoutId
+   * @param {"processed"|"failed"|"reversed"} status
+   */
+  async settlePayout(payoutId, status = "processed", reason = "Beneficiary bank rejected the transfer (mock)") {
+    const payout = this.payouts.get(payoutId);
+    if (!payout) throw this._error("settlePayout", `payout ${payoutId} does not exist`, false);
+
+    payout.status = status;
+    payout.utr = status === "processed" ? `MOCKUTR${payout.id.slice(-6)}` : payout.utr;
+    payout.status_details = status === "processed" ? null : { description: reason };
+    return this.emitWebhook(`payout.${status}`, { payout: { entity: { ...payout } } });
+  }
+
+  /**
+   * Queue a delivery (a function returning the delivery) for later
+   */
+  _queue(deliver) {
+    this.queuedWebhooks.push(deliver);
+    if (this.autoWebhooks) {
+      setTimeout(() => this.flushWebhooks(), this.webhookDelayMs).unref();
+    }
+  }
+
+  /**
+   * Deliver every queued webhook, oldest first
+   * @returns {Promise<Object[]>} the deliveries
+   */
+  async flushWebhooks() {
+    const deliveries = [];
+    while (this.queuedWebhooks.length) {
+      const deliver = this.queuedWebhooks.shift();
+      deliveries.push(await deliver());
+    }
+    return deliveries;
+  }
+
+  /**
+   * Sign and deliver an event to the webhook handler in-process
+   * @returns {Promise<{event, eventId, outcome?, error?}>}
+   */
+  async emitWebhook(event, payload, { eventId = this._nextId("evt") } = {}) {
+    const body = {
+      entity: "event",
+      account_id: "acc_mock",
+      event,
+      contains: Object.keys(payload),
+      payload,
+      created_at: Math.floor(Date.now() / 1000),
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const signature = hmacHex(this.webhookSecret, rawBody);
+
+    if (this.latencyMs) await sleep(this.latencyMs);
+
+    // Required here: the webhook service itself depends on the gateway
+    const { handleRazorpayWebhook } = require("../razorpayWebhooks");
+    const delivery = { event, eventId };
+    try {
+      delivery.outcome = await handleRazorpayWebhook({
+        rawBody,
+        body: JSON.parse(rawBody),
+        signature,
+        eventId,
+      });
+    } catch (err) {
+      delivery.error = err.message;
+    }
+    this.webhooks.push(delivery);
+    return delivery;
+  }
+}
+
+module.exports = MockGateway;
@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const Razorpay = require("razorpay");
+const { ErrorTypes } = require("../../middleware/ErrorHandler");
+
+// ============================================================================
+// RAZORPAY GATEWAY
+// Orders, captures, refunds and payment links go through the Razorpay SDK;
+// payouts use the RazorpayX REST API (needs RAZORPAYX_ACCOUNT_NUMBER).
+// ============================================================================
+
+const API_BASE = "https://api.razorpay.com/v1";
+
+const hmacHex = (secret, data) => crypto.createHmac("sha256", secret).update(data).digest("hex");
+
+const safeEqual = (a, b) =>
+  typeof a === "string" &&
+  typeof b === "string" &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Normalise SDK / HTTP errors. `retryable` is false when Razorpay rejected
+ * the request itself (4xx) — sending it again would fail the same way.
+ */
+const gatewayError = (err, operation) => {
+  const status = err.statusCode || err.response?.status;
+  const description =
+    err.error?.description || err.response?.data?.error?.description || err.message || "unknown error";
+
+  const error = new Error(`Razorpay ${operation} failed: ${description}`);
+  error.gateway = "razorpay";
+  error.operation = operation;
+  error.gatewayStatus = status || null;
+  error.retryable = !status || status >= 500;
+  return error;
+};
+
+const payoutView = (payout) => ({
+  id: payout.id,
+  status: payout.status,
+  amount: payout.amount,
+  referenceId: payout.reference_id,
+  utr: payout.utr || null,
+  failureReason: payout.status_details?.description || null,
+});
+
+class RazorpayGateway {
+  constructor({
+    keyId = process.env.RAZORPAY_KEY_ID,
+    keySecret = process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET,
+    payoutAccountNumber = process.env.RAZORPAYX_ACCOUNT_NUMBER,
+  } = {}) {
+    this.name = "razorpay";
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.payoutAccountNumber = payoutAccountNumber;
+    this.client = new Razorpay({ key_id: keyId, key_secret: keySecret });
+  }
+
+  get auth() {
+    return { username: this.keyId, password: this.keySecret };
+  }
+
+  async createOrder({ amount, currency = "INR", notes = {} }) {
+    try {
+      return await this.client.orders.create({ amount, currency, notes });
+    } catch (err) {
+      throw gatewayError(err, "createOrder");
+    }
+  }
+
+  /**
+   * Checkout signature: HMAC(order_id|payment_id) with the key secret
+   */
+  verifyPaymentSignature({ orderId, paymentId, signature }) {
+    return safeEqual(hmacHex(this.keySecret, `${orderId}|${paymentId}`), signature);
+  }
+
+  verifyWebhookSignature(rawBody, signature) {
+    if (!this.webhookSecret) {
+      throw ErrorTypes.InternalError("RAZORPAY_WEBHOOK_SECRET is not configured");
+    }
+    if (!rawBody) return false;
+    return safeEqual(hmacHex(this.webhookSecret, rawBody), signature);
+  }
+
+  /**
+   * @returns {Promise<{id, orderId, amount, status}>} amount in paise
+   */
+  async fetchPayment(paymentId) {
+    try {
+      const { data } = await axios.get(`${API_BASE}/payments/${paymentId}`, { auth: this.auth });
+      return { id: data.id, orderId: data.order_id, amount: data.amount, status: data.status };
+    } catch (err) {
+      throw gatewayError(err, "fetchPayment");
+    }
+  }
+
+  async capturePayment(paymentId, amount, currency = "INR") {
+    try {
+      const { data } = await axios.post(
+        `${API_BASE}/payments/${paymentId}/capture`,
+        { amount, currency },
+        { auth: this.auth }
+      );
+      return { id: data.id, status: data.status };
+    } catch (err) {
+      throw gatewayError(err, "capturePayment");
+    }
+  }
+
+  /**
+   * @returns {Promise<{id, paymentId, amount, status}>}
+   */
+  async refund(paymentId, { amount } = {}) {
+    try {
+      const refund = await this.client.payments.refund(paymentId, amount ? { amount } : {});
+      return { id: refund.id, paymentId: refund.payment_id, amount: refund.amount, status: refund.status };
+    } catch (err) {
+      throw gatewayError(err, "refund");
+    }
+  }
+
+  /**
+   * Register a payout beneficiary: a RazorpayX contact plus its bank account or UPI id
+   * @param {Object} beneficiary - { name, email, referenceId } and either
+   *                               bankAccount: { name, ifsc, accountNumber } or vpa
+   * @returns {Promise<{contactId, fundAccountId}>}
+   */
+  async registerFundAccount({ name, email, referenceId, bankAccount, vpa }) {
+    try {
+      const { data: contact } = await axios.post(
+        `${API_BASE}/contacts`,
+        { name, email, type: "vendor", reference_id: referenceId },
+        { auth: this.auth }
+      );
+      const { data: fundAccount } = await axios.post(
+        `${API_BASE}/fund_accounts`,
+        vpa
+          ? { contact_id: contact.id, account_type: "vpa", vpa: { address: vpa } }
+          : {
+              contact_id: contact.id,
+              account_type: "bank_account",
+              bank_account: {
+                name: bankAccount.name,
+                ifsc: bankAccount.ifsc,
+                account_number: bankAccount.accountNumber,
+              },
+            },
+        { auth: this.auth }
+      );
+      return { contactId: contact.id, fundAccountId: fundAccount.id };
+    } catch (err) {
+      throw gatewayError(err, "registerFundAccount");
+    }
+  }
+
+  /**
+   * Send money to a registered fund account (RazorpayX payout)
+   * @param {Object} payout
+   * @param {Number} payout.amount          - paise
+   * @param {String} payout.fundAccountId   - from registerFundAccount
+   * @param {String} [payout.mode]          - "IMPS" (bank account) or "UPI" (vpa)
+   * @param {String} payout.referenceId     - our id for the payout
+   * @param {String} payout.idempotencyKey  - same key ⇒ same payout, never a second one
+   * @returns {Promise<{id, status, amount, referenceId, utr, failureReason}>}
+   */
+  async createPayout({ amount, currency = "INR", fundAccountId, mode = "IMPS", referenceId, narration, idempotencyKey }) {
+    if (!this.payoutAccountNumber) {
+      throw ErrorTypes.InternalError("RAZORPAYX_ACCOUNT_NUMBER is not configured");
+    }
+
+    try {
+      const { data } = await axios.post(
+        `${API_BASE}/payouts`,
+        {
+          account_number: this.payoutAccountNumber,
+          fund_account_id: fundAccountId,
+          amount,
+          currency,
+          mode,
+          purpose: "payout",
+          queue_if_low_balance: true,
+          reference_id: referenceId,
+          narration: (narration || "FreelancerHub payout").slice(0, 30),
+        },
+        { auth: this.auth, headers: { "X-Payout-Idempotency": idempotencyKey } }
+      );
+      return payoutView(data);
+    } catch (err) {
+      throw gatewayError(err, "createPayout");
+    }
+  }
+
+  async fetchPayout(payoutId) {
+    try {
+      const { data } = await axios.get(`${API_BASE}/payouts/${payoutId}`, { auth: this.auth });
+      return payoutView(data);
+    } catch (err) {
+      throw gatewayError(err, "fetchPayout");
+    }
+  }
+
+  /**
+   * Hosted payment link; options use Razorpay's field names
+   * @returns {Promise<{id, short_url}>}
+   */
+  async createPaymentLink(options) {
+    try {
+      return await this.client.paymentLink.create(options);
+    } catch (err) {
+      throw gatewayError(err, "createPaymentLink");
+    }
+  }
+}
+
+module.exports = RazorpayGateway;
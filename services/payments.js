@@ -0,0 +1,94 @@
+const Payment = require("../models/Payment");
+const Escrow = require("../models/Escrow");
+const walletHelper = require("../utils/walletHelper");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+
+// ============================================================================
+// PAYMENT FULFILMENT
+// What happens once the gateway has captured a project payment. Shared by
+// the browser callback (POST /payments/verify-payment) and the Razorpay
+// webhook, whichever arrives first; the other finds the payment completed.
+// ============================================================================
+
+/**
+ * Mark a pending payment completed, create the project escrow and move the
+ * funds through the client's wallet into escrow. Must run inside `session`'s
+ * transaction.
+ *
+ * @param {Object} payment           - Payment document (status pending or failed)
+ * @param {Object} project           - Project the payment is for
+ * @param {String} gatewayPaymentId  - Captured payment id (e.g. Razorpay pay_xxx)
+ * @param {Object} session           - mongoose session
+ * @returns {Promise<{payment: Object, escrow: Object}>}
+ */
+const fundProjectEscrow = async (payment, project, gatewayPaymentId, session) => {
+  // Calculate commission and freelancer amount
+  const commission = payment.amount - project.budget;
+  const freelancerAmount = payment.amount - commission;
+
+  // Update payment status atomically; a failed attempt can still be captured later
+  const updatedPayment = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ["pending", "failed"] },
+    },
+    {
+      status: "completed",
+      transactionId: gatewayPaymentId,
+    },
+    { session, new: true }
+  );
+
+  if (!updatedPayment) {
+    throw ErrorTypes.Conflict("Payment already processed by another request");
+  }
+
+  // Check for existing escrow (prevent duplicates)
+  const existingEscrow = await Escrow.findOne({
+    projectId: project._id,
+    clientId: payment.userId,
+  }).session(session);
+
+  if (existingEscrow) {
+    throw ErrorTypes.Conflict("Escrow already exists for this project");
+  }
+
+  // Create escrow record (status tracker for the project fund lock)
+  const escrow = new Escrow({
+    projectId: project._id,
+    clientId: payment.userId,
+    freelancerId: null,
+    amount: freelancerAmount,
+    status: "funded",
+  });
+  await escrow.save({ session });
+
+  // ── GLOBAL WALLET: credit client balance then lock into escrow ──
+  await walletHelper.creditWallet(
+    payment.userId,
+    freelancerAmount,
+    `Payment captured for project: ${project.title}`,
+    project._id,
+    "Project",
+    session
+  );
+  await walletHelper.holdEscrow(
+    payment.userId,
+    freelancerAmount,
+    escrow._id,
+    project._id,
+    `Escrow funded for project: ${project.title}`,
+    session
+  );
+  await walletHelper.recordPlatformFee(
+    commission,
+    payment._id,
+    "Payment",
+    `Platform commission for project: ${project.title}`,
+    session
+  );
+
+  return { payment: updatedPayment, escrow };
+};
+
+module.exports = { fundProjectEscrow };
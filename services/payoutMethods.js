@@ -0,0 +1,234 @@
+const mongoose = require("mongoose");
+const PayoutMethod = require("../models/PayoutMethod");
+const User = require("../models/User");
+const sendEmail = require("../utils/sendEmail");
+const { encryptJson, decryptJson, fingerprint } = require("../utils/payoutCrypto");
+const { logActivity, getClientIp } = require("../utils/helpers");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { PAYOUT_METHOD_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// PAYOUT METHODS
+// Bank accounts and UPI ids a freelancer withdraws to. Details are stored
+// encrypted with the payout keys (utils/payoutCrypto.js) and only decrypted
+// when a payout is sent; everything the API
+// returns is masked. A new method is usable only after
+// PAYOUT_METHOD_SETTINGS.COOL_OFF_MS, and adding one emails the account owner.
+// ============================================================================
+
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+
+const maskVpa = (vpa) => {
+  const [handle, provider] = vpa.split("@");
+  return `${handle.slice(0, 2)}•••@${provider}`;
+};
+
+// The user id is mixed in, so equal accounts of two users hash differently
+const fingerprintOf = (userId, type, value) => fingerprint(`${type}:${value}`, `payout-method:${userId}`);
+
+/**
+ * What the API shows for a method — never the full account number or VPA
+ */
+const toPayoutMethodView = (method) => ({
+  _id: method._id,
+  type: method.type,
+  label: method.getLabel(),
+  accountName: method.display.accountName,
+  accountLast4: method.display.accountLast4 || undefined,
+  ifsc: method.display.ifsc || undefined,
+  vpa: method.display.vpa || undefined,
+  isPrimary: method.isPrimary,
+  usableFrom: method.usableFrom,
+  isUsable: method.isUsable(),
+  lastUsedAt: method.lastUsedAt,
+  createdAt: method.createdAt,
+});
+
+/**
+ * Validate the request body of a new method
+ * @returns {{details, fingerprint, display}}
+ */
+const parseNewMethod = (userId, { type, accountName, accountNumber, ifscCode, vpa }) => {
+  const name = typeof accountName === "string" ? accountName.trim().substring(0, 100) : "";
+  if (!name) throw ErrorTypes.BadRequest("Account holder name is required");
+
+  if (type === "bank_account") {
+    const number = String(accountNumber || "").trim();
+    const ifsc = String(ifscCode || "").trim().toUpperCase();
+    if (!ACCOUNT_NUMBER_PATTERN.test(number)) throw ErrorTypes.BadRequest("Invalid account number format");
+    if (!IFSC_PATTERN.test(ifsc)) throw ErrorTypes.BadRequest("Invalid IFSC code format");
+    return {
+      details: { accountName: name, accountNumber: number, ifsc },
+      fingerprint: fingerprintOf(userId, type, `${number}|${ifsc}`),
+      display: { accountName: name, accountLast4: number.slice(-4), ifsc },
+    };
+  }
+
+  if (type === "vpa") {
+    const address = String(vpa || "").trim().toLowerCase();
+    if (!VPA_PATTERN.test(address)) throw ErrorTypes.BadRequest("Invalid UPI ID");
+    return {
+      details: { accountName: name, vpa: address },
+      fingerprint: fingerprintOf(userId, type, address),
+      display: { accountName: name, vpa: maskVpa(address) },
+    };
+  }
+
+  throw ErrorTypes.BadRequest('type must be "bank_account" or "vpa"');
+};
+
+const notifyMethodAdded = (user, method, req) => {
+  sendEmail(
+    user.email,
+    "New payout method added - FreelancerHub",
+    `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <h2 style="color: #333;">New payout method added</h2>
+      <p style="color: #475569;">Hi ${user.username || "there"}, a ${method.type === "vpa" ? "UPI ID" : "bank account"}
+        (<b>${method.getLabel()}</b>) was added to your account from IP ${getClientIp(req)} on ${new Date().toUTCString()}.</p>
+      <p style="color: #475569;">Withdrawals to it are possible from ${method.usableFrom.toUTCString()}.</p>
+      <p style="color: #ef4444; font-weight: bold;">If this wasn't you, remove it, change your password and sign out all devices.</p>
+    </div>`
+  ).catch((err) => console.error("Payout method email failed:", err.message));
+};
+
+/**
+ * Save a new bank account or UPI id for a freelancer
+ * @param {String} userId
+ * @param {Object} input - { type: "bank_account", accountName, accountNumber, ifscCode }
+ *                         or { type: "vpa", accountName, vpa }; optional isPrimary
+ * @param {Object} req - for the IP in the notification
+ * @returns {Promise<Object>} the new PayoutMethod
+ */
+const addPayoutMethod = async (userId, input, req) => {
+  const { details, fingerprint, display } = parseNewMethod(userId, input);
+
+  const user = await User.findById(userId).select("email username");
+  if (!user) throw ErrorTypes.NotFound("User not found");
+
+  const existing = await PayoutMethod.find({ userId, status: "active" }).select("fingerprint");
+  if (existing.some((m) => m.fingerprint === fingerprint)) {
+    throw ErrorTypes.Conflict("This payout method is already saved");
+  }
+  if (existing.length >= PAYOUT_METHOD_SETTINGS.MAX_PER_USER) {
+    throw ErrorTypes.BadRequest(
+      `You can save up to ${PAYOUT_METHOD_SETTINGS.MAX_PER_USER} payout methods. Remove one first.`
+    );
+  }
+
+  const isPrimary = existing.length === 0 || input.isPrimary === true;
+  let method;
+  try {
+    method = await PayoutMethod.create({
+      userId,
+      type: input.type,
+      details: encryptJson(details),
+      fingerprint,
+      display,
+      isPrimary: false,
+      usableFrom: new Date(Date.now() + PAYOUT_METHOD_SETTINGS.COOL_OFF_MS),
+      addedFromIp: getClientIp(req),
+    });
+  } catch (err) {
+    if (err.code === 11000) throw ErrorTypes.Conflict("This payout method is already saved");
+    throw err;
+  }
+  if (isPrimary) method = await setPrimaryPayoutMethod(userId, method._id);
+
+  notifyMethodAdded(user, method, req);
+  await logActivity(userId, `Added payout method ${method.getLabel()}`);
+  return method;
+};
+
+/**
+ * @returns {Promise<Object[]>} the freelancer's active methods, primary first
+ */
+const listPayoutMethods = (userId) =>
+  PayoutMethod.find({ userId, status: "active" }).sort({ isPrimary: -1, createdAt: -1 });
+
+const findActiveMethod = async (userId, methodId) => {
+  if (!mongoose.Types.ObjectId.isValid(methodId)) throw ErrorTypes.BadRequest("Invalid payout method id");
+  const method = await PayoutMethod.findOne({ _id: methodId, userId, status: "active" });
+  if (!method) throw ErrorTypes.NotFound("Payout method not found");
+  return method;
+};
+
+/**
+ * Make one method the primary (default for withdrawals)
+ * @returns {Promise<Object>} the method
+ */
+const setPrimaryPayoutMethod = async (userId, methodId) => {
+  const method = await findActiveMethod(userId, methodId);
+  await PayoutMethod.updateMany(
+    { userId, _id: { $ne: method._id }, isPrimary: true },
+    { $set: { isPrimary: false } }
+  );
+  method.isPrimary = true;
+  await method.save();
+  return method;
+};
+
+/**
+ * Remove a method. If it was primary, the newest remaining one takes over.
+ */
+const removePayoutMethod = async (userId, methodId) => {
+  const method = await findActiveMethod(userId, methodId);
+  method.status = "removed";
+  method.removedAt = new Date();
+  method.isPrimary = false;
+  await method.save();
+
+  const next = await PayoutMethod.findOne({ userId, status: "active" }).sort({ isPrimary: -1, createdAt: -1 });
+  if (next && !next.isPrimary) {
+    next.isPrimary = true;
+    await next.save();
+  }
+
+  await logActivity(userId, `Removed payout method ${method.getLabel()}`);
+  return method;
+};
+
+/**
+ * The method a withdrawal goes to: the given one, or the primary if no id
+ * is given. Throws while the method is still in its cool-off period.
+ * @returns {Promise<Object>} the PayoutMethod
+ */
+const getMethodForWithdrawal = async (userId, methodId) => {
+  const method = methodId
+    ? await findActiveMethod(userId, methodId)
+    : await PayoutMethod.findOne({ userId, status: "active", isPrimary: true });
+  if (!method) throw ErrorTypes.BadRequest("Add a payout method before withdrawing");
+
+  if (!method.isUsable()) {
+    const error = ErrorTypes.Forbidden(
+      `This payout method was added recently and can be used from ${method.usableFrom.toUTCString()}`
+    );
+    error.usableFrom = method.usableFrom;
+    throw error;
+  }
+  return method;
+};
+
+/**
+ * Decrypted details for sending a payout (services/payouts.js only)
+ * @returns {Promise<{type, fingerprint, accountName, accountNumber?, ifsc?, vpa?}>}
+ */
+const getPayoutDestination = async (methodId) => {
+  const method = await PayoutMethod.findById(methodId).select("type details fingerprint");
+  if (!method) throw ErrorTypes.NotFound("Payout method not found");
+
+  const details = decryptJson(method.details);
+  if (!details) throw ErrorTypes.InternalError(`Payout method ${methodId} could not be decrypted`);
+  return { type: method.type, fingerprint: method.fingerprint, ...details };
+};
+
+module.exports = {
+  addPayoutMethod,
+  listPayoutMethods,
+  setPrimaryPayoutMethod,
+  removePayoutMethod,
+  getMethodForWithdrawal,
+  getPayoutDestination,
+  toPayoutMethodView,
+};
@@ -0,0 +1,451 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AdminWithdraw = require("../models/WithdrawReportsAdmin");
+const FundAccount = require("../models/FundAccount");
+const User = require("../models/User");
+const Activity = require("../models/ActionSchema");
+const walletHelper = require("../utils/walletHelper");
+const { getPayoutDestination } = require("./payoutMethods");
+const { gateway } = require("./paymentGateway");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { PAYOUT_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// FREELANCER PAYOUTS
+// A withdrawal request debits the wallet straight away; this service sends
+// the money to the freelancer's saved bank account or UPI id through the
+// gateway's payouts API.
+//
+//   pending ──startPayout──► processing ──processed──► approved
+//                                │    └──failed / reversed / rejected──► failed
+//                                └── (retryable gateway error: retried with backoff)
+//
+// A payout reported reversed after it was processed moves an approved
+// withdrawal to failed as well. Every failure returns the amount to the
+// wallet via walletHelper.reverseWithdrawal. Status arrives by webhook
+// (payout.*) and, as a fallback, the payout-sync job polls the gateway.
+// ============================================================================
+
+const IN_FLIGHT = ["queued", "processing"];
+const FAILED = ["failed", "reversed", "rejected", "cancelled"];
+
+// Razorpay's "pending" means waiting on an approval workflow — still in flight
+const normaliseStatus = (status) => (status === "pending" ? "queued" : status);
+
+const logActivity = async (userId, action) => {
+  try {
+    await Activity.create({ userId, action });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Where the withdrawal's money goes, decrypted. Withdrawals made before
+ * saved payout methods carry plaintext bank details instead.
+ * @returns {Promise<{type, fingerprint, accountName, accountNumber?, ifsc?, vpa?}>}
+ */
+const resolveDestination = async (withdrawal) => {
+  if (withdrawal.payoutMethodId) return getPayoutDestination(withdrawal.payoutMethodId);
+
+  const { accountNumber, accountName, ifscCode } = withdrawal.bankDetails || {};
+  if (!accountNumber || !ifscCode) {
+    const error = ErrorTypes.BadRequest("Withdrawal has no payout destination");
+    error.retryable = false;
+    throw error;
+  }
+  const ifsc = ifscCode.toUpperCase();
+  return {
+    type: "bank_account",
+    fingerprint: crypto.createHash("sha256").update(`${accountNumber}|${ifsc}`).digest("hex"),
+    accountName,
+    accountNumber,
+    ifsc,
+  };
+};
+
+/**
+ * Find or register the gateway fund account for the withdrawal's destination
+ */
+const ensureFundAccount = async (withdrawal, destination) => {
+  const query = { userId: withdrawal.freelancerId, provider: gateway.name, fingerprint: destination.fingerprint };
+
+  const existing = await FundAccount.findOne({ ...query, isActive: true });
+  if (existing) return existing;
+
+  const isVpa = destination.type === "vpa";
+  const user = await User.findById(withdrawal.freelancerId).select("email");
+  const { contactId, fundAccountId } = await gateway.registerFundAccount({
+    name: destination.accountName,
+    email: user?.email,
+    referenceId: String(withdrawal.freelancerId),
+    ...(isVpa
+      ? { vpa: destination.vpa }
+      : {
+          bankAccount: {
+            name: destination.accountName,
+            ifsc: destination.ifsc,
+            accountNumber: destination.accountNumber,
+          },
+        }),
+  });
+
+  return FundAccount.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        contactId,
+        fundAccountId,
+        accountType: destination.type,
+        isActive: true,
+        bankDetails: isVpa
+          ? { name: destination.accountName }
+          : {
+              accountLast4: destination.accountNumber.slice(-4),
+              ifsc: destination.ifsc,
+              name: destination.accountName,
+            },
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Move a withdrawal to its final state once the gateway reports one.
+ * Safe to call repeatedly and out of order: each transition is guarded on
+ * the current state, so a late "queued" never undoes a "processed".
+ *
+ * @param {String} withdrawalId
+ * @param {Object} payout - { id, status, utr, failureReason } as returned by the gateway
+ * @returns {Promise<Object>} the withdrawal after the update
+ */
+const applyPayoutStatus = async (withdrawalId, { id, status, utr, failureReason }) => {
+  const payoutStatus = normaliseStatus(status);
+  const now = new Date();
+  const payoutIdUpdate = id ? { "payout.payoutId": id } : {};
+
+  if (IN_FLIGHT.includes(payoutStatus)) {
+    await AdminWithdraw.updateOne(
+      { _id: withdrawalId, status: "processing", "payout.status": { $in: IN_FLIGHT } },
+      { $set: { ...payoutIdUpdate, "payout.status": payoutStatus, "payout.updatedAt": now } }
+    );
+    return AdminWithdraw.findById(withdrawalId);
+  }
+
+  if (payoutStatus === "processed") {
+    const withdrawal = await inTransaction(async (session) => {
+      const updated = await AdminWithdraw.findOneAndUpdate(
+        { _id: withdrawalId, status: "processing" },
+        {
+          $set: {
+            ...payoutIdUpdate,
+            status: "approved",
+            "payout.status": "processed",
+            "payout.utr": utr || null,
+            "payout.lastError": null,
+            "payout.nextAttemptAt": null,
+            "payout.processedAt": now,
+            "payout.updatedAt": now,
+          },
+        },
+        { new: true, session }
+      );
+      if (!updated) return null;
+
+      await walletHelper.completeWithdrawal(updated.freelancerId, updated.amount, updated._id, session);
+      return updated;
+    });
+
+    if (!withdrawal) return AdminWithdraw.findById(withdrawalId);
+    await logActivity(withdrawal.freelancerId, `Withdrawal of ₹${withdrawal.amount} paid to your bank account`);
+    return withdrawal;
+  }
+
+  if (FAILED.includes(payoutStatus)) {
+    const withdrawal = await inTransaction(async (session) => {
+      const updated = await AdminWithdraw.findOneAndUpdate(
+        {
+          _id: withdrawalId,
+          status: { $in: ["processing", "approved"] },
+          "payout.status": { $nin: FAILED },
+        },
+        {
+          $set: {
+            ...payoutIdUpdate,
+            status: "failed",
+            "payout.status": payoutStatus,
+            "payout.failureReason": failureReason || null,
+            "payout.nextAttemptAt": null,
+            "payout.updatedAt": now,
+          },
+        },
+        { new: true, session }
+      );
+      if (!updated) return null;
+
+      await walletHelper.reverseWithdrawal(
+        updated.freelancerId,
+        updated.amount,
+        updated._id,
+        session,
+        `Payout ${payoutStatus} — amount returned to wallet`
+      );
+      return updated;
+    });
+
+    if (!withdrawal) return AdminWithdraw.findById(withdrawalId);
+    console.error(
+      `[PAYOUT] Withdrawal ${withdrawal._id} ${payoutStatus}: ${failureReason || "no reason given"}`
+    );
+    await logActivity(
+      withdrawal.freelancerId,
+      `Withdrawal of ₹${withdrawal.amount} could not be paid out and was returned to your wallet`
+    );
+    return withdrawal;
+  }
+
+  console.error(`[PAYOUT] Unknown payout status "${status}" for withdrawal ${withdrawalId}`);
+  return AdminWithdraw.findById(withdrawalId);
+};
+
+/**
+ * Send (or resend) a claimed withdrawal to the gateway. The idempotency key
+ * is derived from the withdrawal, so a retry after a lost response returns
+ * the payout that was already created instead of paying twice.
+ *
+ * Errors the gateway rejected outright fail the withdrawal; transient ones
+ * are retried by the payout-sync job until PAYOUT_SETTINGS.MAX_ATTEMPTS, then
+ * left for an admin — the payout may exist, so the funds are not returned.
+ */
+const dispatchPayout = async (withdrawal) => {
+  const attempt = (withdrawal.payout?.attempts || 0) + 1;
+  const now = new Date();
+
+  let result;
+  try {
+    const destination = await resolveDestination(withdrawal);
+    const fundAccount = await ensureFundAccount(withdrawal, destination);
+    await AdminWithdraw.updateOne(
+      { _id: withdrawal._id },
+      { $set: { "payout.fundAccountId": fundAccount.fundAccountId } }
+    );
+
+    result = await gateway.createPayout({
+      amount: Math.round(withdrawal.amount * 100),
+      fundAccountId: fundAccount.fundAccountId,
+      mode: destination.type === "vpa" ? "UPI" : "IMPS",
+      referenceId: withdrawal._id.toString(),
+      narration: "FreelancerHub withdrawal",
+      idempotencyKey: `withdrawal-${withdrawal._id}`,
+    });
+  } catch (err) {
+    if (err.retryable === false) {
+      return applyPayoutStatus(withdrawal._id, { status: "failed", failureReason: err.message });
+    }
+
+    const exhausted = attempt >= PAYOUT_SETTINGS.MAX_ATTEMPTS;
+    await AdminWithdraw.updateOne(
+      { _id: withdrawal._id, status: "processing" },
+      {
+        $set: {
+          "payout.attempts": attempt,
+          "payout.lastError": err.message,
+          "payout.nextAttemptAt": exhausted
+            ? null
+            : new Date(now.getTime() + PAYOUT_SETTINGS.RETRY_BASE_MS * 2 ** (attempt - 1)),
+          "payout.updatedAt": now,
+        },
+      }
+    );
+    console.error(
+      `[PAYOUT] Attempt ${attempt} for withdrawal ${withdrawal._id} failed` +
+        (exhausted ? " — giving up, needs admin attention:" : ", will retry:"),
+      err.message
+    );
+    return AdminWithdraw.findById(withdrawal._id);
+  }
+
+  await AdminWithdraw.updateOne(
+    { _id: withdrawal._id },
+    {
+      $set: {
+        "payout.payoutId": result.id,
+        "payout.attempts": attempt,
+        "payout.lastError": null,
+        "payout.nextAttemptAt": null,
+        "payout.updatedAt": now,
+      },
+    }
+  );
+  return applyPayoutStatus(withdrawal._id, result);
+};
+
+/**
+ * Claim a pending withdrawal and send its payout
+ * @param {String} withdrawalId
+ * @param {Object} [options]
+ * @param {String} [options.adminId] - approving admin; omitted for automatic payouts
+ * @returns {Promise<Object>} the withdrawal (processing, approved or failed)
+ */
+const startPayout = async (withdrawalId, { adminId = null } = {}) => {
+  const now = new Date();
+  const withdrawal = await AdminWithdraw.findOneAndUpdate(
+    { _id: withdrawalId, type: "withdraw", status: "pending" },
+    {
+      $set: {
+        status: "processing",
+        "payout.provider": gateway.name,
+        "payout.status": "queued",
+        "payout.attempts": 0,
+        "payout.lastError": null,
+        // Picked up by payout-sync if this process dies before reaching the gateway
+        "payout.nextAttemptAt": new Date(now.getTime() + PAYOUT_SETTINGS.RETRY_BASE_MS),
+        "payout.initiatedBy": adminId,
+        "payout.initiatedAt": now,
+        "payout.updatedAt": now,
+      },
+    },
+    { new: true }
+  );
+
+  if (!withdrawal) {
+    const existing = await AdminWithdraw.findById(withdrawalId).select("status");
+    if (!existing) throw ErrorTypes.NotFound("Withdrawal not found");
+    throw ErrorTypes.Conflict(`Withdrawal is already ${existing.status}`);
+  }
+
+  return dispatchPayout(withdrawal);
+};
+
+/**
+ * Admin retry for a payout whose automatic attempts ran out
+ */
+const retryPayout = async (withdrawalId) => {
+  const withdrawal = await AdminWithdraw.findOneAndUpdate(
+    { _id: withdrawalId, status: "processing", "payout.status": "queued", "payout.payoutId": null },
+    { $set: { "payout.attempts": 0, "payout.nextAttemptAt": null } },
+    { new: true }
+  );
+  if (!withdrawal) {
+    throw ErrorTypes.Conflict("Only payouts that have not reached the gateway can be retried");
+  }
+  return dispatchPayout(withdrawal);
+};
+
+/**
+ * payout.* webhook — find the withdrawal by payout id (or our reference id)
+ * @returns {Promise<Object|null>} the withdrawal, or null if it isn't ours
+ */
+const handlePayoutWebhook = async (payoutEntity) => {
+  const { id, reference_id: referenceId } = payoutEntity;
+
+  let withdrawal = await AdminWithdraw.findOne({ "payout.payoutId": id }).select("_id");
+  if (!withdrawal && mongoose.Types.ObjectId.isValid(referenceId)) {
+    withdrawal = await AdminWithdraw.findOne({ _id: referenceId, "payout.provider": gateway.name }).select("_id");
+  }
+  if (!withdrawal) return null;
+
+  return applyPayoutStatus(withdrawal._id, {
+    id,
+    status: payoutEntity.status,
+    utr: payoutEntity.utr,
+    failureReason: payoutEntity.status_details?.description || payoutEntity.failure_reason,
+  });
+};
+
+// ============================================================================
+// SYNC JOB
+// ============================================================================
+
+/**
+ * Retry payouts whose backoff has elapsed and poll in-flight payouts that
+ * haven't heard from the gateway in PAYOUT_SETTINGS.POLL_AFTER_MS.
+ */
+const runPayoutSync = async () => {
+  const now = new Date();
+  const failures = [];
+  let processed = 0;
+  let retried = 0;
+  let dispatched = 0;
+  let polled = 0;
+  let settled = 0;
+
+  const due = await AdminWithdraw.find({
+    status: "processing",
+    "payout.status": "queued",
+    "payout.payoutId": null,
+    "payout.nextAttemptAt": { $ne: null, $lte: now },
+  })
+    .sort({ "payout.nextAttemptAt": 1 })
+    .limit(PAYOUT_SETTINGS.SYNC_BATCH_SIZE);
+
+  for (const withdrawal of due) {
+    processed++;
+    retried++;
+    // One bad withdrawal must not stop the rest of the batch
+    try {
+      const updated = await dispatchPayout(withdrawal);
+      if (updated?.payout?.payoutId) dispatched++;
+      if (updated && updated.status !== "processing") settled++;
+      if (updated?.payout?.lastError) {
+        failures.push({ referenceId: withdrawal._id.toString(), message: updated.payout.lastError });
+      }
+    } catch (err) {
+      console.error(`[PAYOUT] Sync could not dispatch withdrawal ${withdrawal._id}:`, err.message);
+      failures.push({ referenceId: withdrawal._id.toString(), message: err.message });
+    }
+  }
+
+  const stale = await AdminWithdraw.find({
+    status: "processing",
+    "payout.payoutId": { $ne: null },
+    "payout.status": { $in: IN_FLIGHT },
+    "payout.updatedAt": { $lte: new Date(now.getTime() - PAYOUT_SETTINGS.POLL_AFTER_MS) },
+  })
+    .sort({ "payout.updatedAt": 1 })
+    .limit(PAYOUT_SETTINGS.SYNC_BATCH_SIZE);
+
+  for (const withdrawal of stale) {
+    processed++;
+    polled++;
+    try {
+      const payout = await gateway.fetchPayout(withdrawal.payout.payoutId);
+      const updated = await applyPayoutStatus(withdrawal._id, payout);
+      if (updated.status !== "processing") settled++;
+    } catch (err) {
+      failures.push({ referenceId: withdrawal._id.toString(), message: err.message });
+    }
+  }
+
+  return {
+    processed,
+    succeeded: processed - failures.length,
+    failed: failures.length,
+    failures,
+    summary: { retried, dispatched, polled, settled, failed: failures.length },
+  };
+};
+
+module.exports = {
+  startPayout,
+  retryPayout,
+  applyPayoutStatus,
+  handlePayoutWebhook,
+  runPayoutSync,
+};
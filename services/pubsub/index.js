@@ -0,0 +1,34 @@
+const MemoryPubSub = require("./memoryPubSub");
+const MongoPubSub = require("./mongoPubSub");
+
+// ============================================================================
+// PUB/SUB FACTORY
+// PUBSUB_BACKEND=mongo (default) routes real-time events across instances;
+// PUBSUB_BACKEND=memory keeps everything inside one process.
+//
+// Backend interface:
+//   start() / stop()
+//   publish({ userId, data, chatId })       push `data` to all of a user's sockets
+//   subscribe(handler)                      handler(event) for every published event
+//   setPresence(instanceId, userId, online)
+//   refreshPresence(instanceId, userIds)
+//   getOnlineUserIds(userIds) -> Set<string>
+// ============================================================================
+
+const backends = {
+  memory: MemoryPubSub,
+  mongo: MongoPubSub,
+};
+
+const createPubSub = (type = process.env.PUBSUB_BACKEND || "mongo") => {
+  const Backend = backends[type];
+  if (!Backend) {
+    throw new Error(`Unknown PUBSUB_BACKEND "${type}"`);
+  }
+  return new Backend();
+};
+
+// Shared instance used by the WebSocket service and REST routes
+const pubsub = createPubSub();
+
+module.exports = { createPubSub, pubsub, MemoryPubSub, MongoPubSub };
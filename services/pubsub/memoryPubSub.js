@@ -0,0 +1,54 @@
+const { EventEmitter } = require("events");
+
+// ============================================================================
+// IN-MEMORY PUB/SUB
+// Single-process backend. Useful for tests and local development; several
+// WebSocketService instances sharing one MemoryPubSub behave like a cluster.
+// ============================================================================
+
+class MemoryPubSub {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    // userId -> Set<instanceId>
+    this.presence = new Map();
+  }
+
+  async start() {}
+
+  async stop() {
+    this.emitter.removeAllListeners();
+  }
+
+  /**
+   * Deliver an event to every subscriber on the next tick,
+   * mirroring the asynchronous delivery of the Mongo backend
+   */
+  async publish(event) {
+    const payload = { createdAt: new Date(), chatId: null, ...event };
+    setImmediate(() => this.emitter.emit("event", payload));
+  }
+
+  subscribe(handler) {
+    this.emitter.on("event", handler);
+  }
+
+  async setPresence(instanceId, userId, online) {
+    const instances = this.presence.get(userId) || new Set();
+    if (online) {
+      instances.add(instanceId);
+      this.presence.set(userId, instances);
+    } else {
+      instances.delete(instanceId);
+      if (instances.size === 0) this.presence.delete(userId);
+    }
+  }
+
+  async refreshPresence() {}
+
+  async getOnlineUserIds(userIds) {
+    return new Set(userIds.map(String).filter((id) => this.presence.has(id)));
+  }
+}
+
+module.exports = MemoryPubSub;
@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const RealtimeEvent = require("../../models/RealtimeEvent");
+const SocketPresence = require("../../models/SocketPresence");
+
+// ============================================================================
+// MONGODB PUB/SUB
+// Cross-instance backend that needs nothing beyond the existing database.
+// Events are inserted into a capped collection that every instance tails;
+// presence is a TTL'd document per (instance, user).
+// ============================================================================
+
+// Three missed heartbeats and a user's presence on a dead instance expires
+const PRESENCE_TTL_MS = 90 * 1000;
+
+// Back-off before re-opening a tailable cursor that died
+const RETAIL_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class MongoPubSub {
+  constructor() {
+    this.handlers = [];
+    this.running = false;
+    this.cursor = null;
+    this.lastId = null;
+  }
+
+  /**
+   * Make sure the capped collection exists, then start tailing from its end
+   */
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await mongoose.connection.asPromise();
+    await RealtimeEvent.init();
+
+    // A tailable cursor on an empty capped collection dies immediately,
+    // so seed it with a no-op document to tail from
+    let last = await RealtimeEvent.findOne().sort({ $natural: -1 }).select("_id").lean();
+    if (!last) {
+      last = await RealtimeEvent.create({ userId: null });
+    }
+    this.lastId = last._id;
+
+    this.tail();
+  }
+
+  async stop() {
+    this.running = false;
+    if (this.cursor) {
+      await this.cursor.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Read events forever, reopening the cursor whenever it closes
+   */
+  async tail() {
+    while (this.running) {
+      try {
+        this.cursor = RealtimeEvent.collection.find(
+          { _id: { $gt: this.lastId } },
+          { tailable: true, awaitData: true }
+        );
+
+        for await (const event of this.cursor) {
+          this.lastId = event._id;
+          if (event.userId) this.dispatch(event);
+        }
+      } catch (err) {
+        if (this.running) {
+          console.error("[PUBSUB] Tail error:", err.message);
+        }
+      }
+
+      if (this.running) await sleep(RETAIL_DELAY_MS);
+    }
+  }
+
+  dispatch(event) {
+    for (const handler of this.handlers) {
+      try {
+        handler(event);
+      } catch (err) {
+        console.error("[PUBSUB] Handler error:", err);
+      }
+    }
+  }
+
+  async publish({ userId, data, chatId = null }) {
+    await RealtimeEvent.collection.insertOne({
+      userId: String(userId),
+      data,
+      chatId: chatId ? new mongoose.Types.ObjectId(String(chatId)) : null,
+      createdAt: new Date(),
+    });
+  }
+
+  subscribe(handler) {
+    this.handlers.push(handler);
+  }
+
+  async setPresence(instanceId, userId, online) {
+    const _id = `${instanceId}:${userId}`;
+    if (online) {
+      await SocketPresence.updateOne(
+        { _id },
+        { $set: { userId, instanceId, expiresAt: new Date(Date.now() + PRESENCE_TTL_MS) } },
+        { upsert: true }
+      );
+    } else {
+      await SocketPresence.deleteOne({ _id });
+    }
+  }
+
+  /**
+   * Extend presence for every user still connected to this instance
+   */
+  async refreshPresence(instanceId, userIds) {
+    if (userIds.length === 0) return;
+    await SocketPresence.updateMany(
+      { instanceId, userId: { $in: userIds } },
+      { $set: { expiresAt: new Date(Date.now() + PRESENCE_TTL_MS) } }
+    );
+  }
+
+  async getOnlineUserIds(userIds) {
+    const online = await SocketPresence.distinct("userId", {
+      userId: { $in: userIds.map(String) },
+      expiresAt: { $gt: new Date() },
+    });
+    return new Set(online);
+  }
+}
+
+module.exports = MongoPubSub;
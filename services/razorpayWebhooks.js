@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const Project = require("../models/Project");
+const Escrow = require("../models/Escrow");
+const WebhookEvent = require("../models/WebhookEvent");
+const Activity = require("../models/ActionSchema");
+const { fundProjectEscrow } = require("./payments");
+const { handlePayoutWebhook } = require("./payouts");
+const { gateway } = require("./paymentGateway");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { WEBHOOK_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// RAZORPAY WEBHOOKS
+// Razorpay reports payment and payout state server-to-server, so orders are
+// recorded even when the browser never calls /payments/verify-payment and
+// withdrawals settle without an admin. Each delivery
+// is checked against X-Razorpay-Signature (HMAC-SHA256 of the raw body with
+// RAZORPAY_WEBHOOK_SECRET, checked by the payment gateway) and stored in
+// WebhookEvent under its event id; a retried or replayed event is
+// acknowledged without being applied twice.
+//
+// Handlers return { status: "processed" | "ignored", result } and only throw
+// for errors worth a retry — Razorpay redelivers on any non-2xx response.
+// ============================================================================
+
+const logActivity = async (userId, action) => {
+  try {
+    await Activity.create({ userId, action });
+  } catch (error) {
+    console.error("Error logging activity:", error);
+  }
+};
+
+const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    const result = await work(session);
+    await session.commitTransaction();
+    return result;
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+const processed = (result) => ({ status: "processed", result });
+const ignored = (result) => ({ status: "ignored", result });
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * payment.captured / order.paid — complete the Payment and fund the escrow
+ */
+const onPaymentCaptured = async (paymentEntity) => {
+  if (!paymentEntity) return ignored("Event has no payment entity");
+  const { id: gatewayPaymentId, order_id: orderId, amount } = paymentEntity;
+
+  const payment = await Payment.findOne({
+    transactionId: { $in: [orderId, gatewayPaymentId].filter(Boolean) },
+  });
+  if (!payment) return ignored(`No payment record for order ${orderId}`);
+  if (!["pending", "failed"].includes(payment.status)) {
+    return ignored(`Payment already ${payment.status}`);
+  }
+
+  if (Math.round(payment.amount * 100) !== amount) {
+    console.error(
+      `[WEBHOOK] Captured amount ${amount} paise does not match payment ${payment._id} (₹${payment.amount})`
+    );
+    return ignored(`Captured amount ${amount} paise does not match the order`);
+  }
+
+  const project = await Project.findById(payment.projectId);
+  if (!project) return ignored(`Project ${payment.projectId} no longer exists`);
+
+  try {
+    const { escrow } = await inTransaction((session) =>
+      fundProjectEscrow(payment, project, gatewayPaymentId, session)
+    );
+
+    await logActivity(
+      payment.userId,
+      `Payment captured (webhook) for project ${project._id}. Amount: ₹${payment.amount}`
+    );
+    return processed(`Payment completed and escrow ${escrow._id} funded`);
+  } catch (err) {
+    // The browser callback got there first
+    if (err.statusCode === 409) return ignored(err.message);
+    throw err;
+  }
+};
+
+/**
+ * payment.failed — mark the pending Payment failed so the client can retry
+ */
+const onPaymentFailed = async (paymentEntity) => {
+  if (!paymentEntity) return ignored("Event has no payment entity");
+
+  const payment = await Payment.findOneAndUpdate(
+    { transactionId: paymentEntity.order_id, status: "pending" },
+    { status: "failed" },
+    { new: true }
+  );
+  if (!payment) return ignored(`No pending payment for order ${paymentEntity.order_id}`);
+
+  const reason = paymentEntity.error_description || "unknown reason";
+  await logActivity(payment.userId, `Payment failed for project ${payment.projectId}: ${reason}`);
+  return processed(`Payment marked failed: ${reason}`);
+};
+
+/**
+ * refund.processed — refunds started here (project cancellation) are already
+ * booked; a refund issued from the Razorpay dashboard only updates the
+ * Payment and is flagged for review, since the escrow may still be funded.
+ */
+const onRefundProcessed = async (refundEntity) => {
+  if (!refundEntity) return ignored("Event has no refund entity");
+
+  const payment = await Payment.findOne({ transactionId: refundEntity.payment_id });
+  if (!payment) return ignored(`No payment record for ${refundEntity.payment_id}`);
+  if (payment.status === "refunded") return ignored("Refund already recorded");
+
+  if (refundEntity.amount < Math.round(payment.amount * 100)) {
+    return ignored(`Partial refund of ${refundEntity.amount} paise; payment left as ${payment.status}`);
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, status: { $ne: "refunded" } },
+    { status: "refunded" },
+    { new: true }
+  );
+  if (!updated) return ignored("Refund already recorded");
+
+  const escrow = await Escrow.findOne({ projectId: payment.projectId, clientId: payment.userId }).select("status");
+  if (escrow && escrow.status === "funded") {
+    console.error(
+      `[WEBHOOK] Payment ${payment._id} refunded outside the platform while escrow ${escrow._id} is still funded`
+    );
+    return processed(`Payment marked refunded; escrow ${escrow._id} is still funded and needs review`);
+  }
+
+  return processed("Payment marked refunded");
+};
+
+/**
+ * payout.* — settle or fail the withdrawal the payout was sent for
+ */
+const onPayoutUpdated = async (payoutEntity) => {
+  if (!payoutEntity) return ignored("Event has no payout entity");
+  const withdrawal = await handlePayoutWebhook(payoutEntity);
+  if (!withdrawal) return ignored(`No withdrawal for payout ${payoutEntity.id}`);
+  return processed(`Withdrawal ${withdrawal._id} is ${withdrawal.status} (payout ${payoutEntity.status})`);
+};
+
+const handlers = {
+  "payment.captured": (payload) => onPaymentCaptured(payload.payment?.entity),
+  "order.paid": (payload) => onPaymentCaptured(payload.payment?.entity),
+  "payment.failed": (payload) => onPaymentFailed(payload.payment?.entity),
+  "refund.processed": (payload) => onRefundProcessed(payload.refund?.entity),
+  "payout.queued": (payload) => onPayoutUpdated(payload.payout?.entity),
+  "payout.processed": (payload) => onPayoutUpdated(payload.payout?.entity),
+  "payout.reversed": (payload) => onPayoutUpdated(payload.payout?.entity),
+  "payout.failed": (payload) => onPayoutUpdated(payload.payout?.entity),
+  "payout.rejected": (payload) => onPayoutUpdated(payload.payout?.entity),
+};
+
+// ============================================================================
+// INGESTION
+// ============================================================================
+
+/**
+ * Store the event, or claim a stored one that failed / was abandoned mid-way.
+ * Returns null when another delivery already handled (or is handling) it.
+ */
+const claimEvent = async (eventId, body) => {
+  const now = new Date();
+  try {
+    return await WebhookEvent.create({
+      provider: "razorpay",
+      eventId,
+      event: body.event,
+      payload: body.payload || {},
+      attempts: 1,
+      lockedAt: now,
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  return WebhookEvent.findOneAndUpdate(
+    {
+      provider: "razorpay",
+      eventId,
+      $or: [
+        { status: "failed" },
+        { status: "processing", lockedAt: { $lt: new Date(now - WEBHOOK_SETTINGS.PROCESSING_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { status: "processing", lockedAt: now, error: null }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Verify, deduplicate and apply one webhook delivery
+ * @param {Object} delivery
+ * @param {Buffer} delivery.rawBody   - body exactly as received
+ * @param {Object} delivery.body      - parsed body
+ * @param {string} delivery.signature - X-Razorpay-Signature
+ * @param {string} [delivery.eventId] - X-Razorpay-Event-Id
+ * @returns {Promise<{eventId: string, status: string, duplicate: boolean, result?: string}>}
+ */
+const handleRazorpayWebhook = async ({ rawBody, body, signature, eventId }) => {
+  if (!gateway.verifyWebhookSignature(rawBody, signature)) {
+    throw ErrorTypes.Unauthorized("Invalid webhook signature");
+  }
+  if (!body || typeof body.event !== "string") {
+    throw ErrorTypes.BadRequest("Malformed webhook payload");
+  }
+
+  // Razorpay always sends an event id; hashing the body still dedupes exact replays without one
+  const id = eventId || crypto.createHash("sha256").update(rawBody).digest("hex");
+
+  const record = await claimEvent(id, body);
+  if (!record) {
+    const existing = await WebhookEvent.findOne({ provider: "razorpay", eventId: id }).select("status");
+    return { eventId: id, status: existing?.status, duplicate: true };
+  }
+
+  const handler = WEBHOOK_SETTINGS.RAZORPAY_EVENTS.includes(body.event) && handlers[body.event];
+  try {
+    const outcome = handler ? await handler(body.payload || {}) : ignored(`Unhandled event ${body.event}`);
+    record.status = outcome.status;
+    record.result = outcome.result;
+    record.processedAt = new Date();
+    record.lockedAt = null;
+    await record.save();
+    return { eventId: id, status: record.status, duplicate: false, result: record.result };
+  } catch (err) {
+    record.status = "failed";
+    record.error = err.message;
+    record.lockedAt = null;
+    await record.save().catch(() => {});
+    throw err;
+  }
+};
+
+module.exports = { handleRazorpayWebhook };
@@ -0,0 +1,265 @@
+const crypto = require("crypto");
+const requestIp = require("request-ip");
+const geoip = require("geoip-lite");
+const Session = require("../models/Session");
+const { createTokenForUser } = require("../middleware/Auth");
+const { ErrorTypes } = require("../middleware/ErrorHandler");
+const { SESSION_SETTINGS } = require("../config/constants");
+
+// ============================================================================
+// AUTH SESSIONS
+// Login creates a Session and two cookies:
+//   token          - access JWT (15 min) carrying the session id
+//   refresh_token  - `${sessionId}.${secret}`; only a hash of the secret is stored
+// Each refresh swaps in a new secret. A rotated-out secret presented again
+// means the cookie was copied, so the whole session is revoked.
+// ============================================================================
+
+const REFRESH_COOKIE = "refresh_token";
+const REFRESH_COOKIE_PATH = "/api/vi";
+
+const cookieOptions = {
+  sameSite: "None",
+  httpOnly: true,
+  secure: true,
+};
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+/**
+ * Short human-readable label for a user agent, e.g. "Chrome on Windows"
+ */
+const describeDevice = (userAgent = "") => {
+  const browser =
+    [
+      [/Edg\//, "Edge"],
+      [/OPR\/|Opera/, "Opera"],
+      [/Firefox\//, "Firefox"],
+      [/Chrome\//, "Chrome"],
+      [/Safari\//, "Safari"],
+      [/PostmanRuntime/, "Postman"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "Unknown browser";
+
+  const os =
+    [
+      [/Windows/, "Windows"],
+      [/iPhone|iPad|iPod/, "iOS"],
+      [/Mac OS X|Macintosh/, "macOS"],
+      [/Android/, "Android"],
+      [/Linux/, "Linux"],
+    ].find(([pattern]) => pattern.test(userAgent))?.[1] || "Unknown OS";
+
+  return `${browser} on ${os}`;
+};
+
+/**
+ * Device, IP and approximate location of a request
+ */
+const getRequestContext = (req) => {
+  const ipAddress = requestIp.getClientIp(req) || "";
+  const geo = geoip.lookup(ipAddress) || {};
+  const userAgent = (req.headers["user-agent"] || "").slice(0, 512);
+
+  return {
+    ipAddress,
+    userAgent,
+    device: describeDevice(userAgent),
+    location: {
+      country: geo.country || null,
+      region: geo.region || null,
+      city: geo.city || null,
+    },
+    // [latitude, longitude]; not stored on sessions, used for travel checks
+    coordinates: geo.ll || null,
+  };
+};
+
+const setAuthCookies = (res, { accessToken, refreshToken, session }) => {
+  res.cookie("token", accessToken, {
+    ...cookieOptions,
+    path: "/",
+    maxAge: SESSION_SETTINGS.ACCESS_TOKEN_TTL_MS,
+  });
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...cookieOptions,
+    path: REFRESH_COOKIE_PATH,
+    expires: session.expiresAt,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", { ...cookieOptions, path: "/" });
+  res.clearCookie(REFRESH_COOKIE, { ...cookieOptions, path: REFRESH_COOKIE_PATH });
+};
+
+const issueAccessToken = (session) =>
+  createTokenForUser(
+    { userId: session.userId, username: session.username, role: session.role },
+    { sessionId: session._id }
+  );
+
+/**
+ * Start a session after a successful login and set the auth cookies
+ * @param {object} principal - { userId, userModel: "User"|"Admin", username, role }
+ * @returns {Promise<object>} - Session document
+ */
+const startSession = async (req, res, principal) => {
+  const secret = crypto.randomBytes(32).toString("base64url");
+
+  const session = await Session.create({
+    ...principal,
+    ...getRequestContext(req),
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + SESSION_SETTINGS.REFRESH_TOKEN_TTL_MS),
+  });
+
+  // Keep the number of devices bounded; drop the least recently used
+  const active = await Session.getActiveForUser(principal.userId).select("_id");
+  const excess = active.slice(SESSION_SETTINGS.MAX_ACTIVE_SESSIONS).map((s) => s._id);
+  if (excess.length) {
+    await Session.updateMany(
+      { _id: { $in: excess } },
+      { $set: { revokedAt: new Date(), revokedReason: "session_limit" } }
+    );
+  }
+
+  setAuthCookies(res, {
+    accessToken: await issueAccessToken(session),
+    refreshToken: `${session._id}.${secret}`,
+    session,
+  });
+  return session;
+};
+
+// Session id and secret from the refresh cookie, or nulls
+const readRefreshCookie = (req) => {
+  const [sessionId, secret] = (req.cookies?.[REFRESH_COOKIE] || "").split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) return { sessionId: null, secret: null };
+  return { sessionId, secret };
+};
+
+/**
+ * Exchange the refresh cookie for a new access token and refresh token
+ * @returns {Promise<object>} - Session document
+ * @throws {ApiError} 401 when the token is missing, unknown, expired or reused
+ */
+const refreshSession = async (req, res) => {
+  const { sessionId, secret } = readRefreshCookie(req);
+  if (!sessionId) {
+    throw ErrorTypes.Unauthorized("Please login again.");
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw ErrorTypes.Unauthorized("Session expired. Please login again.");
+  }
+
+  const presentedHash = hashSecret(secret);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    if (!session.previousTokenHashes.includes(presentedHash)) {
+      throw ErrorTypes.Unauthorized("Please login again.");
+    }
+
+    const justRotated =
+      session.rotatedAt && Date.now() - session.rotatedAt.getTime() < SESSION_SETTINGS.REFRESH_REUSE_GRACE_MS;
+    if (justRotated && presentedHash === session.previousTokenHashes[session.previousTokenHashes.length - 1]) {
+      // Lost a race with a parallel refresh from the same browser
+      throw ErrorTypes.Conflict("Session was just refreshed, retry the request");
+    }
+
+    session.revokedAt = new Date();
+    session.revokedReason = "refresh_token_reuse";
+    await session.save();
+    console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.userId})`);
+    throw ErrorTypes.Unauthorized("Session ended for your security. Please login again.");
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString("base64url");
+  const context = getRequestContext(req);
+
+  // Compare-and-set on the old hash so two parallel refreshes cannot both win
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(nextSecret),
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        ipAddress: context.ipAddress,
+        location: context.location,
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [presentedHash],
+          $slice: -SESSION_SETTINGS.MAX_PREVIOUS_TOKEN_HASHES,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    throw ErrorTypes.Conflict("Session was just refreshed, retry the request");
+  }
+
+  setAuthCookies(res, {
+    accessToken: await issueAccessToken(rotated),
+    refreshToken: `${rotated._id}.${nextSecret}`,
+    session: rotated,
+  });
+  return rotated;
+};
+
+/**
+ * Log out: revoke the session named by the refresh cookie (if its secret
+ * checks out) and clear both cookies. Works with an expired access token.
+ */
+const endSession = async (req, res) => {
+  const { sessionId, secret } = readRefreshCookie(req);
+  if (sessionId) {
+    await Session.updateOne(
+      { _id: sessionId, refreshTokenHash: hashSecret(secret), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+    );
+  }
+  clearAuthCookies(res);
+};
+
+/**
+ * Revoke one session of a user
+ * @returns {Promise<boolean>} - false if no such active session
+ */
+const revokeSession = async (userId, sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * What the session list shows for one session
+ */
+const toSessionView = (session, currentSessionId) => ({
+  _id: session._id,
+  device: session.device,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  location: session.location,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId,
+});
+
+module.exports = {
+  REFRESH_COOKIE,
+  describeDevice,
+  getRequestContext,
+  startSession,
+  refreshSession,
+  endSession,
+  revokeSession,
+  clearAuthCookies,
+  toSessionView,
+};
@@ -1,73 +1,122 @@
 const WebSocket = require("ws");
+const os = require("os");
 const crypto = require("crypto");
 const Chat = require("../models/chat_sys");
+const User = require("../models/User");
+const { decodeToken, getSessionRejection } = require("../middleware/Auth");
+const { encrypt, decrypt } = require("../utils/chatCrypto");
+const { pubsub: defaultPubSub } = require("./pubsub");
+const {
+  resolveConversation,
+  canSend,
+  CLOSED_CONVERSATION_ERROR,
+  storeMessage,
+} = require("./conversations");
+const { verifyAttachments, describeAttachments } = require("./chatAttachments");
+const { screenMessage, linkViolationToChat } = require("./contactProtection");
+
+// Subprotocol used by clients that cannot send the auth cookie:
+//   new WebSocket(url, ["access_token", <jwt>])
+const TOKEN_PROTOCOL = "access_token";
+
+// setTimeout delays above this overflow and fire immediately
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Sockets that miss one ping/pong round are terminated
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
 
 // ============================================================================
 // WEBSOCKET SERVICE
 // Extracted from index.js for better modularity
+//
+// Sockets live in this process, but routing does not: every outgoing event
+// goes through the pub/sub backend, and each instance delivers it to the
+// sockets it holds. A message accepted anywhere reaches the user everywhere.
 // ============================================================================
 
 class WebSocketService {
-  constructor(server) {
-    this.wss = new WebSocket.Server({ server });
+  constructor(server, pubsub = defaultPubSub) {
+    this.wss = new WebSocket.Server({
+      server,
+      verifyClient: (info, done) => this.verifyClient(info, done),
+      handleProtocols: (protocols) =>
+        protocols.has(TOKEN_PROTOCOL) ? TOKEN_PROTOCOL : false,
+    });
+    // userId -> Set<ws>, one entry per open tab/device
     this.activeUsers = new Map();
-    this.secretKey = this.getSecretKey();
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+    this.pubsub = pubsub;
+    this.pubsub.subscribe((event) => this.handleEvent(event));
     
     this.init();
-  }
-
-  /**
-   * Get encryption key from environment
-   */
-  getSecretKey() {
-    const key = process.env.ENCRYPTION_KEY;
-    if (!key) {
-      console.error("CRITICAL: ENCRYPTION_KEY not set!");
-      if (process.env.NODE_ENV === "production") {
-        throw new Error("ENCRYPTION_KEY must be set in production");
-      }
-      // Development fallback (32 bytes for AES-256)
-      return Buffer.from("0123456789abcdef0123456789abcdef", "hex");
-    }
-    return Buffer.from(key, "hex");
+    this.startHeartbeat();
   }
 
   /**
    * Encrypt message using AES-256-GCM
    */
   encryptMessage(message) {
-    const iv = crypto.randomBytes(12);
-    const cipher = crypto.createCipheriv("aes-256-gcm", this.secretKey, iv);
-    const encrypted = Buffer.concat([
-      cipher.update(message, "utf8"),
-      cipher.final(),
-    ]);
-    const authTag = cipher.getAuthTag();
-    return `${iv.toString("hex")}:${encrypted.toString("hex")}:${authTag.toString("hex")}`;
+    return encrypt(message);
   }
 
   /**
    * Decrypt message using AES-256-GCM
    */
   decryptMessage(encryptedMessage) {
+    return decrypt(encryptedMessage);
+  }
+
+  /**
+   * Authenticate the upgrade request with the same JWT verifyToken uses.
+   * Accepts the "token" cookie or the access_token subprotocol.
+   */
+  verifyClient(info, done) {
+    const token = this.extractToken(info.req);
+    if (!token) {
+      return done(false, 401, "Authentication required");
+    }
+
+    let decoded;
     try {
-      const [ivHex, encryptedText, authTagHex] = encryptedMessage.split(":");
-      if (!ivHex || !encryptedText || !authTagHex) {
-        throw new Error("Invalid encrypted message format");
+      decoded = decodeToken(token);
+    } catch (err) {
+      return done(false, 401, err.name === "TokenExpiredError" ? "Token expired" : "Unauthorized");
+    }
+
+    // Revoked sessions cannot open sockets either
+    getSessionRejection(decoded)
+      .then((rejection) => {
+        if (rejection) return done(false, 401, "Session revoked");
+        info.req.user = decoded;
+        done(true);
+      })
+      .catch((err) => {
+        console.error("[WEBSOCKET] Session check failed:", err);
+        done(false, 500, "Internal server error");
+      });
+  }
+
+  /**
+   * Read the JWT from the cookie header, falling back to the subprotocol list
+   */
+  extractToken(req) {
+    const cookies = req.headers.cookie || "";
+    for (const pair of cookies.split(";")) {
+      const [name, ...rest] = pair.trim().split("=");
+      if (name === "token" && rest.length) {
+        return decodeURIComponent(rest.join("="));
       }
-      const iv = Buffer.from(ivHex, "hex");
-      const encrypted = Buffer.from(encryptedText, "hex");
-      const authTag = Buffer.from(authTagHex, "hex");
-      const decipher = crypto.createDecipheriv("aes-256-gcm", this.secretKey, iv);
-      decipher.setAuthTag(authTag);
-      return Buffer.concat([
-        decipher.update(encrypted),
-        decipher.final(),
-      ]).toString("utf8");
-    } catch (error) {
-      console.error("Decryption failed:", error.message);
-      return null;
     }
+
+    const protocols = (req.headers["sec-websocket-protocol"] || "")
+      .split(",")
+      .map((p) => p.trim());
+    const index = protocols.indexOf(TOKEN_PROTOCOL);
+    if (index !== -1 && protocols[index + 1]) {
+      return protocols[index + 1];
+    }
+
+    return null;
   }
 
   /**
@@ -75,52 +124,112 @@ class WebSocketService {
    */
   init() {
     this.wss.on("connection", (ws, req) => {
-      const userId = this.extractUserId(req);
+      const userId = req.user?.userId;
       if (!userId) {
-        ws.close(1008, "User ID required");
+        ws.close(1008, "Authentication required");
         return;
       }
 
-      this.activeUsers.set(userId, ws);
-      console.log(`[WEBSOCKET] Client connected: ${userId}`);
+      this.addConnection(userId, ws);
+      console.log(`[WEBSOCKET] Client connected: ${userId} (${this.activeUsers.get(userId).size} connection(s))`);
 
-      ws.on("message", (data) => this.handleMessage(data, userId));
+      ws.isAlive = true;
+      ws.on("pong", () => {
+        ws.isAlive = true;
+      });
+
+      // Drop the socket when the JWT it was opened with expires
+      const expiresInMs = req.user.exp * 1000 - Date.now();
+      const expiryTimer = setTimeout(
+        () => ws.close(4001, "Token expired"),
+        Math.min(Math.max(expiresInMs, 0), MAX_TIMER_MS)
+      );
+
+      ws.on("message", (data) => this.handleMessage(data, userId, ws));
 
       ws.on("close", () => {
-        this.activeUsers.delete(userId);
+        clearTimeout(expiryTimer);
+        this.removeConnection(userId, ws);
         console.log(`[WEBSOCKET] Client disconnected: ${userId}`);
       });
 
       ws.on("error", (error) => {
         console.error(`[WEBSOCKET] Error for ${userId}:`, error);
-        this.activeUsers.delete(userId);
+        this.removeConnection(userId, ws);
       });
     });
   }
 
   /**
-   * Extract user ID from WebSocket request URL
+   * Track a socket under its user
    */
-  extractUserId(req) {
-    return req.url?.split("/").pop() || null;
+  addConnection(userId, ws) {
+    if (!this.activeUsers.has(userId)) {
+      this.activeUsers.set(userId, new Set());
+      this.pubsub
+        .setPresence(this.instanceId, userId, true)
+        .catch((err) => console.error("[WEBSOCKET] Presence update failed:", err.message));
+    }
+    this.activeUsers.get(userId).add(ws);
+  }
+
+  /**
+   * Forget a socket; the user goes offline once their last socket is gone
+   */
+  removeConnection(userId, ws) {
+    const sockets = this.activeUsers.get(userId);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      this.activeUsers.delete(userId);
+      this.pubsub
+        .setPresence(this.instanceId, userId, false)
+        .catch((err) => console.error("[WEBSOCKET] Presence update failed:", err.message));
+    }
+  }
+
+  /**
+   * Ping every socket periodically and terminate the ones that
+   * did not answer the previous ping (closed laptop, lost network)
+   */
+  startHeartbeat() {
+    this.heartbeatTimer = setInterval(() => {
+      for (const ws of this.wss.clients) {
+        if (ws.isAlive === false) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+
+      this.pubsub
+        .refreshPresence(this.instanceId, Array.from(this.activeUsers.keys()))
+        .catch((err) => console.error("[WEBSOCKET] Presence refresh failed:", err.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+
+    this.wss.on("close", () => clearInterval(this.heartbeatTimer));
   }
 
   /**
    * Handle incoming WebSocket message
    */
-  async handleMessage(data, senderId) {
+  async handleMessage(data, senderId, ws) {
     try {
       const messageString = data.toString();
       const parsedData = JSON.parse(messageString);
-      const { sender, receiver, message, alreadyStored, type } = parsedData;
+      const { receiver, message, alreadyStored, type, conversationId, attachments } = parsedData;
 
-      // Handle typing indicator
-      if (type === "typing") {
-        this.sendToUser(receiver, { sender, type: "typing" });
+      // The socket is bound to the verified user; never trust a client-supplied sender
+      if (parsedData.sender && parsedData.sender !== senderId) {
+        ws.send(JSON.stringify({ type: "error", message: "Sender does not match authenticated user" }));
         return;
       }
+      const sender = senderId;
+      parsedData.sender = senderId;
 
-      // Handle WebRTC signaling
+      // Typing indicators and WebRTC signaling are relayed, not stored
       const webRTCTypes = [
         "connection-request",
         "connection-accepted",
@@ -129,64 +238,168 @@ class WebSocketService {
         "answer",
         "offer",
       ];
-      
+      const isSignal = type === "typing" || webRTCTypes.includes(type);
+
+      // Messages stored through POST /chat/send were already published there
+      if (alreadyStored && !isSignal) return;
+
+      // Everything goes only to the other participant of a conversation the
+      // sender may still send in, never to a client-supplied receiver
+      const conversation = await resolveConversation(sender, { conversationId, receiver });
+      if (!conversation) {
+        ws.send(JSON.stringify({ type: "error", message: "No conversation with this user" }));
+        return;
+      }
+      if (!(await canSend(conversation))) {
+        ws.send(JSON.stringify({ type: "error", message: CLOSED_CONVERSATION_ERROR }));
+        return;
+      }
+      const recipient = conversation.getOtherParticipant(sender).toString();
+
+      // Handle typing indicator
+      if (type === "typing") {
+        await this.publishToUser(recipient, { sender, type: "typing", conversationId: conversation._id });
+        return;
+      }
+
+      // Handle WebRTC signaling
       if (webRTCTypes.includes(type)) {
         console.log(`[WEBSOCKET] Received ${type} message`);
-        this.sendToUser(receiver, parsedData);
+        await this.publishToUser(recipient, { ...parsedData, receiver: recipient });
         return;
       }
 
-      // Handle chat message
-      const encryptedMessage = this.encryptMessage(message);
-      let chat;
+      if (!message && !attachments?.length) {
+        ws.send(JSON.stringify({ type: "error", message: "Message or attachments are required" }));
+        return;
+      }
 
-      if (!alreadyStored) {
-        chat = new Chat({
-          sender,
-          receiver,
-          message: encryptedMessage,
-          encrypted: true,
-          status: "sent",
+      let attachmentTokens;
+      try {
+        attachmentTokens = verifyAttachments(attachments, {
+          conversationId: conversation._id,
+          senderId: sender,
         });
-        await chat.save();
+      } catch (err) {
+        ws.send(JSON.stringify({ type: "error", message: err.message }));
+        return;
       }
 
-      // Send to recipient if online
-      const delivered = this.sendToUser(receiver, {
+      if (await User.exists({ _id: sender, isBanned: true })) {
+        ws.send(JSON.stringify({ type: "error", message: "User is banned" }));
+        return;
+      }
+
+      let text = message;
+      let screening = null;
+      if (message) {
+        screening = await screenMessage({
+          text: message,
+          senderId: sender,
+          receiverId: conversation.getOtherParticipant(sender),
+          conversationId: conversation._id,
+          channel: "websocket",
+        });
+        if (!screening.allowed) {
+          ws.send(JSON.stringify({
+            type: "error",
+            message: "Sharing contact information before an agreement is active is not allowed. The message was flagged for review",
+          }));
+          return;
+        }
+        text = screening.message;
+      }
+
+      const chat = await storeMessage(
+        conversation,
         sender,
-        receiver,
-        message: encryptedMessage,
-        status: "delivered",
-      });
+        text || null,
+        attachmentTokens
+      );
 
-      if (delivered && chat) {
-        chat.status = "delivered";
-        await chat.save();
+      if (screening?.violation) {
+        await linkViolationToChat(screening.violation, chat);
+        // Let the sender's client replace its optimistic copy
+        ws.send(JSON.stringify({
+          type: "message_redacted",
+          _id: chat._id,
+          conversationId: chat.conversationId,
+          message: text,
+        }));
       }
+
+      // Delivered to the recipient wherever they are connected
+      await this.publishToUser(
+        chat.receiver.toString(),
+        {
+          _id: chat._id,
+          conversationId: chat.conversationId,
+          sender,
+          receiver: chat.receiver,
+          message: chat.message,
+          attachments: describeAttachments(chat.attachments),
+          status: "delivered",
+          timestamp: chat.timestamp,
+        },
+        chat._id
+      );
     } catch (error) {
       console.error("[WEBSOCKET] Error processing message:", error);
     }
   }
 
   /**
-   * Send message to specific user
+   * Route an event to a user through the pub/sub backend
+   * @param {string} userId
+   * @param {object} data    - Payload for the user's sockets
+   * @param {string} [chatId] - Chat marked "delivered" once a socket receives it
+   */
+  async publishToUser(userId, data, chatId = null) {
+    await this.pubsub.publish({ userId, data, chatId });
+  }
+
+  /**
+   * Deliver a published event to the sockets held by this instance
+   */
+  handleEvent(event) {
+    const delivered = this.sendToUser(event.userId, event.data);
+    if (delivered && event.chatId) {
+      Chat.updateOne({ _id: event.chatId, status: "sent" }, { status: "delivered" }).catch(
+        (err) => console.error("[WEBSOCKET] Error marking message delivered:", err.message)
+      );
+    }
+  }
+
+  /**
+   * Send message to every open connection of a user
+   * @returns {boolean} - true if at least one connection received it
    */
   sendToUser(userId, data) {
-    const socket = this.activeUsers.get(userId);
-    if (socket && socket.readyState === WebSocket.OPEN) {
-      socket.send(JSON.stringify(data));
-      return true;
+    const sockets = this.activeUsers.get(userId);
+    if (!sockets) return false;
+
+    const payload = JSON.stringify(data);
+    let delivered = false;
+    for (const socket of sockets) {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(payload);
+        delivered = true;
+      }
     }
-    return false;
+    return delivered;
   }
 
   /**
    * Broadcast message to all connected users
    */
   broadcast(data, excludeUserId = null) {
-    for (const [userId, socket] of this.activeUsers) {
-      if (userId !== excludeUserId && socket.readyState === WebSocket.OPEN) {
-        socket.send(JSON.stringify(data));
+    const payload = JSON.stringify(data);
+    for (const [userId, sockets] of this.activeUsers) {
+      if (userId === excludeUserId) continue;
+      for (const socket of sockets) {
+        if (socket.readyState === WebSocket.OPEN) {
+          socket.send(payload);
+        }
       }
     }
   }
@@ -199,10 +412,12 @@ class WebSocketService {
   }
 
   /**
-   * Check if user is online
+   * Check if user has a live connection on any instance
    */
-  isUserOnline(userId) {
-    return this.activeUsers.has(userId);
+  async isUserOnline(userId) {
+    if (this.activeUsers.has(userId)) return true;
+    const online = await this.pubsub.getOnlineUserIds([userId]);
+    return online.has(String(userId));
   }
 }
 
@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const JWT = require("jsonwebtoken");
+const {
+  getJwtSecret,
+  getSessionRejection,
+  verifyToken,
+  verifyPasswordChangeToken,
+} = require("../middleware/Auth");
+
+// Sessionless token issued to an admin who must change their password
+const passwordChangeClaims = { userId: "64b000000000000000000001", role: "admin", mustChangePassword: true };
+
+const run = async (middleware, token) => {
+  const req = { cookies: { token } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let called = false;
+  await middleware(req, res, () => {
+    called = true;
+  });
+  return { called, res, req };
+};
+
+test("password-change tokens are refused unless explicitly allowed", async () => {
+  assert.equal(
+    await getSessionRejection(passwordChangeClaims),
+    "Session expired. Please login again."
+  );
+  assert.equal(await getSessionRejection(passwordChangeClaims, { allowPasswordChange: true }), null);
+});
+
+test("other sessionless tokens are refused even where password-change tokens are allowed", async () => {
+  const claims = { userId: passwordChangeClaims.userId, role: "admin" };
+  assert.equal(
+    await getSessionRejection(claims, { allowPasswordChange: true }),
+    "Session expired. Please login again."
+  );
+});
+
+test("verifyToken rejects a password-change token", async () => {
+  const token = JWT.sign(passwordChangeClaims, getJwtSecret(), { expiresIn: "10m" });
+  const { called, res } = await run(verifyToken, token);
+  assert.equal(called, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, "SESSION_REVOKED");
+});
+
+test("verifyPasswordChangeToken accepts it", async () => {
+  const token = JWT.sign(passwordChangeClaims, getJwtSecret(), { expiresIn: "10m" });
+  const { called, req } = await run(verifyPasswordChangeToken, token);
+  assert.equal(called, true);
+  assert.equal(req.user.mustChangePassword, true);
+});
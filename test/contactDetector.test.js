@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectContactInfo, isPhoneLike, REDACTION, FULL_REDACTION } = require("../utils/contactDetector");
+
+test("flags phone numbers in their usual shapes", () => {
+  for (const text of [
+    "call me on 9876543210",
+    "my number is 98765 43210",
+    "ping 98765-43210 after 6",
+    "+91 98765 43210",
+    "0091 98765 43210",
+    "office 080 2345 6789",
+    "(415) 555-2671",
+    "+1 415 555 2671",
+  ]) {
+    const result = detectContactInfo(text);
+    assert.equal(result.found, true, text);
+    assert.ok(result.redacted.includes(REDACTION), text);
+    assert.deepEqual(result.matches.map((m) => m.type), ["phone"], text);
+  }
+});
+
+test("sees through spelled-out phone numbers", () => {
+  const result = detectContactInfo("nine eight seven six five four three two one zero");
+  assert.equal(result.found, true);
+  assert.equal(result.obfuscated, true);
+  assert.equal(result.redacted, FULL_REDACTION);
+});
+
+test("does not flag budgets, ranges, versions or other numbers", () => {
+  for (const text of [
+    "Budget 25000-50000 INR",
+    "I can do it for 15000 - 20000",
+    "between 75000-90000 depending on scope",
+    "version 1.2.3.4.5.6.7.8.9.10",
+    "order 1234567890 shipped",
+    "invoice 2024-2025-2026",
+    "timeline 2024 2025 2026 2027",
+  ]) {
+    const result = detectContactInfo(text);
+    assert.equal(result.found, false, text);
+    assert.equal(result.redacted, text);
+  }
+});
+
+test("isPhoneLike rejects ranges and dotted versions", () => {
+  assert.equal(isPhoneLike("25000-50000"), false);
+  assert.equal(isPhoneLike("15000 - 20000"), false);
+  assert.equal(isPhoneLike("1.2.3.4.5.6.7.8.9.10"), false);
+  assert.equal(isPhoneLike("98765-43210"), true);
+  assert.equal(isPhoneLike("987.654.3210"), true);
+});
+
+test("still finds emails and handles", () => {
+  assert.equal(detectContactInfo("write to john.doe@gmail.com").matches[0].type, "email");
+  assert.equal(detectContactInfo("telegram: @john_doe").matches[0].type, "handle");
+  assert.equal(detectContactInfo("mail me john at gmail dot com").obfuscated, true);
+});
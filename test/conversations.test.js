@@ -0,0 +1,87 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.ENCRYPTION_KEY = "11".repeat(32);
+
+const Project = require("../models/Project");
+const Agreement = require("../models/Agreement");
+const Bid = require("../models/Bid");
+const Conversation = require("../models/Conversation");
+const WebSocketService = require("../services/websocket");
+const { canSend, CLOSED_CONVERSATION_ERROR } = require("../services/conversations");
+
+const CLIENT = "64b0000000000000000000c1";
+const FREELANCER = "64b0000000000000000000f1";
+const STRANGER = "64b0000000000000000000d1";
+const CONVERSATION = "64b0000000000000000000e9";
+
+const conversation = {
+  _id: CONVERSATION,
+  projectId: "64b0000000000000000000a1",
+  participants: [
+    { userId: CLIENT, role: "client" },
+    { userId: FREELANCER, role: "freelancer" },
+  ],
+};
+
+// Mongoose query stand-in: chainable and awaitable
+const found = (doc) => {
+  const q = { sort: () => q, select: () => q, then: (resolve) => resolve(doc) };
+  return q;
+};
+
+const stubRelationship = (t, { agreement = null, bid = null } = {}) => {
+  t.mock.method(Project, "findById", () => found({ clientId: CLIENT }));
+  t.mock.method(Agreement, "findOne", () => found(agreement));
+  t.mock.method(Bid, "findOne", () => found(bid));
+};
+
+test("messages can be sent while a bid is open", async (t) => {
+  stubRelationship(t, { bid: { _id: "64b0000000000000000000b1" } });
+  assert.equal(await canSend(conversation), true);
+});
+
+test("messages can be sent while an agreement is active", async (t) => {
+  stubRelationship(t, { agreement: { _id: "64b0000000000000000000e1", bidId: null } });
+  assert.equal(await canSend(conversation), true);
+});
+
+test("no new messages once the bid was rejected and there is no agreement", async (t) => {
+  stubRelationship(t);
+  assert.equal(await canSend(conversation), false);
+});
+
+// handleMessage on a bare service: only publishes are observed
+const socketCall = async (t, frame, { conversation: stored = conversation } = {}) => {
+  t.mock.method(Conversation, "findById", async () => stored && Conversation.hydrate(stored));
+  const published = [];
+  const errors = [];
+  const service = { publishToUser: async (userId, data) => published.push({ userId, data }) };
+  const ws = { send: (payload) => errors.push(JSON.parse(payload).message) };
+  t.mock.method(console, "log", () => {});
+  await WebSocketService.prototype.handleMessage.call(service, Buffer.from(JSON.stringify(frame)), CLIENT, ws);
+  return { published, errors };
+};
+
+test("typing and WebRTC frames go to the other participant, not the named receiver", async (t) => {
+  stubRelationship(t, { bid: { _id: "64b0000000000000000000b1" } });
+  const { published } = await socketCall(t, { type: "offer", conversationId: CONVERSATION, receiver: STRANGER });
+  assert.deepEqual(published.map((p) => p.userId), [FREELANCER]);
+  assert.equal(published[0].data.receiver, FREELANCER);
+});
+
+test("typing and WebRTC frames are refused once the relationship has ended", async (t) => {
+  stubRelationship(t);
+  for (const type of ["typing", "connection-request", "candidate"]) {
+    const { published, errors } = await socketCall(t, { type, conversationId: CONVERSATION });
+    assert.equal(published.length, 0);
+    assert.deepEqual(errors, [CLOSED_CONVERSATION_ERROR]);
+  }
+});
+
+test("typing and WebRTC frames without a conversation are refused", async (t) => {
+  const frame = { type: "typing", conversationId: CONVERSATION, receiver: STRANGER };
+  const { published, errors } = await socketCall(t, frame, { conversation: null });
+  assert.equal(published.length, 0);
+  assert.deepEqual(errors, ["No conversation with this user"]);
+});
@@ -0,0 +1,181 @@
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const express = require("express");
+const JWT = require("jsonwebtoken");
+const { OAuth2Client } = require("google-auth-library");
+
+process.env.ENCRYPTION_KEY = "11".repeat(32);
+process.env.GOOGLE_CLIENT_ID = "web-client.apps.googleusercontent.com,android-client.apps.googleusercontent.com";
+
+const User = require("../models/User");
+const { verifyGoogleIdToken, findOrCreateGoogleUser } = require("../services/googleAuth");
+const loginRoute = require("../routes/Login");
+
+// ============================================================================
+// A local signing key stands in for Google's; the library's certificate
+// fetch is stubbed to return it, so nothing goes over the network.
+// ============================================================================
+
+const KEY_ID = "test-key";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const PUBLIC_PEM = publicKey.export({ type: "spki", format: "pem" });
+
+const signIdToken = (overrides = {}, { key = privateKey, keyid = KEY_ID } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: "https://accounts.google.com",
+    aud: "web-client.apps.googleusercontent.com",
+    sub: "109876543210987654321",
+    email: "Jane.Doe@example.com",
+    email_verified: true,
+    name: "Jane Doe",
+    iat: now,
+    exp: now + 3600,
+    ...overrides,
+  };
+  return JWT.sign(claims, key.export({ type: "pkcs8", format: "pem" }), { algorithm: "RS256", keyid });
+};
+
+const query = (doc) => ({ select: async () => doc });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  mock.method(OAuth2Client.prototype, "getFederatedSignonCertsAsync", async () => ({
+    certs: { [KEY_ID]: PUBLIC_PEM },
+    format: "PEM",
+  }));
+
+  const app = express();
+  app.use(express.json());
+  app.use("/api/vi", loginRoute);
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/vi`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const postGoogleLogin = async (body) => {
+  const res = await fetch(`${baseUrl}/google/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+// ============================================================================
+// verifyGoogleIdToken
+// ============================================================================
+
+test("a valid token yields the Google identity", async () => {
+  const identity = await verifyGoogleIdToken(signIdToken());
+  assert.deepEqual(identity, {
+    googleId: "109876543210987654321",
+    email: "jane.doe@example.com",
+    name: "Jane Doe",
+    picture: null,
+  });
+});
+
+test("any configured client id is accepted as audience", async () => {
+  const identity = await verifyGoogleIdToken(signIdToken({ aud: "android-client.apps.googleusercontent.com" }));
+  assert.equal(identity.googleId, "109876543210987654321");
+});
+
+test("a token for another client id is rejected", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  await assert.rejects(verifyGoogleIdToken(signIdToken({ aud: "someone-else.apps.googleusercontent.com" })), {
+    statusCode: 401,
+    message: "Invalid Google credential",
+  });
+});
+
+test("an expired token is rejected", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const now = Math.floor(Date.now() / 1000);
+  await assert.rejects(verifyGoogleIdToken(signIdToken({ iat: now - 7200, exp: now - 3600 })), {
+    statusCode: 401,
+    message: "Invalid Google credential",
+  });
+});
+
+test("a token signed with another key is rejected", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { privateKey: otherKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  await assert.rejects(verifyGoogleIdToken(signIdToken({}, { key: otherKey })), { statusCode: 401 });
+});
+
+test("a token with an unverified email is rejected", async () => {
+  await assert.rejects(verifyGoogleIdToken(signIdToken({ email_verified: false })), {
+    statusCode: 401,
+    message: "Google account email is not verified",
+  });
+});
+
+// ============================================================================
+// findOrCreateGoogleUser
+// ============================================================================
+
+test("a new Google user must pick a role", async (t) => {
+  t.mock.method(User, "findOne", () => query(null));
+  const identity = await verifyGoogleIdToken(signIdToken());
+  await assert.rejects(findOrCreateGoogleUser(identity), { statusCode: 400, requiresRole: true });
+});
+
+test("an email linked to another Google account is not taken over", async (t) => {
+  t.mock.method(User, "findOne", (filter) => query(filter.email ? { googleId: "someone-else" } : null));
+  const identity = await verifyGoogleIdToken(signIdToken());
+  await assert.rejects(findOrCreateGoogleUser(identity, "client"), { statusCode: 409 });
+});
+
+// ============================================================================
+// POST /google/login
+// ============================================================================
+
+test("POST /google/login rejects a token for another client id", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const findOne = t.mock.method(User, "findOne", () => query(null));
+  const res = await postGoogleLogin({ credential: signIdToken({ aud: "someone-else" }) });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.message, "Invalid Google credential");
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test("POST /google/login rejects an expired token", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const now = Math.floor(Date.now() / 1000);
+  const res = await postGoogleLogin({ credential: signIdToken({ iat: now - 7200, exp: now - 3600 }) });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.message, "Invalid Google credential");
+});
+
+test("POST /google/login rejects an unverified email", async () => {
+  const res = await postGoogleLogin({ credential: signIdToken({ email_verified: false }) });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.message, "Google account email is not verified");
+});
+
+test("POST /google/login accepts a valid token and looks the user up by Google id", async (t) => {
+  const banDate = new Date();
+  const findOne = t.mock.method(User, "findOne", () =>
+    query({ username: "janedoe", isBanned: true, isbanDate: banDate })
+  );
+  const res = await postGoogleLogin({ credential: signIdToken() });
+
+  // Banned accounts stop right after the lookup, before any session is made
+  assert.equal(res.status, 403);
+  assert.equal(res.body.user.username, "janedoe");
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { googleId: "109876543210987654321" });
+});
+
+test("POST /google/login asks a new user for a role", async (t) => {
+  t.mock.method(User, "findOne", () => query(null));
+  const res = await postGoogleLogin({ credential: signIdToken() });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.requiresRole, true);
+});
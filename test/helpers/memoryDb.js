@@ -0,0 +1,286 @@
+const { mock } = require("node:test");
+const mongoose = require("mongoose");
+
+// ============================================================================
+// IN-MEMORY MODELS
+// Replaces the query methods of the given mongoose models with an in-memory
+// store, for flow tests that run without MongoDB. Covers the filters and
+// updates the services use ($in, $nin, $ne, $gt(e), $lt(e), $or, $not, $set,
+// $inc, $push, plain-field updates, upserts and $set pipelines); anything
+// else throws so a test never passes on a silently ignored operator.
+// Sessions are accepted and ignored: there is no rollback.
+// ============================================================================
+
+const isObjectId = (v) => v instanceof mongoose.Types.ObjectId;
+const isPlainObject = (v) => v !== null && typeof v === "object" && v.constructor === Object;
+const isOperatorObject = (v) => isPlainObject(v) && Object.keys(v).some((k) => k.startsWith("$"));
+
+const clone = (v) => {
+  if (Array.isArray(v)) return v.map(clone);
+  if (v instanceof Date) return new Date(v);
+  if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, clone(x)]));
+  return v;
+};
+
+const normalise = (v) => (isObjectId(v) ? v.toString() : v instanceof Date ? v.getTime() : v);
+
+const equals = (a, b) => {
+  if (b === null) return a === null || a === undefined;
+  return normalise(a) === normalise(b);
+};
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => {
+    if (Array.isArray(value)) return value.map((item) => item?.[key]);
+    return value?.[key];
+  }, doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!isPlainObject(node[key])) node[key] = {};
+    return node[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const matchesCondition = (value, condition) => {
+  if (condition instanceof RegExp) return typeof value === "string" && condition.test(value);
+  if (!isOperatorObject(condition)) {
+    return Array.isArray(value) ? value.some((v) => equals(v, condition)) : equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case "$in":
+        return operand.some((o) => matchesCondition(value, o));
+      case "$nin":
+        return !operand.some((o) => matchesCondition(value, o));
+      case "$ne":
+        return !matchesCondition(value, operand);
+      case "$not":
+        return !matchesCondition(value, operand);
+      case "$exists":
+        return (value !== undefined) === operand;
+      case "$gt":
+        return value != null && normalise(value) > normalise(operand);
+      case "$gte":
+        return value != null && normalise(value) >= normalise(operand);
+      case "$lt":
+        return value != null && normalise(value) < normalise(operand);
+      case "$lte":
+        return value != null && normalise(value) <= normalise(operand);
+      case "$all":
+        return Array.isArray(value) && operand.every((o) => value.some((v) => equals(v, o)));
+      default:
+        throw new Error(`memoryDb: unsupported query operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((f) => matches(doc, f));
+    if (key === "$and") return condition.every((f) => matches(doc, f));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+
+const applyUpdate = (doc, update) => {
+  if (Array.isArray(update)) {
+    for (const stage of update) {
+      for (const [path, value] of Object.entries(stage.$set || {})) {
+        setPath(doc, path, typeof value === "string" && value.startsWith("$") ? getPath(doc, value.slice(1)) : value);
+      }
+    }
+    return;
+  }
+
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith("$")) {
+      setPath(doc, key, clone(value));
+      continue;
+    }
+    for (const [path, operand] of Object.entries(value)) {
+      switch (key) {
+        case "$set":
+        case "$setOnInsert":
+          setPath(doc, path, clone(operand));
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + operand);
+          break;
+        case "$push": {
+          const list = getPath(doc, path) || [];
+          list.push(clone(operand));
+          setPath(doc, path, list);
+          break;
+        }
+        case "$unset":
+          setPath(doc, path, undefined);
+          break;
+        default:
+          throw new Error(`memoryDb: unsupported update operator ${key}`);
+      }
+    }
+  }
+};
+
+/**
+ * Thenable stand-in for a mongoose Query
+ */
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.sortSpec = null;
+    this.limitCount = null;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  select() {
+    return this;
+  }
+
+  session() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  lean() {
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+const sortDocs = (docs, spec) => {
+  if (!spec) return docs;
+  const entries = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of entries) {
+      const x = normalise(getPath(a, path));
+      const y = normalise(getPath(b, path));
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Back `models` with in-memory collections
+ * @param {import("mongoose").Model[]} models
+ * @returns {{collection: (model) => object[], reset: () => void}}
+ */
+const useMemoryModels = (models) => {
+  const collections = new Map(models.map((model) => [model.modelName, []]));
+
+  mock.method(mongoose, "startSession", async () => ({
+    startTransaction() {},
+    async commitTransaction() {},
+    async abortTransaction() {},
+    inTransaction: () => true,
+    endSession() {},
+  }));
+
+  for (const Model of models) {
+    const docs = () => collections.get(Model.modelName);
+    const hydrate = (stored) => (stored ? Model.hydrate(clone(stored)) : null);
+    const build = (data) => new Model(data).toObject({ depopulate: true });
+
+    const insert = (data) => {
+      const stored = build(data);
+      if (docs().some((d) => equals(d._id, stored._id))) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      }
+      docs().push(stored);
+      return stored;
+    };
+
+    // Equality fields of a filter, the starting point of an upserted document
+    const seedFrom = (filter) =>
+      Object.fromEntries(Object.entries(filter).filter(([k, v]) => !k.startsWith("$") && !isOperatorObject(v)));
+
+    const modify = (filter, update, { upsert = false, many = false } = {}) => {
+      const found = docs().filter((d) => matches(d, filter));
+      const targets = many ? found : found.slice(0, 1);
+      for (const doc of targets) {
+        applyUpdate(doc, update);
+        Object.assign(doc, build(doc));
+      }
+      if (!targets.length && upsert) {
+        const seed = build(seedFrom(filter));
+        applyUpdate(seed, update);
+        return { targets: [insert(seed)], upserted: true };
+      }
+      return { targets, upserted: false };
+    };
+
+    mock.method(Model, "create", async (input, options) => {
+      const created = (Array.isArray(input) ? input : [input]).map((data) => hydrate(insert(data)));
+      return Array.isArray(input) || options ? created : created[0];
+    });
+    mock.method(Model, "find", (filter) => new MemoryQuery((q) => {
+      const found = sortDocs(docs().filter((d) => matches(d, filter)), q.sortSpec);
+      return (q.limitCount ? found.slice(0, q.limitCount) : found).map(hydrate);
+    }));
+    mock.method(Model, "findOne", (filter) => new MemoryQuery((q) =>
+      hydrate(sortDocs(docs().filter((d) => matches(d, filter)), q.sortSpec)[0])
+    ));
+    mock.method(Model, "findById", (id) => Model.findOne({ _id: id }));
+    mock.method(Model, "exists", (filter) => new MemoryQuery(() => {
+      const found = docs().find((d) => matches(d, filter));
+      return found ? { _id: found._id } : null;
+    }));
+    mock.method(Model, "countDocuments", (filter) => new MemoryQuery(() => docs().filter((d) => matches(d, filter)).length));
+    mock.method(Model, "findOneAndUpdate", (filter, update, options = {}) => new MemoryQuery(() => {
+      const before = docs().find((d) => matches(d, filter));
+      const previous = before && clone(before);
+      const { targets } = modify(filter, update, options);
+      if (!targets.length) return null;
+      return hydrate(options.new ? targets[0] : previous || null);
+    }));
+    mock.method(Model, "findByIdAndUpdate", (id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options));
+    mock.method(Model, "updateOne", (filter, update, options = {}) => new MemoryQuery(() => {
+      const { targets, upserted } = modify(filter, update, options);
+      return { matchedCount: upserted ? 0 : targets.length, modifiedCount: upserted ? 0 : targets.length };
+    }));
+    mock.method(Model, "updateMany", (filter, update, options = {}) => new MemoryQuery(() => {
+      const { targets } = modify(filter, update, { ...options, many: true });
+      return { matchedCount: targets.length, modifiedCount: targets.length };
+    }));
+    mock.method(Model.prototype, "save", async function () {
+      const stored = build(this.toObject({ depopulate: true }));
+      const index = docs().findIndex((d) => equals(d._id, stored._id));
+      if (index === -1) docs().push(stored);
+      else docs()[index] = stored;
+      this.isNew = false;
+      return this;
+    });
+  }
+
+  return {
+    collection: (Model) => collections.get(Model.modelName),
+    reset: () => collections.forEach((docs) => docs.splice(0)),
+  };
+};
+
+module.exports = { useMemoryModels };
@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const JobLock = require("../models/JobLock");
+const JobRun = require("../models/JobRun");
+const { JobScheduler } = require("../services/jobScheduler");
+
+const schedulerWith = (t, handler = async () => ({})) => {
+  const scheduler = new JobScheduler();
+  scheduler.register("test-job", { intervalMs: 60000, description: "Test job", handler });
+  t.mock.method(JobLock, "acquire", async () => true);
+  const release = t.mock.method(JobLock, "release", async () => {});
+  return { scheduler, release };
+};
+
+test("the lock is released when the run record cannot be created", async (t) => {
+  const handler = t.mock.fn(async () => ({}));
+  const { scheduler, release } = schedulerWith(t, handler);
+  t.mock.method(JobRun, "create", async () => {
+    throw new Error("connection reset");
+  });
+
+  await assert.rejects(scheduler.runJob("test-job"), /connection reset/);
+  assert.equal(release.mock.callCount(), 1);
+  assert.equal(handler.mock.callCount(), 0);
+});
+
+test("the lock is released when the finished run cannot be saved", async (t) => {
+  const { scheduler, release } = schedulerWith(t);
+  t.mock.method(JobRun, "create", async (data) => new JobRun(data));
+  t.mock.method(JobRun.prototype, "save", async () => {
+    throw new Error("connection reset");
+  });
+
+  await assert.rejects(scheduler.runJob("test-job"), /connection reset/);
+  assert.deepEqual(release.mock.calls[0].arguments, ["job:test-job", scheduler.instanceId]);
+});
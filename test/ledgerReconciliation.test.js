@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+process.env.LEDGER_FREEZE_ON_DISCREPANCY = "true";
+
+const Wallet = require("../models/Wallet");
+const LedgerEntry = require("../models/LedgerEntry");
+const ReconciliationReport = require("../models/ReconciliationReport");
+const { runLedgerReconciliation } = require("../services/ledger");
+
+const USER = new mongoose.Types.ObjectId();
+const WALLET = new mongoose.Types.ObjectId();
+
+/**
+ * Stub the reads of one run: the full ledger sum says `summed`, the wallet
+ * scan sees `scanned`, and each re-check reads the next of `rechecks`
+ * ({ balance, ledger, changed }) where `changed` moves updatedAt in between
+ */
+const stubRun = (t, { summed, scanned, rechecks }) => {
+  const wallet = (balance, updatedAt) => ({ _id: WALLET, userId: USER, balance, escrowBalance: 0, updatedAt });
+
+  t.mock.method(Wallet, "find", () => {
+    const q = {
+      select: () => q,
+      lean: () => q,
+      cursor: () => (async function* () {
+        yield wallet(scanned);
+      })(),
+      then: (resolve) => resolve([]), // No untouched wallets to open
+    };
+    return q;
+  });
+
+  const reads = rechecks.flatMap(({ balance, changed }, i) => {
+    const at = new Date(Date.UTC(2026, 0, 1, 0, 0, i));
+    return [wallet(balance, at), wallet(balance, changed ? new Date(at.getTime() + 500) : at)];
+  });
+  const ledgers = rechecks.map(({ ledger }) => ledger);
+  t.mock.method(Wallet, "findById", () => ({ select: () => ({ lean: async () => reads.shift() }) }));
+
+  t.mock.method(LedgerEntry, "aggregate", async (pipeline) => {
+    const match = pipeline[0].$match || {};
+    if (match["lines.userId"]) return [{ _id: "user_available", total: ledgers.shift() }];
+    if (match.referenceModel) return [];
+    return [
+      { _id: { account: "user_available", userId: USER }, total: summed },
+      { _id: { account: "gateway", userId: null }, total: -summed },
+    ];
+  });
+
+  t.mock.method(ReconciliationReport, "create", async (data) => new ReconciliationReport(data));
+  t.mock.method(ReconciliationReport.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(console, "error", () => {});
+  return t.mock.method(Wallet, "updateOne", async () => ({ modifiedCount: 1 }));
+};
+
+test("a wallet that moved money between the ledger sum and the scan is not reported", async (t) => {
+  // A ₹50 deposit landed after the ledger was summed
+  const freeze = stubRun(t, { summed: 100, scanned: 150, rechecks: [{ balance: 150, ledger: 150 }] });
+
+  const result = await runLedgerReconciliation();
+
+  assert.equal(result.summary.status, "clean");
+  assert.equal(result.failed, 0);
+  assert.equal(freeze.mock.callCount(), 0);
+});
+
+test("a mismatch that is still there on the re-check is reported and frozen", async (t) => {
+  const freeze = stubRun(t, { summed: 100, scanned: 150, rechecks: [{ balance: 150, ledger: 100 }] });
+
+  const result = await runLedgerReconciliation();
+
+  assert.equal(result.summary.status, "discrepancies");
+  assert.equal(result.failed, 1);
+  assert.equal(result.summary.walletsFrozen, 1);
+  assert.equal(freeze.mock.calls[0].arguments[0]._id, WALLET.toString());
+});
+
+test("a wallet that keeps changing during the re-check is left for the next run", async (t) => {
+  const changing = { balance: 150, ledger: 100, changed: true };
+  const freeze = stubRun(t, { summed: 100, scanned: 150, rechecks: [changing, changing, changing] });
+
+  const result = await runLedgerReconciliation();
+
+  assert.equal(result.summary.status, "clean");
+  assert.equal(result.summary.walletsSkipped, 1);
+  assert.equal(result.succeeded, 0);
+  assert.equal(freeze.mock.callCount(), 0);
+});
@@ -0,0 +1,165 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.MOCK_GATEWAY_WEBHOOKS = "false";
+process.env.ENCRYPTION_KEY = "11".repeat(32);
+process.env.PAYOUT_ENCRYPTION_KEY = "22".repeat(32);
+
+const { useMemoryModels } = require("./helpers/memoryDb");
+const Payment = require("../models/Payment");
+const Project = require("../models/Project");
+const Escrow = require("../models/Escrow");
+const Transaction = require("../models/Transaction");
+const Wallet = require("../models/Wallet");
+const WalletTransaction = require("../models/WalletTransaction");
+const LedgerEntry = require("../models/LedgerEntry");
+const WebhookEvent = require("../models/WebhookEvent");
+const Activity = require("../models/ActionSchema");
+const AdminWithdraw = require("../models/WithdrawReportsAdmin");
+const AdminActivityLog = require("../models/AdminActivityLog");
+const FundAccount = require("../models/FundAccount");
+const PayoutMethod = require("../models/PayoutMethod");
+const SiteSettings = require("../models/SiteSettings");
+const User = require("../models/User");
+const walletHelper = require("../utils/walletHelper");
+const { encryptJson, fingerprint } = require("../utils/payoutCrypto");
+const { gateway } = require("../services/paymentGateway");
+const { submitMoneyAction } = require("../services/adminApprovals");
+const { startPayout } = require("../services/payouts");
+const { LEDGER_ACCOUNTS } = require("../config/constants");
+
+const db = useMemoryModels([
+  Payment,
+  Project,
+  Escrow,
+  Transaction,
+  Wallet,
+  WalletTransaction,
+  LedgerEntry,
+  WebhookEvent,
+  Activity,
+  AdminWithdraw,
+  AdminActivityLog,
+  FundAccount,
+  PayoutMethod,
+  SiteSettings,
+  User,
+]);
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Sum of the ledger lines of one account (and user)
+const ledgerBalance = (account, userId = null) =>
+  db
+    .collection(LedgerEntry)
+    .flatMap((entry) => entry.lines)
+    .filter((line) => line.account === account && String(line.userId) === String(userId))
+    .reduce((sum, line) => sum + Math.round(line.amount * 100), 0) / 100;
+
+const walletOf = async (userId) => Wallet.findOne({ userId });
+
+test("a project payment flows from deposit through escrow release to a processed payout", async (t) => {
+  t.mock.method(AdminActivityLog, "aggregate", async () => []);
+  t.mock.method(console, "log", () => {});
+  db.reset();
+  gateway.reset();
+
+  const clientId = id();
+  const freelancerId = id();
+  const adminId = id();
+  db.collection(User).push({ _id: freelancerId, name: "Asha Rao", email: "asha@example.com" });
+  await SiteSettings.create({ dualApprovalThreshold: 100000 });
+
+  // ── Deposit: the client pays ₹1,100 for a ₹1,000 project ──
+  const project = await Project.create({
+    title: "Landing page",
+    description: "One page site",
+    budget: 1000,
+    deadline: new Date(Date.now() + 86400000),
+    skillsRequired: ["html"],
+    clientId,
+    freelancerId,
+  });
+  const order = await gateway.createOrder({ amount: 110000 });
+  await Payment.create({
+    userId: clientId,
+    projectId: project._id,
+    transactionId: order.id,
+    amount: 1100,
+    paymentMethod: "credit_card",
+  });
+
+  const { payment: captured, webhooks } = await gateway.simulatePayment(order.id, { webhook: true });
+  assert.equal(webhooks[0].outcome?.status, "processed", webhooks[0].error);
+
+  const [escrow] = db.collection(Escrow);
+  assert.equal(escrow.status, "funded");
+  assert.equal(escrow.amount, 1000);
+  assert.equal((await Payment.findOne({ projectId: project._id })).transactionId, captured.id);
+  assert.equal((await walletOf(clientId)).escrowBalance, 1000);
+
+  // ── Release: below the dual-approval threshold, so it runs straight away ──
+  const release = await submitMoneyAction(
+    {
+      action: "escrow_release",
+      amount: escrow.amount,
+      targetType: "escrow",
+      targetId: String(escrow._id),
+      payload: { escrowId: String(escrow._id), amount: escrow.amount, reason: "Work delivered" },
+      reason: "Work delivered",
+    },
+    { adminId, ip: "127.0.0.1" }
+  );
+  assert.equal(release.pending, false);
+  assert.equal((await Escrow.findById(escrow._id)).status, "released");
+  assert.equal((await walletOf(clientId)).escrowBalance, 0);
+  assert.equal((await walletOf(freelancerId)).balance, 1000);
+
+  // ── Withdrawal: debited like POST /payments/withdraw, then paid out ──
+  const method = await PayoutMethod.create({
+    userId: freelancerId,
+    type: "bank_account",
+    details: encryptJson({ accountName: "Asha Rao", accountNumber: "123456789012", ifsc: "HDFC0001234" }),
+    fingerprint: fingerprint("bank_account:123456789012|HDFC0001234", `payout-method:${freelancerId}`),
+    usableFrom: new Date(),
+  });
+  const withdrawal = await AdminWithdraw.create({
+    freelancerId: String(freelancerId),
+    type: "withdraw",
+    amount: 1000,
+    payoutMethodId: method._id,
+  });
+  await walletHelper.debitWallet(freelancerId, 1000, withdrawal._id, "AdminWithdraw", "Withdrawal request");
+  assert.equal((await walletOf(freelancerId)).balance, 0);
+
+  await startPayout(withdrawal._id, { adminId });
+  const [delivery] = await gateway.flushWebhooks();
+  assert.equal(delivery.event, "payout.processed");
+  assert.equal(delivery.outcome?.status, "processed", delivery.error);
+
+  const paid = await AdminWithdraw.findById(withdrawal._id);
+  assert.equal(paid.status, "approved");
+  assert.equal(paid.payout.status, "processed");
+  assert.match(paid.payout.utr, /^MOCKUTR/);
+  const debit = await WalletTransaction.findOne({ userId: freelancerId, type: "withdrawal" });
+  assert.equal(debit.status, "completed");
+
+  // ── Ledger: every entry balances, and the accounts agree with the wallets ──
+  const entries = db.collection(LedgerEntry);
+  assert.deepEqual(
+    entries.map((entry) => entry.type),
+    ["deposit", "escrow_hold", "platform_fee", "escrow_release", "withdrawal", "withdrawal_completed"]
+  );
+  for (const entry of entries) {
+    assert.equal(entry.lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0), 0, entry.type);
+  }
+  assert.equal(ledgerBalance(LEDGER_ACCOUNTS.USER_AVAILABLE, clientId), 0);
+  assert.equal(ledgerBalance(LEDGER_ACCOUNTS.USER_ESCROW, clientId), 0);
+  assert.equal(ledgerBalance(LEDGER_ACCOUNTS.USER_AVAILABLE, freelancerId), 0);
+  assert.equal(ledgerBalance(LEDGER_ACCOUNTS.PAYOUTS_IN_TRANSIT), 0);
+  // ₹1,100 came in through the gateway and ₹1,000 went out; the fee stayed
+  assert.equal(ledgerBalance(LEDGER_ACCOUNTS.GATEWAY), -100);
+  assert.equal(ledgerBalance(LEDGER_ACCOUNTS.PLATFORM_REVENUE), 100);
+});
@@ -0,0 +1,37 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.ENCRYPTION_KEY = "11".repeat(32);
+process.env.PAYOUT_ENCRYPTION_KEY = "22".repeat(32);
+
+const chatCrypto = require("../utils/chatCrypto");
+const payoutCrypto = require("../utils/payoutCrypto");
+
+const details = { accountName: "Asha Rao", accountNumber: "123456789012", ifsc: "HDFC0001234" };
+
+test("payout details round-trip with the payout keys", () => {
+  const payload = payoutCrypto.encryptJson(details);
+  assert.deepEqual(payoutCrypto.decryptJson(payload), details);
+  assert.equal(payoutCrypto.needsReEncryption(payload), false);
+});
+
+test("chat keys cannot read payout details and the other way round", () => {
+  assert.equal(chatCrypto.decryptJson(payoutCrypto.encryptJson(details)), null);
+  assert.equal(payoutCrypto.decryptJson(chatCrypto.encryptJson(details)), null);
+});
+
+test("payout fingerprints do not match chat search index entries", () => {
+  const token = "bank_account:123456789012|HDFC0001234";
+  assert.notEqual(
+    payoutCrypto.fingerprint(token, "payout-method:u1"),
+    chatCrypto.blindIndex(token, "payout-method:u1")
+  );
+  assert.equal(
+    payoutCrypto.fingerprint(token, "payout-method:u1"),
+    payoutCrypto.fingerprint(token, "payout-method:u1")
+  );
+  assert.notEqual(
+    payoutCrypto.fingerprint(token, "payout-method:u1"),
+    payoutCrypto.fingerprint(token, "payout-method:u2")
+  );
+});
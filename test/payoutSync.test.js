@@ -0,0 +1,35 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.ENCRYPTION_KEY = "11".repeat(32);
+
+const AdminWithdraw = require("../models/WithdrawReportsAdmin");
+const FundAccount = require("../models/FundAccount");
+const { runPayoutSync } = require("../services/payouts");
+
+const query = (docs) => ({ sort: () => ({ limit: async () => docs }) });
+
+test("a withdrawal that throws does not stop the rest of the batch", async (t) => {
+  const due = ["64b0000000000000000000a1", "64b0000000000000000000a2"].map((id) => ({
+    _id: id,
+    freelancerId: "64b0000000000000000000f1",
+    amount: 500,
+    bankDetails: { accountName: "Asha Rao", accountNumber: "123456789012", ifscCode: "HDFC0001234" },
+    payout: { attempts: 0 },
+  }));
+  const find = t.mock.method(AdminWithdraw, "find", () => query(find.mock.callCount() === 0 ? due : []));
+  t.mock.method(FundAccount, "findOne", async () => ({ fundAccountId: "fa_test" }));
+  const updateOne = t.mock.method(AdminWithdraw, "updateOne", async () => {
+    throw new Error("connection reset");
+  });
+  t.mock.method(console, "error", () => {});
+
+  const result = await runPayoutSync();
+
+  assert.equal(result.processed, 2);
+  assert.equal(result.failed, 2);
+  assert.deepEqual(result.failures.map((f) => f.referenceId), due.map((w) => w._id));
+  assert.ok(updateOne.mock.calls.some((c) => c.arguments[0]._id === due[1]._id));
+  assert.deepEqual(result.summary, { retried: 2, dispatched: 0, polled: 0, settled: 0, failed: 2 });
+});
@@ -0,0 +1,176 @@
+const { test, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.RAZORPAY_WEBHOOK_SECRET = "whsec_test";
+process.env.ENCRYPTION_KEY = "11".repeat(32);
+
+const WebhookEvent = require("../models/WebhookEvent");
+const Payment = require("../models/Payment");
+const Activity = require("../models/ActionSchema");
+const paymentRoutes = require("../routes/payment");
+const { buildEvent, deliver } = require("../scripts/replayRazorpayWebhook");
+
+// ============================================================================
+// Deliveries go through the local replayer to the real route; WebhookEvent
+// and Payment are kept in memory.
+// ============================================================================
+
+const SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+const ORDER_ID = "order_replay_1";
+
+let events;
+let payments;
+let server;
+let url;
+
+class StoredEvent {
+  constructor(doc) {
+    Object.assign(this, { status: "processing", result: "", error: null, ...doc });
+  }
+
+  async save() {
+    return this;
+  }
+}
+
+const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+
+before(async () => {
+  mock.method(WebhookEvent, "create", async (doc) => {
+    if (events.has(doc.eventId)) throw duplicateKeyError();
+    const record = new StoredEvent(doc);
+    events.set(doc.eventId, record);
+    return record;
+  });
+  mock.method(WebhookEvent, "findOneAndUpdate", async (filter, update) => {
+    const record = events.get(filter.eventId);
+    const staleBefore = filter.$or[1].lockedAt.$lt;
+    const claimable =
+      record &&
+      (record.status === "failed" || (record.status === "processing" && record.lockedAt < staleBefore));
+    if (!claimable) return null;
+    Object.assign(record, update.$set);
+    record.attempts += update.$inc.attempts;
+    return record;
+  });
+  mock.method(WebhookEvent, "findOne", (filter) => ({
+    select: async () => events.get(filter.eventId) || null,
+  }));
+
+  mock.method(Payment, "findOneAndUpdate", async (filter, update) => {
+    const payment = payments.get(filter.transactionId);
+    if (payment?.failNext) {
+      payment.failNext = false;
+      throw new Error("write conflict");
+    }
+    if (!payment || payment.status !== filter.status) return null;
+    payment.status = update.status;
+    payment.updates += 1;
+    return payment;
+  });
+  mock.method(Activity, "create", async () => ({}));
+
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith("/api/vi/payments/webhooks/")) req.rawBody = buf;
+      },
+    })
+  );
+  app.use("/api/vi/payments", paymentRoutes);
+  server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}/api/vi/payments/webhooks/razorpay`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  events = new Map();
+  payments = new Map([
+    [
+      ORDER_ID,
+      {
+        userId: "64b0000000000000000000c1",
+        projectId: "64b0000000000000000000a1",
+        status: "pending",
+        updates: 0,
+      },
+    ],
+  ]);
+});
+
+const paymentFailed = () => buildEvent("payment.failed", { order: ORDER_ID, amount: "150000" });
+
+test("a delivery with a wrong signature is rejected and not stored", async () => {
+  const [response] = await deliver({
+    url,
+    body: paymentFailed(),
+    secret: SECRET,
+    eventId: "evt_bad",
+    badSignature: true,
+  });
+
+  assert.equal(response.status, 401);
+  assert.equal(response.data.message, "Invalid webhook signature");
+  assert.equal(events.size, 0);
+  assert.equal(payments.get(ORDER_ID).status, "pending");
+});
+
+test("a delivery signed with another secret is rejected", async () => {
+  const [response] = await deliver({
+    url,
+    body: paymentFailed(),
+    secret: "someone-elses-secret",
+    eventId: "evt_other",
+  });
+  assert.equal(response.status, 401);
+  assert.equal(events.size, 0);
+});
+
+test("the same event delivered three times is applied once", async () => {
+  const responses = await deliver({ url, body: paymentFailed(), secret: SECRET, eventId: "evt_dup", times: 3 });
+
+  assert.deepEqual(responses.map((r) => r.status), [200, 200, 200]);
+  assert.equal(responses[0].data.duplicate, false);
+  assert.equal(responses[0].data.status, "processed");
+  for (const { data } of responses.slice(1)) {
+    assert.deepEqual(data, { eventId: "evt_dup", status: "processed", duplicate: true });
+  }
+  assert.equal(payments.get(ORDER_ID).updates, 1);
+  assert.equal(events.get("evt_dup").attempts, 1);
+});
+
+test("a delivery that failed is applied on redelivery, then deduplicated", async (t) => {
+  t.mock.method(console, "error", () => {});
+  payments.get(ORDER_ID).failNext = true;
+  const send = () => deliver({ url, body: paymentFailed(), secret: SECRET, eventId: "evt_retry" });
+
+  const [first] = await send();  assert.equal(first.status, 500);
+  assert.equal(events.get("evt_retry").status, "failed");
+  assert.equal(payments.get(ORDER_ID).status, "pending");
+
+  const [second] = await send();
+  assert.equal(second.status, 200);
+  assert.equal(second.data.duplicate, false);
+  assert.equal(events.get("evt_retry").attempts, 2);
+  assert.equal(payments.get(ORDER_ID).status, "failed");
+
+  const [third] = await send();
+  assert.equal(third.data.duplicate, true);
+  assert.equal(payments.get(ORDER_ID).updates, 1);
+});
+
+test("the same change under a new event id is acknowledged without being applied again", async () => {
+  await deliver({ url, body: paymentFailed(), secret: SECRET, eventId: "evt_first" });
+  const [again] = await deliver({ url, body: paymentFailed(), secret: SECRET, eventId: "evt_second" });
+
+  assert.equal(again.status, 200);
+  assert.equal(again.data.duplicate, false);
+  assert.equal(again.data.status, "ignored");
+  assert.equal(payments.get(ORDER_ID).updates, 1);
+});
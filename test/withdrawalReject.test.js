@@ -0,0 +1,85 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+process.env.PAYMENT_GATEWAY = "mock";
+process.env.ENCRYPTION_KEY = "11".repeat(32);
+
+const AdminWithdraw = require("../models/WithdrawReportsAdmin");
+const AdminActivityLog = require("../models/AdminActivityLog");
+const walletHelper = require("../utils/walletHelper");
+const adminRouter = require("../routes/admin");
+
+const WITHDRAWAL = "64b0000000000000000000a1";
+
+// The route's own handler, past verifyToken/authorize/requirePermission
+const rejectHandler = adminRouter.stack
+  .find((layer) => layer.route?.path === "/withdrawals/:id/reject")
+  .route.stack.at(-1).handle;
+
+const reject = async (id, reason = "Account details do not match") => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const req = { params: { id }, body: { reason }, user: { userId: "64b0000000000000000000ad" }, headers: {} };
+  await rejectHandler(req, res);
+  return res;
+};
+
+const stubSession = (t) => {
+  let active = false;
+  const session = {
+    startTransaction: () => (active = true),
+    commitTransaction: async () => (active = false),
+    abortTransaction: async () => {
+      if (!active) throw new Error("Transaction not started");
+      active = false;
+    },
+    inTransaction: () => active,
+    endSession: () => {},
+  };
+  t.mock.method(mongoose, "startSession", async () => session);
+  return session;
+};
+
+test("a withdrawal already claimed by a payout is not rejected or refunded", async (t) => {
+  stubSession(t);
+  t.mock.method(AdminWithdraw, "findOneAndUpdate", async () => null);
+  t.mock.method(AdminWithdraw, "findById", () => ({ select: async () => ({ status: "processing" }) }));
+  const reverse = t.mock.method(walletHelper, "reverseWithdrawal", async () => {});
+
+  const res = await reject(WITHDRAWAL);
+
+  assert.equal(res.statusCode, 409);
+  assert.match(res.body.message, /already processing/);
+  assert.equal(reverse.mock.callCount(), 0);
+});
+
+test("a pending withdrawal is claimed and refunded in one transaction", async (t) => {
+  const session = stubSession(t);
+  const claimed = { _id: WITHDRAWAL, freelancerId: "64b0000000000000000000f1", amount: 500, status: "rejected" };
+  const claim = t.mock.method(AdminWithdraw, "findOneAndUpdate", async () => claimed);
+  const reverse = t.mock.method(walletHelper, "reverseWithdrawal", async () => {});
+  t.mock.method(AdminActivityLog, "create", async () => ({}));
+
+  const res = await reject(WITHDRAWAL);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: WITHDRAWAL, status: "pending" });
+  assert.equal(claim.mock.calls[0].arguments[2].session, session);
+  assert.deepEqual(reverse.mock.calls[0].arguments, [claimed.freelancerId, 500, WITHDRAWAL, session]);
+});
+
+test("an invalid withdrawal id is refused before a transaction starts", async (t) => {
+  stubSession(t);
+  const res = await reject("not-an-id");
+  assert.equal(res.statusCode, 400);
+});
@@ -3,7 +3,13 @@
 // Using AWS SDK v3 for file upload/delete operations
 // ============================================================================
 
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
 
 // ============================================================================
 // S3 CLIENT INITIALIZATION
@@ -61,4 +67,28 @@ const deleteFile = async (fileKey) => {
   return s3Client.send(command);
 };
 
-module.exports = { uploadFile, deleteFile, s3Client };
+// ============================================================================
+// PRESIGNED DOWNLOAD URL
+// ============================================================================
+
+/**
+ * Create a short-lived download URL for a private object
+ * @param {string} fileKey - Key/path of the file in S3
+ * @param {object} [options]
+ * @param {number} [options.expiresIn=300] - Lifetime in seconds
+ * @param {string} [options.filename] - Name offered to the browser when saving
+ * @returns {Promise<string>}
+ */
+const getDownloadUrl = async (fileKey, { expiresIn = 300, filename } = {}) => {
+  const command = new GetObjectCommand({
+    Bucket: process.env.AWS_BUCKET_NAME,
+    Key: fileKey,
+    ...(filename && {
+      ResponseContentDisposition: `attachment; filename="${filename.replace(/["\\\r\n]/g, "_")}"`,
+    }),
+  });
+
+  return getSignedUrl(s3Client, command, { expiresIn });
+};
+
+module.exports = { uploadFile, deleteFile, getDownloadUrl, s3Client };
@@ -0,0 +1,50 @@
+// ============================================================================
+// CHAT ENCRYPTION UTILITIES
+// AES-256-GCM used for chat message bodies and attachment metadata
+// (format and key handling in utils/keyring.js).
+//
+// Keys:
+//   ENCRYPTION_KEY            - original key, id "k0"
+//   ENCRYPTION_KEYRING        - more keys as "id:hex,id:hex" (e.g. "k1:ab12...")
+//   ENCRYPTION_ACTIVE_KEY_ID  - key used for new payloads (default: last keyring
+//                               entry, else "k0")
+//   CHAT_SEARCH_KEY           - blind search index key, scoped per conversation
+//                               (default: derived from "k0")
+// To rotate: add a key to the ring, make it active, and let the
+// chat-key-rotation job re-encrypt stored payloads. Retire the old key only
+// once the job reports nothing left.
+// ============================================================================
+
+const { createKeyring } = require("./keyring");
+
+// Development fallback (32 bytes for AES-256)
+const DEV_KEY = "0123456789abcdef0123456789abcdef";
+
+const {
+  encrypt,
+  decrypt,
+  encryptJson,
+  decryptJson,
+  needsReEncryption,
+  reEncrypt,
+  blindIndex,
+  activeKeyId,
+} = createKeyring({
+  keyVar: "ENCRYPTION_KEY",
+  keyringVar: "ENCRYPTION_KEYRING",
+  activeKeyVar: "ENCRYPTION_ACTIVE_KEY_ID",
+  indexKeyVar: "CHAT_SEARCH_KEY",
+  indexInfo: "chat-search-index",
+  devKey: Buffer.from(DEV_KEY, "hex"),
+});
+
+module.exports = {
+  encrypt,
+  decrypt,
+  encryptJson,
+  decryptJson,
+  needsReEncryption,
+  reEncrypt,
+  blindIndex,
+  activeKeyId,
+};
@@ -0,0 +1,189 @@
+// ============================================================================
+// CONTACT INFO DETECTOR
+// Finds emails, phone numbers, UPI ids and messaging-app handles in free
+// text, including common obfuscations ("john at gmail dot com",
+// "nine eight seven six ..."). Used to keep deals on-platform until the
+// parties have an active agreement.
+// ============================================================================
+
+const REDACTION = "[contact hidden]";
+const FULL_REDACTION = "[Message hidden: contains contact information]";
+
+// ── Direct patterns (matched on the original text, spans get redacted) ──
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}/gi;
+
+// vpa@handle — like an email but the provider part has no dot
+const UPI_PATTERN = /[a-z0-9._-]{2,}@[a-z]{2,}(?![a-z0-9.-]*\.[a-z]{2,})\b/gi;
+
+// Candidate: 10+ digits, optionally separated by spaces, dashes, dots or
+// brackets. isPhoneLike() decides whether its shape is really a phone number.
+const PHONE_PATTERN = /(?:\+|\()?\d(?:[\s\-.()]*\d){9,}/g;
+
+const LINK_HANDLE_PATTERN =
+  /\b(?:t\.me|telegram\.me|wa\.me|api\.whatsapp\.com|instagram\.com|facebook\.com|fb\.com|fb\.me|m\.me|linkedin\.com\/in|discord\.gg|snapchat\.com\/add|skype:)\/?[^\s]+/gi;
+
+// App name followed by an explicit handle: "telegram: @john_doe", "insta id john.d"
+const APP_HANDLE_PATTERN =
+  /\b(?:whats\s?app|wa|telegram|tg|insta(?:gram)?|ig|skype|discord|snap(?:chat)?|signal|wechat|facebook|fb)\b\s*(?:id|handle|username|user)?\s*(?:[:=\-]|is)?\s*@[a-z0-9._]{3,}/gi;
+
+const DIRECT_PATTERNS = [
+  { type: "email", pattern: EMAIL_PATTERN },
+  { type: "upi", pattern: UPI_PATTERN },
+  { type: "handle", pattern: LINK_HANDLE_PATTERN },
+  { type: "handle", pattern: APP_HANDLE_PATTERN },
+  { type: "phone", pattern: PHONE_PATTERN },
+];
+
+// ── Obfuscation normalisation ──
+
+const NUMBER_WORDS = {
+  zero: "0",
+  oh: "0",
+  one: "1",
+  two: "2",
+  three: "3",
+  four: "4",
+  five: "5",
+  six: "6",
+  seven: "7",
+  eight: "8",
+  nine: "9",
+};
+
+const REPEAT_WORDS = { double: 2, triple: 3 };
+
+// "you at office" de-obfuscates to "you@office", which looks like a UPI id.
+// In obfuscated text only trust UPI ids with a real PSP handle.
+const UPI_HANDLES = [
+  "ybl", "ibl", "axl", "apl", "yapl", "upi", "paytm", "ptyes", "ptaxis", "pthdfc", "ptsbi",
+  "okaxis", "okhdfcbank", "okicici", "oksbi", "axisbank", "hdfcbank", "icici", "sbi",
+  "kotak", "airtel", "jio", "freecharge", "waaxis", "wahdfcbank", "wasbi", "waicici",
+];
+
+/**
+ * Undo common obfuscations so the direct patterns can see through them
+ */
+const normalize = (text) => {
+  let normalized = text
+    .toLowerCase()
+    .replace(/\s*[[({<]\s*(?:at|@)\s*[\])}>]\s*/g, "@")
+    .replace(/\s*[[({<]\s*(?:dot|\.)\s*[\])}>]\s*/g, ".")
+    .replace(/\s+at\s+(?=[a-z0-9-]+\s*(?:\.|dot\b))/g, "@")
+    .replace(/\s+dot\s+(?=[a-z]{2,}\b)/g, ".");
+
+  // "nine eight double seven" -> "9 8 7 7"
+  const tokens = normalized.split(/(\s+|[,\-])/);
+  const out = [];
+  let repeat = 1;
+  for (const token of tokens) {
+    const word = token.trim();
+    if (!word) {
+      out.push(token);
+      continue;
+    }
+    if (REPEAT_WORDS[word]) {
+      repeat = REPEAT_WORDS[word];
+      continue;
+    }
+    if (NUMBER_WORDS[word]) {
+      out.push(Array(repeat).fill(NUMBER_WORDS[word]).join(" "));
+    } else {
+      out.push(token);
+    }
+    repeat = 1;
+  }
+  normalized = out.join("");
+
+  return normalized;
+};
+
+// Digit groupings people actually write 10-digit numbers in:
+// 9876543210, 98765 43210, 987 654 3210, 9876 543 210, 98 7654 3210
+const TEN_DIGIT_GROUPS = ["10", "5,5", "3,3,4", "4,3,3", "2,4,4", "3,4,3"];
+
+/**
+ * Whether a phone candidate has a real phone shape: a country (+, 00, 91)
+ * or trunk (0) prefix, or a 10-digit mobile / NANP number in usual groups.
+ * Numeric ranges ("25000-50000", "15000 - 20000") and dotted version
+ * numbers ("1.2.3.4.5") are not phone numbers.
+ */
+const isPhoneLike = (value) => {
+  const candidate = value.trim();
+  const digits = candidate.replace(/\D/g, "");
+  if (digits.length < 10 || digits.length > 14) return false;
+
+  // Two numbers joined by a dash, lower first: a range
+  const range = candidate.match(/^(\d+)\s*[-–]\s*(\d+)$/);
+  if (range && Number(range[1]) < Number(range[2])) return false;
+  if (range && /\s/.test(candidate)) return false;
+
+  // Four or more short dot-separated groups: a version or an IP-like number
+  if (/^\d{1,3}(?:\.\d{1,3}){3,}$/.test(candidate)) return false;
+
+  const groups = candidate.split(/[^\d+]+/).filter(Boolean);
+
+  if (candidate.startsWith("+")) return digits.length >= 11;
+  if (digits.startsWith("00")) return digits.length >= 12;
+  if (digits.length === 12 && /^91[6-9]/.test(digits)) return true;
+  if (digits.length === 11 && digits.startsWith("0")) return true;
+  if (digits.length !== 10) return false;
+
+  // Spelled-out digits come back from normalize() one per group
+  if (groups.every((g) => g.length === 1)) return /^[6-9]/.test(digits);
+
+  const shape = groups.map((g) => g.length).join(",");
+  if (shape === "3,3,4" && /[()]/.test(candidate)) return true; // (415) 555 2671
+  return /^[6-9]/.test(digits) && TEN_DIGIT_GROUPS.includes(shape);
+};
+
+const collectMatches = (text) => {
+  const matches = [];
+  for (const { type, pattern } of DIRECT_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      if (type === "phone" && !isPhoneLike(match[0])) continue;
+      matches.push({ type, value: match[0].trim() });
+    }
+  }
+  return matches;
+};
+
+/**
+ * Scan text for contact information
+ * @param {string} text
+ * @returns {{ found: boolean, obfuscated: boolean, matches: Array<{type: string, value: string}>, redacted: string }}
+ */
+const detectContactInfo = (text) => {
+  if (!text || typeof text !== "string") {
+    return { found: false, obfuscated: false, matches: [], redacted: text };
+  }
+
+  // 1. Plainly written contact info: redact just the spans
+  const matches = collectMatches(text);
+  let redacted = text;
+  for (const { type, pattern } of DIRECT_PATTERNS) {
+    redacted = redacted.replace(pattern, (value) =>
+      type === "phone" && !isPhoneLike(value) ? value : REDACTION
+    );
+  }
+
+  // 2. Whatever survives, de-obfuscated. Hits here cannot be mapped back
+  //    to spans of the original, so the whole message is hidden.
+  const hidden = collectMatches(normalize(redacted)).filter(
+    (m) => m.type !== "upi" || UPI_HANDLES.includes(m.value.split("@")[1])
+  );
+  const obfuscated = hidden.length > 0;
+  if (obfuscated) {
+    matches.push(...hidden.map((m) => ({ ...m, obfuscated: true })));
+    redacted = FULL_REDACTION;
+  }
+
+  return {
+    found: matches.length > 0,
+    obfuscated,
+    matches,
+    redacted,
+  };
+};
+
+module.exports = { detectContactInfo, normalize, isPhoneLike, REDACTION, FULL_REDACTION };
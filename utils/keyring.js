@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+
+// ============================================================================
+// ENCRYPTION KEYRING
+// AES-256-GCM with key ids, shared by utils/chatCrypto.js and
+// utils/payoutCrypto.js. Each caller gets its own keys from its own
+// environment variables, so one data set can be rotated (or leak) without
+// touching the other.
+//
+// Stored format: `v1:${keyId}:${iv}:${ciphertext}:${authTag}` (hex)
+// Payloads written before key ids existed are `${iv}:${ciphertext}:${authTag}`
+// and decrypt with the original key ("k0").
+// ============================================================================
+
+const FORMAT_VERSION = "v1";
+const LEGACY_KEY_ID = "k0";
+const KEY_ID_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+
+const parseKey = (id, hex) => {
+  const key = Buffer.from(hex, "hex");
+  if (key.length !== 32) throw new Error(`Encryption key "${id}" must be 32 bytes of hex`);
+  return key;
+};
+
+/**
+ * Load a keyring from environment
+ * @returns {{keys: Map<string, Buffer>, activeKeyId: string}}
+ */
+const loadKeyring = ({ keyVar, keyringVar, activeKeyVar, devKey }) => {
+  const keys = new Map();
+
+  if (process.env[keyVar]) {
+    keys.set(LEGACY_KEY_ID, parseKey(LEGACY_KEY_ID, process.env[keyVar]));
+  }
+
+  for (const entry of (process.env[keyringVar] || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [id, hex] = entry.trim().split(":");
+    if (!KEY_ID_PATTERN.test(id || "") || !hex) {
+      throw new Error(`Invalid ${keyringVar} entry for key "${id}"`);
+    }
+    keys.set(id, parseKey(id, hex));
+  }
+
+  if (!keys.size) {
+    console.error(`CRITICAL: ${keyVar} not set!`);
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(`${keyVar} must be set in production`);
+    }
+    keys.set(LEGACY_KEY_ID, devKey);
+  }
+
+  const activeKeyId = process.env[activeKeyVar] || [...keys.keys()].pop();
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`${activeKeyVar} "${activeKeyId}" is not in the keyring`);
+  }
+
+  return { keys, activeKeyId };
+};
+
+/**
+ * Build encrypt/decrypt/blindIndex helpers over one keyring
+ * @param {object} config
+ * @param {string} config.keyVar - Env var of the original key, id "k0"
+ * @param {string} config.keyringVar - Env var with more keys as "id:hex,id:hex"
+ * @param {string} config.activeKeyVar - Env var naming the key for new payloads
+ *   (default: last keyring entry, else "k0")
+ * @param {string} config.indexKeyVar - Env var of the blind index key
+ * @param {string} config.indexInfo - HKDF label used to derive the index key
+ *   from "k0" when indexKeyVar is not set
+ * @param {Buffer} config.devKey - Used outside production when no key is set
+ */
+const createKeyring = (config) => {
+  const { keys, activeKeyId } = loadKeyring(config);
+
+  // The index key must not change when encryption keys rotate, so it is
+  // derived from "k0" unless set explicitly — set it before retiring "k0"
+  const getIndexKey = () => {
+    if (process.env[config.indexKeyVar]) return Buffer.from(process.env[config.indexKeyVar], "hex");
+    const base = keys.get(LEGACY_KEY_ID);
+    if (!base) throw new Error(`${config.indexKeyVar} must be set when ${config.keyVar} is not`);
+    return Buffer.from(crypto.hkdfSync("sha256", base, Buffer.alloc(0), config.indexInfo, 32));
+  };
+
+  const indexKey = getIndexKey();
+
+  /**
+   * Split a payload into its key id and parts
+   * @returns {{keyId: string, ivHex: string, encryptedText: string, authTagHex: string}}
+   */
+  const parsePayload = (payload) => {
+    const parts = payload.split(":");
+    if (parts.length === 5 && parts[0] === FORMAT_VERSION) {
+      const [, keyId, ivHex, encryptedText, authTagHex] = parts;
+      return { keyId, ivHex, encryptedText, authTagHex };
+    }
+    if (parts.length === 3) {
+      const [ivHex, encryptedText, authTagHex] = parts;
+      return { keyId: LEGACY_KEY_ID, ivHex, encryptedText, authTagHex };
+    }
+    throw new Error("Invalid encrypted message format");
+  };
+
+  /**
+   * Encrypt a string with the active key
+   * @param {string} text
+   * @returns {string} - v1:keyId:iv:ciphertext:authTag
+   */
+  const encrypt = (text) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", keys.get(activeKeyId), iv);
+    const encrypted = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+    const authTag = cipher.getAuthTag();
+    return `${FORMAT_VERSION}:${activeKeyId}:${iv.toString("hex")}:${encrypted.toString("hex")}:${authTag.toString("hex")}`;
+  };
+
+  /**
+   * Decrypt a string produced by encrypt(), with whichever key it names
+   * @param {string} payload
+   * @returns {string|null} - Plaintext, or null if tampered/malformed/unknown key
+   */
+  const decrypt = (payload) => {
+    try {
+      const { keyId, ivHex, encryptedText, authTagHex } = parsePayload(payload);
+      if (!ivHex || !encryptedText || !authTagHex) {
+        throw new Error("Invalid encrypted message format");
+      }
+      const key = keys.get(keyId);
+      if (!key) throw new Error(`Unknown encryption key "${keyId}"`);
+
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(ivHex, "hex"));
+      decipher.setAuthTag(Buffer.from(authTagHex, "hex"));
+      return Buffer.concat([
+        decipher.update(Buffer.from(encryptedText, "hex")),
+        decipher.final(),
+      ]).toString("utf8");
+    } catch (error) {
+      console.error("Decryption failed:", error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Encrypt a JSON-serialisable object
+   */
+  const encryptJson = (value) => encrypt(JSON.stringify(value));
+
+  /**
+   * Decrypt an object produced by encryptJson()
+   * @returns {object|null}
+   */
+  const decryptJson = (payload) => {
+    const text = decrypt(payload);
+    if (text === null) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      return null;
+    }
+  };
+
+  /**
+   * Whether a payload was written with a key other than the active one
+   */
+  const needsReEncryption = (payload) =>
+    typeof payload === "string" && !payload.startsWith(`${FORMAT_VERSION}:${activeKeyId}:`);
+
+  /**
+   * Re-encrypt a payload with the active key
+   * @returns {string|null} - New payload, or null if the old one cannot be decrypted
+   */
+  const reEncrypt = (payload) => {
+    const text = decrypt(payload);
+    return text === null ? null : encrypt(text);
+  };
+
+  /**
+   * Keyed hash of a token. The scope is mixed in so the same token gives
+   * different entries in different scopes.
+   * @param {string} token
+   * @param {string} scope
+   * @returns {string} - 32 hex chars
+   */
+  const blindIndex = (token, scope) =>
+    crypto.createHmac("sha256", indexKey).update(`${scope}:${token}`).digest("hex").slice(0, 32);
+
+  return {
+    encrypt,
+    decrypt,
+    encryptJson,
+    decryptJson,
+    needsReEncryption,
+    reEncrypt,
+    blindIndex,
+    activeKeyId,
+    activePrefix: `${FORMAT_VERSION}:${activeKeyId}:`,
+  };
+};
+
+module.exports = { createKeyring };
@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+const { createKeyring } = require("./keyring");
+
+// ============================================================================
+// PAYOUT ENCRYPTION UTILITIES
+// AES-256-GCM for saved payout method details (bank accounts, UPI ids).
+// Separate from the chat keys so chat key handling never exposes payout data.
+//
+// Keys:
+//   PAYOUT_ENCRYPTION_KEY            - original key, id "k0"
+//   PAYOUT_ENCRYPTION_KEYRING        - more keys as "id:hex,id:hex"
+//   PAYOUT_ENCRYPTION_ACTIVE_KEY_ID  - key used for new payloads
+//   PAYOUT_FINGERPRINT_KEY           - duplicate-detection hash key
+//                                      (default: derived from "k0")
+// To rotate: add a key to the ring, make it active, and let the
+// payout-key-rotation job re-encrypt saved methods.
+// ============================================================================
+
+// Development fallback, never the chat development key
+const DEV_KEY = crypto.createHash("sha256").update("freelancerhub-dev-payout-key").digest();
+
+const {
+  encryptJson,
+  decryptJson,
+  needsReEncryption,
+  reEncrypt,
+  blindIndex,
+  activeKeyId,
+  activePrefix,
+} = createKeyring({
+  keyVar: "PAYOUT_ENCRYPTION_KEY",
+  keyringVar: "PAYOUT_ENCRYPTION_KEYRING",
+  activeKeyVar: "PAYOUT_ENCRYPTION_ACTIVE_KEY_ID",
+  indexKeyVar: "PAYOUT_FINGERPRINT_KEY",
+  indexInfo: "payout-method-fingerprint",
+  devKey: DEV_KEY,
+});
+
+module.exports = {
+  encryptJson,
+  decryptJson,
+  needsReEncryption,
+  reEncrypt,
+  fingerprint: blindIndex,
+  activeKeyId,
+  activePrefix,
+};
@@ -20,12 +20,23 @@
  *  Freelancer withdraws earnings
  *    → debitWallet(freelancerId, amount, "withdrawal", ...)     [balance ↓]
  *
+ *  Payout processed / rejected by admin, failed or reversed by the bank
+ *    → completeWithdrawal(...) / reverseWithdrawal(...)
+ *
  *  Admin adjusts wallet
  *    → adminAdjustWallet(userId, delta, adminId, description, session)
+ *
+ * Every movement is also journaled as a balanced LedgerEntry (double entry):
+ * user available / user escrow accounts mirror Wallet.balance / escrowBalance,
+ * and the platform accounts (revenue, payouts in transit, gateway, admin
+ * adjustments) hold the other side. The ledger reconciliation job checks
+ * that wallets still match the journal.
  */
 
 const Wallet = require("../models/Wallet");
 const WalletTransaction = require("../models/WalletTransaction");
+const LedgerEntry = require("../models/LedgerEntry");
+const { LEDGER_ACCOUNTS: ACCOUNTS } = require("../config/constants");
 
 // ─── Internal helpers ─────────────────────────────────────────────────────────
 
@@ -34,6 +45,61 @@ async function _saveTransaction(data, session) {
   return tx;
 }
 
+const _round = (n) => Math.round(n * 100) / 100;
+
+async function _journal(type, lines, meta, session) {
+  const [entry] = await LedgerEntry.create(
+    [{ type, lines: lines.map((l) => ({ ...l, amount: _round(l.amount) })), ...meta }],
+    { session }
+  );
+  return entry;
+}
+
+/**
+ * The first time a wallet is touched after the ledger was introduced, book
+ * the balances it had before this operation as an opening entry.
+ * @param {object} wallet        - wallet as returned AFTER the operation
+ * @param {Number} balanceDelta  - change this operation made to balance
+ * @param {Number} escrowDelta   - change this operation made to escrowBalance
+ */
+async function _openLedger(wallet, balanceDelta, escrowDelta, session) {
+  if (wallet.ledgerOpenedAt) return;
+
+  const { modifiedCount } = await Wallet.updateOne(
+    { _id: wallet._id, ledgerOpenedAt: null },
+    { $set: { ledgerOpenedAt: new Date() } },
+    { session }
+  );
+  if (!modifiedCount) return;
+
+  const available = _round(wallet.balance - balanceDelta);
+  const escrow = _round(wallet.escrowBalance - escrowDelta);
+  if (!available && !escrow) return;
+
+  await _journal(
+    "opening_balance",
+    [
+      { account: ACCOUNTS.USER_AVAILABLE, userId: wallet.userId, amount: available },
+      { account: ACCOUNTS.USER_ESCROW, userId: wallet.userId, amount: escrow },
+      { account: ACCOUNTS.OPENING_BALANCES, amount: -(available + escrow) },
+    ].filter((line) => line.amount !== 0),
+    { description: "Balances held before the ledger was introduced" },
+    session
+  );
+}
+
+/**
+ * Account the money of a withdrawal sits in: the gateway once it was paid
+ * out, payouts in transit before that, or opening balances for withdrawals
+ * debited before the ledger existed
+ */
+async function _withdrawalHoldingAccount(withdrawalId, session) {
+  const paidOut = await LedgerEntry.exists({ type: "withdrawal_completed", referenceId: withdrawalId }).session(session);
+  if (paidOut) return ACCOUNTS.GATEWAY;
+  const debited = await LedgerEntry.exists({ type: "withdrawal", referenceId: withdrawalId }).session(session);
+  return debited ? ACCOUNTS.PAYOUTS_IN_TRANSIT : ACCOUNTS.OPENING_BALANCES;
+}
+
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
@@ -59,9 +125,27 @@ async function creditWallet(userId, amount, description, referenceId, referenceM
     description,
   }, session);
 
+  await _openLedger(wallet, amount, 0, session);
+  await _journal("deposit", [
+    { account: ACCOUNTS.GATEWAY, amount: -amount },
+    { account: ACCOUNTS.USER_AVAILABLE, userId, amount },
+  ], { referenceId, referenceModel, description }, session);
+
   return wallet;
 }
 
+/**
+ * Book the platform's commission on a captured payment. The commission never
+ * reaches a wallet, so only the ledger records it.
+ */
+async function recordPlatformFee(amount, referenceId, referenceModel, description, session) {
+  if (!(amount > 0)) return null;
+  return _journal("platform_fee", [
+    { account: ACCOUNTS.GATEWAY, amount: -amount },
+    { account: ACCOUNTS.PLATFORM_REVENUE, amount },
+  ], { referenceId, referenceModel, description }, session);
+}
+
 /**
  * Lock funds from client's balance into escrow for a specific project.
  * client.balance -= amount
@@ -95,6 +179,12 @@ async function holdEscrow(clientId, amount, escrowId, projectId, description, se
     description,
   }, session);
 
+  await _openLedger(wallet, -amount, amount, session);
+  await _journal("escrow_hold", [
+    { account: ACCOUNTS.USER_AVAILABLE, userId: clientId, amount: -amount },
+    { account: ACCOUNTS.USER_ESCROW, userId: clientId, amount },
+  ], { referenceId: projectId, referenceModel: "Project", escrowId, description }, session);
+
   return wallet;
 }
 
@@ -152,6 +242,13 @@ async function releaseEscrow(
     escrowBalanceAfter: freelancerWallet.escrowBalance,
   }, session);
 
+  await _openLedger(clientWallet, 0, -amount, session);
+  await _openLedger(freelancerWallet, amount, 0, session);
+  await _journal("escrow_release", [
+    { account: ACCOUNTS.USER_ESCROW, userId: clientId, amount: -amount },
+    { account: ACCOUNTS.USER_AVAILABLE, userId: freelancerId, amount },
+  ], { referenceId: projectId, referenceModel: "Project", escrowId, description }, session);
+
   return { clientWallet, freelancerWallet };
 }
 
@@ -185,6 +282,12 @@ async function refundEscrow(clientId, amount, escrowId, projectId, description,
     description,
   }, session);
 
+  await _openLedger(wallet, amount, -amount, session);
+  await _journal("escrow_refund", [
+    { account: ACCOUNTS.USER_ESCROW, userId: clientId, amount: -amount },
+    { account: ACCOUNTS.USER_AVAILABLE, userId: clientId, amount },
+  ], { referenceId: projectId, referenceModel: "Project", escrowId, description }, session);
+
   return wallet;
 }
 
@@ -226,6 +329,12 @@ async function debitWallet(userId, amount, referenceId, referenceModel, descript
     description,
   }, session);
 
+  await _openLedger(wallet, -amount, 0, session);
+  await _journal("withdrawal", [
+    { account: ACCOUNTS.USER_AVAILABLE, userId, amount: -amount },
+    { account: ACCOUNTS.PAYOUTS_IN_TRANSIT, amount },
+  ], { referenceId, referenceModel, description }, session);
+
   return wallet;
 }
 
@@ -256,6 +365,12 @@ async function adminAdjustWallet(userId, delta, adminId, description, session) {
     performedBy: adminId,
   }, session);
 
+  await _openLedger(wallet, delta, 0, session);
+  await _journal("admin_adjustment", [
+    { account: ACCOUNTS.ADMIN_ADJUSTMENTS, amount: -delta },
+    { account: ACCOUNTS.USER_AVAILABLE, userId, amount: delta },
+  ], { description, performedBy: adminId }, session);
+
   return wallet;
 }
 
@@ -322,6 +437,13 @@ async function adminClawback(freelancerId, clientId, amount, projectId, adminId,
     escrowBalanceAfter: clientWallet.escrowBalance,
   }, session);
 
+  await _openLedger(freelancerWallet, -amount, 0, session);
+  await _openLedger(clientWallet, amount, 0, session);
+  await _journal("admin_clawback", [
+    { account: ACCOUNTS.USER_AVAILABLE, userId: freelancerId, amount: -amount },
+    { account: ACCOUNTS.USER_AVAILABLE, userId: clientId, amount },
+  ], { referenceId: projectId, referenceModel: "Project", description: reason, performedBy: adminId }, session);
+
   return { freelancerWallet, clientWallet };
 }
 
@@ -333,15 +455,23 @@ async function getWallet(userId) {
 }
 
 /**
- * Reverse a previously debited withdrawal — used when admin REJECTS a payout.
+ * Reverse a previously debited withdrawal — used when admin REJECTS a payout,
+ * or when the payout fails / is reversed by the bank.
  * Credits back amount to user's balance and marks WalletTransaction as reversed.
  *
  * @param {ObjectId} userId        - freelancer whose wallet is credited back
  * @param {Number}   amount        - positive withdrawal amount to return
  * @param {ObjectId} withdrawalId  - AdminWithdraw document ID
  * @param {Object}   session       - mongoose session
+ * @param {String}   [description] - shown on the reversal transaction
  */
-async function reverseWithdrawal(userId, amount, withdrawalId, session) {
+async function reverseWithdrawal(
+  userId,
+  amount,
+  withdrawalId,
+  session,
+  description = "Withdrawal rejected by admin — amount returned to wallet"
+) {
   // Credit the amount back to the user's available balance
   const wallet = await Wallet.findOneAndUpdate(
     { userId },
@@ -353,6 +483,17 @@ async function reverseWithdrawal(userId, amount, withdrawalId, session) {
     throw new Error("Cannot reverse withdrawal: wallet not found for user");
   }
 
+  const holdingAccount = await _withdrawalHoldingAccount(withdrawalId, session);
+  await _openLedger(wallet, amount, 0, session);
+  await _journal("withdrawal_reversal", [
+    { account: holdingAccount, amount: -amount },
+    { account: ACCOUNTS.USER_AVAILABLE, userId, amount },
+  ], {
+    referenceId: withdrawalId,
+    referenceModel: "AdminWithdraw",
+    description,
+  }, session);
+
   // Log a reversal transaction
   await _saveTransaction({
     walletId: wallet._id,
@@ -364,15 +505,16 @@ async function reverseWithdrawal(userId, amount, withdrawalId, session) {
     status: "completed",
     referenceId: withdrawalId,
     referenceModel: "AdminWithdraw",
-    description: "Withdrawal rejected by admin — amount returned to wallet",
+    description,
   }, session);
 
-  // Also find and mark the original pending withdrawal WalletTransaction as reversed
+  // Also mark the original withdrawal WalletTransaction as reversed (completed
+  // too: a bank can return a payout after it was processed)
   await WalletTransaction.findOneAndUpdate(
     {
       userId,
       type: "withdrawal",
-      status: "pending",
+      status: { $in: ["pending", "completed"] },
       referenceId: withdrawalId,
     },
     { status: "reversed" },
@@ -382,8 +524,42 @@ async function reverseWithdrawal(userId, amount, withdrawalId, session) {
   return wallet;
 }
 
+/**
+ * Mark a withdrawal as paid out — used once the payout is processed.
+ * Completes the pending WalletTransaction and moves the amount out of
+ * payouts in transit.
+ *
+ * @param {ObjectId} userId        - freelancer who requested the withdrawal
+ * @param {Number}   amount        - positive withdrawal amount
+ * @param {ObjectId} withdrawalId  - AdminWithdraw document ID
+ * @param {Object}   session       - mongoose session
+ */
+async function completeWithdrawal(userId, amount, withdrawalId, session) {
+  await WalletTransaction.findOneAndUpdate(
+    {
+      userId,
+      type: "withdrawal",
+      status: "pending",
+      referenceId: withdrawalId,
+    },
+    { status: "completed" },
+    { session }
+  );
+
+  const holdingAccount = await _withdrawalHoldingAccount(withdrawalId, session);
+  return _journal("withdrawal_completed", [
+    { account: holdingAccount, amount: -amount },
+    { account: ACCOUNTS.GATEWAY, amount },
+  ], {
+    referenceId: withdrawalId,
+    referenceModel: "AdminWithdraw",
+    description: "Withdrawal paid out",
+  }, session);
+}
+
 module.exports = {
   creditWallet,
+  recordPlatformFee,
   holdEscrow,
   releaseEscrow,
   refundEscrow,
@@ -391,5 +567,6 @@ module.exports = {
   adminAdjustWallet,
   adminClawback,
   reverseWithdrawal,
+  completeWithdrawal,
   getWallet,
 };